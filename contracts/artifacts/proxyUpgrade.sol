@@ -0,0 +1,104 @@
+//SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+// ===============================================
+// Proxy Upgrade Contracts - SimpleProxy 업그레이드용 구현 컨트랙트 예제
+// ===============================================
+// 
+// 📌 프록시 스토리지 충돌 개념:
+//   - delegatecall은 구현 컨트랙트의 코드를 프록시의 스토리지 위에서 실행함
+//   - SimpleProxy는 implementation(0번 슬롯), admin(1번 슬롯)을 직접 저장함
+//   - FallbackDemo처럼 0번 슬롯부터 상태 변수를 쓰면 프록시의 implementation을 덮어씀
+//     (프록시를 통해 order()를 호출하면 implementation이 9가 되어 프록시가 망가짐)
+//
+// 💡 해결 방법:
+//   - 구현 컨트랙트의 앞쪽 슬롯을 프록시 몫으로 비워둠 (__proxySlots)
+//   - 업그레이드할 때는 기존 변수의 순서/타입을 유지하고 새 변수는 뒤에만 추가
+//   - scripts/lib/upgrade.js가 컴파일러의 storageLayout으로 이 규칙을 검사함
+// ===============================================
+
+/**
+ * @dev SimpleProxy 뒤에서 사용하는 첫 번째 구현
+ * @notice 생성자는 프록시 스토리지에서 실행되지 않으므로 초기값을 두지 않음
+ */
+contract ProxyFallbackDemoV1 {
+    // SimpleProxy의 implementation/admin 자리 (이름이 __로 시작하는 변수는 예약 공간)
+    uint256[2] private __proxySlots;
+
+    uint public data;           // 마지막으로 설정된 데이터
+    uint public receiveCount;   // receive 호출 횟수
+    uint public totalReceived;  // 받은 총 이더량
+
+    /**
+     * @dev 이더를 받으면서 데이터를 변경하는 함수
+     */
+    function order() external payable {
+        data = 9;
+        totalReceived += msg.value;
+    }
+
+    /**
+     * @dev 구현 버전
+     */
+    function version() external pure returns (string memory) {
+        return "v1";
+    }
+
+    receive() external payable {
+        receiveCount++;
+        totalReceived += msg.value;
+    }
+}
+
+/**
+ * @dev 안전한 업그레이드 - V1의 변수를 그대로 두고 새 변수를 뒤에 추가
+ */
+contract ProxyFallbackDemoV2 {
+    uint256[2] private __proxySlots;
+
+    uint public data;
+    uint public receiveCount;
+    uint public totalReceived;
+    uint public orderCount;     // V2에서 추가된 주문 횟수
+
+    function order() external payable {
+        data = 9;
+        totalReceived += msg.value;
+        orderCount++;
+    }
+
+    function version() external pure returns (string memory) {
+        return "v2";
+    }
+
+    receive() external payable {
+        receiveCount++;
+        totalReceived += msg.value;
+    }
+}
+
+/**
+ * @dev 안전하지 않은 업그레이드 - 기존 변수의 순서를 바꾸고 타입을 변경
+ * @notice 업그레이드 검사에서 거부되어야 하는 예제
+ */
+contract ProxyFallbackDemoV2Unsafe {
+    uint256[2] private __proxySlots;
+
+    uint public receiveCount;   // data 자리에 receiveCount를 배치 (순서 변경)
+    uint public data;
+    uint128 public totalReceived; // uint → uint128 (타입 변경)
+
+    function order() external payable {
+        data = 9;
+        totalReceived += uint128(msg.value);
+    }
+
+    function version() external pure returns (string memory) {
+        return "v2-unsafe";
+    }
+
+    receive() external payable {
+        receiveCount++;
+        totalReceived += uint128(msg.value);
+    }
+}
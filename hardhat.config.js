@@ -1,6 +1,95 @@
 require("@nomicfoundation/hardhat-toolbox");
+const { extendConfig } = require("hardhat/config");
+require("./tasks/contracts");
+require("./tasks/proxy");
+require("./tasks/calldata");
+require("./tasks/events");
+require("./tasks/payout");
+require("./tasks/remix-tests");
+
+// Optimizer profiles, selected with SOLC_PROFILE (default: "dev", same as Remix's default settings)
+const OPTIMIZER_PROFILES = {
+  dev: { enabled: false, runs: 200 },
+  production: { enabled: true, runs: 200 },
+  size: { enabled: true, runs: 1 },
+};
+const profile = process.env.SOLC_PROFILE || "dev";
+if (!OPTIMIZER_PROFILES[profile]) {
+  throw new Error(
+    `Unknown SOLC_PROFILE "${profile}" (${Object.keys(OPTIMIZER_PROFILES).join(", ")})`
+  );
+}
+
+const compiler = (version, optimizer = OPTIMIZER_PROFILES[profile]) => ({
+  version,
+  settings: {
+    optimizer,
+    // Storage layouts in build-info, used by the proxy upgrade check
+    outputSelection: { "*": { "*": ["storageLayout"] } },
+  },
+});
+
+// Extra accounts for non-local networks, e.g. PRIVATE_KEYS=0xabc...,0xdef...
+const accounts = process.env.PRIVATE_KEYS
+  ? process.env.PRIVATE_KEYS.split(",")
+  : "remote";
+
+// Copy the custom fields into the resolved config so scripts can read them
+// from hre.config (Hardhat drops unknown fields of the hardhat network).
+extendConfig((config, userConfig) => {
+  config.namedAccounts = userConfig.namedAccounts || {};
+  for (const [name, network] of Object.entries(userConfig.networks || {})) {
+    if (config.networks[name] && network.deploy) {
+      config.networks[name].deploy = network.deploy;
+    }
+  }
+});
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    compilers: [compiler("0.8.28")],
+    overrides: {
+      // block.blobbasefee and friends need ^0.8.30
+      "contracts/artifacts/blockProperty2.sol": compiler("0.8.30"),
+      // Over the 24KB code size limit without the optimizer
+      "contracts/기초/Struct.sol": compiler("0.8.28", OPTIMIZER_PROFILES.size),
+    },
+  },
+  networks: {
+    hardhat: {
+      // FORK_URL forks another chain into the in-process network
+      forking: process.env.FORK_URL
+        ? {
+            url: process.env.FORK_URL,
+            blockNumber: process.env.FORK_BLOCK_NUMBER
+              ? Number(process.env.FORK_BLOCK_NUMBER)
+              : undefined,
+          }
+        : undefined,
+      deploy: { confirmations: 1 },
+    },
+    localhost: {
+      url: process.env.LOCALHOST_URL || "http://127.0.0.1:8545",
+      deploy: { confirmations: 1 },
+    },
+    // A local fork node, e.g. `anvil --fork-url $RPC --port 8546`
+    // or `npx hardhat node --fork $RPC --port 8546`
+    fork: {
+      url: process.env.FORK_RPC_URL || "http://127.0.0.1:8546",
+      accounts,
+      deploy: {
+        confirmations: Number(process.env.FORK_CONFIRMATIONS || 1),
+        maxFeePerGas: process.env.FORK_MAX_FEE_GWEI,
+        maxPriorityFeePerGas: process.env.FORK_PRIORITY_FEE_GWEI,
+      },
+    },
+  },
+  // Roles used by the scripts and tasks: account index or address,
+  // optionally per network ({ default: 0, fork: "0x..." })
+  namedAccounts: {
+    deployer: 0,
+    user1: 1,
+    user2: 2,
+  },
 };
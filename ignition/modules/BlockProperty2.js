@@ -0,0 +1,9 @@
+// BlockProperty2 (contracts/artifacts/blockProperty2.sol).
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("BlockProperty2Module", (m) => {
+  const blockProperty2 = m.contract("BlockProperty2");
+
+  return { blockProperty2 };
+});
@@ -0,0 +1,26 @@
+// The contracts under contracts/자료형, as deployed by scripts/deploy-data-types.js,
+// plus the MyToken ERC20.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("DataTypesModule", (m) => {
+  const dataType = m.contract("DataType");
+  const solidity = m.contract("Solidity");
+  const functionContract = m.contract("Function");
+  const functionVisibility = m.contract("FunctionVisibility");
+  const operation = m.contract("Operation");
+  const pureView = m.contract("PureView");
+  const version4 = m.contract("Version4");
+  const myToken = m.contract("MyToken");
+
+  return {
+    dataType,
+    solidity,
+    functionContract,
+    functionVisibility,
+    operation,
+    pureView,
+    version4,
+    myToken,
+  };
+});
@@ -0,0 +1,12 @@
+// FallbackDemo and a SimpleProxy that delegates to it (contracts/artifacts/fallback.sol).
+// Passing the FallbackDemo future as the constructor arg makes Ignition deploy it first.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("FallbackModule", (m) => {
+  const fallbackDemo = m.contract("FallbackDemo");
+
+  const simpleProxy = m.contract("SimpleProxy", [fallbackDemo]);
+
+  return { fallbackDemo, simpleProxy };
+});
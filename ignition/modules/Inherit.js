@@ -0,0 +1,34 @@
+// Car and the Benz/Audi/BMW contracts that inherit from it (contracts/artifacts/Inherit.sol).
+// Constructor args default to the values used by scripts/deploy-inheritance.js.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const THIRTY_ETH = 30_000_000_000_000_000_000n;
+
+module.exports = buildModule("InheritModule", (m) => {
+  const car = m.contract("Car", [
+    m.getParameter("vehicleType", "sedan"),
+    m.getParameter("doorCount", 4),
+    m.getParameter("price", THIRTY_ETH),
+  ]);
+
+  const benz = m.contract("Benz", [
+    m.getParameter("benzModel", "S-Class"),
+    m.getParameter("hasAutoPilot", true),
+  ]);
+
+  const audi = m.contract("Audi", [
+    m.getParameter("audiModel", "A4"),
+    m.getParameter("hasQuattro", true),
+    m.getParameter("performanceLevel", 7),
+  ]);
+
+  const bmw = m.contract("BMW", [
+    m.getParameter("bmwModel", "X5"),
+    m.getParameter("series", "X-Series"),
+    m.getParameter("hasXDrive", true),
+    m.getParameter("enginePower", 400),
+  ]);
+
+  return { car, benz, audi, bmw };
+});
@@ -0,0 +1,33 @@
+// Stands up every demo contract family in one deployment:
+//   npx hardhat ignition deploy ./ignition/modules/Suite.js
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const LockModule = require("./Lock");
+const InheritModule = require("./Inherit");
+const FallbackModule = require("./Fallback");
+const TransactionProperty2Module = require("./TransactionProperty2");
+const BlockProperty2Module = require("./BlockProperty2");
+const DataTypesModule = require("./DataTypes");
+
+module.exports = buildModule("SuiteModule", (m) => {
+  const { lock } = m.useModule(LockModule);
+  const { car, benz, audi, bmw } = m.useModule(InheritModule);
+  const { fallbackDemo, simpleProxy } = m.useModule(FallbackModule);
+  const { transactionProperty2 } = m.useModule(TransactionProperty2Module);
+  const { blockProperty2 } = m.useModule(BlockProperty2Module);
+  const dataTypes = m.useModule(DataTypesModule);
+
+  return {
+    lock,
+    car,
+    benz,
+    audi,
+    bmw,
+    fallbackDemo,
+    simpleProxy,
+    transactionProperty2,
+    blockProperty2,
+    ...dataTypes,
+  };
+});
@@ -0,0 +1,9 @@
+// TransactionProperty2 (contracts/artifacts/transactionProperty2.sol).
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("TransactionProperty2Module", (m) => {
+  const transactionProperty2 = m.contract("TransactionProperty2");
+
+  return { transactionProperty2 };
+});
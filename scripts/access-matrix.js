@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { buildAccessMatrix, diffMatrix, formatChange, toMarkdown } = require("./lib/access-matrix");
+const { ACCESS_SUBJECTS } = require("./lib/access-subjects");
+
+// ================================
+// 접근 제어 매트릭스 리포트
+// ================================
+//
+// scripts/lib/access-subjects.js의 컨트랙트마다 모든 상태 변경 함수를 상태 × 역할별로 호출해 보고
+// 통과/revert 매트릭스를 출력한 뒤, 커밋된 스냅샷과 비교합니다.
+//
+// 환경 변수:
+//   - ACCESS_MATRIX_FORMAT: markdown (기본값) | json
+//   - ACCESS_MATRIX_OUT: 리포트를 저장할 파일 (없으면 stdout)
+//   - ACCESS_MATRIX_SNAPSHOT: 비교할 스냅샷 파일 (기본값: access-matrix.snapshot.json)
+//   - ACCESS_MATRIX_UPDATE=true: 현재 결과로 스냅샷 파일을 갱신
+//
+// 스냅샷과 다른 셀이 있으면 종료 코드 1로 끝납니다.
+//
+// 예) ACCESS_MATRIX_OUT=access.md npx hardhat run scripts/access-matrix.js
+
+const FORMAT = process.env.ACCESS_MATRIX_FORMAT || "markdown";
+const SNAPSHOT_FILE = path.resolve(hre.config.paths.root, process.env.ACCESS_MATRIX_SNAPSHOT || "access-matrix.snapshot.json");
+
+async function main() {
+    if (!["markdown", "json"].includes(FORMAT)) {
+        throw new Error(`알 수 없는 리포트 형식입니다: ${FORMAT} (markdown, json 중 하나)`);
+    }
+
+    const matrix = await buildAccessMatrix(ACCESS_SUBJECTS);
+    const output = FORMAT === "json" ? JSON.stringify(matrix, null, 2) + "\n" : toMarkdown(matrix);
+    if (process.env.ACCESS_MATRIX_OUT) {
+        fs.writeFileSync(process.env.ACCESS_MATRIX_OUT, output);
+        console.error(`📝 리포트 저장: ${process.env.ACCESS_MATRIX_OUT}`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (process.env.ACCESS_MATRIX_UPDATE === "true") {
+        fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(matrix, null, 2) + "\n");
+        console.error(`📌 스냅샷 갱신: ${path.relative(hre.config.paths.root, SNAPSHOT_FILE)}`);
+        return;
+    }
+    if (!fs.existsSync(SNAPSHOT_FILE)) {
+        console.error("스냅샷 파일이 없습니다. ACCESS_MATRIX_UPDATE=true 로 실행해 만들 수 있습니다.");
+        return;
+    }
+
+    const changes = diffMatrix(JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf8")), matrix);
+    if (changes.length === 0) {
+        console.error("✅ 스냅샷과 접근 제어 매트릭스가 같습니다");
+        return;
+    }
+    console.error(`❌ 스냅샷과 다른 셀 ${changes.length}개:`);
+    changes.forEach((change) => console.error(`  - ${formatChange(change)}`));
+    process.exitCode = 1;
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+        console.error("❌ 접근 제어 매트릭스 생성 중 오류 발생:");
+        console.error(error);
+        process.exit(1);
+    });
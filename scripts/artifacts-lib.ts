@@ -0,0 +1,59 @@
+// 'remix' and 'web3Provider' are globals injected by the Remix IDE script runner
+declare const remix: any
+declare const web3Provider: any
+
+export interface Artifact {
+  contractName: string
+  abi: Array<any>
+  bytecode: string
+}
+
+/**
+ * Whether the script is running inside the Remix IDE
+ * @return {boolean} true when the Remix globals are available
+ */
+export const isRemix = (): boolean => typeof remix !== 'undefined' && typeof web3Provider !== 'undefined'
+
+/**
+ * Remix writes the compilation artifact next to the source file: <folder>/artifacts/<Name>.json
+ * @param {string} contractName contract name or fully qualified name ("contracts/자료형/MyToken.sol:MyToken")
+ * @return {string} path of the artifact in the Remix file manager
+ */
+const remixArtifactPath = (contractName: string): string => {
+  if (!contractName.includes(':')) {
+    return `browser/contracts/artifacts/${contractName}.json` // Change this for different path
+  }
+  const [sourceName, name] = contractName.split(':')
+  return `browser/${sourceName.slice(0, sourceName.lastIndexOf('/'))}/artifacts/${name}.json`
+}
+
+/**
+ * Load the ABI and bytecode of the given contract
+ * In Node the Hardhat artifacts are used, so run `npx hardhat compile` first. Use the fully qualified name
+ * when the contract name exists in more than one source file.
+ * @param {string} contractName contract name or fully qualified name
+ * @return {Artifact} ABI and creation bytecode
+ */
+export const getArtifact = async (contractName: string): Promise<Artifact> => {
+  if (isRemix()) {
+    const metadata = JSON.parse(await remix.call('fileManager', 'getFile', remixArtifactPath(contractName)))
+    const bytecode: string = metadata.data.bytecode.object
+    return {
+      contractName: contractName.split(':').pop() as string,
+      abi: metadata.abi,
+      bytecode: bytecode.startsWith('0x') ? bytecode : `0x${bytecode}`
+    }
+  }
+
+  // Loaded lazily so that the Remix bundle never needs the Node-only hardhat package
+  const { artifacts } = require('hardhat')
+  const artifact = await artifacts.readArtifact(contractName)
+  return { contractName: artifact.contractName, abi: artifact.abi, bytecode: artifact.bytecode }
+}
+
+/**
+ * EIP-1193 provider of the current environment
+ * Remix exposes 'web3Provider'; in Node this is the provider of the selected Hardhat network (--network / HARDHAT_NETWORK)
+ * @return {any} EIP-1193 provider
+ */
+export const getProvider = (): any => (isRemix() ? web3Provider : require('hardhat').network.provider)
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { eth, addCheck, runMain } = require("./lib/scenario");
+const { PAYOUT_STATUS, runPayout, formatReport } = require("./lib/payout");
+
+// 일괄 지급 설정
+//   - PAYOUT_CSV: 지급 CSV 경로 (기본값: scripts/data/payouts.example.csv)
+//   - PAYOUT_GAS_BUDGET: batchSendEther 호출 하나의 최대 가스 (기본 500000, 예시 CSV가 여러 배치로 나뉘는 값)
+const PAYOUT_CSV = process.env.PAYOUT_CSV || path.join(__dirname, "data", "payouts.example.csv");
+const PAYOUT_GAS_BUDGET = Number(process.env.PAYOUT_GAS_BUDGET || 500000);
+
+const scenario = {
+    title: "Address 일괄 지급 배포 및 테스트",
+    done: "일괄 지급 테스트 완료!",
+
+    steps: [
+        { deploy: "Address", as: "payer" },
+        {
+            title: "📋 초기 상태 확인...",
+            reads: {
+                "소유자:": (c) => c.payer.owner(),
+                "소유자 승인 여부:": (c) => c.payer.approvedAddresses(c.deployer.address),
+                "자기 자신이 컨트랙트인가:": (c) => c.payer.isContract(c.payer.target),
+                "user1 주소 검사:": async (c) => {
+                    const [isValid, isContract, balance] = await c.payer.validateAddressComprehensive(c.user1.address);
+                    return `유효 ${isValid}, 컨트랙트 ${isContract}, 잔액 ${eth(balance)}`;
+                },
+            },
+        },
+
+        // ================================
+        // 단건 전송과 권한
+        // ================================
+        {
+            title: "💸 user2에게 0.01 ETH 전송 (0.015 ETH 지불, 잔돈 반환)...",
+            send: (c) => c.payer.sendEtherTo(c.user2.address, ethers.parseEther("0.01"), { value: ethers.parseEther("0.015") }),
+            success: "✅ 전송 완료",
+            reads: {
+                "user2 누적 수신액:": async (c) => eth(await c.payer.totalSent(c.user2.address)),
+                "컨트랙트 잔액:": async (c) => eth(await c.payer.getContractBalance()),
+            },
+        },
+        {
+            title: "🚫 영주소로 전송 (실패 예상)...",
+            expectRevert: (c) => c.payer.sendEtherTo(ethers.ZeroAddress, 1, { value: 1 }),
+            expect: { reason: "Invalid address: zero address" },
+            reason: "영주소로는 보낼 수 없습니다",
+        },
+        {
+            title: "🚫 승인되지 않은 user1의 일괄 전송 (실패 예상)...",
+            expectRevert: (c) => c.payer.connect(c.user1).batchSendEther([c.user2.address], [1], { value: 1 }),
+            expect: { reason: "Address not approved" },
+            reason: "승인된 주소만 일괄 전송할 수 있습니다",
+        },
+        {
+            title: "🔑 user1을 지급 담당자로 승인 (batchSetApproval)...",
+            send: (c) => c.payer.batchSetApproval([c.user1.address], true),
+            success: "✅ 승인 완료",
+            reads: { "user1 승인 여부:": (c) => c.payer.approvedAddresses(c.user1.address) },
+        },
+
+        // ================================
+        // CSV 일괄 지급
+        // ================================
+        {
+            title: `📑 CSV 일괄 지급 (${path.basename(PAYOUT_CSV)}, 배치 가스 예산 ${PAYOUT_GAS_BUDGET})...`,
+            async run(c) {
+                // 컨트랙트 수신자가 검사에서 걸러지는 것을 보여주기 위해 Address 자신의 주소를 한 줄 덧붙입니다
+                const csv = `${fs.readFileSync(PAYOUT_CSV, "utf8").trimEnd()}\n${c.payer.target},0.01,contract recipient\n`;
+
+                c.payout = await runPayout(c.payer.connect(c.user1), csv, {
+                    gasBudget: PAYOUT_GAS_BUDGET,
+                    onBatch: ({ batch, receipt, error }) =>
+                        console.log(error ? `❌ 배치 ${batch.index + 1} revert` : `📦 배치 ${batch.index + 1} 전송 (${batch.entries.length}명, ${receipt.hash})`),
+                });
+                formatReport(c.payout).forEach((line) => console.log(line));
+
+                const { paid, failed, mismatch, skipped } = c.payout.totals;
+                const contractRow = c.payout.entries[c.payout.entries.length - 1];
+                addCheck(c, {
+                    expected: "실패/불일치 없이 모든 유효 행 지급 대조 완료",
+                    actual: `지급 ${paid.count}, 실패 ${failed.count}, 불일치 ${mismatch.count}, 제외 ${skipped.count}`,
+                    passed: c.payout.reconciled && paid.count > 0,
+                });
+                addCheck(c, {
+                    expected: "컨트랙트 수신자 제외",
+                    actual: `${contractRow.address} ${contractRow.status}`,
+                    passed: contractRow.isContract && contractRow.status === PAYOUT_STATUS.skipped,
+                });
+                addCheck(c, {
+                    expected: `모든 배치 가스 ≤ ${PAYOUT_GAS_BUDGET}`,
+                    actual: c.payout.batches.map((batch) => `${batch.gasUsed}`).join(", "),
+                    passed: c.payout.batches.every((batch) => batch.gasUsed <= BigInt(PAYOUT_GAS_BUDGET)),
+                });
+            },
+        },
+        {
+            title: "📊 최종 상태:",
+            reads: {
+                "user1 지급 기록 수:": async (c) => (await c.payer.getTransferHistoryByAddress(c.user1.address)).length,
+                "전송 통계:": async (c) => {
+                    const stats = await c.payer.getSystemStats();
+                    return `전체 ${stats.totalTransfers}건, 성공 ${stats.successfulTransfers}건`;
+                },
+                "컨트랙트 잔액:": async (c) => eth(await c.payer.getContractBalance()),
+            },
+        },
+    ],
+};
+
+if (require.main === module) {
+    runMain(scenario);
+}
+
+module.exports = scenario;
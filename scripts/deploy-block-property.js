@@ -0,0 +1,129 @@
+const { ethers } = require("hardhat");
+const { koTime, addCheck, runMain } = require("./lib/scenario");
+const { supportsHardhatRpc } = require("./lib/chain");
+const { PHASE_LENGTH, runBlockSimulation, formatTimeline } = require("./lib/block-env");
+
+// 다른 chainId로 띄워 isCorrectChain을 확인할 체인들 (메인넷, 세폴리아)
+const ALTERNATE_CHAINS = [1, 11155111];
+
+// 목표 시각: 배포 후 1시간
+const TIME_THRESHOLD = 60 * 60;
+
+/**
+ * BlockProperty 시뮬레이션 스텝을 만듭니다.
+ * 배포 시점을 기준으로 시간 임계값 직전/정각, 다음 단계 경계 직전/정각, 그다음 경계로 블록 환경을 옮깁니다.
+ * @param {number} chainId 이 체인의 chainId (isCorrectChain 기대값)
+ * @return {Array<object>}
+ */
+function simulationSteps(chainId) {
+    const target = ({ start }) => start.timestamp + TIME_THRESHOLD;
+    const boundary = ({ start }) => (start.phase + 1) * PHASE_LENGTH;
+    const otherChain = chainId === 1 ? 31337 : 1;
+
+    return [
+        {
+            title: "배포 직후",
+            expect: (sim) => ({ afterTime: { [target(sim)]: false }, chain: { [chainId]: true, [otherChain]: false } }),
+        },
+        {
+            title: "목표 시각 1초 전",
+            env: (sim) => ({ timestamp: target(sim) - 1 }),
+            expect: (sim) => ({ afterTime: { [target(sim)]: false } }),
+        },
+        {
+            title: "목표 시각 정각",
+            env: (sim) => ({ timestamp: target(sim) }),
+            expect: (sim) => ({ timestamp: target(sim), afterTime: { [target(sim)]: true } }),
+        },
+        {
+            title: "단계 경계 직전 (12초 간격 채굴)",
+            env: (sim) => ({ mineTo: boundary(sim) - 1, interval: 12 }),
+            expect: (sim) => ({ number: boundary(sim) - 1, phase: sim.start.phase }),
+        },
+        {
+            title: "단계 경계",
+            env: { mine: 1 },
+            expect: (sim) => ({ number: boundary(sim), phase: sim.start.phase + 1 }),
+        },
+        {
+            title: "다음 단계 경계",
+            env: (sim) => ({ mineTo: boundary(sim) + PHASE_LENGTH }),
+            expect: (sim) => ({ phase: sim.start.phase + 2, chain: { [chainId]: true } }),
+        },
+    ];
+}
+
+/**
+ * 시뮬레이션 결과의 검증을 시나리오 검증 목록에 넣고 타임라인을 출력합니다.
+ * @param {object} c 시나리오 ctx
+ * @param {object} result runBlockSimulation() 결과
+ */
+function reportSimulation(c, result) {
+    formatTimeline(result.timeline).forEach((line) => console.log(line));
+    // 타임라인 행 하나를 검증 하나로 묶습니다
+    for (const { step, checks } of result.timeline.filter((row) => row.checks.length > 0)) {
+        checks.filter((check) => !check.passed).forEach((check) => console.log(`❌ ${step}: ${check.actual}`));
+        addCheck(c, {
+            expected: `[chainId ${result.chainId}] ${step}: ${checks.map((check) => check.expected).join(", ")}`,
+            actual: checks.map((check) => check.actual).join(", "),
+            passed: checks.every((check) => check.passed),
+        });
+    }
+}
+
+const scenario = {
+    title: "BlockProperty 블록 환경 시뮬레이션",
+    done: "BlockProperty 시뮬레이션 완료!",
+
+    steps: [
+        { deploy: "BlockProperty", as: "blockProperty" },
+        {
+            title: "🏗️  배포 시점에 저장된 블록 속성:",
+            reads: {
+                "chainid:": (c) => c.blockProperty.block2(),
+                "coinbase:": (c) => c.blockProperty.block3(),
+                "gaslimit:": (c) => c.blockProperty.block5(),
+                "블록 번호:": (c) => c.blockProperty.block6(),
+                "시간:": async (c) => koTime(await c.blockProperty.block7()),
+                "현재 단계:": (c) => c.blockProperty.getCurrentPhase(),
+            },
+        },
+        {
+            // 선언형 env 스텝: hardhat_mine으로 다음 단계 경계까지 한 번에 채굴
+            title: "⏩ 다음 단계 경계까지 채굴...",
+            when: () => supportsHardhatRpc(),
+            env: async (c) => ({ mineTo: (Number(await c.blockProperty.getCurrentPhase()) + 1) * PHASE_LENGTH }),
+            reads: {
+                "현재 단계:": (c) => c.blockProperty.getCurrentPhase(),
+                "블록 번호:": async (c) => (await c.blockProperty.getCurrentBlockInfo()).blocknumber,
+            },
+        },
+
+        // ================================
+        // 타임라인 시뮬레이션
+        // ================================
+        {
+            title: "📈 현재 체인 타임라인 (시간 임계값, 단계 경계):",
+            when: () => supportsHardhatRpc(),
+            async run(c) {
+                const { chainId } = await ethers.provider.getNetwork();
+                reportSimulation(c, await runBlockSimulation({ steps: simulationSteps(Number(chainId)) }));
+            },
+        },
+        {
+            title: "🌐 다른 chainId 체인 타임라인:",
+            async run(c) {
+                for (const chainId of ALTERNATE_CHAINS) {
+                    console.log(`\n--- chainId ${chainId} ---`);
+                    reportSimulation(c, await runBlockSimulation({ chainId, steps: simulationSteps(chainId) }));
+                }
+            },
+        },
+    ],
+};
+
+if (require.main === module) {
+    runMain(scenario);
+}
+
+module.exports = scenario;
@@ -1,125 +1,129 @@
 const { ethers } = require("hardhat");
+const { koTime, runMain } = require("./lib/scenario");
+const { supportsHardhatRpc } = require("./lib/chain");
 
-async function main() {
-    console.log("=== BlockProperty2 컨트랙트 배포 및 테스트 ===");
-    
-    // 시그너 정보 가져오기
-    const [deployer] = await ethers.getSigners();
-    
-    console.log("배포자 주소:", deployer.address);
-    console.log("배포자 잔액:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH");
-    
-    // 배포 전 현재 블록 정보 확인
-    console.log("\n📊 배포 전 현재 블록 정보:");
-    const currentBlock = await ethers.provider.getBlock("latest");
-    console.log("현재 블록 번호:", currentBlock.number);
-    console.log("현재 블록 타임스탬프:", currentBlock.timestamp);
-    console.log("현재 시간:", new Date(currentBlock.timestamp * 1000).toLocaleString("ko-KR"));
-    
-    // 컨트랙트 배포
-    console.log("\n🚀 BlockProperty2 컨트랙트 배포 중...");
-    const BlockProperty2 = await ethers.getContractFactory("BlockProperty2");
-    const blockProperty2 = await BlockProperty2.deploy();
-    await blockProperty2.waitForDeployment();
-    
-    const contractAddress = await blockProperty2.getAddress();
-    console.log("✅ 컨트랙트 배포 완료!");
-    console.log("컨트랙트 주소:", contractAddress);
-    
-    // 배포 후 블록 정보 확인
-    console.log("\n📊 배포 후 블록 정보:");
-    const deployBlock = await ethers.provider.getBlock("latest");
-    console.log("배포 후 블록 번호:", deployBlock.number);
-    console.log("배포 후 블록 타임스탬프:", deployBlock.timestamp);
-    console.log("배포 후 시간:", new Date(deployBlock.timestamp * 1000).toLocaleString("ko-KR"));
-    
-    // 컨트랙트에 저장된 배포 시점의 블록 정보 조회
-    console.log("\n🏗️  컨트랙트 생성 시점의 블록 정보 (저장된 값):");
-    const storedBlockNumber = await blockProperty2.blockNumber();
-    const storedTimestamp = await blockProperty2.timestamp();
-    
-    console.log("저장된 블록 번호:", storedBlockNumber.toString());
-    console.log("저장된 타임스탬프:", storedTimestamp.toString());
-    console.log("저장된 시간:", new Date(Number(storedTimestamp) * 1000).toLocaleString("ko-KR"));
-    
-    // 현재 블록 정보와 비교
-    console.log("\n📈 블록 정보 비교:");
-    console.log("블록 번호 차이:", deployBlock.number - Number(storedBlockNumber), "블록");
-    console.log("시간 차이:", deployBlock.timestamp - Number(storedTimestamp), "초");
-    
-    // getCurrentBlockInfo 함수 호출
-    console.log("\n🔍 현재 블록 정보 조회 함수 호출...");
-    const [currentBlockNum, currentTimestamp] = await blockProperty2.getCurrentBlockInfo();
-    
-    console.log("함수로 조회한 현재 블록 번호:", currentBlockNum.toString());
-    console.log("함수로 조회한 현재 타임스탬프:", currentTimestamp.toString());
-    console.log("함수로 조회한 현재 시간:", new Date(Number(currentTimestamp) * 1000).toLocaleString("ko-KR"));
-    
-    // 몇 개의 트랜잭션을 더 보내서 블록 진행 확인
-    console.log("\n⏭️  추가 트랜잭션으로 블록 진행 확인...");
-    
-    for (let i = 1; i <= 3; i++) {
-        console.log(`\n--- ${i}번째 추가 조회 ---`);
-        
-        // 의미없는 트랜잭션으로 블록 진행 (view 함수는 블록을 진행시키지 않음)
-        const tx = await deployer.sendTransaction({
-            to: deployer.address,
-            value: 0
-        });
-        await tx.wait();
-        
-        // 현재 블록 정보 다시 조회
-        const [newBlockNum, newTimestamp] = await blockProperty2.getCurrentBlockInfo();
-        const newBlock = await ethers.provider.getBlock("latest");
-        
-        console.log("실제 블록 번호:", newBlock.number);
-        console.log("함수 조회 블록 번호:", newBlockNum.toString());
-        console.log("실제 타임스탬프:", newBlock.timestamp);
-        console.log("함수 조회 타임스탬프:", newTimestamp.toString());
-        console.log("현재 시간:", new Date(Number(newTimestamp) * 1000).toLocaleString("ko-KR"));
-        
-        // 컨트랙트 생성 시점과의 차이
-        console.log("생성 시점과의 블록 차이:", Number(newBlockNum) - Number(storedBlockNumber));
-        console.log("생성 시점과의 시간 차이:", Number(newTimestamp) - Number(storedTimestamp), "초");
-        
-        // 1초 대기
-        await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-    
-    // 최종 상태 요약
-    console.log("\n📋 최종 상태 요약:");
-    const finalBlock = await ethers.provider.getBlock("latest");
-    const [finalBlockNum, finalTimestamp] = await blockProperty2.getCurrentBlockInfo();
-    
-    console.log("=== 컨트랙트 생성 시점 ===");
-    console.log("블록 번호:", storedBlockNumber.toString());
-    console.log("시간:", new Date(Number(storedTimestamp) * 1000).toLocaleString("ko-KR"));
-    
-    console.log("\n=== 현재 시점 ===");
-    console.log("블록 번호:", finalBlockNum.toString());
-    console.log("시간:", new Date(Number(finalTimestamp) * 1000).toLocaleString("ko-KR"));
-    
-    console.log("\n=== 총 변화량 ===");
-    console.log("진행된 블록 수:", Number(finalBlockNum) - Number(storedBlockNumber));
-    console.log("경과 시간:", Number(finalTimestamp) - Number(storedTimestamp), "초");
-    
-    // 블록 생성 시간 분석
-    const elapsedBlocks = Number(finalBlockNum) - Number(storedBlockNumber);
-    const elapsedTime = Number(finalTimestamp) - Number(storedTimestamp);
-    
-    if (elapsedBlocks > 0) {
-        const avgBlockTime = elapsedTime / elapsedBlocks;
-        console.log("평균 블록 생성 시간:", avgBlockTime.toFixed(2), "초/블록");
-    }
-    
-    console.log("\n🎉 BlockProperty2 컨트랙트 테스트 완료!");
+// 블록 번호/타임스탬프/시간을 한 번에 출력하는 헬퍼
+function printBlock(prefix, number, timestamp) {
+    console.log(`${prefix} 블록 번호:`, number.toString());
+    console.log(`${prefix} 타임스탬프:`, timestamp.toString());
+    console.log(`${prefix} 시간:`, koTime(timestamp));
 }
 
-// 에러 처리
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error("❌ 스크립트 실행 중 오류 발생:");
-        console.error(error);
-        process.exit(1);
-    }); 
\ No newline at end of file
+const scenario = {
+    title: "BlockProperty2 컨트랙트 배포 및 테스트",
+    done: "BlockProperty2 컨트랙트 테스트 완료!",
+
+    steps: [
+        {
+            title: "📊 배포 전 현재 블록 정보:",
+            async run() {
+                const currentBlock = await ethers.provider.getBlock("latest");
+                printBlock("현재", currentBlock.number, currentBlock.timestamp);
+            },
+        },
+        { deploy: "BlockProperty2", as: "blockProperty2" },
+        {
+            title: "📊 배포 후 블록 정보:",
+            async run(c) {
+                c.deployBlock = await ethers.provider.getBlock("latest");
+                printBlock("배포 후", c.deployBlock.number, c.deployBlock.timestamp);
+            },
+        },
+        {
+            // 컨트랙트에 저장된 배포 시점의 블록 정보 조회
+            title: "🏗️  컨트랙트 생성 시점의 블록 정보 (저장된 값):",
+            async run(c) {
+                c.storedBlockNumber = Number(await c.blockProperty2.blockNumber());
+                c.storedTimestamp = Number(await c.blockProperty2.timestamp());
+                printBlock("저장된", c.storedBlockNumber, c.storedTimestamp);
+            },
+        },
+        {
+            // 현재 블록 정보와 비교
+            title: "📈 블록 정보 비교:",
+            reads: {
+                "블록 번호 차이:": (c) => `${c.deployBlock.number - c.storedBlockNumber} 블록`,
+                "시간 차이:": (c) => `${c.deployBlock.timestamp - c.storedTimestamp} 초`,
+            },
+        },
+        {
+            title: "🔍 현재 블록 정보 조회 함수 호출...",
+            async run(c) {
+                const [currentBlockNum, currentTimestamp] = await c.blockProperty2.getCurrentBlockInfo();
+                printBlock("함수로 조회한 현재", currentBlockNum, currentTimestamp);
+            },
+        },
+        {
+            // 몇 개의 트랜잭션을 더 보내서 블록 진행 확인
+            title: "⏭️  추가 트랜잭션으로 블록 진행 확인...",
+            async run(c) {
+                for (let i = 1; i <= 3; i++) {
+                    console.log(`\n--- ${i}번째 추가 조회 ---`);
+
+                    // 의미없는 트랜잭션으로 블록 진행 (view 함수는 블록을 진행시키지 않음)
+                    const tx = await c.deployer.sendTransaction({ to: c.deployer.address, value: 0 });
+                    await tx.wait(c.confirmations);
+
+                    // 현재 블록 정보 다시 조회
+                    const [newBlockNum, newTimestamp] = await c.blockProperty2.getCurrentBlockInfo();
+                    const newBlock = await ethers.provider.getBlock("latest");
+
+                    console.log("실제 블록 번호:", newBlock.number);
+                    console.log("함수 조회 블록 번호:", newBlockNum.toString());
+                    console.log("실제 타임스탬프:", newBlock.timestamp);
+                    console.log("함수 조회 타임스탬프:", newTimestamp.toString());
+                    console.log("현재 시간:", koTime(newTimestamp));
+
+                    // 컨트랙트 생성 시점과의 차이
+                    console.log("생성 시점과의 블록 차이:", Number(newBlockNum) - c.storedBlockNumber);
+                    console.log("생성 시점과의 시간 차이:", Number(newTimestamp) - c.storedTimestamp, "초");
+
+                    // 1초 대기
+                    await new Promise((resolve) => setTimeout(resolve, 1000));
+                }
+            },
+        },
+        {
+            // 로컬 체인에서는 기다리지 않고 블록 100개를 12초 간격(이더리움 평균)으로 한 번에 채굴합니다
+            title: "⏩ 블록 100개 빠르게 채굴 (12초 간격)...",
+            when: () => supportsHardhatRpc(),
+            env: { mine: 100, interval: 12 },
+            reads: {
+                "함수 조회 블록 번호:": async (c) => (await c.blockProperty2.getCurrentBlockInfo())[0],
+                "함수 조회 시간:": async (c) => koTime((await c.blockProperty2.getCurrentBlockInfo())[1]),
+            },
+        },
+        {
+            title: "📋 최종 상태 요약:",
+            async run(c) {
+                const [finalBlockNum, finalTimestamp] = await c.blockProperty2.getCurrentBlockInfo();
+
+                console.log("=== 컨트랙트 생성 시점 ===");
+                console.log("블록 번호:", c.storedBlockNumber);
+                console.log("시간:", koTime(c.storedTimestamp));
+
+                console.log("\n=== 현재 시점 ===");
+                console.log("블록 번호:", finalBlockNum.toString());
+                console.log("시간:", koTime(finalTimestamp));
+
+                // 블록 생성 시간 분석
+                const elapsedBlocks = Number(finalBlockNum) - c.storedBlockNumber;
+                const elapsedTime = Number(finalTimestamp) - c.storedTimestamp;
+
+                console.log("\n=== 총 변화량 ===");
+                console.log("진행된 블록 수:", elapsedBlocks);
+                console.log("경과 시간:", elapsedTime, "초");
+
+                if (elapsedBlocks > 0) {
+                    console.log("평균 블록 생성 시간:", (elapsedTime / elapsedBlocks).toFixed(2), "초/블록");
+                }
+            },
+        },
+    ],
+};
+
+if (require.main === module) {
+    runMain(scenario);
+}
+
+module.exports = scenario;
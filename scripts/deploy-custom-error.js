@@ -0,0 +1,201 @@
+const { ethers } = require("hardhat");
+const { eth, decodeError, formatRevert, runMain } = require("./lib/scenario");
+const { revertGasUsed } = require("./lib/gas");
+
+// CustomErrorDemo.getContractInfo() 결과를 라벨별로 조회하는 헬퍼
+const info = (field, format = (value) => value) => async (c) => format((await c.demo.getContractInfo())[field]);
+
+// triggerCustomError(errorType)가 발생시키는 에러 (1-5는 커스텀 에러, 그 외는 문자열 에러)
+const TRIGGER_MATRIX = [
+    [1, () => ({ error: "ZeroValueError" })],
+    [2, () => ({ error: "BelowMinimumError", args: { sent: 100, minimum: 1000 } })],
+    [3, (c) => ({ error: "UnauthorizedAccess", args: { caller: c.deployer.address, owner: c.deployer.address } })],
+    [4, () => ({ error: "InsufficientBalance", args: { available: 500, required: 1000 } })],
+    [5, () => ({ error: "InvalidAddress", args: { provided: ethers.ZeroAddress } })],
+    [6, () => ({ reason: "Invalid error type" })],
+];
+
+// 같은 실패 상황을 커스텀 에러(CustomErrorDemo)와 require 문자열(Require/Requiref)로 비교합니다
+const GAS_COMPARISONS = [
+    {
+        label: "최소 금액 미달",
+        custom: (c, overrides) => c.demo.connect(c.user1).advancedOrder({ value: 1, ...overrides }),
+        require: (contract, c, overrides) => contract.connect(c.user1).order({ value: 1, ...overrides }),
+    },
+    {
+        label: "권한 없는 설정 변경",
+        custom: (c, overrides) => c.demo.connect(c.user1).setMinPrice(1, overrides),
+        require: (contract, c, overrides) => contract.connect(c.user1).updateLimits(1, 2, overrides),
+    },
+    {
+        label: "권한 없는 주문 취소",
+        custom: (c, overrides) => c.demo.connect(c.user1).cancelOrder(c.user1.address, overrides),
+        require: (contract, c, overrides) => contract.connect(c.user1).cancelOrder(c.user1.address, overrides),
+    },
+];
+
+const scenario = {
+    title: "CustomErrorDemo 컨트랙트 배포 및 테스트",
+    done: "커스텀 에러 테스트 완료!",
+
+    steps: [
+        { deploy: "CustomErrorDemo", as: "demo" },
+        {
+            title: "📋 컨트랙트 정보 조회...",
+            reads: {
+                "최소 가격:": info("minPrice_", eth),
+                "컨트랙트 잔액:": info("contractBalance_", eth),
+                "소유자:": info("owner_"),
+            },
+        },
+
+        // ================================
+        // order / advancedOrder
+        // ================================
+        {
+            title: "📞 order 함수 호출 테스트...",
+            send: (c) => c.demo.connect(c.user1).order({ value: ethers.parseEther("0.05") }),
+            success: "✅ 주문 완료",
+            reads: { "user1 주문 금액:": async (c) => eth(await c.demo.orderList(c.user1.address)) },
+        },
+        {
+            title: "0️⃣  0 ETH 주문 (실패 예상)...",
+            expectRevert: (c) => c.demo.connect(c.user2).order({ value: 0 }),
+            expect: { error: "ZeroValueError" },
+        },
+        {
+            title: "📞 advancedOrder 최소 금액 미달 (실패 예상)...",
+            expectRevert: (c) => c.demo.connect(c.user2).advancedOrder({ value: ethers.parseEther("0.005") }),
+            expect: { error: "BelowMinimumError", args: { sent: ethers.parseEther("0.005"), minimum: ethers.parseEther("0.01") } },
+        },
+        {
+            title: "0️⃣  advancedOrder 0 ETH (실패 예상)...",
+            expectRevert: (c) => c.demo.connect(c.user2).advancedOrder({ value: 0 }),
+            expect: { error: "ZeroValueError" },
+        },
+        {
+            title: "📞 advancedOrder 정상 주문...",
+            send: (c) => c.demo.connect(c.user2).advancedOrder({ value: ethers.parseEther("0.02") }),
+            success: "✅ 고급 주문 완료",
+            reads: { "user2 주문 금액:": async (c) => eth(await c.demo.orderList(c.user2.address)) },
+        },
+        {
+            title: "🔁 advancedOrder 중복 주문 (실패 예상)...",
+            expectRevert: (c) => c.demo.connect(c.user2).advancedOrder({ value: ethers.parseEther("0.02") }),
+            expect: { reason: "Duplicate order not allowed" },
+        },
+
+        // ================================
+        // setMinPrice
+        // ================================
+        {
+            title: "👤 다른 계정에서 최소 가격 변경 (실패 예상)...",
+            expectRevert: (c) => c.demo.connect(c.user1).setMinPrice(ethers.parseEther("0.02")),
+            expect: (c) => ({ error: "UnauthorizedAccess", args: { caller: c.user1.address, owner: c.deployer.address } }),
+        },
+        {
+            title: "0️⃣  최소 가격 0으로 변경 (실패 예상)...",
+            expectRevert: (c) => c.demo.setMinPrice(0),
+            expect: { error: "ZeroValueError" },
+        },
+        {
+            title: "💲 최소 가격 변경...",
+            send: (c) => c.demo.setMinPrice(ethers.parseEther("0.02")),
+            success: "✅ 최소 가격 변경 완료",
+            reads: { "최소 가격:": info("minPrice_", eth) },
+        },
+
+        // ================================
+        // withdraw
+        // ================================
+        {
+            title: "👤 다른 계정에서 출금 (실패 예상)...",
+            expectRevert: (c) => c.demo.connect(c.user1).withdraw(1, c.user1.address),
+            expect: (c) => ({ error: "UnauthorizedAccess", args: { caller: c.user1.address, owner: c.deployer.address } }),
+        },
+        {
+            title: "🚫 0 주소로 출금 (실패 예상)...",
+            expectRevert: (c) => c.demo.withdraw(1, ethers.ZeroAddress),
+            expect: { error: "InvalidAddress", args: { provided: ethers.ZeroAddress } },
+        },
+        {
+            title: "💸 잔액보다 많은 금액 출금 (실패 예상)...",
+            expectRevert: (c) => c.demo.withdraw(ethers.parseEther("1"), c.deployer.address),
+            expect: { error: "InsufficientBalance", args: { available: ethers.parseEther("0.07"), required: ethers.parseEther("1") } },
+        },
+        {
+            title: "💰 출금...",
+            send: (c) => c.demo.withdraw(ethers.parseEther("0.01"), c.deployer.address),
+            success: "✅ 출금 완료",
+            reads: { "컨트랙트 잔액:": info("contractBalance_", eth) },
+        },
+
+        // ================================
+        // cancelOrder
+        // ================================
+        {
+            title: "🚫 0 주소의 주문 취소 (실패 예상)...",
+            expectRevert: (c) => c.demo.cancelOrder(ethers.ZeroAddress),
+            expect: { error: "InvalidAddress", args: { provided: ethers.ZeroAddress } },
+        },
+        {
+            title: "🔍 주문이 없는 사용자의 주문 취소 (실패 예상)...",
+            expectRevert: (c) => c.demo.cancelOrder(c.deployer.address),
+            expect: { reason: "No order found for user" },
+        },
+        {
+            title: "❎ user1 주문 취소...",
+            send: (c) => c.demo.cancelOrder(c.user1.address),
+            success: "✅ 주문 취소 완료",
+            reads: {
+                "user1 주문 금액:": async (c) => eth(await c.demo.orderList(c.user1.address)),
+                "컨트랙트 잔액:": info("contractBalance_", eth),
+            },
+        },
+
+        // ================================
+        // triggerCustomError 매트릭스
+        // ================================
+        { title: "🧪 triggerCustomError 매트릭스 테스트..." },
+        ...TRIGGER_MATRIX.map(([errorType, expect]) => ({
+            expectRevert: (c) => c.demo.triggerCustomError(errorType),
+            expect,
+            success: `✅ errorType ${errorType}: 예상대로 실패했습니다:`,
+        })),
+
+        // ================================
+        // 커스텀 에러 vs require 문자열 가스 비교
+        // ================================
+        { deploy: "Require", as: "require" },
+        { deploy: "Requiref", as: "requiref" },
+        {
+            title: "⛽ 커스텀 에러 vs require 문자열 revert 가스 비교...",
+            async run(c) {
+                for (const comparison of GAS_COMPARISONS) {
+                    console.log(`\n[${comparison.label}]`);
+
+                    const custom = await revertGasUsed((overrides) => comparison.custom(c, overrides), c.user1);
+                    const row = { label: comparison.label, CustomErrorDemo: custom.gasUsed };
+                    console.log(`CustomErrorDemo: ${custom.gasUsed} gas - ${formatRevert(await decodeError(c, custom.error))}`);
+
+                    for (const [name, contract] of [["Require", c.require], ["Requiref", c.requiref]]) {
+                        const result = await revertGasUsed((overrides) => comparison.require(contract, c, overrides), c.user1);
+                        const diff = result.gasUsed - custom.gasUsed;
+                        row[name] = result.gasUsed;
+                        console.log(
+                            `${name}: ${result.gasUsed} gas (${diff >= 0n ? "+" : ""}${diff}) - ${formatRevert(await decodeError(c, result.error))}`
+                        );
+                    }
+
+                    c.report.record("gas", { kind: "revert", ...row });
+                }
+            },
+        },
+    ],
+};
+
+if (require.main === module) {
+    runMain(scenario);
+}
+
+module.exports = scenario;
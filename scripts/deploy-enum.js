@@ -0,0 +1,157 @@
+const { ethers } = require("hardhat");
+const { eth, koTime, addCheck, runMain } = require("./lib/scenario");
+const { STATUS, runAuctionModel, formatAction } = require("./lib/auction");
+
+// 모델 기반 실행 설정
+//   - ENUM_MODEL_STEPS: 무작위 호출 수 (기본 40, 0이면 건너뜀)
+//   - ENUM_MODEL_SEED: 난수 시드 (기본 1, 실패한 시드를 다시 넣으면 같은 순서를 재현)
+const MODEL_STEPS = Number(process.env.ENUM_MODEL_STEPS || 40);
+const MODEL_SEED = Number(process.env.ENUM_MODEL_SEED || 1);
+
+// 현재 경매 상태를 "Bid (Accepting Bids)" 형태로 조회하는 헬퍼
+const statusOf = async (c) => `${STATUS[Number(await c.auction.auctionStatus())]} (${await c.auction.getCurrentStatusName()})`;
+
+const scenario = {
+    title: "Enum 경매 상태 머신 배포 및 테스트",
+    done: "Enum 경매 테스트 완료!",
+
+    steps: [
+        { deploy: "Enum", as: "auction" },
+        {
+            title: "📋 초기 상태 확인...",
+            reads: {
+                "현재 상태:": statusOf,
+                "경매 생성자:": (c) => c.auction.auctionCreator(),
+                "가능한 상태:": async (c) => (await c.auction.getAllPossibleStatuses()).map((s) => STATUS[Number(s)]).join(", "),
+                "상태 이력 수:": (c) => c.auction.getStatusHistoryLength(),
+            },
+        },
+
+        // ================================
+        // 경매 → 입찰 → 판매 완료
+        // ================================
+        {
+            title: "🚫 생성자가 아닌 계정의 경매 시작 (실패 예상)...",
+            expectRevert: (c) => c.auction.connect(c.user1).auctionStart(),
+            expect: { reason: "Only creator can perform this action" },
+            reason: "생성자만 상태를 바꿀 수 있습니다",
+        },
+        {
+            title: "🔨 경매 시작...",
+            send: (c) => c.auction.auctionStart(),
+            success: "✅ 경매 시작 완료",
+            reads: { "현재 상태:": statusOf },
+        },
+        {
+            title: "💸 입찰 접수 전 입찰 시도 (실패 예상)...",
+            expectRevert: (c) => c.auction.connect(c.user1).placeBid({ value: ethers.parseEther("0.1") }),
+            expect: { reason: "Invalid status for this action" },
+            reason: "입찰 접수 상태가 아닙니다",
+        },
+        {
+            title: "📣 입찰 접수 시작...",
+            send: (c) => c.auction.startBidding(),
+            success: "✅ 입찰 접수 시작",
+            reads: { "현재 상태:": statusOf },
+        },
+        {
+            title: "🙋 생성자 입찰 시도 (실패 예상)...",
+            expectRevert: (c) => c.auction.placeBid({ value: ethers.parseEther("0.1") }),
+            expect: { reason: "Creator cannot bid on own auction" },
+            reason: "생성자는 자신의 경매에 입찰할 수 없습니다",
+        },
+        {
+            title: "💰 user1 입찰 (0.1 ETH)...",
+            send: (c) => c.auction.connect(c.user1).placeBid({ value: ethers.parseEther("0.1") }),
+            success: "✅ user1 입찰 완료",
+        },
+        {
+            title: "📉 더 낮은 금액으로 입찰 (실패 예상)...",
+            expectRevert: (c) => c.auction.connect(c.user2).placeBid({ value: ethers.parseEther("0.05") }),
+            expect: { reason: "Bid must be higher than current highest" },
+            reason: "현재 최고 입찰가보다 낮습니다",
+        },
+        {
+            title: "💰 user2 입찰 (0.2 ETH, user1에게 환불)...",
+            send: (c) => c.auction.connect(c.user2).placeBid({ value: ethers.parseEther("0.2") }),
+            success: "✅ user2 입찰 완료",
+            reads: {
+                "최고 입찰자:": (c) => c.auction.highestBidder(),
+                "최고 입찰가:": async (c) => eth(await c.auction.highestBid()),
+                "컨트랙트 잔액:": async (c) => eth(await ethers.provider.getBalance(c.auction.target)),
+            },
+        },
+        {
+            title: "🏁 판매 완료...",
+            send: (c) => c.auction.completeSale(),
+            success: "✅ 판매 완료",
+            reads: {
+                "현재 상태:": statusOf,
+                "판매 완료 시각:": async (c) => koTime(await c.auction.getStatusTimestamp(4)),
+            },
+        },
+        {
+            title: "↩️  완료된 판매 취소 시도 (실패 예상)...",
+            expectRevert: (c) => c.auction.cancelSale(),
+            expect: { reason: "Cannot cancel completed sale" },
+            reason: "Sold는 끝 상태입니다",
+        },
+        {
+            title: "📜 상태 변경 이력...",
+            async run(c) {
+                const length = Number(await c.auction.getStatusHistoryLength());
+                const history = [];
+                for (let i = 0; i < length; i++) {
+                    history.push(STATUS[Number(await c.auction.getStatusHistoryAt(i))]);
+                }
+                console.log(history.join(" → "));
+                const expected = "NotSale → Auction → Bid → Sold";
+                addCheck(c, { expected, actual: history.join(" → "), passed: history.join(" → ") === expected });
+            },
+        },
+
+        // ================================
+        // 모델 기반 무작위 실행
+        // ================================
+        {
+            title: `🎲 모델 기반 무작위 실행 (${MODEL_STEPS}회, 시드 ${MODEL_SEED})...`,
+            when: () => MODEL_STEPS > 0,
+            async run(c) {
+                const accounts = [
+                    { name: "creator", signer: c.deployer },
+                    { name: "user1", signer: c.user1 },
+                    { name: "user2", signer: c.user2 },
+                    { name: "user3", signer: c.signers[3] || c.user2 },
+                ];
+                const result = await runAuctionModel({
+                    deploy: async () => (await ethers.getContractFactory("Enum", c.deployer)).deploy(),
+                    accounts,
+                    steps: MODEL_STEPS,
+                    seed: MODEL_SEED,
+                    onStep: ({ index, action, outcome, mismatches }) => {
+                        const mark = mismatches.length === 0 ? "✅" : "❌";
+                        console.log(`${mark} ${String(index + 1).padStart(3)}. ${formatAction(action)} → ${outcome}`);
+                        mismatches.forEach((mismatch) => console.log(`       ${mismatch}`));
+                    },
+                });
+
+                console.log(`성공 ${result.stats.succeeded} / revert ${result.stats.reverted} / 경매 ${result.stats.auctions}개`);
+                console.log("상태 전이:", result.stats.transitions);
+                if (!result.passed) {
+                    console.log(`재현: ENUM_MODEL_SEED=${result.seed} ENUM_MODEL_STEPS=${result.steps}`);
+                }
+                addCheck(c, {
+                    expected: `${MODEL_STEPS}회 모두 모델과 일치`,
+                    actual: result.passed ? `${result.steps}회 일치` : `${result.failedAt + 1}번째 호출에서 불일치`,
+                    passed: result.passed,
+                });
+            },
+        },
+    ],
+};
+
+if (require.main === module) {
+    runMain(scenario);
+}
+
+module.exports = scenario;
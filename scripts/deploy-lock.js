@@ -1,137 +1,154 @@
 const { ethers } = require("hardhat");
+const { eth, koTime, addCheck, runMain } = require("./lib/scenario");
+const { isLocalChain, latestTimestamp, increaseTimeTo, waitUntil } = require("./lib/chain");
+
+// 잠금 해제 시간에 도달했을 때만 실행하는 스텝 조건
+const unlocked = (c) => c.unlocked;
+
+const scenario = {
+    title: "Lock 컨트랙트 배포 및 테스트",
+    done: "Lock 컨트랙트 테스트 완료!",
+
+    async setup() {
+        // 잠금 해제 시간 설정 (현재 시간 + 1분)
+        const currentTime = await latestTimestamp();
+        const unlockTime = currentTime + 60; // 60초 후
+
+        console.log("현재 시간:", koTime(currentTime));
+        console.log("잠금 해제 시간:", koTime(unlockTime));
+
+        return { unlockTime, lockValue: ethers.parseEther("1.0") }; // 1 ETH를 잠금
+    },
+
+    steps: [
+        {
+            deploy: "Lock",
+            as: "lock",
+            args: (c) => [c.unlockTime],
+            overrides: (c) => ({ value: c.lockValue }),
+            reads: { "잠긴 이더량:": (c) => eth(c.lockValue) },
+        },
+        {
+            title: "📋 컨트랙트 정보 조회...",
+            reads: {
+                "소유자:": (c) => c.lock.owner(),
+                "잠금 해제 시간:": async (c) => koTime(await c.lock.unlockTime()),
+                "컨트랙트 잔액:": async (c) => eth(await ethers.provider.getBalance(c.lock.target)),
+            },
+        },
+        {
+            title: "⏰ 잠금 시간 전 출금 시도 (실패 예상)...",
+            expectRevert: (c) => c.lock.withdraw(),
+            expect: { reason: "You can't withdraw yet" },
+            success: "✅ 예상대로 출금이 실패했습니다:",
+            reason: "잠금 시간이 아직 지나지 않았습니다",
+        },
+        {
+            title: "👤 다른 계정에서 출금 시도 (실패 예상)...",
+            expectRevert: (c) => c.lock.connect(c.user1).withdraw(),
+            // Lock.withdraw()는 시간 조건을 소유자 조건보다 먼저 검사하므로 잠금 해제 전에는 시간 오류가 납니다
+            expect: { reason: "You can't withdraw yet" },
+            success: "✅ 예상대로 출금이 실패했습니다:",
+            reason: "잠금 시간이 아직 지나지 않았습니다",
+        },
+
+        // ================================
+        // 시간 경과
+        // ================================
+        // - Hardhat/anvil 같은 로컬 체인: 블록 시간을 잠금 해제 시간으로 이동
+        // - 실제 네트워크: LOCK_WAIT=true 이면 잠금 해제까지 카운트다운하며 대기
+        {
+            title: "⏱️  시간 경과 시뮬레이션...",
+            async run(c) {
+                if ((await latestTimestamp()) < c.unlockTime) {
+                    if (await isLocalChain()) {
+                        await increaseTimeTo(c.unlockTime);
+                        console.log("✅ 로컬 체인의 블록 시간을 잠금 해제 시간으로 이동했습니다");
+                    } else if (process.env.LOCK_WAIT === "true") {
+                        console.log("네트워크의 블록 시간이 잠금 해제 시간에 도달할 때까지 대기 중...");
+                        await waitUntil(c.unlockTime, {
+                            onTick: (remaining) => console.log(`⏳ 잠금 해제까지 ${remaining}초`),
+                        });
+                    }
+                }
+
+                // 현재 시간 다시 확인
+                const newCurrentTime = await latestTimestamp();
+                console.log("현재 블록 시간:", koTime(newCurrentTime));
+
+                c.unlocked = newCurrentTime >= c.unlockTime;
+                if (!c.unlocked) {
+                    console.log("⏳ 아직 잠금 해제 시간이 되지 않았습니다.");
+                    console.log("잠금 해제까지 남은 시간:", c.unlockTime - newCurrentTime, "초");
+                    console.log("LOCK_WAIT=true 로 실행하면 잠금 해제까지 기다린 뒤 출금합니다.");
+                }
+            },
+        },
+
+        // ================================
+        // 잠금 해제 후 출금
+        // ================================
+        {
+            title: "👤 잠금 해제 후 다른 계정에서 출금 시도 (실패 예상)...",
+            when: unlocked,
+            expectRevert: (c) => c.lock.connect(c.user1).withdraw(),
+            expect: { reason: "You aren't the owner" },
+            success: "✅ 예상대로 출금이 실패했습니다:",
+            reason: "소유자가 아닙니다",
+        },
+        {
+            title: "💰 잠금 해제 후 출금 시도...",
+            when: unlocked,
+            reads: { "출금 전 소유자 잔액:": async (c) => eth(await ethers.provider.getBalance(c.deployer.address)) },
+        },
+        {
+            when: unlocked,
+            send: (c) => c.lock.withdraw(),
+            as: "withdrawReceipt",
+            success: "✅ 출금 성공!",
+            reads: {
+                "트랜잭션 해시:": (c) => c.withdrawReceipt.hash,
+                "사용된 가스:": (c) => c.withdrawReceipt.gasUsed,
+                "출금 후 소유자 잔액:": async (c) => eth(await ethers.provider.getBalance(c.deployer.address)),
+                "출금 후 컨트랙트 잔액:": async (c) => eth(await ethers.provider.getBalance(c.lock.target)),
+            },
+        },
+        {
+            title: "📣 출금 이벤트 확인...",
+            when: unlocked,
+            async run(c) {
+                const event = c.withdrawReceipt.logs
+                    .map((log) => c.lock.interface.parseLog(log))
+                    .find((parsed) => parsed && parsed.name === "Withdrawal");
+
+                if (!event) {
+                    console.log("❌ Withdrawal 이벤트가 발생하지 않았습니다!");
+                    addCheck(c, { expected: "Withdrawal 이벤트", actual: "이벤트 없음", passed: false });
+                    return;
+                }
 
-async function main() {
-    console.log("=== Lock 컨트랙트 배포 및 테스트 ===");
-    
-    // 시그너 정보 가져오기
-    const [deployer] = await ethers.getSigners();
-    
-    console.log("배포자 주소:", deployer.address);
-    console.log("배포자 잔액:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH");
-    
-    // 현재 시간 가져오기
-    const currentBlock = await ethers.provider.getBlock("latest");
-    const currentTime = currentBlock.timestamp;
-    
-    // 잠금 해제 시간 설정 (현재 시간 + 1분)
-    const unlockTime = currentTime + 60; // 60초 후
-    const unlockDate = new Date(unlockTime * 1000);
-    
-    console.log("현재 시간:", new Date(currentTime * 1000).toLocaleString("ko-KR"));
-    console.log("잠금 해제 시간:", unlockDate.toLocaleString("ko-KR"));
-    
-    // 컨트랙트 배포 (1 ETH와 함께)
-    console.log("\n🚀 Lock 컨트랙트 배포 중...");
-    const lockValue = ethers.parseEther("1.0"); // 1 ETH를 잠금
-    
-    const Lock = await ethers.getContractFactory("Lock");
-    const lock = await Lock.deploy(unlockTime, {
-        value: lockValue
-    });
-    await lock.waitForDeployment();
-    
-    const contractAddress = await lock.getAddress();
-    console.log("✅ 컨트랙트 배포 완료!");
-    console.log("컨트랙트 주소:", contractAddress);
-    console.log("잠긴 이더량:", ethers.formatEther(lockValue), "ETH");
-    
-    // 컨트랙트 정보 확인
-    console.log("\n📋 컨트랙트 정보 조회...");
-    const contractUnlockTime = await lock.unlockTime();
-    const owner = await lock.owner();
-    const contractBalance = await ethers.provider.getBalance(contractAddress);
-    
-    console.log("소유자:", owner);
-    console.log("잠금 해제 시간:", new Date(Number(contractUnlockTime) * 1000).toLocaleString("ko-KR"));
-    console.log("컨트랙트 잔액:", ethers.formatEther(contractBalance), "ETH");
-    
-    // 너무 일찍 출금 시도 (실패해야 함)
-    console.log("\n⏰ 잠금 시간 전 출금 시도 (실패 예상)...");
-    try {
-        await lock.withdraw();
-        console.log("❌ 예상과 다르게 출금이 성공했습니다!");
-    } catch (error) {
-        console.log("✅ 예상대로 출금이 실패했습니다:");
-        console.log("오류 메시지:", error.reason || "잠금 시간이 아직 지나지 않았습니다");
-    }
-    
-    // 다른 계정에서 출금 시도 (실패해야 함)
-    console.log("\n👤 다른 계정에서 출금 시도 (실패 예상)...");
-    const [, otherAccount] = await ethers.getSigners();
-    try {
-        await lock.connect(otherAccount).withdraw();
-        console.log("❌ 예상과 다르게 출금이 성공했습니다!");
-    } catch (error) {
-        console.log("✅ 예상대로 출금이 실패했습니다:");
-        console.log("오류 메시지:", error.reason || "소유자가 아닙니다");
-    }
-    
-    // 시간 경과 시뮬레이션 (테스트넷에서만 가능)
-    console.log("\n⏱️  시간 경과 시뮬레이션...");
-    console.log("네트워크의 다음 블록까지 대기 중...");
-    
-    // 실제 배포 환경에서는 이 부분을 주석 처리하고 실제 시간이 지날 때까지 기다려야 합니다
-    /*
-    // Hardhat 네트워크에서만 시간 이동 가능
-    if (network.name === "hardhat") {
-        await network.provider.send("evm_increaseTime", [61]); // 61초 증가
-        await network.provider.send("evm_mine"); // 새 블록 생성
-        console.log("✅ 시간이 61초 증가했습니다");
-    }
-    */
-    
-    // 현재 시간 다시 확인
-    const newBlock = await ethers.provider.getBlock("latest");
-    const newCurrentTime = newBlock.timestamp;
-    console.log("현재 블록 시간:", new Date(newCurrentTime * 1000).toLocaleString("ko-KR"));
-    
-    if (newCurrentTime >= unlockTime) {
-        // 정상적인 출금 시도
-        console.log("\n💰 잠금 해제 후 출금 시도...");
-        const ownerBalanceBefore = await ethers.provider.getBalance(deployer.address);
-        console.log("출금 전 소유자 잔액:", ethers.formatEther(ownerBalanceBefore), "ETH");
-        
-        try {
-            const withdrawTx = await lock.withdraw();
-            const receipt = await withdrawTx.wait();
-            
-            console.log("✅ 출금 성공!");
-            console.log("트랜잭션 해시:", withdrawTx.hash);
-            console.log("사용된 가스:", receipt.gasUsed.toString());
-            
-            const ownerBalanceAfter = await ethers.provider.getBalance(deployer.address);
-            console.log("출금 후 소유자 잔액:", ethers.formatEther(ownerBalanceAfter), "ETH");
-            
-            const finalContractBalance = await ethers.provider.getBalance(contractAddress);
-            console.log("출금 후 컨트랙트 잔액:", ethers.formatEther(finalContractBalance), "ETH");
-            
-            // 이벤트 확인
-            const events = await lock.queryFilter(lock.filters.Withdrawal());
-            if (events.length > 0) {
-                const event = events[0];
                 console.log("출금 이벤트:", {
                     amount: ethers.formatEther(event.args.amount),
-                    when: new Date(Number(event.args.when) * 1000).toLocaleString("ko-KR")
+                    when: koTime(event.args.when),
                 });
-            }
-            
-        } catch (error) {
-            console.log("❌ 출금 실패:");
-            console.log("오류:", error.reason || error.message);
-        }
-    } else {
-        console.log("⏳ 아직 잠금 해제 시간이 되지 않았습니다.");
-        console.log("잠금 해제까지 남은 시간:", unlockTime - newCurrentTime, "초");
-    }
-    
-    console.log("\n🎉 Lock 컨트랙트 테스트 완료!");
+                c.report.record("event", {
+                    contract: "Lock",
+                    event: "Withdrawal",
+                    txHash: c.withdrawReceipt.hash,
+                    args: { amount: event.args.amount, when: event.args.when },
+                });
+                addCheck(c, {
+                    expected: `Withdrawal(amount=${c.lockValue})`,
+                    actual: `Withdrawal(amount=${event.args.amount})`,
+                    passed: event.args.amount === c.lockValue,
+                });
+            },
+        },
+    ],
+};
+
+if (require.main === module) {
+    runMain(scenario);
 }
 
-// 에러 처리
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error("❌ 스크립트 실행 중 오류 발생:");
-        console.error(error);
-        process.exit(1);
-    }); 
\ No newline at end of file
+module.exports = scenario;
@@ -0,0 +1,128 @@
+const { ethers } = require("hardhat");
+const { eth, koTime, addCheck, runMain } = require("./lib/scenario");
+const { supportsHardhatRpc, latestTimestamp } = require("./lib/chain");
+const { signPermit, recoverPermitSigner, relayPermitTransfer, dealTokens } = require("./lib/permit");
+
+// 토큰 양을 "100.0 MTK" 형태로 출력하는 헬퍼
+const mtk = (amount) => `${ethers.formatUnits(amount, 18)} MTK`;
+
+const PERMIT_VALUE = ethers.parseUnits("100", 18);
+const TRANSFER_AMOUNT = ethers.parseUnits("60", 18);
+
+const scenario = {
+    title: "MyToken permit(EIP-2612) 배포 및 테스트",
+    done: "permit 테스트 완료!",
+
+    steps: [
+        { deploy: "MyToken", as: "token" },
+        {
+            title: "📋 토큰 정보 확인...",
+            reads: {
+                "이름/심볼:": async (c) => `${await c.token.name()} / ${await c.token.symbol()}`,
+                "소수점:": (c) => c.token.decimals(),
+                "총 발행량:": async (c) => mtk(await c.token.totalSupply()),
+                "DOMAIN_SEPARATOR:": (c) => c.token.DOMAIN_SEPARATOR(),
+            },
+        },
+        {
+            // MyToken에는 mint가 없으므로 Hardhat, anvil에서는 잔액 슬롯을 직접 써서 user1을 보유자로 만듭니다
+            title: "🪙 user1에게 1000 MTK 지급 (로컬 체인 스토리지 쓰기)...",
+            when: () => supportsHardhatRpc(),
+            async run(c) {
+                await dealTokens(c.token, c.user1.address, ethers.parseUnits("1000", 18));
+                c.funded = true;
+            },
+            reads: { "user1 잔액:": async (c) => mtk(await c.token.balanceOf(c.user1.address)) },
+        },
+
+        // ================================
+        // 서명 → 릴레이어 제출
+        // ================================
+        {
+            title: "✍️  user1이 user2(릴레이어)에게 100 MTK permit 서명 (트랜잭션 없음)...",
+            async run(c) {
+                c.userEthBefore = await ethers.provider.getBalance(c.user1.address);
+                c.permit = await signPermit(c.token, c.user1, { spender: c.user2.address, value: PERMIT_VALUE });
+            },
+            reads: {
+                "도메인:": (c) => `${c.permit.domain.name} v${c.permit.domain.version}, 체인 ${c.permit.domain.chainId}`,
+                "nonce:": (c) => c.permit.nonce,
+                "만료 시각:": (c) => koTime(c.permit.deadline),
+                "서명:": (c) => c.permit.signature,
+                "복원된 서명자:": (c) => recoverPermitSigner(c.permit),
+            },
+        },
+        {
+            title: "📨 user2가 permit + transferFrom 제출 (user1 → signers[3], 60 MTK)...",
+            async run(c) {
+                const to = c.funded ? c.signers[3].address : undefined;
+                const { permitReceipt, transferReceipt } = await relayPermitTransfer(c.token, c.user2, c.permit, {
+                    to,
+                    amount: TRANSFER_AMOUNT,
+                });
+                console.log(`✅ permit 제출 (가스 ${permitReceipt.gasUsed})`);
+                if (transferReceipt) {
+                    console.log(`✅ transferFrom 완료 (가스 ${transferReceipt.gasUsed})`);
+                }
+
+                const userEthAfter = await ethers.provider.getBalance(c.user1.address);
+                addCheck(c, {
+                    expected: "user1은 가스를 쓰지 않음",
+                    actual: `user1 ETH 변화 ${eth(userEthAfter - c.userEthBefore)}`,
+                    passed: userEthAfter === c.userEthBefore,
+                });
+            },
+            reads: {
+                "남은 허용량:": async (c) => mtk(await c.token.allowance(c.user1.address, c.user2.address)),
+                "user1 nonce:": (c) => c.token.nonces(c.user1.address),
+                "user1 잔액:": async (c) => mtk(await c.token.balanceOf(c.user1.address)),
+                "signers[3] 잔액:": async (c) => mtk(await c.token.balanceOf(c.signers[3].address)),
+            },
+        },
+
+        // ================================
+        // 거부되는 서명
+        // ================================
+        {
+            title: "🔁 같은 서명 재사용 (실패 예상)...",
+            expectRevert: (c) => {
+                const { owner, spender, value, deadline, v, r, s } = c.permit;
+                return c.token.connect(c.user2).permit(owner, spender, value, deadline, v, r, s);
+            },
+            expect: { error: "ERC2612InvalidSigner" },
+            reason: "nonce가 이미 사용되어 다른 서명자로 복원됩니다",
+        },
+        {
+            title: "⌛ 만료된 서명 (실패 예상)...",
+            expectRevert: async (c) => {
+                const expired = await signPermit(c.token, c.user1, {
+                    spender: c.user2.address,
+                    value: PERMIT_VALUE,
+                    deadline: (await latestTimestamp()) - 1,
+                });
+                return relayPermitTransfer(c.token, c.user2, expired);
+            },
+            expect: { error: "ERC2612ExpiredSignature" },
+            reason: "deadline이 지났습니다",
+        },
+        {
+            title: "🕵️  user2가 user1 명의로 서명 (실패 예상)...",
+            expectRevert: async (c) => {
+                const forged = await signPermit(c.token, c.user2, {
+                    owner: c.user1.address,
+                    spender: c.user2.address,
+                    value: PERMIT_VALUE,
+                });
+                return relayPermitTransfer(c.token, c.user2, forged);
+            },
+            expect: (c) => ({ error: "ERC2612InvalidSigner", args: { signer: c.user2.address, owner: c.user1.address } }),
+            reason: "서명자가 owner가 아닙니다",
+        },
+    ],
+};
+
+if (require.main === module) {
+    runMain(scenario);
+}
+
+module.exports = scenario;
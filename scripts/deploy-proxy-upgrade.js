@@ -0,0 +1,98 @@
+const { ethers } = require("hardhat");
+const { eth, addCheck, runMain } = require("./lib/scenario");
+const { checkUpgrade, upgradeProxy } = require("./lib/upgrade");
+
+// 프록시 주소에 구현 ABI를 붙여 프록시를 통해 호출합니다
+const viaProxy = (c, name) => ethers.getContractAt(name, c.proxy.target);
+
+/**
+ * 업그레이드 검사가 거부해야 하는 구현을 검사하고 결과를 검증 목록에 남깁니다.
+ * @param {object} c 시나리오 컨텍스트
+ * @param {string} next 새 구현 컨트랙트 이름
+ */
+async function expectRefused(c, next) {
+    const check = await checkUpgrade({ previous: "ProxyFallbackDemoV1", next });
+    check.lines.forEach((line) => console.log(line));
+    console.log(check.safe ? "❌ 예상과 다르게 검사를 통과했습니다!" : "✅ 예상대로 업그레이드가 거부되었습니다");
+    addCheck(c, { expected: "거부", actual: check.safe ? "통과" : "거부", passed: !check.safe });
+}
+
+const scenario = {
+    title: "SimpleProxy 업그레이드 및 스토리지 레이아웃 검사",
+    done: "프록시 업그레이드 테스트 완료!",
+
+    steps: [
+        // ================================
+        // V1 구현 + 프록시 배포
+        // ================================
+        { deploy: "ProxyFallbackDemoV1", as: "v1" },
+        { deploy: "SimpleProxy", as: "proxy", label: "FallbackDemoProxy", args: (c) => [c.v1.target] },
+        {
+            title: "🔗 프록시를 통한 V1 order 호출...",
+            send: async (c) => (await viaProxy(c, "ProxyFallbackDemoV1")).connect(c.user1).order({ value: ethers.parseEther("0.1") }),
+            success: "✅ order 호출 완료",
+            reads: {
+                "data:": async (c) => (await viaProxy(c, "ProxyFallbackDemoV1")).data(),
+                "totalReceived:": async (c) => eth(await (await viaProxy(c, "ProxyFallbackDemoV1")).totalReceived()),
+                // __proxySlots 덕분에 프록시의 implementation이 덮어써지지 않습니다
+                "구현 컨트랙트:": (c) => c.proxy.implementation(),
+            },
+        },
+
+        // ================================
+        // 안전하지 않은 업그레이드 거부
+        // ================================
+        {
+            title: "🚫 FallbackDemo로 업그레이드 검사 (프록시 슬롯 충돌, 거부 예상)...",
+            run: (c) => expectRefused(c, "FallbackDemo"),
+        },
+        {
+            title: "🚫 ProxyFallbackDemoV2Unsafe로 업그레이드 검사 (순서/타입 변경, 거부 예상)...",
+            run: (c) => expectRefused(c, "ProxyFallbackDemoV2Unsafe"),
+        },
+
+        // ================================
+        // V2로 업그레이드
+        // ================================
+        { deploy: "ProxyFallbackDemoV2", as: "v2" },
+        {
+            title: "👤 관리자가 아닌 계정의 업그레이드 (실패 예상)...",
+            expectRevert: (c) => c.proxy.connect(c.user1).upgrade(c.v2.target),
+            expect: { reason: "Only admin" },
+        },
+        {
+            title: "⬆️  ProxyFallbackDemoV2로 업그레이드...",
+            async run(c) {
+                const receipt = await upgradeProxy({
+                    proxy: c.proxy,
+                    previous: "ProxyFallbackDemoV1",
+                    next: "ProxyFallbackDemoV2",
+                    implementation: c.v2.target,
+                });
+                console.log("✅ 업그레이드 완료 및 검증 성공 (가스:", receipt.gasUsed.toString() + ")");
+            },
+            reads: {
+                "구현 컨트랙트:": (c) => c.proxy.implementation(),
+                "버전:": async (c) => (await viaProxy(c, "ProxyFallbackDemoV2")).version(),
+                "data (유지):": async (c) => (await viaProxy(c, "ProxyFallbackDemoV2")).data(),
+                "totalReceived (유지):": async (c) => eth(await (await viaProxy(c, "ProxyFallbackDemoV2")).totalReceived()),
+            },
+        },
+        {
+            title: "🔗 프록시를 통한 V2 order 호출...",
+            send: async (c) => (await viaProxy(c, "ProxyFallbackDemoV2")).connect(c.user2).order({ value: ethers.parseEther("0.2") }),
+            success: "✅ order 호출 완료",
+            reads: {
+                "orderCount:": async (c) => (await viaProxy(c, "ProxyFallbackDemoV2")).orderCount(),
+                "totalReceived:": async (c) => eth(await (await viaProxy(c, "ProxyFallbackDemoV2")).totalReceived()),
+                "프록시 잔액:": async (c) => eth(await ethers.provider.getBalance(c.proxy.target)),
+            },
+        },
+    ],
+};
+
+if (require.main === module) {
+    runMain(scenario);
+}
+
+module.exports = scenario;
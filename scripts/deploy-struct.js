@@ -0,0 +1,247 @@
+const { ethers } = require("hardhat");
+const { eth, koTime, addCheck, runMain } = require("./lib/scenario");
+const { latestTimestamp } = require("./lib/chain");
+const { USER_LEVELS, ORDER_STATUSES, OrderStatus, CATALOG, USERS, priceOf, findEvent } = require("./lib/marketplace");
+
+// 상품 이름으로 이번 실행에서 만든 productId를 찾는 헬퍼
+const productId = (c, name) => c.productIds[name];
+
+// 주문 상태를 이름으로 조회하는 헬퍼
+const orderStatus = (key) => async (c) => ORDER_STATUSES[Number((await c.market.getOrder(c.orderIds[key])).status)];
+
+// 상품 목록을 "이름(재고)" 형태로 요약합니다
+const summarize = (products) => products.map((p) => `${p.name}(${p.stock})`).join(", ");
+
+const scenario = {
+    title: "Struct 마켓플레이스 배포 및 테스트",
+    done: "마켓플레이스 테스트 완료!",
+
+    steps: [
+        { deploy: "Struct", as: "market" },
+        {
+            title: "📋 초기 상태 확인...",
+            reads: {
+                "기본 상품:": async (c) => {
+                    const main = await c.market.getMainProduct();
+                    return `${main.name} (${main.category}, ${main.price} wei, 재고 ${main.stock})`;
+                },
+                "관리자 등급:": async (c) => USER_LEVELS[Number((await c.market.getUser(c.deployer.address)).level)],
+                "최대 상품 수:": (c) => c.market.maxProductCount(),
+            },
+        },
+
+        // ================================
+        // 사용자 등록과 상품 등록
+        // ================================
+        ...USERS.map((user) => ({
+            title: `👤 ${user.username} 가입 (${USER_LEVELS[user.level]})...`,
+            // 레지스트리의 기존 배포를 재사용하면 이미 가입되어 있습니다
+            when: async (c) => !(await c.market.users(c[user.role].address)).isActive,
+            send: (c) => c.market.connect(c[user.role]).registerUser(user.username, user.email, user.level),
+            success: `✅ ${user.username} 가입 완료`,
+        })),
+        {
+            title: "🚫 중복 가입 시도 (실패 예상)...",
+            expectRevert: (c) => c.market.connect(c.user1).registerUser("alice2", "alice2@example.com", 0),
+            expect: { reason: "User already registered" },
+            reason: "이미 가입된 사용자입니다",
+        },
+        ...CATALOG.map((item, i) => ({
+            title: i === 0 ? "🛍️  상품 등록..." : undefined,
+            send: (c) => c.market.connect(c[item.seller]).createProduct(item.name, priceOf(item), item.category, item.stock),
+            as: `productReceipt${i}`,
+            success: `✅ ${item.name} 등록 (${item.category}, ${item.price} ETH, 재고 ${item.stock})`,
+        })),
+        {
+            async run(c) {
+                c.productIds = {};
+                CATALOG.forEach((item, i) => {
+                    c.productIds[item.name] = findEvent(c.market, c[`productReceipt${i}`], "ProductCreated").productId;
+                });
+            },
+            reads: {
+                "Electronics 상품:": async (c) => summarize(await c.market.getProductsByCategory("Electronics")),
+                "Clothing 상품:": async (c) => summarize(await c.market.getProductsByCategory("Clothing")),
+                "시스템 통계:": async (c) => {
+                    const stats = await c.market.getSystemStats();
+                    return `상품 ${stats.totalProducts}개 (판매 중 ${stats.activeProducts}), 주문 ${stats.totalOrders}건`;
+                },
+            },
+        },
+
+        // ================================
+        // 주문
+        // ================================
+        {
+            title: "🚫 미가입 사용자 주문 (실패 예상)...",
+            expectRevert: (c) =>
+                c.market.connect(c.signers[3]).createOrder(productId(c, "Solidity Handbook"), 1, "Seoul", {
+                    value: ethers.parseEther("0.01"),
+                }),
+            expect: { reason: "User not registered" },
+            reason: "가입하지 않은 사용자입니다",
+        },
+        {
+            title: "🛒 alice: Wireless Earbuds 2개 주문 (0.2 ETH 지불, 잔돈 반환)...",
+            send: (c) =>
+                c.market.connect(c.user1).createOrder(productId(c, "Wireless Earbuds"), 2, "Seoul, Gangnam-gu", {
+                    value: ethers.parseEther("0.2"),
+                }),
+            as: "aliceOrderReceipt",
+            success: "✅ 주문 완료",
+            reads: {
+                "주문 ID:": (c) => findEvent(c.market, c.aliceOrderReceipt, "OrderCreated").orderId,
+                "결제 금액:": async (c) =>
+                    eth((await c.market.getOrder(findEvent(c.market, c.aliceOrderReceipt, "OrderCreated").orderId)).totalPrice),
+                "남은 재고:": async (c) => (await c.market.getProduct(productId(c, "Wireless Earbuds"))).stock,
+            },
+        },
+        {
+            title: "🛒 bob: 4K Monitor 1개 주문...",
+            send: (c) =>
+                c.market.connect(c.user2).createOrder(productId(c, "4K Monitor"), 1, "Busan, Haeundae-gu", {
+                    value: ethers.parseEther("0.3"),
+                }),
+            as: "bobOrderReceipt",
+            success: "✅ 주문 완료",
+        },
+        {
+            title: "🛒 bob: Denim Jacket 1개 주문 (user1 판매 상품)...",
+            send: (c) =>
+                c.market.connect(c.user2).createOrder(productId(c, "Denim Jacket"), 1, "Busan, Haeundae-gu", {
+                    value: ethers.parseEther("0.04"),
+                }),
+            as: "jacketOrderReceipt",
+            success: "✅ 주문 완료",
+        },
+        {
+            async run(c) {
+                c.orderIds = {
+                    alice: findEvent(c.market, c.aliceOrderReceipt, "OrderCreated").orderId,
+                    bob: findEvent(c.market, c.bobOrderReceipt, "OrderCreated").orderId,
+                    jacket: findEvent(c.market, c.jacketOrderReceipt, "OrderCreated").orderId,
+                };
+            },
+        },
+        {
+            title: "📦 재고 초과 주문 (실패 예상)...",
+            expectRevert: (c) =>
+                c.market.connect(c.user2).createOrder(productId(c, "Building Blocks Set"), 5, "Busan", {
+                    value: ethers.parseEther("0.1"),
+                }),
+            expect: { reason: "Insufficient stock" },
+            reason: "재고가 부족합니다",
+        },
+        {
+            title: "💸 결제 금액 부족 (실패 예상)...",
+            expectRevert: (c) =>
+                c.market.connect(c.user1).createOrder(productId(c, "4K Monitor"), 1, "Seoul", {
+                    value: ethers.parseEther("0.1"),
+                }),
+            expect: { reason: "Insufficient payment" },
+            reason: "결제 금액이 부족합니다",
+        },
+
+        // ================================
+        // 주문 상태 변경
+        // ================================
+        {
+            title: "✔️  판매자가 alice 주문 확인...",
+            send: (c) => c.market.updateOrderStatus(c.orderIds.alice, OrderStatus.Confirmed),
+            success: "✅ 주문 확인",
+            reads: { "주문 상태:": orderStatus("alice") },
+        },
+        {
+            title: "🚚 배송 정보 등록 (Shipped로 변경)...",
+            send: async (c) =>
+                c.market.createDeliveryInfo(c.orderIds.alice, "TRK-0001", (await latestTimestamp()) + 3 * 24 * 60 * 60),
+            success: "✅ 배송 시작",
+            reads: {
+                "주문 상태:": orderStatus("alice"),
+                "송장 번호:": async (c) => (await c.market.deliveries(c.orderIds.alice)).trackingNumber,
+                "예상 도착:": async (c) => koTime((await c.market.deliveries(c.orderIds.alice)).estimatedDelivery),
+            },
+        },
+        {
+            title: "📬 배송 완료...",
+            send: (c) => c.market.updateOrderStatus(c.orderIds.alice, OrderStatus.Delivered),
+            success: "✅ 배송 완료",
+            reads: { "주문 상태:": orderStatus("alice") },
+        },
+        {
+            title: "🚫 확인 전 배송 정보 등록 (실패 예상)...",
+            expectRevert: (c) => c.market.createDeliveryInfo(c.orderIds.bob, "TRK-0002", 0),
+            expect: { reason: "Order must be confirmed first" },
+            reason: "주문이 확인되지 않았습니다",
+        },
+        {
+            title: "🚫 다른 판매자의 주문 상태 변경 (실패 예상)...",
+            expectRevert: (c) => c.market.updateOrderStatus(c.orderIds.jacket, OrderStatus.Confirmed),
+            expect: { reason: "Only seller can update order status" },
+            reason: "판매자만 주문 상태를 바꿀 수 있습니다",
+        },
+        {
+            title: "❌ 판매자가 bob의 모니터 주문 취소...",
+            send: (c) => c.market.updateOrderStatus(c.orderIds.bob, OrderStatus.Cancelled),
+            success: "✅ 주문 취소",
+            reads: { "주문 상태:": orderStatus("bob") },
+        },
+
+        // ================================
+        // 상품 복제와 최종 상태
+        // ================================
+        {
+            title: "🧬 bob이 Solidity Handbook 복제...",
+            send: (c) => c.market.connect(c.user2).cloneProduct(productId(c, "Solidity Handbook"), "Solidity Handbook (bob)"),
+            as: "cloneReceipt",
+            success: "✅ 복제 완료",
+            reads: {
+                "복제 상품:": async (c) => {
+                    const { productId: id } = findEvent(c.market, c.cloneReceipt, "ProductCreated");
+                    const product = await c.market.getProduct(id);
+                    return `#${id} ${product.name} (판매자 ${product.seller}, ${eth(product.price)})`;
+                },
+            },
+        },
+        {
+            title: "📊 최종 상태:",
+            reads: {
+                "alice 주문:": async (c) =>
+                    (await c.market.getUserOrders(c.user1.address))
+                        .map((o) => `#${o.orderId} ${o.product.name} x${o.quantity} ${ORDER_STATUSES[Number(o.status)]}`)
+                        .join(", "),
+                "bob 주문:": async (c) =>
+                    (await c.market.getUserOrders(c.user2.address))
+                        .map((o) => `#${o.orderId} ${o.product.name} x${o.quantity} ${ORDER_STATUSES[Number(o.status)]}`)
+                        .join(", "),
+                "alice 누적 구매액:": async (c) => eth((await c.market.getUser(c.user1.address)).totalPurchases),
+                "시스템 통계:": async (c) => {
+                    const stats = await c.market.getSystemStats();
+                    return `상품 ${stats.totalProducts}개 (판매 중 ${stats.activeProducts}), 주문 ${stats.totalOrders}건`;
+                },
+                "컨트랙트 잔액:": async (c) => eth(await ethers.provider.getBalance(c.market.target)),
+            },
+        },
+        {
+            title: "🔍 상품 재고 확인 (productById와 products 배열)...",
+            async run(c) {
+                // createOrder는 productById의 재고만 줄이고 products 배열의 복사본은 그대로 둡니다
+                const id = productId(c, "Wireless Earbuds");
+                const byId = (await c.market.getProduct(id)).stock;
+                const inList = (await c.market.getAllProducts()).find((p) => p.name === "Wireless Earbuds").stock;
+                console.log(`productById 재고: ${byId} / products 배열 재고: ${inList}`);
+                addCheck(c, {
+                    expected: "productById 재고 38 (40 - 2)",
+                    actual: `productById 재고 ${byId}`,
+                    passed: byId === 38n,
+                });
+            },
+        },
+    ],
+};
+
+if (require.main === module) {
+    runMain(scenario);
+}
+
+module.exports = scenario;
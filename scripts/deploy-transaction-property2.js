@@ -1,93 +1,94 @@
 const { ethers } = require("hardhat");
+const { eth, addCheck, runMain } = require("./lib/scenario");
+const { crossCheckSelectors } = require("./lib/calldata");
 
-async function main() {
-    console.log("=== TransactionProperty2 컨트랙트 배포 및 테스트 ===");
-    
-    // 시그너 정보 가져오기
-    const [deployer, user1, user2] = await ethers.getSigners();
-    
-    console.log("배포자 주소:", deployer.address);
-    console.log("배포자 잔액:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH");
-    
-    // 컨트랙트 배포
-    console.log("\n🚀 TransactionProperty2 컨트랙트 배포 중...");
-    const TransactionProperty2 = await ethers.getContractFactory("TransactionProperty2");
-    const transactionProperty2 = await TransactionProperty2.deploy();
-    await transactionProperty2.waitForDeployment();
-    
-    const contractAddress = await transactionProperty2.getAddress();
-    console.log("✅ 컨트랙트 배포 완료!");
-    console.log("컨트랙트 주소:", contractAddress);
-    
-    // 새로운 주문 생성 테스트
-    console.log("\n📝 새로운 주문 생성 테스트...");
-    const orderValue = ethers.parseEther("1.5"); // 1.5 ETH
-    
-    console.log("주문 생성 전 user1 잔액:", ethers.formatEther(await ethers.provider.getBalance(user1.address)), "ETH");
-    
-    const tx1 = await transactionProperty2.connect(user1).newOrderList({
-        value: orderValue,
-        gasLimit: 100000
-    });
-    await tx1.wait();
-    
-    console.log("✅ 주문 생성 완료!");
-    console.log("전송된 이더량:", ethers.formatEther(orderValue), "ETH");
-    console.log("주문 생성 후 user1 잔액:", ethers.formatEther(await ethers.provider.getBalance(user1.address)), "ETH");
-    
-    // 다른 사용자도 주문 생성
-    console.log("\n📝 user2도 주문 생성...");
-    const orderValue2 = ethers.parseEther("2.0"); // 2.0 ETH
-    
-    const tx2 = await transactionProperty2.connect(user2).newOrderList({
-        value: orderValue2,
-        gasLimit: 100000
-    });
-    await tx2.wait();
-    
-    console.log("✅ user2 주문 생성 완료!");
-    console.log("전송된 이더량:", ethers.formatEther(orderValue2), "ETH");
-    
-    // 주문 확인 테스트
-    console.log("\n🔍 주문 확인 테스트...");
-    
-    // user1의 주문이 1 ETH 이상인지 확인
-    const checkResult1 = await transactionProperty2.checkOrderFunction(user1.address, ethers.parseEther("1.0"));
-    console.log("user1이 1 ETH 이상 주문했는가?", checkResult1);
-    
-    // user1의 주문이 2 ETH 이상인지 확인
-    const checkResult2 = await transactionProperty2.checkOrderFunction(user1.address, ethers.parseEther("2.0"));
-    console.log("user1이 2 ETH 이상 주문했는가?", checkResult2);
-    
-    // user2의 주문이 1.5 ETH 이상인지 확인
-    const checkResult3 = await transactionProperty2.checkOrderFunction(user2.address, ethers.parseEther("1.5"));
-    console.log("user2가 1.5 ETH 이상 주문했는가?", checkResult3);
-    
-    // 함수 체크 테스트
-    console.log("\n🔧 함수 시그니처 체크 테스트...");
-    const checkFunctionResult = await transactionProperty2.newCheckFunction();
-    console.log("함수 시그니처 일치 여부:", checkFunctionResult);
-    
-    // 컨트랙트 잔액 확인
-    console.log("\n💰 컨트랙트 최종 상태:");
-    console.log("컨트랙트 잔액:", ethers.formatEther(await ethers.provider.getBalance(contractAddress)), "ETH");
-    
-    // 가스 사용량 분석
-    console.log("\n⛽ 가스 사용량 분석:");
-    const receipt1 = await ethers.provider.getTransactionReceipt(tx1.hash);
-    const receipt2 = await ethers.provider.getTransactionReceipt(tx2.hash);
-    
-    console.log("user1 주문 생성 가스:", receipt1.gasUsed.toString());
-    console.log("user2 주문 생성 가스:", receipt2.gasUsed.toString());
-    
-    console.log("\n🎉 모든 테스트 완료!");
+const scenario = {
+    title: "TransactionProperty2 컨트랙트 배포 및 테스트",
+    done: "모든 테스트 완료!",
+
+    steps: [
+        { deploy: "TransactionProperty2", as: "transactionProperty2" },
+
+        // 새로운 주문 생성 테스트
+        {
+            title: "📝 새로운 주문 생성 테스트...",
+            reads: { "주문 생성 전 user1 잔액:": async (c) => eth(await ethers.provider.getBalance(c.user1.address)) },
+        },
+        {
+            send: (c) =>
+                c.transactionProperty2.connect(c.user1).newOrderList({
+                    value: ethers.parseEther("1.5"), // 1.5 ETH
+                    gasLimit: 100000,
+                }),
+            as: "receipt1",
+            success: "✅ 주문 생성 완료!",
+            reads: {
+                "전송된 이더량:": () => eth(ethers.parseEther("1.5")),
+                "주문 생성 후 user1 잔액:": async (c) => eth(await ethers.provider.getBalance(c.user1.address)),
+            },
+        },
+
+        // 다른 사용자도 주문 생성
+        {
+            title: "📝 user2도 주문 생성...",
+            send: (c) =>
+                c.transactionProperty2.connect(c.user2).newOrderList({
+                    value: ethers.parseEther("2.0"), // 2.0 ETH
+                    gasLimit: 100000,
+                }),
+            as: "receipt2",
+            success: "✅ user2 주문 생성 완료!",
+            reads: { "전송된 이더량:": () => eth(ethers.parseEther("2.0")) },
+        },
+
+        // 주문 확인 테스트
+        {
+            title: "🔍 주문 확인 테스트...",
+            reads: {
+                "user1이 1 ETH 이상 주문했는가?": (c) =>
+                    c.transactionProperty2.checkOrderFunction(c.user1.address, ethers.parseEther("1.0")),
+                "user1이 2 ETH 이상 주문했는가?": (c) =>
+                    c.transactionProperty2.checkOrderFunction(c.user1.address, ethers.parseEther("2.0")),
+                "user2가 1.5 ETH 이상 주문했는가?": (c) =>
+                    c.transactionProperty2.checkOrderFunction(c.user2.address, ethers.parseEther("1.5")),
+            },
+        },
+        {
+            title: "🔧 함수 시그니처 체크 테스트...",
+            reads: { "함수 시그니처 일치 여부:": (c) => c.transactionProperty2.newCheckFunction() },
+        },
+        {
+            title: "🧮 calculateSelector와 로컬 셀렉터 계산 비교...",
+            async run(c) {
+                const rows = await crossCheckSelectors(c.transactionProperty2, [
+                    "newOrderList()",
+                    "checkOrderFunction(address,uint256)",
+                    "transfer(address to, uint256 amount)", // 매개변수 이름은 셀렉터에 포함되지 않습니다
+                ]);
+                for (const { signature, local, onChain, match } of rows) {
+                    console.log(`${signature}: 로컬 ${local} / 온체인 ${onChain}`);
+                    addCheck(c, { expected: `${signature} = ${local}`, actual: `${signature} = ${onChain}`, passed: match });
+                }
+            },
+        },
+        {
+            title: "💰 컨트랙트 최종 상태:",
+            reads: {
+                "컨트랙트 잔액:": async (c) => eth(await ethers.provider.getBalance(c.transactionProperty2.target)),
+            },
+        },
+        {
+            title: "⛽ 가스 사용량 분석:",
+            reads: {
+                "user1 주문 생성 가스:": (c) => c.receipt1.gasUsed,
+                "user2 주문 생성 가스:": (c) => c.receipt2.gasUsed,
+            },
+        },
+    ],
+};
+
+if (require.main === module) {
+    runMain(scenario);
 }
 
-// 에러 처리
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error("❌ 스크립트 실행 중 오류 발생:");
-        console.error(error);
-        process.exit(1);
-    }); 
\ No newline at end of file
+module.exports = scenario;
@@ -3,8 +3,8 @@ import { deploy } from './ethers-lib'
 (async () => {
   try {
     const result = await deploy('MyToken', [])
-    console.log(`address: ${result.address}`)
-  } catch (e) {
+    console.log(`address: ${await result.getAddress()}`)
+  } catch (e: any) {
     console.log(e.message)
   }
 })()
\ No newline at end of file
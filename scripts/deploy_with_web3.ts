@@ -4,7 +4,7 @@ import { deploy } from './web3-lib'
   try {
     const result = await deploy('MyToken', [])
     console.log(`address: ${result.address}`)
-  } catch (e) {
+  } catch (e: any) {
     console.log(e.message)
   }
 })()
\ No newline at end of file
@@ -1,29 +1,27 @@
 import { ethers } from 'ethers'
+import { getArtifact, getProvider } from './artifacts-lib'
 
 /**
  * Deploy the given contract
- * @param {string} contractName name of the contract to deploy
+ * @param {string} contractName name (or fully qualified name) of the contract to deploy
  * @param {Array<any>} args list of constructor' parameters
- * @param {Number} accountIndex account index from the exposed account
+ * @param {number | string} account account index or address from the exposed accounts
  * @return {Contract} deployed contract
  */
-export const deploy = async (contractName: string, args: Array<any>, accountIndex?: number): Promise<ethers.Contract> => {
+export const deploy = async (contractName: string, args: Array<any>, account?: number | string): Promise<ethers.BaseContract> => {
 
   console.log(`deploying ${contractName}`)
   // Note that the script needs the ABI which is generated from the compilation artifact.
   // Make sure contract is compiled and artifacts are generated
-  const artifactsPath = `browser/contracts/artifacts/${contractName}.json` // Change this for different path
+  const { abi, bytecode } = await getArtifact(contractName)
 
-  const metadata = JSON.parse(await remix.call('fileManager', 'getFile', artifactsPath))
-  // 'web3Provider' is a remix global variable object
+  const signer = await new ethers.BrowserProvider(getProvider()).getSigner(account)
 
-  const signer = (new ethers.providers.Web3Provider(web3Provider)).getSigner(accountIndex)
-
-  const factory = new ethers.ContractFactory(metadata.abi, metadata.data.bytecode.object, signer)
+  const factory = new ethers.ContractFactory(abi, bytecode, signer)
 
   const contract = await factory.deploy(...args)
 
   // The contract is NOT deployed yet; we must wait until it is mined
-  await contract.deployed()
+  await contract.waitForDeployment()
   return contract
-}
\ No newline at end of file
+}
@@ -0,0 +1,284 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { deployAndReport } = require("./lib/deploy");
+const { report } = require("./lib/reporter");
+const { runScenario } = require("./lib/scenario");
+const {
+    CODE_SIZE_LIMIT,
+    bytecodeSize,
+    codeSizeStatus,
+    summarizeGas,
+    toBaseline,
+    findRegressions,
+} = require("./lib/gas");
+
+// ================================
+// 가스 및 바이트코드 크기 리포트
+// ================================
+//
+// contracts/ 아래의 모든 컨트랙트를 배포해 배포 가스와 런타임 코드 크기를 측정하고,
+// scripts/deploy-*.js 시나리오가 보내는 트랜잭션의 함수별 가스를 모아 표로 출력합니다.
+//
+// 환경 변수:
+//   - GAS_REPORT_FORMAT: markdown (기본값) | csv
+//   - GAS_REPORT_OUT: 리포트를 저장할 파일 (없으면 stdout)
+//   - GAS_REPORT_BASELINE: 비교할 기준선 파일 (기본값: gas-report.baseline.json)
+//   - GAS_REPORT_UPDATE=true: 현재 결과로 기준선 파일을 갱신
+//   - GAS_REPORT_TOLERANCE: 회귀로 볼 증가율 (퍼센트, 기본값 1)
+//
+// 기준선보다 허용 오차 이상 늘어난 항목이 있으면 종료 코드 1로 끝납니다.
+//
+// 예) GAS_REPORT_FORMAT=csv GAS_REPORT_OUT=gas.csv npx hardhat run scripts/gas-report.js
+
+const FORMAT = process.env.GAS_REPORT_FORMAT || "markdown";
+const BASELINE_FILE = path.resolve(hre.config.paths.root, process.env.GAS_REPORT_BASELINE || "gas-report.baseline.json");
+const TOLERANCE = Number(process.env.GAS_REPORT_TOLERANCE || 1);
+
+const STATUS_LABELS = { ok: "✅", warning: "⚠️ 한도 근접", exceeded: "❌ 한도 초과" };
+
+// 레지스트리에 기록된 기존 배포를 재사용하면 배포 가스를 측정할 수 없으므로 항상 새로 배포합니다
+delete process.env.DEPLOY_REUSE;
+
+/**
+ * scripts/deploy-*.js 시나리오를 모두 실행하고 그동안 남은 레코드를 모읍니다.
+ * 시나리오의 콘솔 출력은 숨기고 진행 상황만 stderr로 출력합니다.
+ * @return {Promise<Array<object>>} deploy/tx 레코드 목록
+ */
+async function collectScenarioRecords() {
+    const files = fs
+        .readdirSync(__dirname)
+        .filter((file) => /^deploy-.*\.js$/.test(file))
+        .sort();
+
+    const records = [];
+    const unsubscribe = report.onRecord((record) => records.push(record));
+    const log = console.log;
+    try {
+        for (const file of files) {
+            const scenario = require(path.join(__dirname, file));
+            console.error(`⛽ ${file} 실행 중...`);
+            console.log = () => {};
+            await runScenario(scenario);
+            console.log = log;
+        }
+    } finally {
+        console.log = log;
+        unsubscribe();
+    }
+    return records;
+}
+
+/**
+ * 시나리오가 배포하지 않은 나머지 컨트랙트를 생성자 인자 없이 배포합니다.
+ * @param {Array<object>} artifacts contracts/ 아래 컨트랙트 아티팩트 목록
+ * @param {Set<string>} deployed 이미 배포된 컨트랙트 이름
+ * @return {Promise<Array<object>>} deploy 레코드와 실패한 배포의 { label, error } 목록
+ */
+async function deployRemaining(artifacts, deployed) {
+    const records = [];
+    const unsubscribe = report.onRecord((record) => record.type === "deploy" && records.push(record));
+    const log = console.log;
+    try {
+        for (const { contractName, sourceName } of artifacts) {
+            if (deployed.has(contractName)) {
+                continue;
+            }
+            console.error(`⛽ ${contractName} 배포 중...`);
+            console.log = () => {};
+            try {
+                await deployAndReport(`${sourceName}:${contractName}`, [], { label: contractName });
+            } catch (error) {
+                records.push({ type: "deploy", label: contractName, error: error.shortMessage || error.message.split("\n")[0] });
+            }
+            console.log = log;
+        }
+    } finally {
+        console.log = log;
+        unsubscribe();
+    }
+    return records;
+}
+
+/**
+ * 측정한 레코드로 리포트를 만듭니다.
+ * @return {Promise<object>} { contracts, functions }
+ */
+async function buildReport() {
+    const names = await hre.artifacts.getAllFullyQualifiedNames();
+    const artifacts = [];
+    for (const name of names.filter((fqn) => fqn.startsWith("contracts/"))) {
+        const artifact = await hre.artifacts.readArtifact(name);
+        // 추상 컨트랙트와 인터페이스는 배포할 바이트코드가 없습니다
+        if (artifact.bytecode !== "0x") {
+            artifacts.push(artifact);
+        }
+    }
+
+    const records = await collectScenarioRecords();
+    const deploys = new Map();
+    for (const record of records.filter((entry) => entry.type === "deploy")) {
+        if (!deploys.has(record.label)) {
+            deploys.set(record.label, record);
+        }
+    }
+    for (const record of await deployRemaining(artifacts, new Set(deploys.keys()))) {
+        deploys.set(record.label, record);
+    }
+
+    const contracts = artifacts
+        .map(({ contractName, sourceName, bytecode, deployedBytecode }) => {
+            const deploy = deploys.get(contractName) || {};
+            const runtimeSize = bytecodeSize(deployedBytecode);
+            return {
+                name: contractName,
+                source: sourceName,
+                deployGas: deploy.gasUsed !== undefined ? Number(deploy.gasUsed) : null,
+                deployError: deploy.error || null,
+                initcodeSize: bytecodeSize(bytecode),
+                runtimeSize,
+                sizeStatus: codeSizeStatus(runtimeSize),
+            };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const calls = new Map();
+    for (const record of records.filter((entry) => entry.type === "tx" && entry.contract && entry.function)) {
+        const key = `${record.contract}.${record.function}`;
+        if (!calls.has(key)) {
+            calls.set(key, { contract: record.contract, function: record.function, gas: [] });
+        }
+        calls.get(key).gas.push(Number(record.gasUsed));
+    }
+    const functions = [...calls.values()]
+        .map(({ contract, function: fn, gas }) => ({ contract, function: fn, ...summarizeGas(gas) }))
+        .sort((a, b) => a.contract.localeCompare(b.contract) || a.function.localeCompare(b.function));
+
+    return { contracts, functions };
+}
+
+// 기준선 대비 변화량을 "+12 (+0.5%)" 형태로 만듭니다
+function delta(current, before) {
+    if (typeof current !== "number" || typeof before !== "number") {
+        return "";
+    }
+    const diff = current - before;
+    const percent = before === 0 ? 0 : (diff / before) * 100;
+    return diff === 0 ? "0" : `${diff > 0 ? "+" : ""}${diff} (${percent > 0 ? "+" : ""}${percent.toFixed(1)}%)`;
+}
+
+const percentOfLimit = (size) => `${((size / CODE_SIZE_LIMIT) * 100).toFixed(1)}%`;
+
+/**
+ * 리포트를 Markdown 표로 만듭니다.
+ * @param {object} gasReport { contracts, functions }
+ * @param {object|null} baseline 비교할 기준선
+ * @return {string}
+ */
+function toMarkdown(gasReport, baseline) {
+    const base = baseline || { contracts: {}, functions: {} };
+    const lines = [
+        "# 가스 및 바이트코드 크기 리포트",
+        "",
+        `런타임 코드 크기 한도: ${CODE_SIZE_LIMIT} bytes (EIP-170)`,
+        "",
+        "## 컨트랙트",
+        "",
+        "| 컨트랙트 | 배포 가스 | Δ 배포 가스 | 런타임 크기 (bytes) | 한도 대비 | Δ 크기 | 상태 |",
+        "| --- | ---: | ---: | ---: | ---: | ---: | --- |",
+    ];
+    for (const contract of gasReport.contracts) {
+        const before = base.contracts[contract.name] || {};
+        const deployGas = contract.deployGas !== null ? contract.deployGas : `배포 실패: ${contract.deployError}`;
+        lines.push(
+            `| ${contract.name} | ${deployGas} | ${delta(contract.deployGas, before.deployGas)} | ${contract.runtimeSize} | ` +
+                `${percentOfLimit(contract.runtimeSize)} | ${delta(contract.runtimeSize, before.runtimeSize)} | ${STATUS_LABELS[contract.sizeStatus]} |`
+        );
+    }
+
+    lines.push(
+        "",
+        "## 함수별 가스 (시나리오 트랜잭션)",
+        "",
+        "| 컨트랙트 | 함수 | 호출 수 | 최소 | 평균 | 최대 | Δ 평균 |",
+        "| --- | --- | ---: | ---: | ---: | ---: | ---: |"
+    );
+    for (const fn of gasReport.functions) {
+        const before = base.functions[`${fn.contract}.${fn.function}`];
+        lines.push(
+            `| ${fn.contract} | ${fn.function} | ${fn.calls} | ${fn.min} | ${fn.avg} | ${fn.max} | ${delta(fn.avg, before)} |`
+        );
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * 리포트를 CSV로 만듭니다. 컨트랙트 행(kind=deploy)과 함수 행(kind=function)이 한 표에 들어갑니다.
+ * @param {object} gasReport { contracts, functions }
+ * @param {object|null} baseline 비교할 기준선
+ * @return {string}
+ */
+function toCsv(gasReport, baseline) {
+    const base = baseline || { contracts: {}, functions: {} };
+    const escape = (value) => (value === null || value === undefined ? "" : /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+    const rows = [["kind", "contract", "function", "calls", "gas", "minGas", "maxGas", "baselineGas", "runtimeSize", "baselineRuntimeSize", "sizeStatus", "error"]];
+
+    for (const contract of gasReport.contracts) {
+        const before = base.contracts[contract.name] || {};
+        rows.push(["deploy", contract.name, "", "", contract.deployGas, "", "", before.deployGas, contract.runtimeSize, before.runtimeSize, contract.sizeStatus, contract.deployError]);
+    }
+    for (const fn of gasReport.functions) {
+        rows.push(["function", fn.contract, fn.function, fn.calls, fn.avg, fn.min, fn.max, base.functions[`${fn.contract}.${fn.function}`], "", "", "", ""]);
+    }
+    return rows.map((row) => row.map(escape).join(",")).join("\n") + "\n";
+}
+
+async function main() {
+    if (!["markdown", "csv"].includes(FORMAT)) {
+        throw new Error(`알 수 없는 리포트 형식입니다: ${FORMAT} (markdown, csv 중 하나)`);
+    }
+
+    const gasReport = await buildReport();
+    const baseline = fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8")) : null;
+
+    const output = FORMAT === "csv" ? toCsv(gasReport, baseline) : toMarkdown(gasReport, baseline);
+    if (process.env.GAS_REPORT_OUT) {
+        fs.writeFileSync(process.env.GAS_REPORT_OUT, output);
+        console.error(`📝 리포트 저장: ${process.env.GAS_REPORT_OUT}`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    for (const contract of gasReport.contracts.filter(({ sizeStatus }) => sizeStatus !== "ok")) {
+        console.error(`${STATUS_LABELS[contract.sizeStatus]}: ${contract.name} 런타임 코드 ${contract.runtimeSize} bytes (${percentOfLimit(contract.runtimeSize)})`);
+    }
+
+    if (process.env.GAS_REPORT_UPDATE === "true") {
+        fs.writeFileSync(BASELINE_FILE, JSON.stringify(toBaseline(gasReport), null, 2) + "\n");
+        console.error(`📌 기준선 갱신: ${path.relative(hre.config.paths.root, BASELINE_FILE)}`);
+        return;
+    }
+    if (!baseline) {
+        console.error("기준선 파일이 없습니다. GAS_REPORT_UPDATE=true 로 실행해 만들 수 있습니다.");
+        return;
+    }
+
+    const regressions = findRegressions(gasReport, baseline, TOLERANCE);
+    if (regressions.length === 0) {
+        console.error(`✅ 기준선 대비 ${TOLERANCE}% 이상 늘어난 항목이 없습니다`);
+        return;
+    }
+    console.error(`❌ 기준선 대비 ${TOLERANCE}% 이상 늘어난 항목:`);
+    for (const { key, metric, baseline: before, current, change } of regressions) {
+        console.error(`  - ${key} ${metric}: ${before} → ${current} (+${change.toFixed(1)}%)`);
+    }
+    process.exitCode = 1;
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+        console.error("❌ 가스 리포트 생성 중 오류 발생:");
+        console.error(error);
+        process.exit(1);
+    });
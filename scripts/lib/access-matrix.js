@@ -0,0 +1,261 @@
+const { ethers } = require("hardhat");
+const { describeRevert, formatRevert } = require("./revert");
+
+// ================================
+// 접근 제어 매트릭스
+// ================================
+//
+// 컨트랙트의 상태 변경 함수(nonpayable/payable)를 ABI에서 모두 찾아, 준비한 상태마다 역할(owner, creator, admin, user ...)별로
+// 호출해 보고 통과/revert 여부를 표로 만듭니다. 결과를 스냅샷 파일과 비교하면 권한이 바뀐 함수를 바로 찾을 수 있습니다.
+//
+// 대상 정의 (subject):
+//   {
+//     contract: "Modifier",                       // 아티팩트 이름
+//     args: [],                                   // 생성자 인자
+//     roles: { owner: 0, user: 2 },               // 역할 이름 → 계정 인덱스 (첫 번째 역할이 배포자)
+//     states: { active: [], inactive: [(ctx) => ctx.contract.toggleContractStatus()] },
+//                                                 // 상태 이름 → 새로 배포한 뒤 차례로 보낼 트랜잭션 (ctx) => tx
+//     calls: { setMinPrice: { args: [20000] } },  // 함수 이름 또는 시그니처 → { args, value } (값 또는 (ctx) => 값)
+//   }
+//
+// 호출은 staticCall(eth_call)로 하므로 상태를 바꾸지 않습니다. 셀 값은 "pass" 또는 formatRevert() 결과입니다.
+// 인자를 지정하지 않은 함수는 ABI 타입별 기본값(주소는 user 역할 주소, 정수 1, true, "access" ...)을 쓰고,
+// payable 함수에는 기본으로 1 ETH를 보냅니다.
+
+const PASS = "pass";
+const DEFAULT_VALUE = ethers.parseEther("1");
+
+/**
+ * ABI에서 상태를 바꾸는 함수를 시그니처 순으로 찾습니다. (receive/fallback은 ABI 함수가 아니므로 제외)
+ * @param {import("ethers").Interface} iface 컨트랙트 인터페이스
+ * @return {Array<import("ethers").FunctionFragment>}
+ */
+function stateChangingFunctions(iface) {
+    const functions = [];
+    iface.forEachFunction((fragment) => {
+        if (fragment.stateMutability === "nonpayable" || fragment.stateMutability === "payable") {
+            functions.push(fragment);
+        }
+    });
+    return functions.sort((a, b) => a.format("sighash").localeCompare(b.format("sighash")));
+}
+
+/**
+ * ABI 파라미터 타입에 맞는 기본 인자를 만듭니다.
+ * @param {import("ethers").ParamType} param 파라미터
+ * @param {object} ctx { accounts }
+ * @return {*}
+ */
+function defaultArg(param, ctx) {
+    if (param.isArray()) {
+        const length = param.arrayLength === -1 ? 1 : param.arrayLength;
+        return Array.from({ length }, () => defaultArg(param.arrayChildren, ctx));
+    }
+    if (param.isTuple()) {
+        return param.components.map((component) => defaultArg(component, ctx));
+    }
+    if (param.baseType === "address") {
+        const { user } = ctx.accounts;
+        return (user || Object.values(ctx.accounts).pop()).address;
+    }
+    if (/^u?int/.test(param.baseType)) {
+        return 1n;
+    }
+    if (param.baseType === "bool") {
+        return true;
+    }
+    if (param.baseType === "string") {
+        return "access";
+    }
+    if (param.baseType === "bytes") {
+        return "0x";
+    }
+    if (/^bytes\d+$/.test(param.baseType)) {
+        return ethers.zeroPadValue("0x", Number(param.baseType.slice(5)));
+    }
+    throw new Error(`${param.type} 타입의 기본 인자를 만들 수 없습니다. calls에 args를 지정하세요.`);
+}
+
+/**
+ * 대상 컨트랙트를 새로 배포하고 상태 준비 트랜잭션을 보냅니다.
+ * @param {object} subject 대상 정의
+ * @param {Array<Function>} setup 상태 준비 트랜잭션 목록 ((ctx) => tx)
+ * @param {object} accounts 역할 이름 → 시그너
+ * @return {Promise<object>} ctx { contract, accounts }
+ */
+async function prepareState(subject, setup, accounts) {
+    const deployer = Object.values(accounts)[0];
+    const contract = await ethers.deployContract(subject.contract, subject.args || [], deployer);
+    await contract.waitForDeployment();
+
+    const ctx = { contract, accounts };
+    for (const action of setup) {
+        const tx = await action(ctx);
+        await tx.wait();
+    }
+    return ctx;
+}
+
+/**
+ * 함수 하나를 역할 하나로 staticCall 해 봅니다.
+ * @param {object} ctx prepareState() 결과
+ * @param {import("ethers").FunctionFragment} fragment 호출할 함수
+ * @param {import("ethers").Signer} signer 호출할 역할의 시그너
+ * @param {object} call 대상 정의의 calls 항목 { args, value }
+ * @return {Promise<string>} "pass" 또는 formatRevert() 결과
+ */
+async function tryCall(ctx, fragment, signer, call) {
+    const resolve = (value) => (typeof value === "function" ? value(ctx) : value);
+    const args = call.args !== undefined ? resolve(call.args) : fragment.inputs.map((param) => defaultArg(param, ctx));
+    const overrides = {};
+    if (fragment.payable) {
+        overrides.value = call.value !== undefined ? resolve(call.value) : DEFAULT_VALUE;
+    }
+
+    try {
+        await ctx.contract.connect(signer).getFunction(fragment.format("sighash")).staticCall(...args, overrides);
+        return PASS;
+    } catch (error) {
+        const decoded = await describeRevert(error, [ctx.contract.interface]);
+        // revert가 아닌 오류(잔액 부족, 인자 인코딩 실패 등)는 매트릭스 결과가 아니라 설정 오류입니다
+        if (decoded.kind === "unknown" && !decoded.selector) {
+            throw error;
+        }
+        return formatRevert(decoded);
+    }
+}
+
+/**
+ * 대상 하나의 접근 제어 매트릭스를 만듭니다.
+ * @param {object} subject 대상 정의
+ * @return {Promise<object>} { 상태: { 함수 시그니처: { 역할: 셀 } } }
+ */
+async function buildSubjectMatrix(subject) {
+    const signers = await ethers.getSigners();
+    const accounts = {};
+    for (const [role, index] of Object.entries(subject.roles)) {
+        if (!signers[index]) {
+            throw new Error(`${subject.contract}의 ${role} 역할에 쓸 계정 인덱스 ${index}가 없습니다.`);
+        }
+        accounts[role] = signers[index];
+    }
+
+    const { interface: iface } = await ethers.getContractFactory(subject.contract);
+    const functions = stateChangingFunctions(iface);
+    const calls = subject.calls || {};
+    for (const key of Object.keys(calls)) {
+        if (!functions.some((fragment) => fragment.name === key || fragment.format("sighash") === key)) {
+            throw new Error(`${subject.contract}에 상태 변경 함수 ${key}가 없습니다.`);
+        }
+    }
+
+    const matrix = {};
+    for (const [state, setup] of Object.entries(subject.states || { initial: [] })) {
+        const ctx = await prepareState(subject, setup, accounts);
+        matrix[state] = {};
+        for (const fragment of functions) {
+            const signature = fragment.format("sighash");
+            const call = calls[signature] || calls[fragment.name] || {};
+            matrix[state][signature] = {};
+            for (const [role, signer] of Object.entries(accounts)) {
+                matrix[state][signature][role] = await tryCall(ctx, fragment, signer, call);
+            }
+        }
+    }
+    return matrix;
+}
+
+/**
+ * 여러 대상의 매트릭스를 만듭니다. 같은 컨트랙트를 다른 설정으로 여러 번 넣으려면 label을 지정합니다.
+ * @param {Array<object>} subjects 대상 정의 목록
+ * @return {Promise<object>} { 라벨: { 상태: { 함수 시그니처: { 역할: 셀 } } } }
+ */
+async function buildAccessMatrix(subjects) {
+    const matrix = {};
+    for (const subject of subjects) {
+        matrix[subject.label || subject.contract] = await buildSubjectMatrix(subject);
+    }
+    return matrix;
+}
+
+/**
+ * 매트릭스를 "라벨 / 상태 / 함수 / 역할" 경로의 셀 목록으로 펼칩니다.
+ * @param {object} matrix buildAccessMatrix() 결과
+ * @return {Map<string, string>} 경로 → 셀
+ */
+function flattenMatrix(matrix) {
+    const cells = new Map();
+    for (const [label, states] of Object.entries(matrix)) {
+        for (const [state, functions] of Object.entries(states)) {
+            for (const [signature, roles] of Object.entries(functions)) {
+                for (const [role, cell] of Object.entries(roles)) {
+                    cells.set(`${label} / ${state} / ${signature} / ${role}`, cell);
+                }
+            }
+        }
+    }
+    return cells;
+}
+
+/**
+ * 스냅샷과 현재 매트릭스를 비교합니다. 추가되거나 사라진 셀도 변경으로 봅니다.
+ * @param {object} snapshot 저장해 둔 매트릭스
+ * @param {object} current 현재 매트릭스
+ * @return {Array<object>} { key, before, after } (없는 쪽은 null)
+ */
+function diffMatrix(snapshot, current) {
+    const before = flattenMatrix(snapshot);
+    const after = flattenMatrix(current);
+    const keys = [...new Set([...before.keys(), ...after.keys()])].sort();
+
+    return keys
+        .filter((key) => before.get(key) !== after.get(key))
+        .map((key) => ({
+            key,
+            before: before.has(key) ? before.get(key) : null,
+            after: after.has(key) ? after.get(key) : null,
+        }));
+}
+
+/**
+ * 변경 하나를 한 줄로 표현합니다. 막혀 있던 호출이 통과하게 된 경우를 권한 확대로 표시합니다.
+ * @param {object} change diffMatrix()의 항목
+ * @return {string}
+ */
+function formatChange({ key, before, after }) {
+    const show = (cell) => (cell === null ? "(없음)" : cell);
+    const mark = after === PASS && before !== null ? "⚠️  권한 확대" : "변경";
+    return `${mark}: ${key}: ${show(before)} → ${show(after)}`;
+}
+
+/**
+ * 매트릭스를 Markdown 표로 만듭니다. 라벨/상태마다 함수 × 역할 표 하나를 만듭니다.
+ * @param {object} matrix buildAccessMatrix() 결과
+ * @return {string}
+ */
+function toMarkdown(matrix) {
+    const lines = ["# 접근 제어 매트릭스", ""];
+    for (const [label, states] of Object.entries(matrix)) {
+        for (const [state, functions] of Object.entries(states)) {
+            const roles = Object.keys(Object.values(functions)[0] || {});
+            lines.push(`## ${label} (${state})`, "", `| 함수 | ${roles.join(" | ")} |`, `| --- |${" --- |".repeat(roles.length)}`);
+            for (const [signature, cells] of Object.entries(functions)) {
+                const row = roles.map((role) => (cells[role] === PASS ? "✅" : `❌ ${cells[role]}`));
+                lines.push(`| ${signature} | ${row.join(" | ")} |`);
+            }
+            lines.push("");
+        }
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    PASS,
+    stateChangingFunctions,
+    defaultArg,
+    buildAccessMatrix,
+    flattenMatrix,
+    diffMatrix,
+    formatChange,
+    toMarkdown,
+};
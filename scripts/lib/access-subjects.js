@@ -0,0 +1,76 @@
+const { ethers } = require("hardhat");
+
+// ================================
+// 접근 제어 매트릭스 대상
+// ================================
+//
+// scripts/access-matrix.js와 test/AccessMatrix.js가 사용하는 대상 정의입니다 (형식은 access-matrix.js 참고).
+// 역할은 계정 인덱스로 정하며, 첫 번째 역할이 컨트랙트를 배포합니다.
+//   - owner/creator: 배포자 (signers[0])
+//   - admin: Address의 승인 주소, Enum의 입찰자 (signers[1])
+//   - user: 아무 권한이 없는 계정 (signers[2])
+// 상태마다 컨트랙트를 새로 배포하고 나열한 트랜잭션으로 그 상태를 만듭니다.
+
+const as = (ctx, role) => ctx.contract.connect(ctx.accounts[role]);
+
+// Modifier: onlyOwner, onlyWhenActive, checkMinPrice, preventDuplicateOrder, checkThreshold
+const modifier = {
+    contract: "Modifier",
+    roles: { owner: 0, user: 2 },
+    states: {
+        active: [],
+        inactive: [(ctx) => ctx.contract.toggleContractStatus()],
+        // owner와 user 모두 주문한 상태 (preventDuplicateOrder, cancelUserOrder)
+        ordered: [
+            (ctx) => as(ctx, "owner").test2({ value: 10000 }),
+            (ctx) => as(ctx, "user").test2({ value: 10000 }),
+        ],
+    },
+};
+
+// Address: onlyOwner, onlyApproved, validAddress
+const address = {
+    contract: "Address",
+    roles: { owner: 0, admin: 1, user: 2 },
+    states: {
+        initial: [(ctx) => ctx.contract.setAddressApproval(ctx.accounts.admin.address, true)],
+        funded: [
+            (ctx) => ctx.contract.setAddressApproval(ctx.accounts.admin.address, true),
+            (ctx) => ctx.accounts.owner.sendTransaction({ to: ctx.contract.target, value: ethers.parseEther("1") }),
+        ],
+    },
+};
+
+// Inherit.sol: 소유자 검사와 엔진 상태(isRunning) 검사
+const engineStates = {
+    stopped: [],
+    running: [(ctx) => ctx.contract.startEngine()],
+};
+const cars = [
+    { contract: "Car", args: ["sedan", 4, ethers.parseEther("30")] },
+    { contract: "Benz", args: ["S-Class", true] },
+    { contract: "Audi", args: ["A4", true, 7] },
+    { contract: "BMW", args: ["X5", "X-Series", true, 400] },
+].map((car) => ({ ...car, roles: { owner: 0, user: 2 }, states: engineStates }));
+
+// Enum: onlyCreator, onlyInStatus
+const auctionStart = (ctx) => ctx.contract.auctionStart();
+const startBidding = (ctx) => ctx.contract.startBidding();
+const setSalesMode = (ctx) => ctx.contract.setSalesMode();
+const auction = {
+    contract: "Enum",
+    roles: { creator: 0, admin: 1, user: 2 },
+    states: {
+        notSale: [],
+        auction: [auctionStart],
+        bid: [auctionStart, startBidding],
+        // admin이 1 ETH로 입찰한 상태 (기본 입찰액 1 ETH는 최고가보다 높지 않음)
+        bidPlaced: [auctionStart, startBidding, (ctx) => as(ctx, "admin").placeBid({ value: ethers.parseEther("1") })],
+        sales: [setSalesMode],
+        sold: [setSalesMode, (ctx) => ctx.contract.completeSale()],
+    },
+};
+
+const ACCESS_SUBJECTS = [modifier, address, ...cars, auction];
+
+module.exports = { ACCESS_SUBJECTS };
@@ -0,0 +1,341 @@
+const { ethers } = require("hardhat");
+const { describeRevert, formatRevert, matchesRevert } = require("./revert");
+
+// ================================
+// Enum 경매 상태 머신 모델
+// ================================
+//
+// contracts/기초/enum.sol의 Enum 컨트랙트를 JS로 옮긴 모델입니다.
+// 무작위 호출 순서를 만들어 컨트랙트와 모델에 똑같이 적용하고, 매 스텝마다
+// 상태/이력/최고 입찰/잔액과 발생한 이벤트(StatusChanged, BidPlaced)가 모델과 같은지 확인합니다.
+//
+// 상태 전이 (Sold는 끝 상태라 더 이상 바뀌지 않습니다):
+//   NotSale --auctionStart--> Auction --startBidding--> Bid --completeSale--> Sold
+//   NotSale/Auction --setSalesMode--> Sales --completeSale--> Sold
+//   Sold 이외 --cancelSale--> NotSale (Bid 상태면 최고 입찰자에게 환불)
+
+const STATUS = ["NotSale", "Auction", "Sales", "Bid", "Sold"];
+const Status = Object.fromEntries(STATUS.map((name, i) => [name, i]));
+
+// getCurrentStatusName()이 돌려주는 이름
+const STATUS_NAMES = ["Not For Sale", "Auction Active", "For Sale", "Accepting Bids", "Sold"];
+
+const ACTIONS = ["auctionStart", "startBidding", "setSalesMode", "placeBid", "completeSale", "cancelSale"];
+
+/**
+ * 배포 직후의 모델 상태를 만듭니다. 생성자가 NotSale을 이력에 한 번 기록합니다.
+ * @param {string} creator 배포자 주소
+ * @param {number} timestamp 배포 블록의 타임스탬프
+ * @return {object} 모델 상태
+ */
+function initialModel(creator, timestamp) {
+    return {
+        status: Status.NotSale,
+        history: [Status.NotSale],
+        timestamps: { [Status.NotSale]: timestamp },
+        creator,
+        highestBidder: ethers.ZeroAddress,
+        highestBid: 0n,
+        balance: 0n,
+    };
+}
+
+/**
+ * 모델에 호출 하나를 적용한 결과를 계산합니다. 컨트랙트의 require 순서를 그대로 따릅니다.
+ * @param {object} model 현재 모델 상태
+ * @param {object} action { name, from, value }
+ * @return {object} { revert: 사유 } | { next: 다음 상태, events: 기대 이벤트 목록 (타임스탬프 제외) }
+ */
+function transition(model, { name, from, value = 0n }) {
+    const isCreator = from === model.creator;
+    const onlyCreator = isCreator ? null : "Only creator can perform this action";
+    const onlyInStatus = (status) => (model.status === status ? null : "Invalid status for this action");
+
+    const changeTo = (to, extra = {}) => ({
+        next: { ...model, ...extra, status: to, history: [...model.history, to] },
+        events: [{ event: "StatusChanged", from: model.status, to, changer: from }],
+    });
+    const check = (...reasons) => reasons.find((reason) => reason) || null;
+
+    let revert;
+    switch (name) {
+        case "auctionStart":
+            revert = check(onlyCreator, onlyInStatus(Status.NotSale));
+            return revert ? { revert } : changeTo(Status.Auction);
+
+        case "startBidding":
+            revert = check(onlyCreator, onlyInStatus(Status.Auction));
+            return revert ? { revert } : changeTo(Status.Bid);
+
+        case "setSalesMode":
+            revert = check(
+                onlyCreator,
+                [Status.NotSale, Status.Auction].includes(model.status)
+                    ? null
+                    : "Cannot switch to sales mode in current status"
+            );
+            return revert ? { revert } : changeTo(Status.Sales);
+
+        case "placeBid": {
+            revert = check(
+                onlyInStatus(Status.Bid),
+                value > model.highestBid ? null : "Bid must be higher than current highest",
+                isCreator ? "Creator cannot bid on own auction" : null
+            );
+            if (revert) {
+                return { revert };
+            }
+            // 이전 최고 입찰자에게는 입찰액을 돌려줍니다
+            const refund = model.highestBidder !== ethers.ZeroAddress ? model.highestBid : 0n;
+            return {
+                next: { ...model, highestBidder: from, highestBid: value, balance: model.balance - refund + value },
+                events: [{ event: "BidPlaced", bidder: from, amount: value }],
+            };
+        }
+
+        case "completeSale":
+            revert = check(
+                onlyCreator,
+                [Status.Bid, Status.Sales].includes(model.status) ? null : "No active sale to complete",
+                model.status === Status.Bid && model.highestBidder === ethers.ZeroAddress ? "No valid bids received" : null
+            );
+            return revert ? { revert } : changeTo(Status.Sold);
+
+        case "cancelSale": {
+            revert = check(onlyCreator, model.status === Status.Sold ? "Cannot cancel completed sale" : null);
+            if (revert) {
+                return { revert };
+            }
+            if (model.status === Status.Bid && model.highestBidder !== ethers.ZeroAddress) {
+                return changeTo(Status.NotSale, {
+                    highestBidder: ethers.ZeroAddress,
+                    highestBid: 0n,
+                    balance: model.balance - model.highestBid,
+                });
+            }
+            return changeTo(Status.NotSale);
+        }
+
+        default:
+            throw new Error(`알 수 없는 경매 함수입니다: ${name}`);
+    }
+}
+
+/**
+ * 시드로 재현 가능한 난수 생성기 (mulberry32)
+ * @param {number} seed 32비트 정수 시드
+ * @return {Function} [0, 1) 범위의 난수를 돌려주는 함수
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 무작위 호출 하나를 만듭니다. 완전히 무작위로 고르면 대부분 revert되어 Bid 상태까지 잘 가지 못하므로
+ * 70%는 현재 상태에서 성공하는 함수 중에서 고릅니다. 생성자 전용 함수는 대부분 생성자가 호출하고,
+ * 입찰가는 가끔 현재 최고가 이하로 만들어 revert 경로도 지나가게 합니다.
+ * @param {Function} random seededRandom 결과
+ * @param {object} model 현재 모델 상태
+ * @param {Array<object>} accounts [{ name, signer }] (첫 번째가 생성자)
+ * @return {object} { name, account, from, value }
+ */
+function randomAction(random, model, accounts) {
+    const pick = (list) => list[Math.floor(random() * list.length)];
+
+    const valid = ACTIONS.filter(
+        (name) =>
+            !transition(model, {
+                name,
+                from: name === "placeBid" ? accounts[1].signer.address : model.creator,
+                value: model.highestBid + 1n,
+            }).revert
+    );
+    const name = valid.length > 0 && random() < 0.7 ? pick(valid) : pick(ACTIONS);
+    const creatorCalls = name !== "placeBid" && random() < 0.8;
+    const account = creatorCalls ? accounts[0] : pick(accounts);
+
+    let value = 0n;
+    if (name === "placeBid") {
+        value = random() < 0.2 ? model.highestBid : model.highestBid + BigInt(1 + Math.floor(random() * 1000)) * 10n ** 9n;
+    }
+    return { name, account, from: account.signer.address, value };
+}
+
+/**
+ * 호출을 "user1.placeBid(1000 gwei)" 같은 문자열로 만듭니다.
+ * @param {object} action randomAction 결과
+ * @return {string}
+ */
+function formatAction({ name, account, value }) {
+    return `${account.name}.${name}(${name === "placeBid" ? `${value / 10n ** 9n} gwei` : ""})`;
+}
+
+/**
+ * 컨트랙트의 현재 상태를 모델과 비교합니다.
+ * @param {import("ethers").Contract} auction 배포된 Enum 컨트랙트
+ * @param {object} model 기대하는 모델 상태
+ * @return {Promise<Array<string>>} 불일치 설명 목록
+ */
+async function compareState(auction, model) {
+    const mismatches = [];
+    const expectEqual = (label, actual, expected) => {
+        if (actual.toString() !== expected.toString()) {
+            mismatches.push(`${label}: 예상 ${expected}, 실제 ${actual}`);
+        }
+    };
+
+    expectEqual("auctionStatus", STATUS[Number(await auction.auctionStatus())], STATUS[model.status]);
+    expectEqual("getCurrentStatusName()", await auction.getCurrentStatusName(), STATUS_NAMES[model.status]);
+
+    // 이력은 추가만 되므로 매 스텝 길이와 마지막 항목만 확인하면 전체가 확인됩니다
+    const length = Number(await auction.getStatusHistoryLength());
+    expectEqual("getStatusHistoryLength()", length, model.history.length);
+    if (length === model.history.length) {
+        const last = model.history.length - 1;
+        expectEqual(
+            `getStatusHistoryAt(${last})`,
+            STATUS[Number(await auction.getStatusHistoryAt(last))],
+            STATUS[model.history[last]]
+        );
+    }
+    expectEqual(
+        `statusTimestamp(${STATUS[model.status]})`,
+        await auction.statusTimestamp(model.status),
+        model.timestamps[model.status]
+    );
+    expectEqual("highestBidder", await auction.highestBidder(), model.highestBidder);
+    expectEqual("highestBid", await auction.highestBid(), model.highestBid);
+    expectEqual("balance", await ethers.provider.getBalance(auction.target), model.balance);
+    return mismatches;
+}
+
+/**
+ * 영수증의 이벤트를 모델이 기대한 이벤트와 비교합니다.
+ * @param {import("ethers").Contract} auction 배포된 Enum 컨트랙트
+ * @param {import("ethers").TransactionReceipt} receipt 트랜잭션 영수증
+ * @param {Array<object>} expected transition()의 events
+ * @param {number} timestamp 트랜잭션이 포함된 블록의 타임스탬프
+ * @return {Array<string>} 불일치 설명 목록
+ */
+function compareEvents(auction, receipt, expected, timestamp) {
+    const actual = receipt.logs
+        .map((log) => auction.interface.parseLog(log))
+        .filter((parsed) => parsed)
+        .map((parsed) =>
+            parsed.name === "StatusChanged"
+                ? `StatusChanged(${STATUS[Number(parsed.args.from)]}, ${STATUS[Number(parsed.args.to)]}, ${parsed.args.timestamp}, ${parsed.args.changer})`
+                : `BidPlaced(${parsed.args.bidder}, ${parsed.args.amount}, ${parsed.args.timestamp})`
+        );
+    const wanted = expected.map((event) =>
+        event.event === "StatusChanged"
+            ? `StatusChanged(${STATUS[event.from]}, ${STATUS[event.to]}, ${timestamp}, ${event.changer})`
+            : `BidPlaced(${event.bidder}, ${event.amount}, ${timestamp})`
+    );
+    return actual.join("; ") === wanted.join("; ")
+        ? []
+        : [`이벤트: 예상 [${wanted.join("; ")}], 실제 [${actual.join("; ")}]`];
+}
+
+/**
+ * 무작위 호출 순서를 컨트랙트와 모델에 함께 적용하며 매 스텝 비교합니다.
+ * 첫 불일치에서 멈추고, Sold(끝 상태)에 도달하면 새 컨트랙트를 배포해 이어갑니다.
+ * @param {object} opts
+ * @param {Function} opts.deploy 새 Enum 컨트랙트를 배포해 돌려주는 async 함수 (accounts[0]이 배포자여야 함)
+ * @param {Array<object>} opts.accounts [{ name, signer }] (첫 번째가 생성자)
+ * @param {number} [opts.steps] 실행할 호출 수 (기본 50)
+ * @param {number} [opts.seed] 난수 시드 (기본 1)
+ * @param {Function} [opts.onStep] 스텝마다 { index, action, expected, outcome, mismatches }를 받는 콜백
+ * @return {Promise<object>} { passed, seed, steps, failedAt, mismatches, stats }
+ */
+async function runAuctionModel({ deploy, accounts, steps = 50, seed = 1, onStep }) {
+    const random = seededRandom(seed);
+    const stats = { succeeded: 0, reverted: 0, auctions: 0, transitions: {} };
+
+    let auction;
+    let model;
+    const restart = async () => {
+        auction = await deploy();
+        const receipt = await auction.deploymentTransaction().wait();
+        const block = await ethers.provider.getBlock(receipt.blockNumber);
+        model = initialModel(accounts[0].signer.address, block.timestamp);
+        stats.auctions++;
+    };
+    await restart();
+
+    for (let index = 0; index < steps; index++) {
+        if (model.status === Status.Sold) {
+            await restart();
+        }
+
+        const action = randomAction(random, model, accounts);
+        const expected = transition(model, action);
+        const contract = auction.connect(action.account.signer);
+        const mismatches = [];
+
+        let receipt = null;
+        let decoded = null;
+        try {
+            const tx = action.name === "placeBid" ? contract.placeBid({ value: action.value }) : contract[action.name]();
+            receipt = await (await tx).wait();
+        } catch (error) {
+            decoded = await describeRevert(error, [auction.interface]);
+        }
+
+        if (expected.revert) {
+            if (receipt) {
+                mismatches.push(`예상 revert "${expected.revert}", 실제 성공`);
+            } else if (!matchesRevert(decoded, { reason: expected.revert })) {
+                mismatches.push(`예상 revert "${expected.revert}", 실제 ${formatRevert(decoded)}`);
+            }
+            stats.reverted++;
+        } else if (!receipt) {
+            mismatches.push(`예상 성공, 실제 ${formatRevert(decoded)}`);
+        } else {
+            const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+            mismatches.push(...compareEvents(auction, receipt, expected.events, timestamp));
+
+            model = expected.next;
+            if (expected.events[0].event === "StatusChanged") {
+                // 상태 진입 시간은 블록이 만들어져야 알 수 있으므로 여기서 채웁니다
+                model = { ...model, timestamps: { ...model.timestamps, [model.status]: timestamp } };
+                const key = `${STATUS[expected.events[0].from]}→${STATUS[model.status]}`;
+                stats.transitions[key] = (stats.transitions[key] || 0) + 1;
+            }
+            stats.succeeded++;
+        }
+
+        if (mismatches.length === 0) {
+            mismatches.push(...(await compareState(auction, model)));
+        }
+
+        const outcome = receipt ? "성공" : `revert: ${formatRevert(decoded)}`;
+        if (onStep) {
+            onStep({ index, action, expected, outcome, mismatches });
+        }
+        if (mismatches.length > 0) {
+            return { passed: false, seed, steps: index + 1, failedAt: index, action, mismatches, stats };
+        }
+    }
+
+    return { passed: true, seed, steps, failedAt: null, mismatches: [], stats };
+}
+
+module.exports = {
+    STATUS,
+    Status,
+    STATUS_NAMES,
+    initialModel,
+    transition,
+    seededRandom,
+    randomAction,
+    formatAction,
+    compareState,
+    runAuctionModel,
+};
@@ -0,0 +1,248 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { supportsHardhatRpc } = require("./chain");
+
+// ================================
+// 블록 환경 시뮬레이션 도구
+// ================================
+//
+// BlockProperty / BlockProperty2처럼 block.number, block.timestamp, block.chainid에 따라 결과가 달라지는 컨트랙트를
+// 로컬 체인에서 원하는 블록 환경으로 옮겨 가며 확인합니다.
+//
+// 1. applyBlockEnv      다음 블록의 타임스탬프 지정, hardhat_mine으로 블록 N개(또는 목표 번호까지)를 한 번에 채굴
+// 2. createChain        chainId만 다른 인프로세스 Hardhat 네트워크를 새로 띄움 (isCorrectChain 확인용)
+// 3. runBlockSimulation 체인마다 컨트랙트를 배포하고 스텝별로 환경 적용 → 블록 속성 읽기 → 기대값 대조 → 타임라인 기록
+//
+// view 호출(eth_call)은 최신 블록의 block.number / block.timestamp로 실행되므로, 채굴 직후 읽은 값이 곧 그 블록의 값입니다.
+
+// BlockProperty.getCurrentPhase()의 단계 길이 (block.number / 10000)
+const PHASE_LENGTH = 10000;
+
+// getCurrentBlockInfo() 반환값 이름 (BlockProperty는 7개, BlockProperty2는 블록 번호와 타임스탬프 2개)
+const BLOCK_INFO_FIELDS = {
+    7: ["basefee", "chainId", "coinbase", "prevrandao", "gaslimit", "number", "timestamp"],
+    2: ["number", "timestamp"],
+};
+
+const quantity = (value) => ethers.toQuantity(BigInt(value));
+
+/**
+ * 블록 환경을 바꿉니다. 타임스탬프를 먼저 정하고 블록을 채굴합니다.
+ * @param {object} env
+ * @param {number} [env.timestamp] 다음 블록의 타임스탬프 (최신 블록보다 커야 함)
+ * @param {number} [env.advance] 최신 블록 기준으로 다음 블록 타임스탬프를 몇 초 뒤로 할지 (timestamp와 함께 쓸 수 없음)
+ * @param {number} [env.mine] 채굴할 블록 수
+ * @param {number} [env.mineTo] 이 블록 번호가 될 때까지 채굴 (mine과 함께 쓸 수 없음)
+ * @param {number} [env.interval] 여러 블록을 채굴할 때 블록 사이의 초 (기본값: 1)
+ * @param {import("ethers").Provider} [provider] 대상 체인 (기본값: 현재 네트워크)
+ * @return {Promise<object>} 적용 후 최신 블록
+ */
+async function applyBlockEnv(env, provider = ethers.provider) {
+    if (env.timestamp !== undefined && env.advance !== undefined) {
+        throw new Error("timestamp와 advance는 함께 지정할 수 없습니다.");
+    }
+    if (env.mine !== undefined && env.mineTo !== undefined) {
+        throw new Error("mine과 mineTo는 함께 지정할 수 없습니다.");
+    }
+    if (provider === ethers.provider && !(await supportsHardhatRpc())) {
+        throw new Error("블록 환경은 hardhat_mine을 지원하는 로컬 체인(Hardhat, anvil)에서만 바꿀 수 있습니다.");
+    }
+
+    const latest = await provider.getBlock("latest");
+    let timestamp = env.timestamp;
+    if (env.advance !== undefined) {
+        timestamp = latest.timestamp + env.advance;
+    }
+    if (timestamp !== undefined) {
+        if (timestamp <= latest.timestamp) {
+            throw new Error(`다음 블록 타임스탬프 ${timestamp}는 최신 블록(${latest.timestamp})보다 커야 합니다.`);
+        }
+        await provider.send("evm_setNextBlockTimestamp", [quantity(timestamp)]);
+    }
+
+    let blocks = env.mine;
+    if (env.mineTo !== undefined) {
+        if (env.mineTo <= latest.number) {
+            throw new Error(`목표 블록 ${env.mineTo}는 최신 블록(${latest.number})보다 커야 합니다.`);
+        }
+        blocks = env.mineTo - latest.number;
+    }
+    // 타임스탬프만 지정했으면 블록 하나를 채굴해 바로 반영합니다
+    if (blocks === undefined) {
+        blocks = timestamp !== undefined ? 1 : 0;
+    }
+    if (blocks > 0) {
+        await provider.send("hardhat_mine", [quantity(blocks), quantity(env.interval || 1)]);
+    }
+    return provider.getBlock("latest");
+}
+
+/**
+ * 설정으로 새 인프로세스 Hardhat 네트워크를 만들고 ethers 프로바이더로 감쌉니다.
+ * Hardhat은 이 기능을 공개 API로 내보내지 않으므로 내부 모듈은 이 함수에서만 불러오고,
+ * 패키지 버전이 바뀌어 모듈을 찾지 못하면 원인을 알 수 있는 오류로 바꿔 던집니다.
+ * (ethers의 BrowserProvider는 보내기 전에 대기 블록 기준으로 가스를 추정해, coinbase 등을 쓰는 생성자가 가스 부족으로 실패합니다)
+ * @param {object} config hre.config 형태의 설정
+ * @return {Promise<import("ethers").Provider>} HardhatEthersProvider
+ */
+async function createInProcessProvider(config) {
+    const internal = (request, name) => {
+        try {
+            const exported = require(request)[name];
+            if (typeof exported === "function") {
+                return exported;
+            }
+        } catch (error) {
+            // 아래에서 공통 오류로 바꿉니다
+        }
+        throw new Error(`설치된 버전에서 내부 모듈 ${request}의 ${name}을 찾을 수 없어 createChain을 쓸 수 없습니다.`);
+    };
+    const createProvider = internal("hardhat/internal/core/providers/construction", "createProvider");
+    const HardhatEthersProvider = internal("@nomicfoundation/hardhat-ethers/internal/hardhat-ethers-provider", "HardhatEthersProvider");
+
+    return new HardhatEthersProvider(await createProvider(config, "hardhat", hre.artifacts), "hardhat");
+}
+
+/**
+ * chainId만 다른 새 인프로세스 Hardhat 네트워크를 만듭니다. 계정과 나머지 설정은 hardhat 네트워크 설정을 따릅니다.
+ * @param {number} chainId 새 체인의 chainId
+ * @return {Promise<object>} { chainId, provider, signers }
+ */
+async function createChain(chainId) {
+    const config = {
+        ...hre.config,
+        networks: { ...hre.config.networks, hardhat: { ...hre.config.networks.hardhat, chainId } },
+    };
+    const provider = await createInProcessProvider(config);
+    const accounts = await provider.send("eth_accounts", []);
+    const signers = await Promise.all(accounts.map((account) => provider.getSigner(account)));
+    return { chainId, provider, signers };
+}
+
+/**
+ * 컨트랙트의 getCurrentBlockInfo()와 (있으면) getCurrentPhase()로 현재 블록 속성을 읽습니다.
+ * @param {import("ethers").Contract} contract BlockProperty 또는 BlockProperty2
+ * @return {Promise<object>} { number, timestamp, [chainId, basefee, coinbase, prevrandao, gaslimit, phase] }
+ */
+async function readBlockProperties(contract) {
+    const info = await contract.getCurrentBlockInfo();
+    const fields = BLOCK_INFO_FIELDS[info.length];
+    if (!fields) {
+        throw new Error(`getCurrentBlockInfo()의 반환값 ${info.length}개를 해석할 수 없습니다.`);
+    }
+
+    const row = {};
+    fields.forEach((field, i) => {
+        row[field] = typeof info[i] === "bigint" && field !== "prevrandao" ? Number(info[i]) : info[i];
+    });
+    if (contract.interface.hasFunction("getCurrentPhase")) {
+        row.phase = Number(await contract.getCurrentPhase());
+    }
+    return row;
+}
+
+/**
+ * 스텝의 기대값을 컨트랙트 호출 결과와 대조합니다.
+ * @param {import("ethers").Contract} contract BlockProperty
+ * @param {object} row readBlockProperties() 결과
+ * @param {object} expect { number, timestamp, phase, afterTime: { 시각: bool }, chain: { chainId: bool } }
+ * @return {Promise<Array<object>>} { expected, actual, passed }
+ */
+async function checkBlockExpectations(contract, row, expect) {
+    const checks = [];
+    const add = (label, expected, actual) =>
+        checks.push({ expected: `${label} = ${expected}`, actual: `${label} = ${actual}`, passed: expected === actual });
+
+    for (const field of ["number", "timestamp", "phase"]) {
+        if (expect[field] !== undefined) {
+            add(field, expect[field], row[field]);
+        }
+    }
+    for (const [target, expected] of Object.entries(expect.afterTime || {})) {
+        add(`isAfterTime(${target})`, expected, await contract.isAfterTime(target));
+    }
+    for (const [chainId, expected] of Object.entries(expect.chain || {})) {
+        add(`isCorrectChain(${chainId})`, expected, await contract.isCorrectChain(chainId));
+    }
+    return checks;
+}
+
+/**
+ * 블록 환경 시뮬레이션을 실행합니다.
+ * chainId를 지정하면 그 chainId로 새 체인을 띄우고, 생략하면 현재 네트워크에서 실행합니다.
+ *
+ * 스텝의 env와 expect는 값 또는 (sim) => 값 함수이며, sim에는 start(배포 직후 블록 속성)와 rows(지금까지의 타임라인)가 있습니다.
+ *
+ * @param {object} sim
+ * @param {string} [sim.contract] 배포할 컨트랙트 이름 (기본값: "BlockProperty")
+ * @param {number} [sim.chainId] 새 체인의 chainId
+ * @param {Array<object>} sim.steps { title, env, expect }
+ * @param {Function} [sim.onStep] 스텝마다 타임라인 행을 받아 호출되는 콜백
+ * @return {Promise<object>} { chainId, contract, timeline: [{ step, ...블록 속성, checks }] }
+ */
+async function runBlockSimulation(sim) {
+    let provider = ethers.provider;
+    let signer;
+    if (sim.chainId !== undefined) {
+        ({ provider, signers: [signer] } = await createChain(sim.chainId));
+    } else {
+        [signer] = await ethers.getSigners();
+    }
+
+    const contract = await ethers.deployContract(sim.contract || "BlockProperty", [], signer);
+    await contract.waitForDeployment();
+    const start = await readBlockProperties(contract);
+    const state = { start, rows: [] };
+    const resolve = (value) => (typeof value === "function" ? value(state) : value);
+
+    for (const step of sim.steps) {
+        if (step.env) {
+            await applyBlockEnv(resolve(step.env), provider);
+        }
+        const row = await readBlockProperties(contract);
+        const checks = step.expect ? await checkBlockExpectations(contract, row, resolve(step.expect)) : [];
+        const entry = { step: step.title, ...row, checks };
+        state.rows.push(entry);
+        if (sim.onStep) {
+            sim.onStep(entry);
+        }
+    }
+
+    const { chainId } = await provider.getNetwork();
+    return { chainId: Number(chainId), contract, timeline: state.rows };
+}
+
+/**
+ * 타임라인을 표 형태의 출력 줄로 만듭니다.
+ * @param {Array<object>} timeline runBlockSimulation()의 timeline
+ * @return {Array<string>}
+ */
+function formatTimeline(timeline) {
+    const columns = [
+        ["블록", (row) => row.number],
+        ["타임스탬프", (row) => row.timestamp],
+        ["단계", (row) => (row.phase === undefined ? "-" : row.phase)],
+        ["체인", (row) => (row.chainId === undefined ? "-" : row.chainId)],
+        ["검증", (row) => `${row.checks.filter((check) => check.passed).length}/${row.checks.length}`],
+    ];
+    // 한글은 터미널에서 두 칸을 차지하므로 표시 너비로 맞춥니다
+    const width = (text) => [...text].reduce((sum, char) => sum + (/[\u1100-\u11ff\uac00-\ud7a3]/.test(char) ? 2 : 1), 0);
+    const cells = timeline.map((row) => columns.map(([, read]) => String(read(row))));
+    const widths = columns.map(([title], i) => Math.max(width(title), ...cells.map((cell) => width(cell[i]))));
+    const line = (values) => values.map((value, i) => " ".repeat(widths[i] - width(value)) + value).join(" | ");
+
+    return [
+        line(columns.map(([title]) => title)),
+        ...cells.map((cell, i) => `${line(cell)} | ${timeline[i].step}`),
+    ];
+}
+
+module.exports = {
+    PHASE_LENGTH,
+    applyBlockEnv,
+    createChain,
+    readBlockProperties,
+    checkBlockExpectations,
+    runBlockSimulation,
+    formatTimeline,
+};
@@ -0,0 +1,173 @@
+const { ethers } = require("hardhat");
+
+// ================================
+// calldata 생성과 진입점 예측
+// ================================
+//
+// Solidity 디스패처의 라우팅 규칙:
+//   1. calldata의 첫 4바이트가 함수 셀렉터와 일치하면 그 함수
+//   2. calldata가 비어 있으면 receive() (없으면 fallback())
+//   3. 그 외 (일치하는 셀렉터가 없거나 4바이트 미만)는 fallback()
+//   4. 갈 곳이 없거나 payable이 아닌 진입점에 이더를 보내면 revert
+
+/**
+ * "transfer(address,uint256)", "function transfer(address to, uint256 amount)" 같은
+ * 사람이 읽는 시그니처를 함수 프래그먼트로 바꿉니다.
+ * @param {string} signature 함수 시그니처
+ * @return {import("ethers").FunctionFragment}
+ */
+function parseSignature(signature) {
+    try {
+        return ethers.FunctionFragment.from(signature.trim());
+    } catch (error) {
+        throw new Error(`함수 시그니처를 해석할 수 없습니다: ${signature}`);
+    }
+}
+
+/**
+ * 함수 시그니처의 4바이트 셀렉터를 계산합니다. 매개변수 이름과 공백은 무시됩니다.
+ * @param {string} signature 함수 시그니처
+ * @return {string} 0x로 시작하는 셀렉터
+ */
+function selectorOf(signature) {
+    return parseSignature(signature).selector;
+}
+
+/**
+ * 함수 시그니처와 인자로 calldata를 만듭니다.
+ * @param {string} signature 함수 시그니처 (예: "nonExistentFunction(uint256)")
+ * @param {Array<any>} [args] 함수 인자
+ * @return {string} 셀렉터 + ABI 인코딩된 인자
+ */
+function encodeCall(signature, args = []) {
+    const fragment = parseSignature(signature);
+    if (args.length !== fragment.inputs.length) {
+        throw new Error(`${fragment.format()}의 인자는 ${fragment.inputs.length}개인데 ${args.length}개가 주어졌습니다`);
+    }
+    return ethers.concat([fragment.selector, ethers.AbiCoder.defaultAbiCoder().encode(fragment.inputs, args)]);
+}
+
+/**
+ * ABI를 보고 { data, value } 호출이 어느 진입점으로 가는지 예측합니다.
+ * @param {Array<any>|import("ethers").Interface} abi 컨트랙트 ABI 또는 인터페이스
+ * @param {object} call
+ * @param {string} [call.data] calldata (기본값 "0x")
+ * @param {bigint} [call.value] 함께 보내는 이더 (wei, 기본값 0)
+ * @return {object} { entry, selector, fragment, payable, reverts, reason }
+ *   entry: "function" | "receive" | "fallback" | "none"
+ *   reverts: 진입 단계에서 확실히 revert되는지 여부 (진입점 내부의 require는 알 수 없음)
+ */
+function predictEntryPoint(abi, { data = "0x", value = 0n } = {}) {
+    const iface = abi instanceof ethers.Interface ? abi : new ethers.Interface(abi);
+    const size = ethers.dataLength(data);
+    const selector = size >= 4 ? ethers.dataSlice(data, 0, 4) : null;
+    const sendsValue = BigInt(value) > 0n;
+
+    const route = (entry, payable, extra = {}) => {
+        const rejectsValue = sendsValue && !payable;
+        const name = extra.fragment ? extra.fragment.name : entry;
+        return {
+            entry,
+            selector,
+            payable,
+            reverts: rejectsValue,
+            reason: rejectsValue ? `payable이 아닌 ${name}에 이더 전송` : null,
+            ...extra,
+        };
+    };
+
+    const fragment = selector && iface.getFunction(selector);
+    if (fragment) {
+        const result = route("function", fragment.payable, { fragment });
+        if (!result.reverts) {
+            try {
+                iface.decodeFunctionData(fragment, data);
+            } catch (error) {
+                return { ...result, reverts: true, reason: "인자 디코딩 실패 (calldata가 짧거나 잘못됨)" };
+            }
+        }
+        return result;
+    }
+
+    if (size === 0 && iface.receive) {
+        return route("receive", true);
+    }
+    if (iface.fallback) {
+        return route("fallback", iface.fallback.payable);
+    }
+    const reason = size === 0 ? "receive와 fallback이 모두 없음" : "일치하는 함수와 fallback이 없음";
+    return { entry: "none", selector, payable: false, reverts: true, reason };
+}
+
+/**
+ * predictEntryPoint 결과를 한 줄 문자열로 만듭니다.
+ * @param {object} prediction predictEntryPoint 결과
+ * @return {string}
+ */
+function formatEntryPoint(prediction) {
+    let target = `${prediction.entry}()`;
+    if (prediction.entry === "function") {
+        target = prediction.fragment.format();
+    } else if (prediction.entry === "none") {
+        target = "진입점 없음";
+    }
+    return prediction.reverts ? `${target} → revert (${prediction.reason})` : target;
+}
+
+/**
+ * ABI의 셀렉터 목록을 만듭니다. receive/fallback도 함께 표시합니다.
+ * @param {Array<any>|import("ethers").Interface} abi 컨트랙트 ABI 또는 인터페이스
+ * @return {Array<object>} { selector, signature, stateMutability } (receive/fallback의 selector는 null)
+ */
+function listSelectors(abi) {
+    const iface = abi instanceof ethers.Interface ? abi : new ethers.Interface(abi);
+    const rows = [];
+    iface.forEachFunction((fragment) => {
+        rows.push({ selector: fragment.selector, signature: fragment.format(), stateMutability: fragment.stateMutability });
+    });
+    rows.sort((a, b) => a.selector.localeCompare(b.selector));
+    if (iface.receive) {
+        rows.push({ selector: null, signature: "receive() (빈 calldata)", stateMutability: "payable" });
+    }
+    if (iface.fallback) {
+        rows.push({
+            selector: null,
+            signature: "fallback() (그 외 모든 calldata)",
+            stateMutability: iface.fallback.payable ? "payable" : "nonpayable",
+        });
+    }
+    return rows;
+}
+
+/**
+ * 로컬에서 계산한 셀렉터를 TransactionProperty2.calculateSelector()의 온체인 결과와 비교합니다.
+ * getCheckFunctionSelector()에 저장된 newOrderList() 셀렉터도 함께 확인합니다.
+ * @param {import("ethers").Contract} transactionProperty2 배포된 TransactionProperty2
+ * @param {Array<string>} signatures 확인할 함수 시그니처 목록
+ * @return {Promise<Array<object>>} { signature, local, onChain, match }
+ */
+async function crossCheckSelectors(transactionProperty2, signatures) {
+    const rows = [];
+    for (const signature of signatures) {
+        // 온체인 계산은 keccak256(문자열)이므로 정규화된 시그니처를 넘깁니다
+        const canonical = parseSignature(signature).format("sighash");
+        const local = selectorOf(signature);
+        const onChain = await transactionProperty2.calculateSelector(canonical);
+        rows.push({ signature: canonical, local, onChain, match: local === onChain });
+    }
+
+    const stored = await transactionProperty2.getCheckFunctionSelector();
+    const local = selectorOf("newOrderList()");
+    rows.push({ signature: "checkFunction (newOrderList())", local, onChain: stored, match: local === stored });
+    return rows;
+}
+
+module.exports = {
+    parseSignature,
+    selectorOf,
+    encodeCall,
+    predictEntryPoint,
+    formatEntryPoint,
+    listSelectors,
+    crossCheckSelectors,
+};
@@ -0,0 +1,160 @@
+const { ethers, network, config } = require("hardhat");
+
+// ================================
+// 체인 환경 헬퍼
+// ================================
+
+// evm_* 시간 조작 RPC를 지원하는 로컬 개발용 노드들
+const LOCAL_CLIENTS = /hardhat|anvil|ganache/i;
+// hardhat_* RPC(hardhat_setStorageAt, hardhat_mine 등)까지 지원하는 노드들 (Ganache는 evm_*만 지원)
+const HARDHAT_RPC_CLIENTS = /hardhat|anvil/i;
+
+/**
+ * 현재 연결된 노드의 web3_clientVersion이 패턴과 맞는지 확인합니다.
+ * @param {RegExp} pattern 노드 이름 패턴
+ * @return {Promise<boolean>}
+ */
+async function clientMatches(pattern) {
+    try {
+        const clientVersion = await ethers.provider.send("web3_clientVersion", []);
+        return pattern.test(clientVersion);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 현재 연결된 노드가 시간 조작(evm_increaseTime, evm_mine)을 지원하는 로컬 개발 체인인지 확인합니다.
+ * @return {Promise<boolean>}
+ */
+const isLocalChain = () => clientMatches(LOCAL_CLIENTS);
+
+/**
+ * 현재 연결된 노드가 hardhat_* RPC를 지원하는지(Hardhat, anvil) 확인합니다.
+ * @return {Promise<boolean>}
+ */
+const supportsHardhatRpc = () => clientMatches(HARDHAT_RPC_CLIENTS);
+
+/**
+ * 최신 블록의 타임스탬프를 반환합니다.
+ * @return {Promise<number>}
+ */
+async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+/**
+ * 로컬 체인에서 다음 블록의 타임스탬프를 지정하고 블록을 하나 채굴합니다.
+ * @param {number} timestamp 이동할 시간 (유닉스 타임스탬프, 현재보다 커야 함)
+ */
+async function increaseTimeTo(timestamp) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [ethers.toQuantity(timestamp)]);
+    await ethers.provider.send("evm_mine", []);
+}
+
+/**
+ * 실제 네트워크에서 최신 블록의 타임스탬프가 목표 시간에 도달할 때까지 폴링하며 기다립니다.
+ * @param {number} timestamp 목표 시간 (유닉스 타임스탬프)
+ * @param {object} [opts]
+ * @param {number} [opts.interval] 폴링 간격 (밀리초, 기본 5초)
+ * @param {Function} [opts.onTick] 매 폴링마다 남은 초를 받아 호출되는 콜백
+ */
+async function waitUntil(timestamp, opts = {}) {
+    const interval = opts.interval || 5000;
+
+    for (;;) {
+        const remaining = timestamp - (await latestTimestamp());
+        if (remaining <= 0) {
+            return;
+        }
+        if (opts.onTick) {
+            opts.onTick(remaining);
+        }
+        // 블록 타임스탬프는 다음 블록이 나와야 갱신되므로 남은 시간이 짧아도 최소 1초는 기다립니다
+        await new Promise((resolve) => setTimeout(resolve, Math.max(1000, Math.min(interval, remaining * 1000))));
+    }
+}
+
+// ================================
+// 네트워크별 설정 (hardhat.config.js)
+// ================================
+
+/**
+ * 현재 네트워크의 배포 설정(networks.<이름>.deploy)을 트랜잭션 옵션으로 바꿔 반환합니다.
+ * DEPLOY_CONFIRMATIONS 환경 변수가 있으면 설정 파일의 confirmations보다 우선합니다.
+ * @return {{confirmations: number, overrides: object}} 기다릴 블록 확인 수와 배포 트랜잭션 옵션
+ */
+function deploySettings() {
+    const settings = config.networks[network.name].deploy || {};
+    const overrides = {};
+    if (settings.gasLimit) {
+        overrides.gasLimit = BigInt(settings.gasLimit);
+    }
+    // 수수료는 gwei 단위로 설정합니다
+    if (settings.maxFeePerGas) {
+        overrides.maxFeePerGas = ethers.parseUnits(String(settings.maxFeePerGas), "gwei");
+    }
+    if (settings.maxPriorityFeePerGas) {
+        overrides.maxPriorityFeePerGas = ethers.parseUnits(String(settings.maxPriorityFeePerGas), "gwei");
+    }
+
+    return {
+        confirmations: Number(process.env.DEPLOY_CONFIRMATIONS || settings.confirmations || 1),
+        overrides,
+    };
+}
+
+/**
+ * namedAccounts 설정의 역할 이름(deployer, user1, user2 ...)을 시그너로 바꿉니다.
+ * 값은 계정 인덱스나 주소이며, { default: 0, fork: "0x..." }처럼 네트워크별로 지정할 수도 있습니다.
+ * @return {Promise<object>} { 역할 이름: 시그너 }
+ */
+async function getNamedSigners() {
+    const signers = await ethers.getSigners();
+    const named = {};
+    for (const [role, value] of Object.entries(config.namedAccounts || {})) {
+        named[role] = await resolveAccount(value, signers);
+    }
+    return named;
+}
+
+/**
+ * 계정 인덱스, 주소, namedAccounts의 역할 이름 중 하나를 시그너로 바꿉니다.
+ * @param {number|string|object} account 계정 인덱스 | 주소 | 역할 이름 | 네트워크별 설정
+ * @param {Array<object>} [signers] ethers.getSigners() 결과 (생략하면 새로 조회)
+ * @return {Promise<object>} 시그너
+ */
+async function resolveAccount(account, signers) {
+    signers = signers || (await ethers.getSigners());
+
+    if (account !== null && typeof account === "object") {
+        account = account[network.name] !== undefined ? account[network.name] : account.default;
+    }
+    if (typeof account === "string" && /^\d+$/.test(account)) {
+        account = Number(account);
+    }
+    if (typeof account === "number") {
+        if (!signers[account]) {
+            throw new Error(`계정 인덱스 ${account}가 없습니다 (사용 가능: 0-${signers.length - 1})`);
+        }
+        return signers[account];
+    }
+    if (ethers.isAddress(account)) {
+        return ethers.getSigner(account);
+    }
+    if (config.namedAccounts && config.namedAccounts[account] !== undefined) {
+        return resolveAccount(config.namedAccounts[account], signers);
+    }
+    throw new Error(`알 수 없는 계정입니다: ${account}`);
+}
+
+module.exports = {
+    deploySettings,
+    getNamedSigners,
+    resolveAccount,
+    isLocalChain,
+    supportsHardhatRpc,
+    latestTimestamp,
+    increaseTimeTo,
+    waitUntil,
+};
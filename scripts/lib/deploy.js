@@ -0,0 +1,76 @@
+const { ethers } = require("hardhat");
+const { report } = require("./reporter");
+const { isPersistent, saveDeployment, hashBytecode, findReusable } = require("./registry");
+const { deploySettings } = require("./chain");
+
+/**
+ * 컨트랙트를 배포하고 배포 결과를 출력합니다.
+ * 재사용을 요청했고 같은 바이트코드와 생성자 인자로 이미 배포된 기록이 레지스트리에 있으면 그 주소를 재사용합니다.
+ * 재사용한 컨트랙트는 이전 실행에서 바뀐 상태를 그대로 갖고 있으므로, 시나리오는 DEPLOY_REUSE=true일 때만 재사용합니다.
+ * 네트워크 설정의 수수료 옵션을 적용하고, 설정된 블록 확인 수만큼 기다립니다.
+ * @param {string} name 배포할 컨트랙트 이름
+ * @param {Array<any>} args 생성자 인자 목록
+ * @param {object} [opts] 배포 옵션
+ * @param {string} [opts.label] 출력 및 레지스트리에 사용할 이름 (기본값: name)
+ * @param {object} [opts.signer] 배포에 사용할 시그너 (기본값: 첫 번째 계정)
+ * @param {object} [opts.overrides] value, gasLimit 등 트랜잭션 옵션
+ * @param {boolean} [opts.reuse] 레지스트리의 기존 배포를 재사용할지 여부 (기본값: DEPLOY_REUSE 환경 변수가 "true"인지)
+ * @return {Promise<import("ethers").Contract>} 배포가 완료된 컨트랙트
+ */
+async function deployAndReport(name, args = [], opts = {}) {
+    const label = opts.label || name;
+    const factory = await ethers.getContractFactory(name, opts.signer);
+    const { chainId } = await ethers.provider.getNetwork();
+    const bytecodeHash = hashBytecode(factory.bytecode);
+
+    const reuse = opts.reuse !== undefined ? opts.reuse : process.env.DEPLOY_REUSE === "true";
+    const existing = reuse ? await findReusable(chainId, label, bytecodeHash, args) : null;
+    if (existing) {
+        report.log(`\n♻️  ${label} 기존 배포 재사용 (바이트코드/인자 변경 없음)`);
+        report.log("컨트랙트 주소:", existing.address);
+        report.record("deploy", { ...existing, label, reused: true });
+        return factory.attach(existing.address);
+    }
+
+    const { confirmations, overrides } = deploySettings();
+    report.log(`\n🚀 ${label} 컨트랙트 배포 중...`);
+    const contract = await factory.deploy(...args, { ...overrides, ...opts.overrides });
+    await contract.waitForDeployment();
+
+    const address = await contract.getAddress();
+    report.log(`✅ ${label} 컨트랙트 배포 완료!`);
+    report.log("컨트랙트 주소:", address);
+
+    const receipt = await contract.deploymentTransaction().wait(confirmations);
+    const entry = {
+        contract: name,
+        address,
+        args,
+        deployer: receipt.from,
+        blockNumber: receipt.blockNumber,
+        txHash: receipt.hash,
+        bytecodeHash,
+        codeHash: hashBytecode(await ethers.provider.getCode(address)),
+    };
+    if (isPersistent()) {
+        saveDeployment(chainId, label, entry);
+    }
+    report.record("deploy", { ...entry, label, gasUsed: receipt.gasUsed, reused: false });
+
+    return contract;
+}
+
+/**
+ * 배포된 컨트랙트의 런타임 바이트코드 크기를 바이트 단위로 계산합니다.
+ * @param {string} address 컨트랙트 주소
+ * @return {Promise<number>} 코드 크기
+ */
+async function getCodeSize(address) {
+    const code = await ethers.provider.getCode(address);
+    return (code.length - 2) / 2; // 0x 제거 후 바이트 계산
+}
+
+module.exports = {
+    deployAndReport,
+    getCodeSize,
+};
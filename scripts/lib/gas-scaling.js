@@ -0,0 +1,441 @@
+const { ethers, network } = require("hardhat");
+const { describeRevert, formatRevert } = require("./revert");
+const { isLocalChain } = require("./chain");
+
+// ================================
+// 루프 가스 증가 벤치마크
+// ================================
+//
+// 입력 크기에 따라 가스가 늘어나는 함수를 여러 크기로 호출해 gasUsed/estimateGas를 기록하고,
+// 가스 = a + b·n + c·n² 곡선을 최소제곱으로 맞춘 뒤 블록 가스 한도마다 안전한 최대 입력 크기를 구합니다.
+//
+// 벤치마크 정의:
+//   {
+//     contract: "Loopf",                          // 아티팩트 이름
+//     fn: "processArray",                         // 함수 이름
+//     input: (n) => [new Array(n).fill(1)],       // 크기 n의 인자 목록 (없으면 입력이 없는 고정 비용 함수)
+//     maxSize: 65535,                             // 가스와 무관하게 revert하지 않는 최대 크기 (선택)
+//     maxSizeReason: "uint16 합계 overflow",      // maxSize의 이유
+//   }
+//
+// 최대 크기는 곡선으로 예측합니다 (측정값과 곡선의 최대 오차만큼 한도를 줄여 안전한 쪽으로 내림).
+// verify를 켜면 예측값에서 출발해, 가스 한도를 블록 가스 한도로 준 eth_call이 성공하는지 직접 확인하며 정확한 값을 찾습니다.
+// Hardhat 노드는 실행 트레이스를 메모리에 모으므로 수천만 가스짜리 호출 하나에 수 GB를 쓸 수 있고,
+// 큰 입력의 estimateGas는 매우 느려 탐색에는 쓰지 않습니다.
+// 가스 부족이 아니라 revert(예: uint16 합계 overflow)로 먼저 실패하면 그 이유를 함께 기록합니다.
+
+// 측정 크기를 지정하지 않았을 때의 기본값
+const DEFAULT_SIZES = [1, 10, 100, 1000, 2500, 5000, 10000];
+
+// 탐색이 끝나지 않는 정의(가스가 늘지 않는 input)를 막기 위한 상한
+const MAX_SEARCH_SIZE = 10000000;
+
+// 원소 값의 바이트 길이가 크기에 따라 바뀌면 calldata 가스가 계단식으로 늘어 곡선이 맞지 않으므로 같은 길이의 두 값을 번갈아 씁니다
+const alternating = (n) => Array.from({ length: n }, (_, i) => (i % 2 === 0 ? 1000n : 2000n));
+
+const LOOP_BENCHMARKS = [
+    // 반복 횟수가 코드에 고정된 루프: 입력이 없으므로 가스가 상수입니다
+    { contract: "Loopf", fn: "forLoop" },
+    { contract: "Loopf", fn: "whileLoop" },
+    { contract: "Loopf", fn: "nestedLoop" },
+    // 원소가 모두 1이면 uint16 합계가 65536개부터 overflow(Panic 0x11)합니다
+    { contract: "Loopf", fn: "processArray", input: (n) => [new Array(n).fill(1)], maxSize: 65535, maxSizeReason: "uint16 합계 overflow" },
+    { contract: "FunctionVisibility", fn: "processLargeArray", input: (n) => [alternating(n)] },
+    { contract: "PureView", fn: "analyzeArray", input: (n) => [alternating(n)] },
+];
+
+/**
+ * 연립일차방정식을 가우스 소거법으로 풉니다.
+ * @param {Array<Array<number>>} matrix 계수 행렬
+ * @param {Array<number>} vector 상수 벡터
+ * @return {Array<number>}
+ */
+function solve(matrix, vector) {
+    const rows = matrix.map((row, i) => [...row, vector[i]]);
+    const size = rows.length;
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) {
+                pivot = row;
+            }
+        }
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        if (rows[col][col] === 0) {
+            throw new Error("측정 크기가 부족해 곡선을 맞출 수 없습니다. 서로 다른 크기를 더 지정하세요.");
+        }
+        for (let row = 0; row < size; row++) {
+            if (row !== col) {
+                const factor = rows[row][col] / rows[col][col];
+                for (let k = col; k <= size; k++) {
+                    rows[row][k] -= factor * rows[col][k];
+                }
+            }
+        }
+    }
+    return rows.map((row, i) => row[size] / row[i]);
+}
+
+/**
+ * 크기별 가스에 다항식을 최소제곱으로 맞춥니다. 조건수를 줄이려고 크기를 최댓값으로 나눈 뒤 계수를 되돌립니다.
+ * @param {Array<object>} points { size, gas } 목록
+ * @param {number} degree 1 (선형) 또는 2 (이차)
+ * @return {Array<number>} [a, b, c]
+ */
+function leastSquares(points, degree) {
+    const scale = Math.max(...points.map((point) => point.size));
+    const terms = degree + 1;
+    const matrix = Array.from({ length: terms }, () => new Array(terms).fill(0));
+    const vector = new Array(terms).fill(0);
+    for (const { size, gas } of points) {
+        const x = size / scale;
+        for (let i = 0; i < terms; i++) {
+            vector[i] += gas * x ** i;
+            for (let j = 0; j < terms; j++) {
+                matrix[i][j] += x ** (i + j);
+            }
+        }
+    }
+    const coefficients = solve(matrix, vector).map((value, i) => value / scale ** i);
+    return [coefficients[0], coefficients[1], coefficients[2] || 0];
+}
+
+/**
+ * 크기별 가스에 증가 곡선 가스 = a + b·n + c·n²을 맞춥니다.
+ * n²항이 가장 큰 측정 크기에서 가스의 1% 미만이면 선형, 아니면 이차로 분류합니다.
+ * @param {Array<object>} points { size, gas } 목록 (gas는 number 또는 bigint)
+ * @return {object} { model: "상수" | "선형" | "이차", a, b, c, r2, maxResidual }
+ */
+function fitGrowth(points) {
+    const data = points.map((point) => ({ size: Number(point.size), gas: Number(point.gas) }));
+    if (data.length === 0) {
+        throw new Error("측정값이 없어 곡선을 맞출 수 없습니다.");
+    }
+    const sizes = new Set(data.map((point) => point.size));
+    if (sizes.size === 1) {
+        return { model: "상수", a: data[0].gas, b: 0, c: 0, r2: 1, maxResidual: 0 };
+    }
+
+    let [a, b, c] = leastSquares(data, sizes.size >= 3 ? 2 : 1);
+    // 측정 오차로 c가 음수가 되면 한도 근처에서 곡선이 꺾이므로 선형으로 다시 맞춥니다
+    if (c < 0) {
+        [a, b, c] = leastSquares(data, 1);
+    }
+
+    const largest = data.reduce((max, point) => (point.size > max.size ? point : max));
+    const model = c * largest.size ** 2 < largest.gas * 0.01 ? "선형" : "이차";
+
+    const residuals = data.map((point) => point.gas - (a + b * point.size + c * point.size ** 2));
+    const mean = data.reduce((sum, point) => sum + point.gas, 0) / data.length;
+    const residual = residuals.reduce((sum, value) => sum + value ** 2, 0);
+    const total = data.reduce((sum, point) => sum + (point.gas - mean) ** 2, 0);
+    return {
+        model,
+        a,
+        b,
+        c,
+        r2: total === 0 ? 1 : 1 - residual / total,
+        maxResidual: Math.ceil(Math.max(...residuals.map(Math.abs))),
+    };
+}
+
+/**
+ * 증가 곡선으로 가스 한도 안에 들어가는 최대 입력 크기를 예측합니다. 곡선의 최대 오차만큼 한도를 줄여 계산합니다.
+ * @param {object} fit fitGrowth() 결과
+ * @param {number} limit 가스 한도
+ * @return {number} 최대 크기 (한도와 무관하면 Infinity)
+ */
+function predictMaxSize({ a, b, c, maxResidual = 0 }, limit) {
+    const budget = limit - maxResidual;
+    if (a > budget) {
+        return 0;
+    }
+    if (c > 0) {
+        return Math.floor((-b + Math.sqrt(b * b + 4 * c * (budget - a))) / (2 * c));
+    }
+    if (b > 0) {
+        return Math.floor((budget - a) / b);
+    }
+    return Infinity;
+}
+
+/**
+ * fits(n)이 성공하는 가장 큰 n을 찾습니다. guess에서 출발해 1, 2, 4 ...씩 넓혀 경계를 찾고 이분 탐색으로 좁힙니다.
+ * fits는 n에 대해 단조(어떤 크기에서 실패하면 더 큰 크기에서도 실패)여야 합니다.
+ * @param {Function} fits (n) => Promise<{ ok, reason }>
+ * @param {number} guess 예측한 최대 크기
+ * @return {Promise<object>} { size, reason } (size가 0이면 크기 1도 실패, reason은 size + 1에서 실패한 revert 이유 또는 null)
+ */
+async function findMaxSafeSize(fits, guess) {
+    let lo = 0;
+    let hi = null;
+    let reason = null;
+    const check = async (n) => {
+        if (n > MAX_SEARCH_SIZE) {
+            throw new Error(`입력 크기 ${MAX_SEARCH_SIZE}까지 가스 한도에 닿지 않았습니다.`);
+        }
+        const result = await fits(n);
+        if (result.ok) {
+            lo = Math.max(lo, n);
+        } else if (hi === null || n < hi) {
+            hi = n;
+            reason = result.reason;
+        }
+        return result.ok;
+    };
+
+    const start = Math.min(Math.max(1, guess), MAX_SEARCH_SIZE);
+    if (await check(start)) {
+        for (let step = 1; hi === null; step *= 2) {
+            await check(start + step);
+        }
+    } else {
+        for (let step = 1; lo === 0 && hi > 1; step *= 2) {
+            await check(Math.max(1, start - step));
+        }
+    }
+    while (hi - lo > 1) {
+        await check(Math.floor((lo + hi) / 2));
+    }
+    return { size: lo, reason };
+}
+
+/**
+ * 함수를 가스 한도 gasLimit으로 eth_call 해 봅니다.
+ * @param {import("ethers").BaseContractMethod} method 컨트랙트 함수
+ * @param {Array} args 인자
+ * @param {number} gasLimit 가스 한도
+ * @return {Promise<object>} { ok, reason } (가스 부족이면 reason은 null, revert면 formatRevert() 결과)
+ */
+async function fitsInGas(method, args, gasLimit) {
+    try {
+        await method.staticCall(...args, { gasLimit });
+        return { ok: true, reason: null };
+    } catch (error) {
+        if (/ran out of gas|requires at least/i.test(error.message)) {
+            return { ok: false, reason: null };
+        }
+        const decoded = await describeRevert(error);
+        if (decoded.kind === "unknown" && !decoded.selector) {
+            throw error;
+        }
+        return { ok: false, reason: formatRevert(decoded) };
+    }
+}
+
+/**
+ * 함수를 한 번 보내 gasUsed와 estimateGas를 잽니다.
+ * @param {import("ethers").BaseContractMethod} method 컨트랙트 함수
+ * @param {Array} args 인자
+ * @return {Promise<object>} { gasUsed, estimateGas }
+ */
+async function measure(method, args) {
+    const estimateGas = await method.estimateGas(...args);
+    const receipt = await (await method.send(...args)).wait();
+    return { gasUsed: receipt.gasUsed, estimateGas };
+}
+
+/**
+ * 현재 네트워크에 설정된 블록 가스 한도를 반환합니다.
+ * 네트워크 설정의 blockGasLimit(hardhat 네트워크)을 쓰고, 없으면 최신 블록의 gasLimit을 씁니다.
+ * @return {Promise<number>}
+ */
+async function configuredBlockGasLimit() {
+    if (network.config.blockGasLimit) {
+        return Number(network.config.blockGasLimit);
+    }
+    return Number((await ethers.provider.getBlock("latest")).gasLimit);
+}
+
+/**
+ * 벤치마크를 실행합니다. 측정용 트랜잭션을 보내므로 로컬 체인에서만 실행합니다.
+ * @param {object} options
+ * @param {Array<object>} options.benchmarks 벤치마크 정의 목록 (기본값: LOOP_BENCHMARKS)
+ * @param {Array<number>} options.sizes 측정할 입력 크기 (기본값: DEFAULT_SIZES)
+ * @param {Array<number>} [options.limits] 블록 가스 한도 (기본값: 네트워크에 설정된 블록 가스 한도 하나)
+ * @param {boolean} options.verify 예측한 최대 크기를 eth_call로 확인해 정확한 값을 찾을지 여부 (기본값: false)
+ * @param {Function} options.onProgress 진행 메시지를 받을 콜백 (message) => void
+ * @return {Promise<Array<object>>} 벤치마크별 { label, input, points, fit, limits }
+ *   points: { size, gasUsed, estimateGas } (고정 비용 함수의 size는 null)
+ *   limits: { limit, maxSize, predictedSize, reason, verified } (고정 비용 함수는 { limit, fits })
+ */
+async function runGasScaling({
+    benchmarks = LOOP_BENCHMARKS,
+    sizes = DEFAULT_SIZES,
+    limits,
+    verify = false,
+    onProgress = () => {},
+} = {}) {
+    if (!(await isLocalChain())) {
+        throw new Error("가스 증가 벤치마크는 측정용 트랜잭션을 많이 보내므로 로컬 체인(Hardhat, anvil, Ganache)에서만 실행할 수 있습니다.");
+    }
+    if (!limits) {
+        limits = [await configuredBlockGasLimit()];
+    }
+    for (const value of [...sizes, ...limits]) {
+        if (!Number.isSafeInteger(value) || value <= 0) {
+            throw new Error(`입력 크기와 블록 가스 한도는 양의 정수여야 합니다: ${value}`);
+        }
+    }
+
+    const contracts = {};
+    const results = [];
+    for (const benchmark of benchmarks) {
+        const label = `${benchmark.contract}.${benchmark.fn}`;
+        if (!contracts[benchmark.contract]) {
+            contracts[benchmark.contract] = await ethers.deployContract(benchmark.contract);
+            await contracts[benchmark.contract].waitForDeployment();
+        }
+        const method = contracts[benchmark.contract].getFunction(benchmark.fn);
+
+        if (!benchmark.input) {
+            onProgress(`⛽ ${label} (고정 비용)`);
+            const point = { size: null, ...(await measure(method, [])) };
+            results.push({
+                label,
+                input: false,
+                points: [point],
+                fit: fitGrowth([{ size: 0, gas: point.gasUsed }]),
+                limits: limits.map((limit) => ({ limit, fits: point.estimateGas <= BigInt(limit) })),
+            });
+            continue;
+        }
+
+        const points = [];
+        for (const size of sizes) {
+            onProgress(`⛽ ${label} n=${size}`);
+            points.push({ size, ...(await measure(method, benchmark.input(size))) });
+        }
+        const fit = fitGrowth(points.map((point) => ({ size: point.size, gas: point.gasUsed })));
+
+        const found = [];
+        for (const limit of limits) {
+            const predictedSize = predictMaxSize(fit, limit);
+            const capped = benchmark.maxSize !== undefined && predictedSize > benchmark.maxSize;
+            if (!verify) {
+                found.push({
+                    limit,
+                    maxSize: capped ? benchmark.maxSize : predictedSize === Infinity ? null : predictedSize,
+                    predictedSize,
+                    reason: capped ? benchmark.maxSizeReason || null : null,
+                    verified: false,
+                });
+                continue;
+            }
+            onProgress(`🔎 ${label} 최대 입력 확인 (한도 ${limit})`);
+            const guess = capped ? benchmark.maxSize : predictedSize;
+            if (guess === Infinity) {
+                found.push({ limit, maxSize: null, predictedSize, reason: null, verified: true });
+                continue;
+            }
+            const { size, reason } = await findMaxSafeSize((n) => fitsInGas(method, benchmark.input(n), limit), guess);
+            found.push({ limit, maxSize: size, predictedSize, reason, verified: true });
+        }
+        results.push({ label, input: true, points, fit, limits: found });
+    }
+    return results;
+}
+
+/**
+ * 증가 곡선을 한 줄로 표현합니다.
+ * @param {object} fit fitGrowth() 결과
+ * @return {string} 예) "이차: 21,652 + 410.25·n + 0.00195·n²"
+ */
+function formatCurve({ model, a, b, c }) {
+    const constant = Math.round(a).toLocaleString("en-US");
+    if (model === "상수") {
+        return `상수: ${constant}`;
+    }
+    const linear = `${constant} + ${b.toFixed(2)}·n`;
+    return model === "선형" ? `선형: ${linear}` : `이차: ${linear} + ${Number(c.toPrecision(3))}·n²`;
+}
+
+/**
+ * 블록 가스 한도 하나에 대한 결과 셀을 만듭니다.
+ * @param {object} result runGasScaling()의 항목
+ * @param {object} entry result.limits의 항목
+ * @return {string}
+ */
+function formatLimitCell(result, entry) {
+    if (!result.input) {
+        return entry.fits ? "✅ 고정" : "❌ 초과";
+    }
+    if (entry.maxSize === null) {
+        return "제한 없음";
+    }
+    const size = entry.maxSize.toLocaleString("en-US");
+    return entry.reason ? `${size} (${entry.reason})` : size;
+}
+
+/**
+ * 결과를 Markdown 표로 만듭니다. 한도별 최대 입력 표와 크기별 측정값 표를 만듭니다.
+ * @param {Array<object>} results runGasScaling() 결과
+ * @return {string}
+ */
+function toMarkdown(results) {
+    const limits = results.length > 0 ? results[0].limits.map((entry) => entry.limit) : [];
+    const verified = results.some((result) => result.limits.some((entry) => entry.verified));
+    const lines = [
+        "# 루프 가스 증가 벤치마크",
+        "",
+        `## 블록 가스 한도별 최대 안전 입력 크기 (${verified ? "eth_call로 확인" : "곡선 예측"})`,
+        "",
+        `| 함수 | 증가 곡선 (gas) | ${limits.map((limit) => limit.toLocaleString("en-US")).join(" | ")} |`,
+        `| --- | --- |${" ---: |".repeat(limits.length)}`,
+    ];
+    for (const result of results) {
+        const cells = result.limits.map((entry) => formatLimitCell(result, entry));
+        lines.push(`| ${result.label} | ${formatCurve(result.fit)} | ${cells.join(" | ")} |`);
+    }
+
+    lines.push("", "## 측정값", "", "| 함수 | 입력 크기 | gasUsed | estimateGas |", "| --- | ---: | ---: | ---: |");
+    for (const result of results) {
+        for (const point of result.points) {
+            const size = point.size === null ? "-" : point.size.toLocaleString("en-US");
+            lines.push(`| ${result.label} | ${size} | ${point.gasUsed.toLocaleString("en-US")} | ${point.estimateGas.toLocaleString("en-US")} |`);
+        }
+    }
+    lines.push("");
+    return lines.join("\n");
+}
+
+/**
+ * 결과를 CSV로 만듭니다. 측정값은 kind=measurement, 한도별 최대 입력은 kind=limit 행입니다.
+ * @param {Array<object>} results runGasScaling() 결과
+ * @return {string}
+ */
+function toCsv(results) {
+    const escape = (value) => (value === null || value === undefined ? "" : /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+    const rows = [["kind", "function", "size", "gasUsed", "estimateGas", "blockGasLimit", "maxSafeSize", "predictedSize", "limitedBy", "verified", "model", "a", "b", "c"]];
+
+    for (const result of results) {
+        const { model, a, b, c } = result.fit;
+        for (const point of result.points) {
+            rows.push(["measurement", result.label, point.size, point.gasUsed, point.estimateGas, "", "", "", "", "", model, a, b, c]);
+        }
+        for (const entry of result.limits) {
+            if (!result.input) {
+                rows.push(["limit", result.label, "", "", "", entry.limit, "", "", entry.fits ? "" : "gas", "", model, a, b, c]);
+                continue;
+            }
+            const limitedBy = entry.maxSize === null ? "" : entry.reason || "gas";
+            const predicted = entry.predictedSize === Infinity ? "" : entry.predictedSize;
+            rows.push(["limit", result.label, "", "", "", entry.limit, entry.maxSize, predicted, limitedBy, entry.verified, model, a, b, c]);
+        }
+    }
+    return rows.map((row) => row.map(escape).join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+    DEFAULT_SIZES,
+    configuredBlockGasLimit,
+    LOOP_BENCHMARKS,
+    fitGrowth,
+    predictMaxSize,
+    findMaxSafeSize,
+    fitsInGas,
+    runGasScaling,
+    formatCurve,
+    toMarkdown,
+    toCsv,
+};
@@ -0,0 +1,164 @@
+const { ethers } = require("hardhat");
+
+// ================================
+// 가스 측정 헬퍼
+// ================================
+
+// 실패할 트랜잭션은 가스 추정(eth_estimateGas)부터 실패하므로 가스 한도를 직접 지정해서 보냅니다
+const REVERT_GAS_LIMIT = 1_000_000n;
+
+/**
+ * 보낸 뒤 채굴된 블록들에서 보낸 계정과 논스가 같은 실패 트랜잭션의 영수증을 찾습니다.
+ * 같은 노드를 쓰는 다른 계정이나 스크립트의 실패 트랜잭션은 건너뜁니다.
+ * @param {number} fromBlock 보내기 직전의 블록 번호
+ * @param {string} from 보낸 계정 주소
+ * @param {number} nonce 보낸 트랜잭션의 논스
+ * @return {Promise<import("ethers").TransactionReceipt|null>}
+ */
+async function findRevertedReceipt(fromBlock, from, nonce) {
+    const latest = await ethers.provider.getBlockNumber();
+    for (let number = latest; number > fromBlock; number--) {
+        const block = await ethers.provider.getBlock(number, true);
+        for (const tx of [...block.prefetchedTransactions].reverse()) {
+            if (tx.from === from && tx.nonce === nonce && tx.gasLimit === REVERT_GAS_LIMIT) {
+                const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+                if (receipt.status === 0) {
+                    return receipt;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * revert되는 트랜잭션을 실제로 채굴시키고 소모된 가스를 반환합니다.
+ * 실패한 트랜잭션의 영수증은 노드마다 다른 곳에서 찾습니다.
+ *   - 내장 Hardhat 네트워크: 에러의 transactionHash
+ *   - 일반 노드: tx.wait() 에러의 receipt
+ *   - Hardhat JSON-RPC 노드(--network localhost): 에러의 data.txHash, 없으면 보낸 뒤 채굴된 블록에서 보낸 계정과 논스로 검색
+ * @param {Function} send 오버라이드 객체를 받아 트랜잭션을 보내는 함수 (예: (overrides) => contract.fn(arg, overrides))
+ * @param {import("ethers").AddressLike} signer 트랜잭션을 보내는 계정
+ * @return {Promise<{gasUsed: bigint, error: Error}>} 소모된 가스와 revert 에러
+ */
+async function revertGasUsed(send, signer) {
+    const from = await ethers.resolveAddress(signer);
+    const nonce = await ethers.provider.getTransactionCount(from, "pending");
+    const fromBlock = await ethers.provider.getBlockNumber();
+    try {
+        const tx = await send({ gasLimit: REVERT_GAS_LIMIT, nonce });
+        await tx.wait();
+    } catch (error) {
+        const txHash = error.transactionHash || (error.data && error.data.txHash);
+        const receipt =
+            error.receipt ||
+            (txHash ? await ethers.provider.getTransactionReceipt(txHash) : await findRevertedReceipt(fromBlock, from, nonce));
+        if (!receipt) {
+            throw error;
+        }
+        return { gasUsed: receipt.gasUsed, error };
+    }
+    throw new Error("트랜잭션이 revert되지 않았습니다");
+}
+
+// ================================
+// 가스/코드 크기 리포트
+// ================================
+
+// EIP-170 런타임 바이트코드 크기 한도 (24KB)
+const CODE_SIZE_LIMIT = 24576;
+// 한도의 90% 이상이면 경고로 표시합니다
+const CODE_SIZE_WARNING = 0.9;
+
+/**
+ * 0x로 시작하는 바이트코드의 크기를 바이트 단위로 계산합니다.
+ * @param {string} bytecode 바이트코드
+ * @return {number}
+ */
+const bytecodeSize = (bytecode) => (bytecode.length - 2) / 2;
+
+/**
+ * 런타임 코드 크기가 EIP-170 한도에 얼마나 가까운지 판정합니다.
+ * @param {number} size 런타임 코드 크기
+ * @return {string} ok | warning | exceeded
+ */
+function codeSizeStatus(size) {
+    if (size > CODE_SIZE_LIMIT) {
+        return "exceeded";
+    }
+    return size >= CODE_SIZE_LIMIT * CODE_SIZE_WARNING ? "warning" : "ok";
+}
+
+/**
+ * 여러 번 측정한 가스 값을 호출 수, 최소, 평균, 최대로 요약합니다.
+ * @param {Array<number>} values 가스 사용량 목록
+ * @return {{calls: number, min: number, avg: number, max: number}}
+ */
+function summarizeGas(values) {
+    return {
+        calls: values.length,
+        min: Math.min(...values),
+        avg: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+        max: Math.max(...values),
+    };
+}
+
+/**
+ * 리포트를 기준선과 비교할 수 있는 값들로 줄입니다.
+ * @param {object} gasReport { contracts, functions }
+ * @return {object} { contracts: { 이름: { deployGas, runtimeSize } }, functions: { "컨트랙트.함수": 평균 가스 } }
+ */
+function toBaseline(gasReport) {
+    const baseline = { contracts: {}, functions: {} };
+    for (const { name, deployGas, runtimeSize } of gasReport.contracts) {
+        baseline.contracts[name] = { deployGas, runtimeSize };
+    }
+    for (const { contract, function: fn, avg } of gasReport.functions) {
+        baseline.functions[`${contract}.${fn}`] = avg;
+    }
+    return baseline;
+}
+
+/**
+ * 현재 리포트를 기준선과 비교해 허용 오차(%)보다 많이 늘어난 항목을 찾습니다.
+ * 기준선에 없는 항목은 새 항목이므로 비교하지 않습니다.
+ * @param {object} gasReport { contracts, functions }
+ * @param {object} baseline toBaseline 형식의 기준선
+ * @param {number} tolerance 허용 오차 (퍼센트)
+ * @return {Array<object>} { key, metric, baseline, current, change } 목록
+ */
+function findRegressions(gasReport, baseline, tolerance) {
+    const current = toBaseline(gasReport);
+    const regressions = [];
+    const check = (key, metric, before, after) => {
+        if (typeof before !== "number" || typeof after !== "number" || before === 0) {
+            return;
+        }
+        const change = ((after - before) / before) * 100;
+        if (change > tolerance) {
+            regressions.push({ key, metric, baseline: before, current: after, change });
+        }
+    };
+
+    for (const [name, values] of Object.entries(current.contracts)) {
+        const before = baseline.contracts[name] || {};
+        check(name, "deployGas", before.deployGas, values.deployGas);
+        check(name, "runtimeSize", before.runtimeSize, values.runtimeSize);
+    }
+    for (const [key, avg] of Object.entries(current.functions)) {
+        check(key, "gas", baseline.functions[key], avg);
+    }
+    return regressions;
+}
+
+module.exports = {
+    REVERT_GAS_LIMIT,
+    CODE_SIZE_LIMIT,
+    CODE_SIZE_WARNING,
+    revertGasUsed,
+    bytecodeSize,
+    codeSizeStatus,
+    summarizeGas,
+    toBaseline,
+    findRegressions,
+};
@@ -0,0 +1,319 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { isPersistent, isDeployed, loadRegistry } = require("./registry");
+
+// ================================
+// 이벤트 인덱서
+// ================================
+//
+// 추적하는 컨트랙트의 로그를 가져와 아티팩트 ABI로 디코딩하고 events/<chainId>.json에 저장합니다.
+// 컨트랙트마다 마지막으로 인덱싱한 블록을 기억하므로 backfill()을 다시 호출하면 새 블록만 가져옵니다.
+//
+// - 마지막으로 인덱싱한 블록의 해시도 저장해 두고, 인덱서를 열 때 체인의 같은 블록과 다르면
+//   (노드 재시작, hardhat_reset 등으로 체인이 초기화된 경우) 저장소를 비우고 처음부터 인덱싱합니다.
+// - 스크립트 실행마다 새로 시작되는 내장 hardhat 네트워크에서는 파일로 저장하지 않고 메모리에만 둡니다.
+// - 프록시처럼 자신의 ABI에 없는 이벤트를 내보내는 주소는 전체 아티팩트의 이벤트로 디코딩합니다.
+
+const EVENTS_DIR = path.join(__dirname, "..", "..", "events");
+
+const replacer = (key, value) => (typeof value === "bigint" ? value.toString() : value);
+
+/**
+ * 체인 ID에 해당하는 이벤트 저장소 파일 경로를 반환합니다.
+ * @param {bigint|number|string} chainId 체인 ID
+ * @return {string}
+ */
+const storePath = (chainId) => path.join(EVENTS_DIR, `${chainId}.json`);
+
+let artifactInterfaces = null;
+
+/**
+ * 이벤트가 있는 모든 컨트랙트 아티팩트의 인터페이스를 불러옵니다. 결과는 캐시됩니다.
+ * 이름이 같아도 indexed 여부가 다른 이벤트가 있으므로 하나로 합치지 않고 아티팩트별로 둡니다.
+ * @return {Promise<Array<import("ethers").Interface>>}
+ */
+async function loadArtifactInterfaces() {
+    if (!artifactInterfaces) {
+        artifactInterfaces = [];
+        for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+            const { abi } = await hre.artifacts.readArtifact(name);
+            if (abi.some((item) => item.type === "event")) {
+                artifactInterfaces.push(new ethers.Interface(abi));
+            }
+        }
+    }
+    return artifactInterfaces;
+}
+
+/**
+ * 이벤트 인자 값을 JSON으로 저장할 수 있는 형태로 바꿉니다.
+ * indexed로 선언된 string/bytes/배열은 원래 값 대신 해시만 로그에 남으므로 해시를 저장합니다.
+ * @param {any} value 디코딩된 인자 값
+ * @return {any}
+ */
+function plain(value) {
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    if (value instanceof ethers.Indexed) {
+        return { hash: value.hash };
+    }
+    if (value && typeof value.toArray === "function") {
+        return value.toArray().map(plain);
+    }
+    return Array.isArray(value) ? value.map(plain) : value;
+}
+
+/**
+ * 로그 하나를 주어진 인터페이스들로 디코딩합니다.
+ * @param {import("ethers").Log} log 원본 로그
+ * @param {Array<import("ethers").Interface>} interfaces 순서대로 시도할 인터페이스들
+ * @return {object|null} { event, signature, args, indexed }
+ */
+function decodeLog(log, interfaces) {
+    for (const iface of interfaces) {
+        let parsed = null;
+        try {
+            parsed = iface.parseLog(log);
+        } catch (error) {
+            // 토픽은 같지만 indexed 구성이 달라 디코딩에 실패한 경우 다음 인터페이스를 시도합니다
+        }
+        if (!parsed) {
+            continue;
+        }
+
+        const args = {};
+        const indexed = {};
+        parsed.fragment.inputs.forEach((input, i) => {
+            const key = input.name || String(i);
+            args[key] = plain(parsed.args[i]);
+            if (input.indexed) {
+                indexed[key] = args[key];
+            }
+        });
+        return { event: parsed.name, signature: parsed.signature, args, indexed };
+    }
+    return null;
+}
+
+/**
+ * 이벤트 인덱서를 엽니다. 저장소 파일이 있으면 이어서 인덱싱합니다.
+ * @param {object} [opts]
+ * @param {string|null} [opts.file] 저장소 파일 경로 (기본값: 영구 네트워크면 events/<chainId>.json, 아니면 메모리만 사용)
+ * @return {Promise<object>} track, trackRegistry, backfill, watch, query, summary, save 메서드를 가진 인덱서
+ */
+async function openIndexer(opts = {}) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const file = opts.file !== undefined ? opts.file : isPersistent() ? storePath(chainId) : null;
+
+    let store = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+    if (store && store.head) {
+        // 마지막으로 인덱싱한 블록이 없거나 해시가 다르면 체인이 초기화된 것입니다
+        const block = await ethers.provider.getBlock(store.head.number);
+        if (!block || block.hash !== store.head.hash) {
+            store = null;
+        }
+    }
+    if (!store) {
+        store = { chainId: chainId.toString(), head: null, contracts: {}, events: [] };
+    }
+    const seen = new Set(store.events.map(({ transactionHash, logIndex }) => `${transactionHash}:${logIndex}`));
+    const ownInterfaces = {};
+
+    async function interfacesFor(contract) {
+        if (!ownInterfaces[contract]) {
+            const { abi } = await hre.artifacts.readArtifact(contract);
+            ownInterfaces[contract] = new ethers.Interface(abi);
+        }
+        return [ownInterfaces[contract], ...(await loadArtifactInterfaces())];
+    }
+
+    const indexer = {
+        file,
+        store,
+
+        /**
+         * 인덱싱할 컨트랙트를 추가합니다. 이미 추적 중이면 라벨과 컨트랙트 이름만 갱신하고 마지막 인덱싱 블록을 유지합니다.
+         * 같은 주소의 배포 블록이 바뀌었으면 그 주소의 이벤트를 지우고 새 배포 블록부터 다시 인덱싱합니다.
+         * @param {string} label 컨트랙트 라벨
+         * @param {string} contract ABI를 가져올 컨트랙트 이름
+         * @param {string} address 컨트랙트 주소
+         * @param {number} [fromBlock] 인덱싱을 시작할 블록 (보통 배포 블록)
+         */
+        track(label, contract, address, fromBlock = 0) {
+            const key = address.toLowerCase();
+            const tracked = store.contracts[key];
+            if (!tracked || tracked.fromBlock !== fromBlock) {
+                store.events = store.events.filter((event) => {
+                    const stale = event.address.toLowerCase() === key;
+                    if (stale) {
+                        seen.delete(`${event.transactionHash}:${event.logIndex}`);
+                    }
+                    return !stale;
+                });
+                store.contracts[key] = { label, contract, address, fromBlock, lastBlock: fromBlock - 1 };
+                return;
+            }
+
+            Object.assign(tracked, { label, contract });
+            for (const event of store.events) {
+                if (event.address.toLowerCase() === key) {
+                    Object.assign(event, { label, contract });
+                }
+            }
+        },
+
+        /**
+         * 배포 레지스트리(deployments/<chainId>.json)의 모든 컨트랙트를 배포 블록부터 추적합니다.
+         * 노드가 초기화되어 기록된 코드가 더 이상 체인에 없는 항목은 건너뜁니다.
+         * @return {Promise<number>} 추적 중인 컨트랙트 수
+         */
+        async trackRegistry() {
+            for (const [label, entry] of Object.entries(loadRegistry(chainId).contracts)) {
+                if (await isDeployed(entry)) {
+                    indexer.track(label, entry.contract, entry.address, entry.blockNumber || 0);
+                }
+            }
+            return Object.keys(store.contracts).length;
+        },
+
+        /**
+         * 추적 중인 컨트랙트의 새 로그를 가져와 디코딩하고 저장합니다.
+         * @param {number} [toBlock] 마지막 블록 (기본값: 최신 블록)
+         * @return {Promise<Array<object>>} 새로 인덱싱한 이벤트
+         */
+        async backfill(toBlock) {
+            const latest = toBlock !== undefined ? toBlock : await ethers.provider.getBlockNumber();
+            const added = [];
+
+            for (const tracked of Object.values(store.contracts)) {
+                if (tracked.lastBlock >= latest) {
+                    continue;
+                }
+                const logs = await ethers.provider.getLogs({
+                    address: tracked.address,
+                    fromBlock: tracked.lastBlock + 1,
+                    toBlock: latest,
+                });
+                const interfaces = await interfacesFor(tracked.contract);
+
+                for (const log of logs) {
+                    const id = `${log.transactionHash}:${log.index}`;
+                    if (seen.has(id)) {
+                        continue;
+                    }
+                    seen.add(id);
+
+                    // 디코딩하지 못한 로그도 토픽과 데이터를 그대로 남깁니다
+                    const decoded = decodeLog(log, interfaces) || {
+                        event: null,
+                        signature: null,
+                        args: { topics: log.topics, data: log.data },
+                        indexed: {},
+                    };
+                    added.push({
+                        label: tracked.label,
+                        contract: tracked.contract,
+                        address: tracked.address,
+                        ...decoded,
+                        blockNumber: log.blockNumber,
+                        transactionHash: log.transactionHash,
+                        logIndex: log.index,
+                    });
+                }
+                tracked.lastBlock = latest;
+            }
+
+            added.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+            store.events.push(...added);
+            store.head = { number: latest, hash: (await ethers.provider.getBlock(latest)).hash };
+            indexer.save();
+            return added;
+        },
+
+        /**
+         * 새 블록마다 backfill()을 실행합니다.
+         * @param {object} [watchOpts]
+         * @param {Function} [watchOpts.onEvent] 새 이벤트마다 호출되는 콜백
+         * @param {Function} [watchOpts.onError] backfill 실패 시 호출되는 콜백
+         * @return {Function} 구독을 멈추는 async 함수 (진행 중인 backfill을 기다림)
+         */
+        watch(watchOpts = {}) {
+            // 블록이 연달아 와도 backfill이 겹치지 않도록 순서대로 실행합니다
+            let running = Promise.resolve();
+            const onBlock = (blockNumber) => {
+                running = running
+                    .then(() => indexer.backfill(blockNumber))
+                    .then((events) => events.forEach((event) => watchOpts.onEvent && watchOpts.onEvent(event)))
+                    .catch((error) => watchOpts.onError && watchOpts.onError(error));
+            };
+            ethers.provider.on("block", onBlock);
+
+            return async () => {
+                await ethers.provider.off("block", onBlock);
+                await running;
+            };
+        },
+
+        /**
+         * 저장된 이벤트를 조건으로 찾습니다. 모든 조건은 생략할 수 있습니다.
+         * @param {object} [filter]
+         * @param {string} [filter.contract] 컨트랙트 이름 또는 라벨
+         * @param {string} [filter.event] 이벤트 이름
+         * @param {string} [filter.address] indexed address 인자 중 하나가 이 주소인 이벤트
+         * @param {number} [filter.fromBlock] 시작 블록 (포함)
+         * @param {number} [filter.toBlock] 마지막 블록 (포함)
+         * @return {Array<object>}
+         */
+        query(filter = {}) {
+            const address = filter.address && filter.address.toLowerCase();
+            return store.events.filter(
+                (event) =>
+                    (!filter.contract || event.contract === filter.contract || event.label === filter.contract) &&
+                    (!filter.event || event.event === filter.event) &&
+                    (!address ||
+                        Object.values(event.indexed).some(
+                            (value) => typeof value === "string" && value.toLowerCase() === address
+                        )) &&
+                    (filter.fromBlock === undefined || event.blockNumber >= filter.fromBlock) &&
+                    (filter.toBlock === undefined || event.blockNumber <= filter.toBlock)
+            );
+        },
+
+        /**
+         * 라벨과 이벤트 이름별 이벤트 수를 셉니다.
+         * @param {Array<object>} [events] 셀 이벤트 (기본값: 저장된 전체 이벤트)
+         * @return {object} { "라벨.이벤트": 개수 }
+         */
+        summary(events = store.events) {
+            const counts = {};
+            for (const { label, event } of events) {
+                const key = `${label}.${event || "(알 수 없음)"}`;
+                counts[key] = (counts[key] || 0) + 1;
+            }
+            return counts;
+        },
+
+        /**
+         * 저장소를 파일에 씁니다. 메모리 전용 인덱서에서는 아무 일도 하지 않습니다.
+         */
+        save() {
+            if (!file) {
+                return;
+            }
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(store, replacer, 2) + "\n");
+        },
+    };
+
+    return indexer;
+}
+
+module.exports = {
+    EVENTS_DIR,
+    decodeLog,
+    loadArtifactInterfaces,
+    openIndexer,
+};
@@ -0,0 +1,86 @@
+const { ethers } = require("hardhat");
+
+// ================================
+// Struct 마켓플레이스 시드 데이터
+// ================================
+//
+// contracts/기초/Struct.sol을 배포 스크립트와 테스트에서 같은 상품/사용자 구성으로 채우기 위한 데이터와 헬퍼입니다.
+// 배포자(Admin, Platinum)는 생성자에서 자동 등록되므로 USERS에는 나머지 계정만 있습니다.
+
+const USER_LEVELS = ["Bronze", "Silver", "Gold", "Platinum"];
+const UserLevel = Object.fromEntries(USER_LEVELS.map((name, i) => [name, i]));
+
+const ORDER_STATUSES = ["Pending", "Confirmed", "Shipped", "Delivered", "Cancelled"];
+const OrderStatus = Object.fromEntries(ORDER_STATUSES.map((name, i) => [name, i]));
+
+// seller는 상품을 등록하는 계정의 역할 이름입니다 (deployer, user1, user2)
+const CATALOG = [
+    { name: "Wireless Earbuds", price: "0.05", category: "Electronics", stock: 40, seller: "deployer" },
+    { name: "4K Monitor", price: "0.3", category: "Electronics", stock: 8, seller: "deployer" },
+    { name: "Mechanical Keyboard", price: "0.08", category: "Electronics", stock: 25, seller: "user1" },
+    { name: "Denim Jacket", price: "0.04", category: "Clothing", stock: 15, seller: "user1" },
+    { name: "Running Shoes", price: "0.06", category: "Clothing", stock: 20, seller: "user1" },
+    { name: "Solidity Handbook", price: "0.01", category: "Books", stock: 100, seller: "deployer" },
+    { name: "Building Blocks Set", price: "0.02", category: "Toys", stock: 3, seller: "user2" },
+];
+
+const USERS = [
+    { role: "user1", username: "alice", email: "alice@example.com", level: UserLevel.Gold },
+    { role: "user2", username: "bob", email: "bob@example.com", level: UserLevel.Silver },
+];
+
+/**
+ * 상품 가격(ETH 문자열)을 wei로 바꿉니다.
+ * @param {object} item CATALOG 항목
+ * @return {bigint}
+ */
+const priceOf = (item) => ethers.parseEther(item.price);
+
+/**
+ * 트랜잭션 영수증에서 이벤트 하나를 찾아 인자를 돌려줍니다.
+ * @param {import("ethers").Contract} market Struct 컨트랙트
+ * @param {import("ethers").TransactionReceipt} receipt 트랜잭션 영수증
+ * @param {string} name 이벤트 이름
+ * @return {import("ethers").Result|null}
+ */
+function findEvent(market, receipt, name) {
+    const parsed = receipt.logs
+        .map((log) => market.interface.parseLog(log))
+        .find((event) => event && event.name === name);
+    return parsed ? parsed.args : null;
+}
+
+/**
+ * USERS를 등록하고 CATALOG 상품을 만듭니다.
+ * @param {import("ethers").Contract} market 배포된 Struct 컨트랙트
+ * @param {object} accounts 역할 이름 → 시그너 (deployer, user1, user2)
+ * @param {object} [opts]
+ * @param {Array<object>} [opts.catalog] 등록할 상품 목록 (기본값: CATALOG)
+ * @param {Array<object>} [opts.users] 등록할 사용자 목록 (기본값: USERS)
+ * @return {Promise<Array<object>>} 상품 목록 + 발급된 productId
+ */
+async function seedMarketplace(market, accounts, opts = {}) {
+    for (const user of opts.users || USERS) {
+        await (await market.connect(accounts[user.role]).registerUser(user.username, user.email, user.level)).wait();
+    }
+
+    const products = [];
+    for (const item of opts.catalog || CATALOG) {
+        const tx = await market.connect(accounts[item.seller]).createProduct(item.name, priceOf(item), item.category, item.stock);
+        const { productId } = findEvent(market, await tx.wait(), "ProductCreated");
+        products.push({ ...item, id: productId });
+    }
+    return products;
+}
+
+module.exports = {
+    USER_LEVELS,
+    UserLevel,
+    ORDER_STATUSES,
+    OrderStatus,
+    CATALOG,
+    USERS,
+    priceOf,
+    findEvent,
+    seedMarketplace,
+};
@@ -0,0 +1,425 @@
+const { ethers } = require("hardhat");
+const { getRevertData } = require("./revert");
+
+// ================================
+// Address.sol 일괄 지급 도구
+// ================================
+//
+// 수신자/금액 CSV를 읽어 contracts/기초/Address.sol의 batchSendEther로 나눠 보내고,
+// EtherSent 이벤트와 getTransferHistoryByAddress() 기록으로 실제 지급 결과를 대조합니다.
+//
+// 1. parsePayoutCsv     CSV → 행 목록 (address,amount[,memo], 금액은 ETH 단위)
+// 2. validatePayouts    체크섬, 영주소, 금액, 컨트랙트 여부(validateAddressComprehensive) 검사
+// 3. planBatches        가스 예산 안에 들어가도록 batchSendEther 호출 단위로 나눔 (이더를 거부하는 수신자는 제외)
+// 4. executePayout      배치를 순서대로 전송 (실패한 배치가 있어도 나머지는 계속 보냄)
+// 5. reconcilePayout    이벤트와 전송 기록을 행마다 대조해 지급 보고서를 만듦
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// batchSendEther는 수신자가 이더를 거부하면 "Transfer failed for recipient " 뒤에 주소 20바이트를 그대로 붙여 revert합니다.
+// 사유가 올바른 UTF-8 문자열이 아니므로 디코딩하지 않고 revert 데이터에 이 접두사가 있는지만 봅니다.
+const RECIPIENT_REJECTED = ethers.hexlify(ethers.toUtf8Bytes("Transfer failed for recipient ")).slice(2);
+
+// 행 상태: 검증 실패로 제외 / 지급 완료 / 배치 revert / 이벤트나 기록이 요청과 다름 / 아직 전송 전
+const PAYOUT_STATUS = {
+    skipped: "skipped",
+    paid: "paid",
+    failed: "failed",
+    mismatch: "mismatch",
+    planned: "planned",
+};
+
+/**
+ * 지급 CSV를 행 목록으로 바꿉니다.
+ * 빈 줄과 #으로 시작하는 줄은 건너뛰고, 첫 줄의 첫 칸이 "address"이면 헤더로 봅니다.
+ * @param {string} text CSV 내용 (address,amount[,memo])
+ * @return {Array<object>} { line, input, amountInput, memo }
+ */
+function parsePayoutCsv(text) {
+    const rows = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith("#")) {
+            return;
+        }
+        const [input = "", amountInput = "", ...memo] = line.split(",").map((cell) => cell.trim());
+        if (rows.length === 0 && input.toLowerCase() === "address") {
+            return;
+        }
+        rows.push({ line: i + 1, input, amountInput, memo: memo.join(",") });
+    });
+    return rows;
+}
+
+/**
+ * 주소 문자열을 검사해 체크섬 주소로 바꿉니다.
+ * 대소문자가 섞여 있으면 EIP-55 체크섬이 맞아야 하고, 전부 소문자/대문자이면 경고만 남깁니다.
+ * @param {string} input CSV의 주소 칸
+ * @return {{address: string|null, error: string|null, warning: string|null}}
+ */
+function checkAddress(input) {
+    if (!ADDRESS_PATTERN.test(input)) {
+        return { address: null, error: "주소 형식이 아닙니다 (0x + 16진수 40자리)", warning: null };
+    }
+    let address;
+    try {
+        address = ethers.getAddress(input);
+    } catch (error) {
+        return { address: null, error: "체크섬이 맞지 않습니다 (오타 가능성)", warning: null };
+    }
+    if (address === ethers.ZeroAddress) {
+        return { address, error: "영주소로는 보낼 수 없습니다", warning: null };
+    }
+    const hex = input.slice(2);
+    const warning = hex === hex.toLowerCase() || hex === hex.toUpperCase() ? `체크섬 없는 주소 → ${address}` : null;
+    return { address, error: null, warning };
+}
+
+/**
+ * ETH 단위 금액 문자열을 wei로 바꿉니다.
+ * @param {string} amountInput CSV의 금액 칸
+ * @return {{amount: bigint|null, error: string|null}}
+ */
+function checkAmount(amountInput) {
+    let amount;
+    try {
+        amount = ethers.parseEther(amountInput);
+    } catch (error) {
+        return { amount: null, error: `금액을 읽을 수 없습니다: "${amountInput}"` };
+    }
+    if (amount <= 0n) {
+        return { amount, error: "금액은 0보다 커야 합니다" };
+    }
+    return { amount, error: null };
+}
+
+/**
+ * CSV 행을 검사합니다. 오류가 있는 행은 skipped가 되어 배치에서 빠집니다.
+ * batchSendEther는 수신자 하나만 실패해도 배치 전체를 되돌리므로 컨트랙트 주소는 allowContracts가 없으면 제외합니다.
+ * @param {import("ethers").Contract} payer 배포된 Address 컨트랙트
+ * @param {Array<object>} rows parsePayoutCsv() 결과
+ * @param {object} [opts]
+ * @param {boolean} [opts.allowContracts] 컨트랙트 수신자를 허용 (이더를 받지 않는 컨트랙트는 planBatches에서 걸러짐)
+ * @return {Promise<Array<object>>} 행 + { address, amount, isContract, status, errors, warnings }
+ */
+async function validatePayouts(payer, rows, opts = {}) {
+    const seen = new Map();
+    const entries = [];
+
+    for (const row of rows) {
+        const errors = [];
+        const warnings = [];
+
+        const { address, error: addressError, warning } = checkAddress(row.input);
+        if (addressError) {
+            errors.push(addressError);
+        }
+        if (warning) {
+            warnings.push(warning);
+        }
+        const { amount, error: amountError } = checkAmount(row.amountInput);
+        if (amountError) {
+            errors.push(amountError);
+        }
+
+        let isContract = false;
+        if (address && !addressError) {
+            // 영주소가 아니면 isValid는 항상 true이고, 여기서 필요한 것은 코드 존재 여부입니다
+            [, isContract] = await payer.validateAddressComprehensive(address);
+            if (isContract && !opts.allowContracts) {
+                errors.push("컨트랙트 주소입니다 (이더를 거부하면 배치 전체가 revert됨, allowContracts로 허용)");
+            }
+        }
+        // 같은 주소로 두 번 보내는 것은 막지 않지만 실제로 지급될 행끼리만 알려줍니다
+        if (errors.length === 0) {
+            if (seen.has(address)) {
+                warnings.push(`${seen.get(address)}번째 줄과 같은 주소입니다`);
+            } else {
+                seen.set(address, row.line);
+            }
+        }
+
+        entries.push({
+            ...row,
+            address,
+            amount,
+            isContract,
+            status: errors.length > 0 ? PAYOUT_STATUS.skipped : PAYOUT_STATUS.planned,
+            errors,
+            warnings,
+        });
+    }
+    return entries;
+}
+
+/**
+ * 배치 하나의 batchSendEther 가스를 추정합니다.
+ * @param {import("ethers").Contract} payer 지급자 시그너에 연결된 Address 컨트랙트
+ * @param {Array<object>} entries 배치에 넣을 행
+ * @return {Promise<bigint>}
+ */
+async function estimateBatch(payer, entries) {
+    const recipients = entries.map((entry) => entry.address);
+    const amounts = entries.map((entry) => entry.amount);
+    const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+    return payer.batchSendEther.estimateGas(recipients, amounts, { value: total });
+}
+
+/**
+ * batchSendEther 추정 실패가 수신자의 이더 거부 때문인지 확인합니다.
+ * @param {Error} error estimateGas에서 발생한 에러
+ * @return {boolean}
+ */
+function isRecipientRejection(error) {
+    const data = getRevertData(error);
+    return Boolean(data) && data.includes(RECIPIENT_REJECTED);
+}
+
+/**
+ * 유효한 행을 CSV 순서대로 가스 예산 안에 들어가는 배치로 나눕니다.
+ * 수신자를 하나씩 붙여 가며 실제로 estimateGas를 호출하고, 예산을 넘기면 새 배치를 시작합니다.
+ * 혼자서도 전송이 revert되는 수신자(이더를 받지 않는 컨트랙트)는 배치 전체를 망치지 않도록 skipped로 바꿉니다.
+ * @param {import("ethers").Contract} payer 지급자 시그너에 연결된 Address 컨트랙트
+ * @param {Array<object>} entries validatePayouts() 결과
+ * @param {object} opts
+ * @param {bigint|number} opts.gasBudget 배치 하나의 최대 가스
+ * @return {Promise<Array<object>>} { index, entries, total, gasEstimate }
+ */
+async function planBatches(payer, entries, { gasBudget }) {
+    const budget = BigInt(gasBudget);
+    const batches = [];
+    let current = null;
+
+    const close = () => {
+        if (current) {
+            current.total = current.entries.reduce((sum, entry) => sum + entry.amount, 0n);
+            batches.push(current);
+        }
+    };
+
+    for (const entry of entries.filter((e) => e.status === PAYOUT_STATUS.planned)) {
+        if (current) {
+            const gasEstimate = await estimateBatch(payer, [...current.entries, entry]).catch(() => null);
+            if (gasEstimate !== null && gasEstimate <= budget) {
+                current.entries.push(entry);
+                current.gasEstimate = gasEstimate;
+                continue;
+            }
+        }
+
+        let gasEstimate;
+        try {
+            gasEstimate = await estimateBatch(payer, [entry]);
+        } catch (error) {
+            if (!isRecipientRejection(error)) {
+                throw error;
+            }
+            entry.status = PAYOUT_STATUS.skipped;
+            entry.errors.push("수신자가 이더를 받지 않습니다 (batchSendEther 시뮬레이션 revert)");
+            continue;
+        }
+        if (gasEstimate > budget) {
+            throw new Error(`${entry.line}번째 줄 수신자 하나만으로 가스 예산(${budget})을 넘습니다 (추정 ${gasEstimate})`);
+        }
+        close();
+        current = { index: batches.length, entries: [entry], gasEstimate };
+    }
+    close();
+    return batches;
+}
+
+/**
+ * 배치를 순서대로 batchSendEther로 보냅니다. revert된 배치는 사유를 기록하고 다음 배치로 넘어갑니다.
+ * @param {import("ethers").Contract} payer 지급자 시그너에 연결된 Address 컨트랙트
+ * @param {Array<object>} batches planBatches() 결과
+ * @param {object} [opts]
+ * @param {function(object): void} [opts.onBatch] 배치 하나가 끝날 때마다 호출 ({ batch, receipt, error })
+ * @return {Promise<Array<object>>} { batch, receipt, error }
+ */
+async function executePayout(payer, batches, opts = {}) {
+    const results = [];
+    for (const batch of batches) {
+        const recipients = batch.entries.map((entry) => entry.address);
+        const amounts = batch.entries.map((entry) => entry.amount);
+        let result;
+        try {
+            const tx = await payer.batchSendEther(recipients, amounts, { value: batch.total });
+            result = { batch, receipt: await tx.wait(), error: null };
+        } catch (error) {
+            result = { batch, receipt: null, error };
+        }
+        results.push(result);
+        if (opts.onBatch) {
+            opts.onBatch(result);
+        }
+    }
+    return results;
+}
+
+/**
+ * 지급 결과를 대조해 보고서를 만듭니다.
+ * 성공한 배치의 각 행은 영수증의 EtherSent 이벤트, 그리고 지급 후 새로 생긴 getTransferHistoryByAddress(sender) 기록과
+ * 순서대로 (수신자, 금액, 성공 여부)가 모두 같아야 paid가 됩니다.
+ * @param {import("ethers").Contract} payer Address 컨트랙트
+ * @param {object} opts
+ * @param {string} opts.sender 지급자 주소
+ * @param {Array<object>} opts.entries validatePayouts() 결과 (상태가 갱신됩니다)
+ * @param {Array<object>} opts.results executePayout() 결과
+ * @param {number} opts.historyBefore 지급 전 getTransferHistoryByAddress(sender)의 길이
+ * @return {Promise<object>} 지급 보고서
+ */
+async function reconcilePayout(payer, { sender, entries, results, historyBefore }) {
+    const history = (await payer.getTransferHistoryByAddress(sender)).slice(historyBefore);
+    let historyIndex = 0;
+
+    const batches = results.map(({ batch, receipt, error }) => {
+        if (error) {
+            batch.entries.forEach((entry) => {
+                entry.status = PAYOUT_STATUS.failed;
+                entry.errors.push(`배치 ${batch.index + 1} revert: ${error.shortMessage || error.message}`);
+            });
+            return { index: batch.index, size: batch.entries.length, total: batch.total, status: "reverted" };
+        }
+
+        const events = receipt.logs
+            .filter((log) => log.address === payer.target)
+            .map((log) => payer.interface.parseLog(log))
+            .filter((event) => event && event.name === "EtherSent");
+
+        batch.entries.forEach((entry, i) => {
+            const event = events[i];
+            const record = history[historyIndex++];
+            const expected = `${entry.address} ${entry.amount}`;
+
+            if (!event || event.args.from !== sender || `${event.args.to} ${event.args.amount}` !== expected || !event.args.success) {
+                entry.errors.push(`EtherSent 이벤트 불일치: ${event ? `${event.args.to} ${event.args.amount} success=${event.args.success}` : "없음"}`);
+            }
+            if (!record || record.from !== sender || `${record.to} ${record.amount}` !== expected || !record.success) {
+                entry.errors.push(`전송 기록 불일치: ${record ? `${record.to} ${record.amount} success=${record.success}` : "없음"}`);
+            }
+            entry.txHash = receipt.hash;
+            entry.batch = batch.index + 1;
+            entry.status = entry.errors.length > 0 ? PAYOUT_STATUS.mismatch : PAYOUT_STATUS.paid;
+        });
+
+        return {
+            index: batch.index,
+            size: batch.entries.length,
+            total: batch.total,
+            status: "mined",
+            txHash: receipt.hash,
+            gasEstimate: batch.gasEstimate,
+            gasUsed: receipt.gasUsed,
+        };
+    });
+
+    const sum = (status) => entries.filter((entry) => entry.status === status).reduce((total, entry) => total + (entry.amount || 0n), 0n);
+    const count = (status) => entries.filter((entry) => entry.status === status).length;
+    const totals = {};
+    for (const status of [PAYOUT_STATUS.paid, PAYOUT_STATUS.failed, PAYOUT_STATUS.mismatch, PAYOUT_STATUS.skipped]) {
+        totals[status] = { count: count(status), amount: sum(status) };
+    }
+
+    return {
+        contract: payer.target,
+        sender,
+        batches,
+        totals,
+        entries,
+        reconciled: count(PAYOUT_STATUS.mismatch) === 0 && count(PAYOUT_STATUS.failed) === 0,
+    };
+}
+
+/**
+ * CSV 내용으로 검사 → 배치 계획 → 전송 → 대조를 한 번에 실행합니다.
+ * @param {import("ethers").Contract} payer 지급자 시그너에 연결된 Address 컨트랙트
+ * @param {string} csv CSV 내용
+ * @param {object} opts
+ * @param {bigint|number} opts.gasBudget 배치 하나의 최대 가스
+ * @param {boolean} [opts.allowContracts] 컨트랙트 수신자 허용
+ * @param {boolean} [opts.dryRun] 배치 계획까지만 하고 보내지 않음
+ * @param {function(object): void} [opts.onBatch] executePayout()의 onBatch
+ * @return {Promise<object>} 지급 보고서 (dryRun이면 { entries, plan })
+ */
+async function runPayout(payer, csv, opts) {
+    const sender = await payer.runner.getAddress();
+    if (!(await payer.approvedAddresses(sender))) {
+        throw new Error(`${sender}는 batchSendEther 승인 주소가 아닙니다. 소유자가 setAddressApproval/batchSetApproval로 먼저 승인해야 합니다.`);
+    }
+
+    const entries = await validatePayouts(payer, parsePayoutCsv(csv), opts);
+    const plan = await planBatches(payer, entries, opts);
+    if (opts.dryRun) {
+        return { contract: payer.target, sender, entries, plan };
+    }
+
+    const historyBefore = (await payer.getTransferHistoryByAddress(sender)).length;
+    const results = await executePayout(payer, plan, opts);
+    return reconcilePayout(payer, { sender, entries, results, historyBefore });
+}
+
+/**
+ * 보고서를 JSON으로 저장할 수 있게 bigint를 문자열로, wei를 ETH로 바꿉니다.
+ * @param {object} report reconcilePayout() 결과
+ * @return {string}
+ */
+function serializeReport(report) {
+    const plain = {
+        ...report,
+        totals: Object.fromEntries(
+            Object.entries(report.totals).map(([status, { count, amount }]) => [status, { count, amount: ethers.formatEther(amount) }])
+        ),
+        batches: report.batches.map((batch) => ({ ...batch, total: ethers.formatEther(batch.total) })),
+        entries: report.entries.map((entry) => ({
+            line: entry.line,
+            input: entry.input,
+            address: entry.address,
+            amount: entry.amount === null ? null : ethers.formatEther(entry.amount),
+            memo: entry.memo,
+            status: entry.status,
+            batch: entry.batch,
+            txHash: entry.txHash,
+            isContract: entry.isContract,
+            errors: entry.errors,
+            warnings: entry.warnings,
+        })),
+    };
+    return JSON.stringify(plain, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+/**
+ * 보고서를 콘솔 출력용 줄 목록으로 바꿉니다.
+ * @param {object} report reconcilePayout() 결과
+ * @return {Array<string>}
+ */
+function formatReport(report) {
+    const marks = { paid: "✅", failed: "❌", mismatch: "⚠️ ", skipped: "⏭️ " };
+    const lines = report.entries.map((entry) => {
+        const amount = entry.amount === null ? entry.amountInput : `${ethers.formatEther(entry.amount)} ETH`;
+        const notes = [...entry.errors, ...entry.warnings].join("; ");
+        return `${marks[entry.status] || "  "} ${String(entry.line).padStart(3)}줄 ${entry.address || entry.input} ${amount} ${entry.status}${notes ? ` (${notes})` : ""}`;
+    });
+    lines.push("");
+    for (const batch of report.batches) {
+        const gas = batch.status === "mined" ? `, 가스 ${batch.gasUsed} (추정 ${batch.gasEstimate})` : "";
+        lines.push(`배치 ${batch.index + 1}: ${batch.size}명, ${ethers.formatEther(batch.total)} ETH, ${batch.status}${gas}`);
+    }
+    const { paid, failed, mismatch, skipped } = report.totals;
+    lines.push(
+        `지급 ${paid.count}건 ${ethers.formatEther(paid.amount)} ETH / 실패 ${failed.count}건 / 불일치 ${mismatch.count}건 / 제외 ${skipped.count}건`
+    );
+    return lines;
+}
+
+module.exports = {
+    PAYOUT_STATUS,
+    parsePayoutCsv,
+    checkAddress,
+    validatePayouts,
+    planBatches,
+    executePayout,
+    reconcilePayout,
+    runPayout,
+    serializeReport,
+    formatReport,
+};
@@ -0,0 +1,153 @@
+const { ethers } = require("hardhat");
+const { supportsHardhatRpc, latestTimestamp } = require("./chain");
+const { getStorageLayout } = require("./upgrade");
+
+// ================================
+// EIP-2612 permit 도구
+// ================================
+//
+// ERC20Permit 토큰(contracts/자료형/MyToken.sol)의 permit 서명을 만들고 릴레이어가 대신 제출하는 흐름입니다.
+//
+// 1. getPermitDomain      배포된 토큰의 eip712Domain()으로 EIP-712 도메인을 만들고 DOMAIN_SEPARATOR()와 대조
+// 2. signPermit           토큰 보유자가 가스 없이 Permit 메시지에 서명 (nonce는 토큰에서 조회)
+// 3. relayPermitTransfer  spender(릴레이어)가 permit()과 transferFrom()을 보내고 가스를 부담
+//
+// permit()은 서명자가 owner와 다르면 ERC2612InvalidSigner, deadline이 지났으면 ERC2612ExpiredSignature로 revert합니다.
+// 잘못된 nonce나 이미 쓴 서명(재사용)은 복원되는 서명자가 달라지므로 ERC2612InvalidSigner가 됩니다.
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+// 서명 유효 기간 기본값 (1시간)
+const DEFAULT_PERMIT_TTL = 60 * 60;
+
+/**
+ * 배포된 토큰의 EIP-712 도메인을 만듭니다.
+ * ERC-5267 eip712Domain()의 값으로 만든 도메인 해시가 토큰의 DOMAIN_SEPARATOR()와 다르면 에러를 던집니다.
+ * @param {import("ethers").Contract} token ERC20Permit 토큰
+ * @return {Promise<object>} { name, version, chainId, verifyingContract }
+ */
+async function getPermitDomain(token) {
+    const [, name, version, chainId, verifyingContract] = await token.eip712Domain();
+    const domain = { name, version, chainId, verifyingContract };
+
+    const expected = await token.DOMAIN_SEPARATOR();
+    if (ethers.TypedDataEncoder.hashDomain(domain) !== expected) {
+        throw new Error(`${verifyingContract}의 EIP-712 도메인이 DOMAIN_SEPARATOR()와 다릅니다 (${expected})`);
+    }
+    return domain;
+}
+
+/**
+ * permit 메시지에 서명합니다. 트랜잭션을 보내지 않으므로 서명자는 가스가 필요 없습니다.
+ * @param {import("ethers").Contract} token ERC20Permit 토큰
+ * @param {import("ethers").Signer} signer 서명할 계정 (보통 토큰 보유자)
+ * @param {object} opts
+ * @param {string} opts.spender 허용량을 받을 주소 (permit을 제출할 릴레이어)
+ * @param {bigint} opts.value 허용량
+ * @param {number|bigint} [opts.deadline] 서명 만료 시각 (기본값: 최신 블록 + 1시간)
+ * @param {bigint} [opts.nonce] 사용할 nonce (기본값: token.nonces(owner))
+ * @param {string} [opts.owner] 메시지의 owner (기본값: 서명자 주소, 다른 주소를 넣으면 잘못된 서명이 됨)
+ * @return {Promise<object>} { owner, spender, value, nonce, deadline, signature, v, r, s, domain }
+ */
+async function signPermit(token, signer, opts) {
+    const owner = opts.owner || (await signer.getAddress());
+    const domain = await getPermitDomain(token);
+    const message = {
+        owner,
+        spender: opts.spender,
+        value: opts.value,
+        nonce: opts.nonce !== undefined ? opts.nonce : await token.nonces(owner),
+        deadline: opts.deadline !== undefined ? opts.deadline : (await latestTimestamp()) + DEFAULT_PERMIT_TTL,
+    };
+
+    const signature = await signer.signTypedData(domain, PERMIT_TYPES, message);
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { ...message, signature, v, r, s, domain };
+}
+
+/**
+ * permit 서명에서 서명자 주소를 복원합니다.
+ * @param {object} permit signPermit() 결과
+ * @return {string}
+ */
+function recoverPermitSigner(permit) {
+    const { owner, spender, value, nonce, deadline } = permit;
+    return ethers.verifyTypedData(permit.domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline }, permit.signature);
+}
+
+/**
+ * 릴레이어가 permit()을 제출해 허용량을 받고, 이어서 transferFrom()으로 owner의 토큰을 보냅니다.
+ * @param {import("ethers").Contract} token ERC20Permit 토큰
+ * @param {import("ethers").Signer} relayer permit의 spender이자 가스를 낼 계정
+ * @param {object} permit signPermit() 결과
+ * @param {object} [opts]
+ * @param {string} [opts.to] 토큰을 받을 주소 (생략하면 permit만 제출)
+ * @param {bigint} [opts.amount] 보낼 양 (기본값: permit.value)
+ * @return {Promise<object>} { permitReceipt, transferReceipt }
+ */
+async function relayPermitTransfer(token, relayer, permit, opts = {}) {
+    const relayerAddress = await relayer.getAddress();
+    if (relayerAddress !== ethers.getAddress(permit.spender)) {
+        throw new Error(`permit의 spender(${permit.spender})만 transferFrom을 호출할 수 있습니다 (릴레이어: ${relayerAddress})`);
+    }
+
+    const relayed = token.connect(relayer);
+    const { owner, spender, value, deadline, v, r, s } = permit;
+    const permitReceipt = await (await relayed.permit(owner, spender, value, deadline, v, r, s)).wait();
+    if (!opts.to) {
+        return { permitReceipt, transferReceipt: null };
+    }
+
+    const amount = opts.amount !== undefined ? opts.amount : value;
+    const transferReceipt = await (await relayed.transferFrom(owner, opts.to, amount)).wait();
+    return { permitReceipt, transferReceipt };
+}
+
+/**
+ * 로컬 체인에서 ERC20의 _balances/_totalSupply 슬롯을 직접 써서 토큰을 지급합니다.
+ * MyToken에는 mint 함수가 없으므로 테스트와 배포 스크립트에서 보유자를 만들 때 씁니다.
+ * @param {import("ethers").Contract} token 토큰 (스토리지 레이아웃은 contractName 아티팩트에서 읽음)
+ * @param {string} account 받을 주소
+ * @param {bigint} amount 더할 양
+ * @param {object} [opts]
+ * @param {string} [opts.contractName] 아티팩트 이름 (기본값: "MyToken")
+ */
+async function dealTokens(token, account, amount, opts = {}) {
+    if (!(await supportsHardhatRpc())) {
+        throw new Error("dealTokens는 hardhat_setStorageAt을 지원하는 로컬 체인(Hardhat, anvil)에서만 사용할 수 있습니다.");
+    }
+    const layout = await getStorageLayout(opts.contractName || "MyToken");
+    const slotOf = (label) => {
+        const variable = layout.find((v) => v.label === label);
+        if (!variable) {
+            throw new Error(`스토리지 레이아웃에 ${label} 변수가 없습니다.`);
+        }
+        return variable.slot;
+    };
+
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const balanceSlot = ethers.keccak256(coder.encode(["address", "uint256"], [account, slotOf("_balances")]));
+    const write = (slot, value) =>
+        ethers.provider.send("hardhat_setStorageAt", [token.target, ethers.toQuantity(slot), ethers.toBeHex(value, 32)]);
+
+    await write(balanceSlot, (await token.balanceOf(account)) + amount);
+    await write(slotOf("_totalSupply"), (await token.totalSupply()) + amount);
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    DEFAULT_PERMIT_TTL,
+    getPermitDomain,
+    signPermit,
+    recoverPermitSigner,
+    relayPermitTransfer,
+    dealTokens,
+};
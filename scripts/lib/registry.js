@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+
+// ================================
+// 배포 레지스트리
+// ================================
+//
+// 배포 결과를 deployments/<chainId>.json 파일에 컨트랙트 라벨별로 저장합니다.
+// deploy:contract --reuse나 DEPLOY_REUSE=true로 재사용을 요청하면, 같은 바이트코드와 같은 생성자 인자로 저장된 주소를 재사용합니다.
+// 노드를 재시작하면 같은 주소에 다른 컨트랙트가 배포될 수 있으므로, 저장된 주소는 배포 당시 런타임 코드의 해시와 비교한 뒤에 씁니다.
+//
+// - 스크립트 실행마다 새로 시작되는 내장 hardhat 네트워크에서는 저장하지 않습니다.
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+const replacer = (key, value) => (typeof value === "bigint" ? value.toString() : value);
+
+/**
+ * 현재 네트워크의 배포 결과를 파일에 남길지 여부
+ * @return {boolean}
+ */
+const isPersistent = () => network.name !== "hardhat";
+
+/**
+ * 체인 ID에 해당하는 레지스트리 파일 경로를 반환합니다.
+ * @param {bigint|number|string} chainId 체인 ID
+ * @return {string}
+ */
+const registryPath = (chainId) => path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+
+/**
+ * 레지스트리를 읽어옵니다. 파일이 없으면 빈 레지스트리를 반환합니다.
+ * @param {bigint|number|string} chainId 체인 ID
+ * @return {object} { chainId, contracts: { [label]: entry } }
+ */
+function loadRegistry(chainId) {
+    const file = registryPath(chainId);
+    if (!fs.existsSync(file)) {
+        return { chainId: chainId.toString(), contracts: {} };
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * 배포 정보를 레지스트리에 저장합니다.
+ * @param {bigint|number|string} chainId 체인 ID
+ * @param {string} label 컨트랙트 라벨
+ * @param {object} entry 배포 정보 (contract, address, args, deployer, blockNumber, txHash, bytecodeHash, codeHash)
+ */
+function saveDeployment(chainId, label, entry) {
+    const registry = loadRegistry(chainId);
+    registry.contracts[label] = { ...entry, deployedAt: new Date().toISOString() };
+
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    fs.writeFileSync(registryPath(chainId), JSON.stringify(registry, replacer, 2) + "\n");
+}
+
+/**
+ * 바이트코드의 keccak256 해시를 계산합니다.
+ * @param {string} bytecode 0x로 시작하는 생성 바이트코드 또는 런타임 코드
+ * @return {string}
+ */
+const hashBytecode = (bytecode) => ethers.keccak256(bytecode);
+
+/**
+ * 레지스트리에 기록된 주소에 배포 당시의 런타임 코드가 그대로 있는지 확인합니다.
+ * @param {object} entry 레지스트리의 배포 정보
+ * @return {Promise<boolean>}
+ */
+async function isDeployed(entry) {
+    const code = await ethers.provider.getCode(entry.address);
+    return code !== "0x" && hashBytecode(code) === entry.codeHash;
+}
+
+/**
+ * 레지스트리에 기록된 컨트랙트가 체인에 그대로 있는지 확인하고, 없으면 예외를 던집니다.
+ * @param {string} label 컨트랙트 라벨
+ * @param {object} entry 레지스트리의 배포 정보
+ */
+async function assertDeployed(label, entry) {
+    if (!(await isDeployed(entry))) {
+        throw new Error(
+            `${label}의 주소 ${entry.address}에 레지스트리에 기록된 코드가 없습니다. ` +
+                "노드가 초기화되었다면 다시 배포하세요."
+        );
+    }
+}
+
+/**
+ * 재사용할 수 있는 기존 배포를 찾습니다.
+ * 바이트코드 해시와 생성자 인자가 같고, 해당 주소에 배포 당시의 코드가 그대로 있어야 재사용합니다.
+ * @param {bigint|number|string} chainId 체인 ID
+ * @param {string} label 컨트랙트 라벨
+ * @param {string} bytecodeHash 배포하려는 바이트코드 해시
+ * @param {Array<any>} args 배포하려는 생성자 인자
+ * @return {Promise<object|null>} 재사용할 배포 정보
+ */
+async function findReusable(chainId, label, bytecodeHash, args) {
+    if (!isPersistent()) {
+        return null;
+    }
+
+    const entry = loadRegistry(chainId).contracts[label];
+    if (!entry || entry.bytecodeHash !== bytecodeHash) {
+        return null;
+    }
+    if (JSON.stringify(entry.args) !== JSON.stringify(args, replacer)) {
+        return null;
+    }
+
+    // 노드가 초기화된 경우 주소에 코드가 없거나 다른 컨트랙트가 있으므로 다시 배포합니다
+    return (await isDeployed(entry)) ? entry : null;
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    isPersistent,
+    loadRegistry,
+    saveDeployment,
+    hashBytecode,
+    isDeployed,
+    assertDeployed,
+    findReusable,
+};
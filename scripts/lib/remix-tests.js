@@ -0,0 +1,444 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+    TASK_COMPILE_SOLIDITY_RUN_SOLC,
+    TASK_COMPILE_SOLIDITY_RUN_SOLCJS,
+} = require("hardhat/builtin-tasks/task-names");
+const { describeRevert, formatRevert } = require("./revert");
+
+// ================================
+// Remix 스타일 Solidity 단위 테스트 실행기
+// ================================
+//
+// tests/*_test.sol (Remix의 Solidity Unit Testing 플러그인 형식)을 컴파일하고 배포해 test* 함수를 호출한 뒤,
+// remix_tests.sol의 Assert 라이브러리가 내보내는 AssertionEvent*로 통과/실패를 판정합니다.
+//
+// - 테스트 파일은 contracts/와 따로 컴파일하고 아티팩트도 artifacts/에 쓰지 않습니다.
+//   remix_tests.sol의 Assert 라이브러리가 contracts/artifacts/Assert.sol의 Assert 컨트랙트와 이름이 겹치기 때문입니다.
+// - "remix_tests.sol", "remix_accounts.sol"처럼 Remix가 주입하는 import는 deps/remix-tests/에서 읽습니다.
+// - contracts/ 아래로 가는 상대 import가 가리키는 파일이 없으면, 같은 파일 이름이 contracts/ 아래에 하나만 있을 때 그 파일로 연결합니다
+//   (예: ../contracts/MyToken.sol → contracts/자료형/MyToken.sol). 연결한 경로는 redirects로 알려줍니다.
+// - Remix처럼 테스트 컨트랙트마다 한 번 배포하고 beforeAll → (beforeEach → test* → afterEach)… → afterAll 순서로 호출합니다.
+
+const ROOT = hre.config.paths.root;
+const TESTS_DIR = path.join(ROOT, "tests");
+const REMIX_LIBS_DIR = path.join(ROOT, "deps", "remix-tests");
+const REMIX_LIBS = ["remix_tests.sol", "remix_accounts.sol"];
+const CACHE_FILE = path.join(hre.config.paths.cache, "remix-tests.json");
+
+const HOOKS = ["beforeAll", "beforeEach", "afterEach", "afterAll"];
+
+const toPosix = (file) => file.split(path.sep).join("/");
+
+/**
+ * tests/ 디렉터리의 *_test.sol 파일을 찾습니다.
+ * @param {string} [dir] 검색할 디렉터리 (기본값: tests/)
+ * @return {Array<string>} 프로젝트 루트 기준 소스 이름 (예: tests/MyToken_test.sol)
+ */
+function findRemixTestFiles(dir = TESTS_DIR) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs
+        .readdirSync(dir)
+        .filter((file) => file.endsWith("_test.sol"))
+        .sort()
+        .map((file) => toPosix(path.relative(ROOT, path.join(dir, file))));
+}
+
+/**
+ * 소스 코드에서 import 경로를 찾습니다. (import "a.sol"; import {A} from "a.sol"; import * as A from "a.sol";)
+ * @param {string} content Solidity 소스
+ * @return {Array<string>}
+ */
+function parseImports(content) {
+    const code = content.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\/\/.*$/gm, "");
+    return [...code.matchAll(/\bimport\s+(?:[^"';]*?\bfrom\s+)?["']([^"']+)["']/g)].map((match) => match[1]);
+}
+
+/**
+ * solc와 같은 규칙으로 import 경로를 소스 이름으로 바꿉니다. 상대 경로만 가져오는 파일 기준으로 풀립니다.
+ * @param {string} from import 문이 있는 파일의 소스 이름
+ * @param {string} imported import 경로
+ * @return {string}
+ */
+function importToSourceName(from, imported) {
+    if (imported.startsWith("./") || imported.startsWith("../")) {
+        return path.posix.normalize(path.posix.join(path.posix.dirname(from), imported));
+    }
+    return imported;
+}
+
+/**
+ * contracts/ 아래에서 파일 이름이 같은 .sol 파일을 모두 찾습니다.
+ * @param {string} basename 파일 이름 (예: MyToken.sol)
+ * @return {Array<string>} 소스 이름 목록
+ */
+function findContractsByBasename(basename) {
+    const found = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(full);
+            } else if (entry.name === basename) {
+                found.push(toPosix(path.relative(ROOT, full)));
+            }
+        }
+    };
+    walk(hre.config.paths.sources);
+    return found;
+}
+
+/**
+ * 소스 이름에 해당하는 실제 파일을 찾습니다.
+ * @param {string} sourceName solc에 넘길 소스 이름
+ * @return {{file: string, redirectedTo: string|null}} 절대 경로와, 옮겨진 파일로 연결했다면 그 소스 이름
+ */
+function locateSource(sourceName) {
+    if (REMIX_LIBS.includes(sourceName)) {
+        return { file: path.join(REMIX_LIBS_DIR, sourceName), redirectedTo: null };
+    }
+
+    const local = path.join(ROOT, sourceName);
+    if (fs.existsSync(local)) {
+        return { file: local, redirectedTo: null };
+    }
+    const library = path.join(ROOT, "node_modules", sourceName);
+    if (fs.existsSync(library)) {
+        return { file: library, redirectedTo: null };
+    }
+
+    const contractsDir = toPosix(path.relative(ROOT, hre.config.paths.sources));
+    if (sourceName.startsWith(`${contractsDir}/`)) {
+        const candidates = findContractsByBasename(path.posix.basename(sourceName));
+        if (candidates.length === 1) {
+            return { file: path.join(ROOT, candidates[0]), redirectedTo: candidates[0] };
+        }
+        if (candidates.length > 1) {
+            throw new Error(`${sourceName}이 없고 같은 이름의 파일이 여러 개입니다: ${candidates.join(", ")}`);
+        }
+    }
+    throw new Error(`import할 파일을 찾을 수 없습니다: ${sourceName}`);
+}
+
+/**
+ * 테스트 파일들이 import하는 모든 소스를 solc 표준 JSON의 sources 형태로 모읍니다.
+ * 옮겨진 파일은 import에 적힌 소스 이름 그대로 넣으므로 테스트 파일을 고칠 필요가 없습니다.
+ * @param {Array<string>} entries 테스트 파일 소스 이름
+ * @param {object} [overrides] 디스크 대신 사용할 소스 { 소스 이름: 내용 }
+ * @return {{sources: object, redirects: Array<object>}} redirects: { sourceName, resolved }
+ */
+function collectSources(entries, overrides = {}) {
+    const sources = {};
+    const redirects = [];
+    const queue = [...entries];
+
+    while (queue.length > 0) {
+        const sourceName = queue.shift();
+        if (sources[sourceName]) {
+            continue;
+        }
+
+        let content = overrides[sourceName];
+        if (content === undefined) {
+            const { file, redirectedTo } = locateSource(sourceName);
+            content = fs.readFileSync(file, "utf8");
+            if (redirectedTo) {
+                redirects.push({ sourceName, resolved: redirectedTo });
+            }
+        }
+        sources[sourceName] = { content };
+        parseImports(content).forEach((imported) => queue.push(importToSourceName(sourceName, imported)));
+    }
+    return { sources, redirects };
+}
+
+/**
+ * hardhat.config.js의 기본 컴파일러로 테스트 파일을 컴파일합니다.
+ * 결과는 소스 내용과 컴파일러 설정의 해시로 cache/remix-tests.json에 저장해 두고 바뀌지 않았으면 다시 쓰지 않습니다.
+ * @param {Array<string>} entries 테스트 파일 소스 이름
+ * @param {object} [opts]
+ * @param {object} [opts.overrides] 디스크 대신 사용할 소스 { 소스 이름: 내용 }
+ * @param {boolean} [opts.cache] 캐시 사용 여부 (기본값: overrides가 없을 때 true)
+ * @return {Promise<object>} { entries, redirects, contracts: { "소스:이름": { sourceName, contractName, abi, bytecode, linkReferences } } }
+ */
+async function compileRemixTests(entries, opts = {}) {
+    const { sources, redirects } = collectSources(entries, opts.overrides);
+    const [{ version, settings }] = hre.config.solidity.compilers;
+    const input = {
+        language: "Solidity",
+        sources,
+        settings: {
+            optimizer: settings.optimizer,
+            evmVersion: settings.evmVersion,
+            outputSelection: { "*": { "*": ["abi", "evm.bytecode"] } },
+        },
+    };
+
+    const useCache = opts.cache !== undefined ? opts.cache : !opts.overrides;
+    const key = crypto.createHash("sha256").update(JSON.stringify({ version, input })).digest("hex");
+    if (useCache && fs.existsSync(CACHE_FILE)) {
+        const cached = JSON.parse(fs.readFileSync(CACHE_FILE, "utf8"));
+        if (cached.key === key) {
+            return { entries, redirects, contracts: cached.contracts };
+        }
+    }
+
+    const build = await hre.run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, { quiet: true, solcVersion: version });
+    const output = build.isSolcJs
+        ? await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLCJS, { input, solcJsPath: build.compilerPath })
+        : await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLC, { input, solcPath: build.compilerPath, solcVersion: version });
+
+    const errors = (output.errors || []).filter((error) => error.severity === "error");
+    if (errors.length > 0) {
+        throw new Error(`Remix 테스트 컴파일 실패:\n${errors.map((error) => error.formattedMessage).join("\n")}`);
+    }
+
+    const contracts = {};
+    for (const [sourceName, byName] of Object.entries(output.contracts || {})) {
+        for (const [contractName, { abi, evm }] of Object.entries(byName)) {
+            contracts[`${sourceName}:${contractName}`] = {
+                sourceName,
+                contractName,
+                abi,
+                bytecode: `0x${evm.bytecode.object}`,
+                linkReferences: evm.bytecode.linkReferences,
+            };
+        }
+    }
+
+    if (useCache) {
+        fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+        fs.writeFileSync(CACHE_FILE, JSON.stringify({ key, contracts }));
+    }
+    return { entries, redirects, contracts };
+}
+
+/**
+ * 컴파일 결과에서 테스트 파일에 정의된, 배포할 수 있는 테스트 컨트랙트를 찾습니다.
+ * test 함수는 소스에 나온 순서대로 정렬합니다 (ABI는 이름순일 수 있으므로).
+ * @param {object} compiled compileRemixTests() 결과
+ * @param {string} entry 테스트 파일 소스 이름
+ * @param {string} [content] 테스트 파일 소스 (기본값: 디스크에서 읽음)
+ * @return {Array<object>} { fqn, contractName, tests, hooks }
+ */
+function listTestContracts(compiled, entry, content) {
+    const source = content !== undefined ? content : fs.readFileSync(path.join(ROOT, entry), "utf8");
+    const position = (name) => {
+        const index = source.search(new RegExp(`function\\s+${name}\\s*\\(`));
+        return index === -1 ? Infinity : index;
+    };
+
+    return Object.entries(compiled.contracts)
+        .filter(([, contract]) => contract.sourceName === entry && contract.bytecode !== "0x")
+        .map(([fqn, contract]) => {
+            const functions = contract.abi.filter((item) => item.type === "function" && item.inputs.length === 0);
+            const names = functions.map((item) => item.name);
+            return {
+                fqn,
+                contractName: contract.contractName,
+                tests: names.filter((name) => name.startsWith("test")).sort((a, b) => position(a) - position(b)),
+                hooks: HOOKS.filter((hook) => names.includes(hook)),
+            };
+        })
+        .filter((contract) => contract.tests.length > 0);
+}
+
+/**
+ * 링크가 필요한 외부 라이브러리(Assert처럼 public 함수가 있는 라이브러리)를 재귀적으로 배포하고 링크합니다.
+ * @param {object} compiled compileRemixTests() 결과
+ * @param {string} fqn 배포할 컨트랙트의 "소스:이름"
+ * @param {import("ethers").Signer} signer 배포 계정
+ * @param {object} deployed 이미 배포한 라이브러리 주소 { fqn: 주소 } (갱신됨)
+ * @return {Promise<import("ethers").ContractFactory>}
+ */
+async function linkedFactory(compiled, fqn, signer, deployed) {
+    const contract = compiled.contracts[fqn];
+    const libraries = {};
+    for (const [sourceName, byName] of Object.entries(contract.linkReferences || {})) {
+        for (const libraryName of Object.keys(byName)) {
+            const libraryFqn = `${sourceName}:${libraryName}`;
+            if (!deployed[libraryFqn]) {
+                const factory = await linkedFactory(compiled, libraryFqn, signer, deployed);
+                const library = await factory.deploy();
+                await library.waitForDeployment();
+                deployed[libraryFqn] = library.target;
+            }
+            libraries[libraryFqn] = deployed[libraryFqn];
+        }
+    }
+
+    const artifact = {
+        _format: "hh-sol-artifact-1",
+        contractName: contract.contractName,
+        sourceName: contract.sourceName,
+        abi: contract.abi,
+        bytecode: contract.bytecode,
+        deployedBytecode: "0x",
+        linkReferences: contract.linkReferences,
+        deployedLinkReferences: {},
+    };
+    return ethers.getContractFactoryFromArtifact(artifact, { signer, libraries });
+}
+
+/**
+ * AssertionEvent*를 디코딩할 인터페이스입니다. 라이브러리 함수는 DELEGATECALL로 실행되므로
+ * 이벤트는 테스트 컨트랙트 주소에서 나옵니다.
+ * @param {object} compiled compileRemixTests() 결과
+ * @return {import("ethers").Interface}
+ */
+function assertInterface(compiled) {
+    const assert = compiled.contracts["remix_tests.sol:Assert"];
+    if (!assert) {
+        throw new Error("remix_tests.sol의 Assert 라이브러리가 컴파일 결과에 없습니다.");
+    }
+    return new ethers.Interface(assert.abi);
+}
+
+/**
+ * 로그에서 Assert 결과를 꺼냅니다.
+ * @param {import("ethers").Interface} iface assertInterface() 결과
+ * @param {Array<object>} logs 영수증 로그
+ * @return {Array<object>} { passed, message, method, returned, expected }
+ */
+function parseAssertions(iface, logs) {
+    return logs
+        .map((log) => {
+            try {
+                return iface.parseLog(log);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter((event) => event && event.name.startsWith("AssertionEvent"))
+        .map(({ args }) => ({
+            passed: args.passed,
+            message: args.message,
+            method: args.methodName,
+            returned: args.length > 3 ? args[3] : undefined,
+            expected: args.length > 4 ? args[4] : undefined,
+        }));
+}
+
+/**
+ * 실패한 Assert 결과를 한 줄로 표현합니다.
+ * @param {object} assertion parseAssertions()의 항목
+ * @return {string}
+ */
+function formatAssertion({ message, method, returned, expected }) {
+    const values = returned === undefined ? "" : `: 실제 ${JSON.stringify(String(returned))}, 기대 ${JSON.stringify(String(expected))}`;
+    return `${message} (${method}${values})`;
+}
+
+/**
+ * 테스트 컨트랙트 하나를 배포하고 함수 실행기를 돌려줍니다.
+ * @param {object} compiled compileRemixTests() 결과
+ * @param {object} testContract listTestContracts()의 항목
+ * @param {object} [opts]
+ * @param {import("ethers").Signer} [opts.signer] 배포/호출 계정 (기본값: 첫 번째 계정)
+ * @return {Promise<object>} { contract, call(name) } - call은 { name, passed, assertions, error }를 돌려줌
+ */
+async function deployRemixTest(compiled, testContract, opts = {}) {
+    const signer = opts.signer || (await ethers.getSigners())[0];
+    const factory = await linkedFactory(compiled, testContract.fqn, signer, {});
+    const contract = await factory.deploy();
+    await contract.waitForDeployment();
+    const iface = assertInterface(compiled);
+
+    const call = async (name) => {
+        let receipt;
+        try {
+            receipt = await (await contract[name]()).wait();
+        } catch (error) {
+            const decoded = await describeRevert(error, [contract.interface]);
+            return { name, passed: false, assertions: [], error: decoded.kind === "unknown" ? error.message : formatRevert(decoded) };
+        }
+        const assertions = parseAssertions(iface, receipt.logs);
+        return { name, passed: assertions.every((assertion) => assertion.passed), assertions, error: null };
+    };
+
+    return { contract, call };
+}
+
+/**
+ * 테스트 컨트랙트의 모든 test* 함수를 Remix와 같은 순서로 실행합니다.
+ * @param {object} compiled compileRemixTests() 결과
+ * @param {object} testContract listTestContracts()의 항목
+ * @param {object} [opts] deployRemixTest()의 opts
+ * @return {Promise<Array<object>>} 함수별 결과. 실패한 훅도 name(영향받은 test 함수, afterAll은 마지막 함수)과 hook을 붙여 넣음
+ */
+async function runRemixTestContract(compiled, testContract, opts = {}) {
+    const { call } = await deployRemixTest(compiled, testContract, opts);
+    const has = (hook) => testContract.hooks.includes(hook);
+    const results = [];
+
+    if (has("beforeAll")) {
+        const result = await call("beforeAll");
+        if (!result.passed) {
+            return [{ ...result, hook: "beforeAll" }];
+        }
+    }
+    for (const name of testContract.tests) {
+        if (has("beforeEach")) {
+            const result = await call("beforeEach");
+            if (!result.passed) {
+                results.push({ ...result, name, hook: "beforeEach" });
+                continue;
+            }
+        }
+        results.push(await call(name));
+        if (has("afterEach")) {
+            const result = await call("afterEach");
+            if (!result.passed) {
+                results.push({ ...result, name, hook: "afterEach" });
+            }
+        }
+    }
+    if (has("afterAll")) {
+        const result = await call("afterAll");
+        if (!result.passed) {
+            results.push({ ...result, name: testContract.tests[testContract.tests.length - 1], hook: "afterAll" });
+        }
+    }
+    return results;
+}
+
+// hardhat test에서 Mocha가 테스트 파일을 읽기 전에 미리 컴파일한 결과 (tasks/remix-tests.js가 채움)
+let precompiled = null;
+
+/**
+ * tests/*_test.sol을 컴파일해 getPrecompiled()로 꺼낼 수 있게 둡니다.
+ * @return {Promise<object|null>} compileRemixTests() 결과 (테스트 파일이 없으면 null)
+ */
+async function precompileRemixTests() {
+    const entries = findRemixTestFiles();
+    precompiled = entries.length > 0 ? await compileRemixTests(entries) : null;
+    return precompiled;
+}
+
+/**
+ * precompileRemixTests()의 결과를 돌려줍니다. Mocha의 describe는 동기적으로 등록해야 하므로 테스트 파일에서 사용합니다.
+ * @return {object|null}
+ */
+function getPrecompiled() {
+    return precompiled;
+}
+
+module.exports = {
+    TESTS_DIR,
+    findRemixTestFiles,
+    parseImports,
+    collectSources,
+    compileRemixTests,
+    listTestContracts,
+    deployRemixTest,
+    runRemixTestContract,
+    formatAssertion,
+    precompileRemixTests,
+    getPrecompiled,
+};
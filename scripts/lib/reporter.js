@@ -0,0 +1,99 @@
+// ================================
+// 스크립트 출력 리포터
+// ================================
+//
+// DEPLOY_OUTPUT 환경 변수로 출력 형식을 선택합니다.
+//   - pretty (기본값): 사람이 읽는 콘솔 출력
+//   - ndjson: 스텝마다 한 줄짜리 JSON 레코드를 stdout으로 출력
+//   - json: 실행이 끝난 뒤 모든 레코드를 하나의 JSON 문서로 출력
+//
+// json/ndjson 모드에서는 stdout에 레코드만 남도록 사람이 읽는 로그를 stderr로 보냅니다.
+//
+// 예) DEPLOY_OUTPUT=ndjson npx hardhat run scripts/deploy-lock.js > run.ndjson
+
+const FORMATS = ["pretty", "json", "ndjson"];
+
+// JSON.stringify가 bigint를 처리하지 못하므로 문자열로 바꿔줍니다
+const replacer = (key, value) => (typeof value === "bigint" ? value.toString() : value);
+
+/**
+ * 출력 형식에 맞는 리포터를 생성합니다.
+ * @param {string} [format] pretty | json | ndjson
+ * @return {object} 리포터
+ */
+function createReporter(format = process.env.DEPLOY_OUTPUT || "pretty") {
+    if (!FORMATS.includes(format)) {
+        throw new Error(`알 수 없는 출력 형식입니다: ${format} (${FORMATS.join(", ")} 중 하나)`);
+    }
+
+    const machine = format !== "pretty";
+    const records = [];
+    const listeners = [];
+    let section = null;
+
+    return {
+        format,
+        machine,
+
+        /** 사람이 읽는 로그를 출력합니다. */
+        log(...args) {
+            if (machine) {
+                console.error(...args);
+            } else {
+                console.log(...args);
+            }
+        },
+
+        /**
+         * 출력 형식과 관계없이 모든 레코드를 받을 리스너를 등록합니다.
+         * @param {Function} listener 레코드를 인자로 받는 함수
+         * @return {Function} 등록을 해제하는 함수
+         */
+        onRecord(listener) {
+            listeners.push(listener);
+            return () => listeners.splice(listeners.indexOf(listener), 1);
+        },
+
+        /** 이후 레코드에 붙일 현재 스텝 제목을 설정합니다. */
+        section(title) {
+            section = title;
+        },
+
+        /**
+         * 구조화된 레코드를 남깁니다. pretty 모드에서는 리스너에게만 전달합니다.
+         * @param {string} type 레코드 종류 (deploy, tx, read, check ...)
+         * @param {object} data 레코드 내용
+         */
+        record(type, data) {
+            const entry = { type, step: section, ...data };
+            listeners.forEach((listener) => listener(entry));
+            if (!machine) {
+                return;
+            }
+            if (format === "ndjson") {
+                process.stdout.write(JSON.stringify(entry, replacer) + "\n");
+            } else {
+                records.push(entry);
+            }
+        },
+
+        /**
+         * 실행 요약을 출력합니다.
+         * ndjson 모드에서는 summary 레코드 한 줄을, json 모드에서는 모아둔 레코드 전체를 출력합니다.
+         * @param {object} summary 실행 요약 (시나리오 제목, 네트워크 등)
+         */
+        finish(summary = {}) {
+            if (format === "ndjson") {
+                section = null;
+                this.record("summary", summary);
+            } else if (format === "json") {
+                process.stdout.write(JSON.stringify({ ...summary, records }, replacer, 2) + "\n");
+            }
+        },
+    };
+}
+
+module.exports = {
+    createReporter,
+    report: createReporter(),
+};
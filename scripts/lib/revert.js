@@ -0,0 +1,211 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+
+// ================================
+// revert 데이터 디코딩
+// ================================
+
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+// Solidity 패닉 코드 (https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require)
+const PANIC_CODES = {
+    0x00: "일반 컴파일러 패닉",
+    0x01: "assert 실패",
+    0x11: "산술 오버플로/언더플로",
+    0x12: "0으로 나누기",
+    0x21: "잘못된 enum 값 변환",
+    0x22: "잘못 인코딩된 storage 바이트 배열",
+    0x31: "빈 배열에서 pop",
+    0x32: "배열 인덱스 범위 초과",
+    0x41: "메모리 할당 과다",
+    0x51: "초기화되지 않은 함수 포인터 호출",
+};
+
+const isHex = (value) => typeof value === "string" && /^0x([0-9a-fA-F]{2})*$/.test(value);
+
+/**
+ * 에러 객체에서 revert 데이터를 찾아냅니다.
+ * Hardhat 내장 네트워크(error.data)와 JSON-RPC 노드(ethers CALL_EXCEPTION, 중첩된 error) 모두 처리합니다.
+ * @param {Error} error 트랜잭션/호출에서 발생한 에러
+ * @return {string|null} 0x로 시작하는 revert 데이터
+ */
+function getRevertData(error) {
+    const candidates = [
+        error && error.data,
+        error && error.error && error.error.data,
+        error && error.info && error.info.error && error.info.error.data,
+        error && error.cause && error.cause.data,
+    ];
+    for (const candidate of candidates) {
+        if (isHex(candidate)) {
+            return candidate;
+        }
+        // 일부 노드는 { data: "0x..." } 형태로 한 번 더 감쌉니다
+        if (candidate && isHex(candidate.data)) {
+            return candidate.data;
+        }
+    }
+    return null;
+}
+
+/**
+ * revert 데이터를 오류 이름과 인자로 디코딩합니다.
+ * @param {string|null} data revert 데이터
+ * @param {Array<import("ethers").Interface>} [interfaces] 커스텀 에러를 찾을 컨트랙트 인터페이스들
+ * @return {object} { kind, name, args, reason, code }
+ *   kind: "error" (require 메시지) | "panic" | "custom" | "empty" (데이터 없는 revert) | "unknown"
+ */
+function decodeRevert(data, interfaces = []) {
+    if (data === null || data === undefined) {
+        return { kind: "unknown", name: null, args: {}, data };
+    }
+    if (data === "0x") {
+        return { kind: "empty", name: null, args: {}, data };
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+
+    if (selector === ERROR_SELECTOR) {
+        const [reason] = coder.decode(["string"], ethers.dataSlice(data, 4));
+        return { kind: "error", name: "Error", args: { reason }, reason, data };
+    }
+    if (selector === PANIC_SELECTOR) {
+        const [code] = coder.decode(["uint256"], ethers.dataSlice(data, 4));
+        const reason = PANIC_CODES[Number(code)] || "알 수 없는 패닉";
+        return { kind: "panic", name: "Panic", args: { code }, code: Number(code), reason, data };
+    }
+
+    for (const iface of interfaces) {
+        let parsed = null;
+        try {
+            parsed = iface.parseError(data);
+        } catch (error) {
+            // 셀렉터는 같지만 인자 디코딩에 실패한 경우 다음 인터페이스를 시도합니다
+        }
+        if (parsed) {
+            const args = {};
+            parsed.fragment.inputs.forEach((input, i) => {
+                args[input.name || i] = parsed.args[i];
+            });
+            return { kind: "custom", name: parsed.name, signature: parsed.signature, args, data };
+        }
+    }
+
+    return { kind: "unknown", name: null, args: {}, selector, data };
+}
+
+let artifactErrors = null;
+
+/**
+ * 컴파일된 모든 컨트랙트 아티팩트의 커스텀 에러를 모은 인터페이스를 만듭니다.
+ * 같은 시그니처의 에러는 한 번만 포함하며, 결과는 캐시됩니다.
+ * @return {Promise<import("ethers").Interface>}
+ */
+async function loadArtifactErrors() {
+    if (!artifactErrors) {
+        const fragments = new Map();
+        for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+            const { abi } = await hre.artifacts.readArtifact(name);
+            for (const fragment of new ethers.Interface(abi).fragments) {
+                if (fragment.type === "error") {
+                    fragments.set(fragment.format("sighash"), fragment);
+                }
+            }
+        }
+        artifactErrors = new ethers.Interface([...fragments.values()]);
+    }
+    return artifactErrors;
+}
+
+/**
+ * 에러 객체의 revert 데이터를 찾아 디코딩합니다.
+ * 주어진 인터페이스에서 커스텀 에러를 먼저 찾고, 없으면 전체 아티팩트의 에러 목록에서 찾습니다.
+ * 스크립트의 catch 블록과 테스트에서 공통으로 사용합니다.
+ * @param {Error} error 트랜잭션/호출에서 발생한 에러
+ * @param {Array<import("ethers").Interface>} [interfaces] 우선 검색할 컨트랙트 인터페이스들
+ * @return {Promise<object>} decodeRevert 결과
+ */
+async function describeRevert(error, interfaces = []) {
+    return decodeRevert(getRevertData(error), [...interfaces, await loadArtifactErrors()]);
+}
+
+/**
+ * 디코딩된 revert를 한 줄 문자열로 만듭니다.
+ * @param {object} decoded decodeRevert 결과
+ * @return {string}
+ */
+function formatRevert(decoded) {
+    switch (decoded.kind) {
+        case "error":
+            return `Error("${decoded.reason}")`;
+        case "panic":
+            return `Panic(0x${decoded.code.toString(16).padStart(2, "0")}: ${decoded.reason})`;
+        case "custom": {
+            const args = Object.entries(decoded.args).map(([key, value]) => `${key}=${value}`);
+            return `${decoded.name}(${args.join(", ")})`;
+        }
+        case "empty":
+            return "revert (데이터 없음)";
+        default:
+            return decoded.selector ? `알 수 없는 오류 ${decoded.selector}` : "알 수 없는 오류";
+    }
+}
+
+/**
+ * 디코딩된 revert가 기대한 오류와 일치하는지 확인합니다.
+ * @param {object} decoded decodeRevert 결과
+ * @param {object} expected { reason } | { error, args? } | { panic } | { empty: true }
+ * @return {boolean}
+ */
+function matchesRevert(decoded, expected) {
+    if (expected.reason !== undefined) {
+        return decoded.kind === "error" && decoded.reason === expected.reason;
+    }
+    if (expected.panic !== undefined) {
+        return decoded.kind === "panic" && decoded.code === expected.panic;
+    }
+    if (expected.error !== undefined) {
+        if (decoded.kind !== "custom" || decoded.name !== expected.error) {
+            return false;
+        }
+        return Object.entries(expected.args || {}).every(
+            ([key, value]) => decoded.args[key] !== undefined && decoded.args[key].toString() === value.toString()
+        );
+    }
+    if (expected.empty) {
+        return decoded.kind === "empty";
+    }
+    return false;
+}
+
+/**
+ * 기대한 오류를 한 줄 문자열로 만듭니다.
+ * @param {object} expected matchesRevert의 expected
+ * @return {string}
+ */
+function formatExpected(expected) {
+    if (expected.reason !== undefined) {
+        return `Error("${expected.reason}")`;
+    }
+    if (expected.panic !== undefined) {
+        return `Panic(0x${expected.panic.toString(16).padStart(2, "0")})`;
+    }
+    if (expected.error !== undefined) {
+        const args = Object.entries(expected.args || {}).map(([key, value]) => `${key}=${value}`);
+        return `${expected.error}(${args.join(", ")})`;
+    }
+    return expected.empty ? "revert (데이터 없음)" : "revert";
+}
+
+module.exports = {
+    PANIC_CODES,
+    getRevertData,
+    decodeRevert,
+    loadArtifactErrors,
+    describeRevert,
+    formatRevert,
+    matchesRevert,
+    formatExpected,
+};
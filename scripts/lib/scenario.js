@@ -0,0 +1,331 @@
+const { ethers } = require("hardhat");
+const { deployAndReport, getCodeSize } = require("./deploy");
+const { report } = require("./reporter");
+const { describeRevert, formatRevert, matchesRevert, formatExpected } = require("./revert");
+const { deploySettings, getNamedSigners } = require("./chain");
+const { applyBlockEnv } = require("./block-env");
+
+// DEPLOY_STRICT=true 이면 검증 실패(예상과 다른 성공, 다른 revert 사유)가 하나라도 있을 때 종료 코드 1로 끝납니다
+const STRICT = process.env.DEPLOY_STRICT === "true";
+
+// ================================
+// 출력 헬퍼
+// ================================
+
+/**
+ * wei 값을 "1.5 ETH" 형태의 문자열로 변환합니다.
+ * @param {bigint} wei 금액 (wei 단위)
+ * @return {string}
+ */
+const eth = (wei) => `${ethers.formatEther(wei)} ETH`;
+
+/**
+ * 블록 타임스탬프(초)를 한국 시간 문자열로 변환합니다.
+ * @param {bigint|number} seconds 유닉스 타임스탬프
+ * @return {string}
+ */
+const koTime = (seconds) => new Date(Number(seconds) * 1000).toLocaleString("ko-KR");
+
+// console.log가 bigint를 "123n"으로 출력하지 않도록 문자열로 바꿔줍니다
+const display = (value) => (typeof value === "bigint" ? value.toString() : value);
+
+async function printReads(reads, ctx) {
+    for (const [label, read] of Object.entries(reads)) {
+        const value = display(await read(ctx));
+        report.log(label, value);
+        report.record("read", { label: label.replace(/:$/, ""), value });
+    }
+}
+
+/**
+ * 배포된 컨트랙트로 보낸 트랜잭션이 실행한 함수 이름을 찾습니다.
+ * ABI에 없는 호출은 receive/fallback으로 표시합니다.
+ * @param {object} ctx 시나리오 컨텍스트
+ * @param {object} tx 트랜잭션 (to, data, value)
+ * @return {string|null} 함수 이름 (배포된 컨트랙트로 보낸 트랜잭션이 아니면 null)
+ */
+function callName(ctx, tx) {
+    const target = ctx.deployments.find(({ contract }) => contract.target === tx.to);
+    if (!target) {
+        return null;
+    }
+    const { interface: iface } = target.contract;
+    if (tx.data === "0x" && iface.receive) {
+        return "receive";
+    }
+    const parsed = iface.parseTransaction({ data: tx.data, value: tx.value });
+    return parsed ? parsed.name : "fallback";
+}
+
+/**
+ * 트랜잭션 영수증을 tx 레코드로 남깁니다. 수신 주소가 배포된 컨트랙트면 이름을 함께 기록합니다.
+ * @param {object} ctx 시나리오 컨텍스트
+ * @param {object} receipt 트랜잭션 영수증
+ * @param {object} [extra] 레코드에 추가할 값
+ */
+function recordTx(ctx, receipt, extra = {}) {
+    const target = ctx.deployments.find(({ contract }) => contract.target === receipt.to);
+    report.record("tx", {
+        contract: target ? target.label : null,
+        from: receipt.from,
+        to: receipt.to,
+        txHash: receipt.hash,
+        gasUsed: receipt.gasUsed,
+        status: receipt.status === 1 ? "success" : "failed",
+        ...extra,
+    });
+}
+
+/**
+ * 에러의 revert 데이터를 배포된 컨트랙트들의 ABI(없으면 전체 아티팩트)로 디코딩합니다.
+ * @param {object} ctx 시나리오 컨텍스트
+ * @param {Error} error 발생한 에러
+ * @return {Promise<object>} decodeRevert 결과
+ */
+function decodeError(ctx, error) {
+    return describeRevert(
+        error,
+        ctx.deployments.map(({ contract }) => contract.interface)
+    );
+}
+
+/**
+ * 검증 결과를 ctx.checks에 쌓고 check 레코드로 남깁니다.
+ * @param {object} ctx 시나리오 컨텍스트
+ * @param {object} check { expected, actual, passed }
+ */
+function addCheck(ctx, check) {
+    const entry = { step: ctx.currentStep, ...check };
+    ctx.checks.push(entry);
+    report.record("check", check);
+}
+
+/**
+ * 검증 결과 요약 표를 출력합니다.
+ * @param {Array<object>} checks ctx.checks
+ */
+function printChecks(checks) {
+    const passed = checks.filter((check) => check.passed).length;
+
+    report.log("\n🧾 검증 결과 요약:");
+    checks.forEach((check, i) => {
+        const mark = check.passed ? "✅ PASS" : "❌ FAIL";
+        report.log(`${String(i + 1).padStart(3)}. ${mark} | ${check.step || "-"}`);
+        report.log(`       예상: ${check.expected}`);
+        report.log(`       실제: ${check.actual}`);
+    });
+    report.log(`통과 ${passed} / 실패 ${checks.length - passed} / 전체 ${checks.length}`);
+}
+
+// ================================
+// 스텝 실행기
+// ================================
+
+/**
+ * 시나리오 스텝 하나를 실행합니다.
+ *
+ * 지원하는 스텝 형태 (title, reads는 모든 스텝에서 사용 가능):
+ *   - { deploy: "Car", as: "car", args, overrides, label }  컨트랙트 배포 후 ctx[as]에 저장
+ *   - { send: (ctx) => tx, success, optional, as }          트랜잭션 전송 후 영수증 대기
+ *   - { expectRevert: (ctx) => tx, expect, success, reason } 실패해야 하는 호출 (expect: 기대하는 revert 또는 (ctx) => 기대값)
+ *   - { run: async (ctx) => {...} }                         자유 형식 로직
+ *   - { codeSizes: true }                                   배포된 컨트랙트들의 코드 크기 출력
+ *   - { addresses: true }                                   배포된 컨트랙트들의 주소 출력
+ *   - { lines: ["..."] }                                    고정 문구 출력
+ *   - reads: { "라벨:": (ctx) => value }                    액션 후 조회해서 출력할 값들
+ *   - when: (ctx) => boolean                                false를 반환하면 스텝 전체를 건너뜀
+ *   - env: { timestamp, advance, mine, mineTo, interval }   액션 전에 적용할 블록 환경 (block-env.js, (ctx) => env도 가능)
+ */
+async function runStep(step, ctx) {
+    if (step.when && !(await step.when(ctx))) {
+        return;
+    }
+
+    if (step.title) {
+        ctx.currentStep = step.title;
+        report.section(step.title);
+        report.log(`\n${step.title}`);
+    } else if (step.deploy) {
+        ctx.currentStep = `${step.label || step.deploy} 배포`;
+        report.section(ctx.currentStep);
+    }
+
+    if (step.env) {
+        const block = await applyBlockEnv(typeof step.env === "function" ? await step.env(ctx) : step.env);
+        report.log(`⏩ 블록 #${block.number} (${koTime(block.timestamp)})`);
+        report.record("block", { number: block.number, timestamp: block.timestamp });
+    }
+
+    if (step.deploy) {
+        const resolve = (value) => (typeof value === "function" ? value(ctx) : value);
+        const contract = await deployAndReport(step.deploy, resolve(step.args) || [], {
+            label: step.label,
+            overrides: resolve(step.overrides),
+        });
+        ctx[step.as] = contract;
+        ctx.deployments.push({ key: step.as, name: step.deploy, label: step.label || step.deploy, contract });
+    } else if (step.send) {
+        try {
+            const tx = await step.send(ctx);
+            const receipt = await tx.wait(ctx.confirmations);
+            if (step.as) {
+                ctx[step.as] = receipt;
+            }
+            recordTx(ctx, receipt, { function: callName(ctx, tx) });
+            if (step.success) {
+                report.log(step.success);
+            }
+            if (step.optional) {
+                addCheck(ctx, { expected: "success", actual: "success", passed: true });
+            }
+        } catch (error) {
+            // optional 스텝은 실패해도 시나리오를 계속 진행합니다
+            if (!step.optional) {
+                throw error;
+            }
+            const actual = formatRevert(await decodeError(ctx, error));
+            report.log(step.failure || "❌ 트랜잭션 실패:", actual);
+            report.record("tx", { status: "failed", error: actual });
+            addCheck(ctx, { expected: "success", actual, passed: false });
+            return;
+        }
+    } else if (step.expectRevert) {
+        const expectation = typeof step.expect === "function" ? step.expect(ctx) : step.expect;
+        const expected = expectation ? formatExpected(expectation) : "revert";
+        try {
+            const tx = await step.expectRevert(ctx);
+            if (tx && typeof tx.wait === "function") {
+                await tx.wait();
+            }
+            report.log("❌ 예상과 다르게 성공했습니다!");
+            addCheck(ctx, { expected, actual: "success", passed: false });
+        } catch (error) {
+            const decoded = await decodeError(ctx, error);
+            const actual = formatRevert(decoded);
+            // strict 모드에서는 기대하는 revert를 선언하지 않은 스텝도 실패로 봅니다
+            const passed = expectation ? matchesRevert(decoded, expectation) : !STRICT;
+
+            if (passed) {
+                report.log(step.success || "✅ 예상대로 실패했습니다:");
+            } else {
+                report.log(`❌ 예상과 다른 이유로 실패했습니다 (예상: ${expected})`);
+            }
+            report.log("오류 메시지:", decoded.kind === "unknown" && step.reason ? step.reason : actual);
+            addCheck(ctx, { expected, actual, passed });
+        }
+    } else if (step.run) {
+        await step.run(ctx);
+    } else if (step.codeSizes) {
+        for (const { label, contract } of ctx.deployments) {
+            const codeSize = await getCodeSize(contract.target);
+            report.log(`${label}: 코드 크기 ${codeSize} 바이트`);
+            report.record("codeSize", { contract: label, address: contract.target, codeSize });
+        }
+    } else if (step.addresses) {
+        report.log("=== 배포된 컨트랙트 주소 ===");
+        for (const { label, contract } of ctx.deployments) {
+            report.log(`${label}:`, contract.target);
+        }
+    } else if (step.lines) {
+        step.lines.forEach((line) => report.log(line));
+    }
+
+    if (step.reads) {
+        await printReads(step.reads, ctx);
+    }
+}
+
+// ================================
+// 시나리오 실행기
+// ================================
+
+/**
+ * 선언형 시나리오를 실행합니다.
+ * @param {object} scenario 시나리오 정의
+ * @param {string} scenario.title 시작 시 출력할 제목
+ * @param {Function} [scenario.setup] 스텝 실행 전 ctx에 합칠 값을 반환하는 함수
+ * @param {Array<object>} scenario.steps 순서대로 실행할 스텝 목록
+ * @param {string} [scenario.done] 완료 메시지
+ * @return {Promise<object>} 실행이 끝난 ctx
+ */
+async function runScenario(scenario) {
+    if (report.machine) {
+        // run 스텝의 console.log가 stdout의 레코드 스트림을 깨뜨리지 않도록 stderr로 보냅니다
+        console.log = console.error;
+    }
+    report.log(`=== ${scenario.title} ===`);
+
+    // 시그너 정보 가져오기 (역할별 계정은 hardhat.config.js의 namedAccounts)
+    const signers = await ethers.getSigners();
+    const named = await getNamedSigners();
+    const { deployer = signers[0], user1 = signers[1], user2 = signers[2] } = named;
+    const network = await ethers.provider.getNetwork();
+
+    report.log("배포자 주소:", deployer.address);
+    report.log("배포자 잔액:", eth(await ethers.provider.getBalance(deployer.address)));
+    report.record("start", {
+        scenario: scenario.title,
+        network: network.name,
+        chainId: network.chainId,
+        deployer: deployer.address,
+    });
+
+    const { confirmations } = deploySettings();
+    const ctx = { signers, ...named, deployer, user1, user2, confirmations, deployments: [], checks: [], report };
+    if (scenario.setup) {
+        Object.assign(ctx, await scenario.setup(ctx));
+    }
+
+    for (const step of scenario.steps) {
+        await runStep(step, ctx);
+    }
+
+    if (STRICT) {
+        printChecks(ctx.checks);
+    }
+
+    report.log(`\n🎉 ${scenario.done || `${scenario.title} 완료!`}`);
+    report.finish({
+        scenario: scenario.title,
+        network: network.name,
+        chainId: network.chainId,
+        contracts: ctx.deployments.map(({ label, contract }) => ({ label, address: contract.target })),
+        checks: {
+            passed: ctx.checks.filter((check) => check.passed).length,
+            failed: ctx.checks.filter((check) => !check.passed).length,
+        },
+    });
+    return ctx;
+}
+
+/**
+ * `npx hardhat run`으로 실행되는 스크립트의 진입점입니다.
+ * 시나리오가 끝나면 프로세스를 종료하고, 오류가 나거나 strict 모드에서 검증이 실패하면 종료 코드 1을 반환합니다.
+ * @param {object} scenario 시나리오 정의
+ */
+function runMain(scenario) {
+    runScenario(scenario)
+        .then((ctx) => process.exit(STRICT && ctx.checks.some((check) => !check.passed) ? 1 : 0))
+        .catch(async (error) => {
+            console.error("❌ 스크립트 실행 중 오류 발생:");
+            const decoded = await describeRevert(error);
+            if (decoded.kind !== "unknown") {
+                console.error("revert 사유:", formatRevert(decoded));
+            }
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    eth,
+    koTime,
+    callName,
+    recordTx,
+    decodeError,
+    formatRevert,
+    addCheck,
+    runStep,
+    runScenario,
+    runMain,
+};
@@ -0,0 +1,211 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { resolveAccount, deploySettings } = require("./chain");
+
+// ================================
+// 프록시 업그레이드 및 스토리지 레이아웃 검사
+// ================================
+//
+// 컴파일러의 storageLayout 출력(hardhat.config.js의 outputSelection)으로
+//   1. 새 구현의 변수가 프록시 자신의 슬롯(SimpleProxy의 implementation/admin)과 겹치지 않는지
+//   2. 이전 구현의 변수가 같은 위치에 같은 타입으로 남아 있는지 (새 변수는 뒤에만 추가)
+// 를 검사한 뒤 upgrade(newImplementation)를 호출합니다.
+//
+// 이름이 __로 시작하는 변수(예: uint256[2] __proxySlots)는 프록시 몫으로 비워둔 예약 공간으로 보고 충돌 검사에서 제외합니다.
+
+const RESERVED_PREFIX = "__";
+
+const isReserved = (variable) => variable.label.startsWith(RESERVED_PREFIX);
+
+/**
+ * 컨트랙트의 스토리지 레이아웃을 build-info에서 읽어옵니다.
+ * @param {string} name 컨트랙트 이름 또는 정규화된 이름
+ * @return {Promise<Array<object>>} { label, slot, offset, type, size, start, end } 목록 (start/end는 바이트 위치)
+ */
+async function getStorageLayout(name) {
+    const { sourceName, contractName } = await hre.artifacts.readArtifact(name);
+    const fqn = `${sourceName}:${contractName}`;
+    const buildInfo = await hre.artifacts.getBuildInfo(fqn);
+    const output = buildInfo && buildInfo.output.contracts[sourceName][contractName];
+    if (!output || !output.storageLayout) {
+        throw new Error(
+            `${fqn}의 storageLayout이 없습니다. hardhat.config.js의 outputSelection에 storageLayout이 있는지 확인하고 다시 컴파일하세요.`
+        );
+    }
+
+    const { storage, types } = output.storageLayout;
+    return storage.map(({ label, slot, offset, type }) => {
+        const size = Number(types[type].numberOfBytes);
+        const start = Number(slot) * 32 + offset;
+        return { label, slot: Number(slot), offset, type: types[type].label, size, start, end: start + size };
+    });
+}
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// [from, to) 정수 목록
+const range = (from, to) => Array.from({ length: Math.max(to - from, 0) }, (_, i) => from + i);
+
+/**
+ * 프록시, 이전 구현, 새 구현의 스토리지 레이아웃을 위치별로 비교합니다.
+ * @param {object} layouts
+ * @param {Array<object>} layouts.proxy 프록시 자신의 레이아웃
+ * @param {Array<object>|null} layouts.previous 이전 구현의 레이아웃 (없으면 프록시 충돌만 검사)
+ * @param {Array<object>} layouts.next 새 구현의 레이아웃
+ * @return {{safe: boolean, rows: Array<object>}} 위치별 비교 결과 (status: ok | added | renamed | error)
+ */
+function compareStorage({ proxy, previous, next }) {
+    const starts = [...new Set([...proxy, ...(previous || []), ...next].map(({ start }) => start))].sort((a, b) => a - b);
+    const at = (layout, start) => (layout || []).find((variable) => variable.start === start) || null;
+    const covering = (layout, start) =>
+        (layout || []).find((variable) => variable.start < start && start < variable.end) || null;
+
+    const rows = starts.map((start) => {
+        const row = {
+            slot: Math.floor(start / 32),
+            offset: start % 32,
+            proxy: at(proxy, start) || covering(proxy, start),
+            previous: at(previous, start) || covering(previous, start),
+            next: at(next, start) || covering(next, start),
+            status: "ok",
+            reason: "",
+        };
+        const n = at(next, start);
+        const p = at(previous, start);
+        const fail = (reason) => Object.assign(row, { status: "error", reason });
+
+        const clash = n && !isReserved(n) && proxy.find((variable) => overlaps(variable, n));
+        if (clash) {
+            return fail(`프록시의 ${clash.label}(${clash.type}) 슬롯과 충돌`);
+        }
+        if (p) {
+            if (!n) {
+                return fail(`이전 ${p.label}(${p.type})의 위치에 변수가 없음 (삭제 또는 이동)`);
+            }
+            if (n.type !== p.type) {
+                return fail(`타입 변경: ${p.type} → ${n.type}`);
+            }
+            if (n.label !== p.label) {
+                return Object.assign(row, { status: "renamed", reason: `이름 변경: ${p.label} → ${n.label}` });
+            }
+            return row;
+        }
+        if (n && previous) {
+            const previousVariable = previous.find((variable) => overlaps(variable, n));
+            if (previousVariable) {
+                return fail(`이전 ${previousVariable.label}(${previousVariable.type})와 겹침`);
+            }
+            return Object.assign(row, { status: "added", reason: "새 변수" });
+        }
+        return row;
+    });
+
+    return { safe: rows.every(({ status }) => status !== "error"), rows };
+}
+
+const STATUS_MARKS = { ok: "✅", added: "➕", renamed: "⚠️", error: "❌" };
+
+/**
+ * compareStorage 결과를 슬롯별 표로 만듭니다.
+ * @param {Array<object>} rows compareStorage의 rows
+ * @return {Array<string>} 출력할 줄 목록
+ */
+function formatStorageDiff(rows) {
+    const cell = (variable, start) => {
+        if (!variable) {
+            return "-";
+        }
+        const name = `${variable.label}(${variable.type})`;
+        return variable.start === start ? name : `↳ ${name}`;
+    };
+    const table = [["슬롯", "오프셋", "프록시", "이전 구현", "새 구현", "결과"]];
+    for (const row of rows) {
+        const start = row.slot * 32 + row.offset;
+        table.push([
+            String(row.slot),
+            String(row.offset),
+            cell(row.proxy, start),
+            cell(row.previous, start),
+            cell(row.next, start),
+            `${STATUS_MARKS[row.status]} ${row.reason}`.trim(),
+        ]);
+    }
+
+    // 한글은 터미널에서 두 칸을 차지하므로 폭을 따로 계산해서 맞춥니다
+    const width = (text) => [...text].reduce((sum, char) => sum + (/[\u1100-\u11ff\u3130-\u318f\uac00-\ud7a3]/.test(char) ? 2 : 1), 0);
+    const widths = table[0].map((_, i) => Math.max(...table.map((columns) => width(columns[i]))));
+    return table.map((columns) =>
+        columns.map((column, i) => column + " ".repeat(widths[i] - width(column))).join("  ").trimEnd()
+    );
+}
+
+/**
+ * 이전 구현과 새 구현의 레이아웃을 프록시 기준으로 검사합니다.
+ * @param {object} names
+ * @param {string} [names.proxy] 프록시 컨트랙트 이름 (기본값: SimpleProxy)
+ * @param {string|null} names.previous 이전 구현 컨트랙트 이름
+ * @param {string} names.next 새 구현 컨트랙트 이름
+ * @return {Promise<{safe: boolean, rows: Array<object>, lines: Array<string>}>}
+ */
+async function checkUpgrade({ proxy = "SimpleProxy", previous, next }) {
+    const result = compareStorage({
+        proxy: await getStorageLayout(proxy),
+        previous: previous ? await getStorageLayout(previous) : null,
+        next: await getStorageLayout(next),
+    });
+    return { ...result, lines: formatStorageDiff(result.rows) };
+}
+
+/**
+ * 레이아웃 검사를 통과하면 관리자 계정으로 upgrade(newImplementation)를 호출하고 결과를 검증합니다.
+ * 업그레이드 전후로 이전 구현이 쓰던 슬롯 값이 그대로인지, implementation/admin이 기대한 값인지 확인합니다.
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.proxy SimpleProxy 컨트랙트
+ * @param {string} [opts.proxyName] 프록시 컨트랙트 이름 (기본값: SimpleProxy)
+ * @param {string} opts.previous 이전 구현 컨트랙트 이름
+ * @param {string} opts.next 새 구현 컨트랙트 이름
+ * @param {string} opts.implementation 배포된 새 구현 주소
+ * @param {Function} [opts.log] 출력 함수 (기본값: console.log)
+ * @return {Promise<object>} upgrade 트랜잭션 영수증
+ */
+async function upgradeProxy({ proxy, proxyName = "SimpleProxy", previous, next, implementation, log = console.log }) {
+    const check = await checkUpgrade({ proxy: proxyName, previous, next });
+    check.lines.forEach((line) => log(line));
+    if (!check.safe) {
+        const problems = check.rows.filter(({ status }) => status === "error").length;
+        throw new Error(`${previous} → ${next} 업그레이드는 안전하지 않아 중단했습니다 (문제 ${problems}개)`);
+    }
+
+    const admin = await proxy.admin();
+    const previousLayout = await getStorageLayout(previous);
+    const slots = [...new Set(previousLayout.flatMap(({ slot, end }) => range(slot, Math.ceil(end / 32))))];
+    const readSlots = () =>
+        Promise.all(slots.map((slot) => ethers.provider.getStorage(proxy.target, slot)));
+
+    const before = await readSlots();
+    const signer = await resolveAccount(admin);
+    const receipt = await (await proxy.connect(signer).upgrade(implementation)).wait(deploySettings().confirmations);
+    const after = await readSlots();
+
+    if ((await proxy.implementation()) !== implementation) {
+        throw new Error("업그레이드 후 implementation이 새 구현 주소가 아닙니다");
+    }
+    if ((await proxy.admin()) !== admin) {
+        throw new Error("업그레이드 후 admin이 바뀌었습니다");
+    }
+    // implementation이 들어있는 프록시 슬롯을 빼고는 값이 그대로여야 합니다
+    const proxySlots = new Set((await getStorageLayout(proxyName)).map(({ slot }) => slot));
+    const changed = slots.filter((slot, i) => !proxySlots.has(slot) && before[i] !== after[i]);
+    if (changed.length > 0) {
+        throw new Error(`업그레이드 중 스토리지 슬롯 ${changed.join(", ")}의 값이 바뀌었습니다`);
+    }
+    return receipt;
+}
+
+module.exports = {
+    getStorageLayout,
+    compareStorage,
+    formatStorageDiff,
+    checkUpgrade,
+    upgradeProxy,
+};
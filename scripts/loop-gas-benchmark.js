@@ -0,0 +1,69 @@
+const fs = require("fs");
+const { DEFAULT_SIZES, runGasScaling, toMarkdown, toCsv } = require("./lib/gas-scaling");
+
+// ================================
+// 루프 가스 증가 벤치마크
+// ================================
+//
+// Loopf(loop.sol)의 루프와 processArray, FunctionVisibility.processLargeArray, PureView.analyzeArray를
+// 여러 입력 크기로 호출해 gasUsed/estimateGas를 기록하고, 증가 곡선과 블록 가스 한도별 최대 안전 입력 크기를 출력합니다.
+//
+// 환경 변수:
+//   - LOOP_BENCH_FORMAT: markdown (기본값) | csv
+//   - LOOP_BENCH_OUT: 리포트를 저장할 파일 (없으면 stdout)
+//   - LOOP_BENCH_SIZES: 측정할 입력 크기 (쉼표 구분, 기본값: 1,10,100,1000,2500,5000,10000)
+//   - LOOP_BENCH_GAS_LIMITS: 블록 가스 한도 (쉼표 구분, 기본값: 네트워크에 설정된 blockGasLimit 또는 최신 블록의 gasLimit)
+//   - LOOP_BENCH_VERIFY=true: 곡선으로 예측한 최대 크기를 eth_call로 확인해 정확한 값을 찾음
+//     (Hardhat 노드는 수천만 가스짜리 호출 하나에 수 GB의 메모리를 쓸 수 있습니다)
+//
+// 예) LOOP_BENCH_FORMAT=csv LOOP_BENCH_OUT=loop-gas.csv npx hardhat run scripts/loop-gas-benchmark.js
+
+const FORMAT = process.env.LOOP_BENCH_FORMAT || "markdown";
+
+/**
+ * 쉼표로 구분한 정수 목록 환경 변수를 읽습니다.
+ * @param {string} name 환경 변수 이름
+ * @param {Array<number>} [fallback] 환경 변수가 없을 때의 값
+ * @return {Array<number>}
+ */
+function parseList(name, fallback) {
+    if (!process.env[name]) {
+        return fallback;
+    }
+    return process.env[name].split(",").map((value) => {
+        const number = Number(value.trim().replace(/_/g, ""));
+        if (!Number.isSafeInteger(number) || number <= 0) {
+            throw new Error(`${name}에 양의 정수가 아닌 값이 있습니다: ${value}`);
+        }
+        return number;
+    });
+}
+
+async function main() {
+    if (!["markdown", "csv"].includes(FORMAT)) {
+        throw new Error(`알 수 없는 리포트 형식입니다: ${FORMAT} (markdown, csv 중 하나)`);
+    }
+
+    const results = await runGasScaling({
+        sizes: parseList("LOOP_BENCH_SIZES", DEFAULT_SIZES),
+        limits: parseList("LOOP_BENCH_GAS_LIMITS", undefined),
+        verify: process.env.LOOP_BENCH_VERIFY === "true",
+        onProgress: (message) => console.error(message),
+    });
+
+    const output = FORMAT === "csv" ? toCsv(results) : toMarkdown(results);
+    if (process.env.LOOP_BENCH_OUT) {
+        fs.writeFileSync(process.env.LOOP_BENCH_OUT, output);
+        console.error(`📝 리포트 저장: ${process.env.LOOP_BENCH_OUT}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+        console.error("❌ 루프 가스 벤치마크 중 오류 발생:");
+        console.error(error);
+        process.exit(1);
+    });
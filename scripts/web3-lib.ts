@@ -1,36 +1,32 @@
-import Web3 from 'web3'
-import { Contract, ContractSendMethod, Options } from 'web3-eth-contract'
+import { Web3 } from 'web3'
+import { getArtifact, getProvider } from './artifacts-lib'
 
 /**
  * Deploy the given contract
- * @param {string} contractName name of the contract to deploy
+ * @param {string} contractName name (or fully qualified name) of the contract to deploy
  * @param {Array<any>} args list of constructor' parameters
- * @param {string} from account used to send the transaction
- * @param {number} gas gas limit
+ * @param {number | string} account account index or address used to send the transaction
  * @return {Options} deployed contract
  */
-export const deploy = async (contractName: string, args: Array<any>, from?: string, gas?: number): Promise<Options> => {
+export const deploy = async (contractName: string, args: Array<any>, account?: number | string) => {
 
-  const web3 = new Web3(web3Provider)
+  const web3 = new Web3(getProvider())
   console.log(`deploying ${contractName}`)
   // Note that the script needs the ABI which is generated from the compilation artifact.
   // Make sure contract is compiled and artifacts are generated
-  const artifactsPath = `browser/contracts/artifacts/${contractName}.json`
-
-  const metadata = JSON.parse(await remix.call('fileManager', 'getFile', artifactsPath))
+  const { abi, bytecode } = await getArtifact(contractName)
 
   const accounts = await web3.eth.getAccounts()
+  const from = typeof account === 'string' ? account : accounts[account || 0]
 
-  const contract: Contract = new web3.eth.Contract(metadata.abi)
+  const contract = new web3.eth.Contract(abi)
 
-  const contractSend: ContractSendMethod = contract.deploy({
-    data: metadata.data.bytecode.object,
+  const contractSend = contract.deploy({
+    data: bytecode,
     arguments: args
   })
 
-  const newContractInstance = await contractSend.send({
-    from: from || accounts[0],
-    gas: gas || 1500000
-  })
+  // gas is estimated by web3 when it is not given
+  const newContractInstance = await contractSend.send({ from })
   return newContractInstance.options
-}
\ No newline at end of file
+}
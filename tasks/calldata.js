@@ -0,0 +1,94 @@
+const { task } = require("hardhat/config");
+
+// ================================
+// calldata/셀렉터 태스크
+// ================================
+//
+// 사람이 읽는 함수 시그니처로 calldata를 만들고, 컨트랙트 ABI를 보고 그 호출이
+// 어느 진입점(함수, receive, fallback)으로 가는지 예측합니다. 배포나 트랜잭션 없이 동작합니다.
+//
+// 예)
+//   npx hardhat calldata --sig "nonExistentFunction(uint256)" --args '[123]' --contract FallbackDemo --value 0.001
+//   npx hardhat calldata --data 0x --contract FallbackDemo --value 0.0005
+//   npx hardhat selectors --contract FallbackDemo --check
+
+task("calldata", "함수 시그니처로 calldata를 만들고 진입점을 예측합니다")
+    .addOptionalParam("sig", '함수 시그니처 (예: "transfer(address,uint256)")')
+    .addOptionalParam("args", "함수 인자 (JSON 배열)", "[]")
+    .addOptionalParam("data", "--sig 대신 사용할 calldata (0x...)")
+    .addOptionalParam("contract", "진입점을 예측할 컨트랙트 이름 (ABI)")
+    .addOptionalParam("value", "함께 보낼 이더 (ETH 단위)", "0")
+    .setAction(async (taskArgs, hre) => {
+        const { encodeCall, predictEntryPoint, formatEntryPoint, parseSignature } = require("../scripts/lib/calldata");
+
+        if (!taskArgs.sig === !taskArgs.data) {
+            throw new Error("--sig와 --data 중 하나만 지정하세요.");
+        }
+
+        let data = taskArgs.data;
+        if (taskArgs.sig) {
+            const fragment = parseSignature(taskArgs.sig);
+            data = encodeCall(taskArgs.sig, JSON.parse(taskArgs.args));
+            console.log("시그니처:", fragment.format());
+            console.log("셀렉터:", fragment.selector);
+        }
+        if (!hre.ethers.isHexString(data)) {
+            throw new Error(`--data는 0x로 시작하는 16진수여야 합니다: ${data}`);
+        }
+        console.log("calldata:", data);
+
+        if (!taskArgs.contract) {
+            return { data };
+        }
+        const { abi } = await hre.artifacts.readArtifact(taskArgs.contract);
+        const prediction = predictEntryPoint(abi, { data, value: hre.ethers.parseEther(taskArgs.value) });
+        console.log(`${taskArgs.contract} 진입점 (value ${taskArgs.value} ETH):`, formatEntryPoint(prediction));
+        return { data, ...prediction };
+    });
+
+task("selectors", "컨트랙트의 함수 셀렉터와 receive/fallback 여부를 출력합니다")
+    .addParam("contract", "컨트랙트 이름 (ABI)")
+    .addFlag("check", "TransactionProperty2.calculateSelector()로 온체인 계산 결과와 비교")
+    .setAction(async (taskArgs, hre) => {
+        const { listSelectors, crossCheckSelectors } = require("../scripts/lib/calldata");
+
+        const { abi } = await hre.artifacts.readArtifact(taskArgs.contract);
+        const rows = listSelectors(abi);
+
+        console.log(`=== ${taskArgs.contract} 셀렉터 ===`);
+        for (const { selector, signature, stateMutability } of rows) {
+            console.log(`${(selector || "-").padEnd(10)} ${signature} [${stateMutability}]`);
+        }
+        if (!taskArgs.check) {
+            return rows;
+        }
+
+        const { loadRegistry, isPersistent, assertDeployed } = require("../scripts/lib/registry");
+        let transactionProperty2;
+        if (isPersistent()) {
+            const { chainId } = await hre.ethers.provider.getNetwork();
+            const entry = loadRegistry(chainId).contracts.TransactionProperty2;
+            if (!entry) {
+                throw new Error(
+                    `체인 ${chainId}의 레지스트리에 TransactionProperty2 배포 기록이 없습니다. deploy:contract로 먼저 배포하세요.`
+                );
+            }
+            await assertDeployed("TransactionProperty2", entry);
+            transactionProperty2 = await hre.ethers.getContractAt("TransactionProperty2", entry.address);
+        } else {
+            // 내장 hardhat 네트워크에서는 비교용으로 임시 배포합니다
+            transactionProperty2 = await hre.ethers.deployContract("TransactionProperty2");
+        }
+
+        const signatures = rows.filter(({ selector }) => selector).map(({ signature }) => signature);
+        const checks = await crossCheckSelectors(transactionProperty2, signatures);
+
+        console.log(`\n=== calculateSelector 비교 (${transactionProperty2.target}) ===`);
+        for (const { signature, local, onChain, match } of checks) {
+            console.log(`${match ? "✅" : "❌"} ${signature}: 로컬 ${local} / 온체인 ${onChain}`);
+        }
+        if (checks.some(({ match }) => !match)) {
+            process.exitCode = 1;
+        }
+        return checks;
+    });
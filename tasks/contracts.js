@@ -0,0 +1,157 @@
+const { task } = require("hardhat/config");
+
+// ================================
+// 컨트랙트 배포/호출 태스크
+// ================================
+//
+// 스크립트를 고치지 않고 명령줄에서 컨트랙트를 배포하고 함수를 호출합니다.
+// 배포 결과는 scripts/lib/registry.js의 레지스트리(deployments/<chainId>.json)에 라벨별로 기록되고,
+// call 태스크는 같은 라벨로 주소를 찾습니다. (내장 hardhat 네트워크는 실행마다 초기화되므로 --network localhost 등과 함께 사용)
+//
+// 예)
+//   npx hardhat deploy:contract --network localhost --name Audi --args '["A4",true,7]'
+//   npx hardhat call --network localhost --contract BMW --fn activateSportMode --from 1 --value 0.1
+//   npx hardhat deployments --network localhost
+//
+// scripts/lib/* 모듈은 require("hardhat")을 하므로 설정 파일을 읽는 중이 아니라 태스크 실행 시점에 불러옵니다.
+
+/**
+ * --args로 받은 JSON 배열을 파싱합니다.
+ * @param {string} json 생성자/함수 인자 JSON 배열 문자열
+ * @return {Array<any>}
+ */
+function parseArgs(json) {
+    let args;
+    try {
+        args = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`--args는 JSON 배열이어야 합니다: ${json}`);
+    }
+    if (!Array.isArray(args)) {
+        throw new Error(`--args는 JSON 배열이어야 합니다: ${json}`);
+    }
+    return args;
+}
+
+// --value는 ETH 단위로 받습니다
+const valueOverrides = (hre, value) => (value ? { value: hre.ethers.parseEther(value) } : {});
+
+// 함수 반환값을 출력할 수 있는 형태로 바꿉니다 (bigint → 문자열, Result → 배열)
+function display(value) {
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    if (value && typeof value.toArray === "function") {
+        return value.toArray().map(display);
+    }
+    return Array.isArray(value) ? value.map(display) : value;
+}
+
+task("deploy:contract", "컨트랙트를 배포하고 레지스트리에 기록합니다")
+    .addParam("name", "배포할 컨트랙트 이름 (또는 contracts/자료형/MyToken.sol:MyToken 같은 정규화된 이름)")
+    .addOptionalParam("args", "생성자 인자 (JSON 배열)", "[]")
+    .addOptionalParam("label", "레지스트리에 기록할 라벨 (기본값: 컨트랙트 이름)")
+    .addOptionalParam("from", "배포에 사용할 계정 (인덱스, 주소 또는 namedAccounts 이름)", "deployer")
+    .addOptionalParam("value", "배포와 함께 보낼 이더 (ETH 단위)")
+    .addFlag("reuse", "같은 바이트코드/인자로 기록된 배포가 있으면 새로 배포하지 않고 재사용 (이전 실행에서 바뀐 상태도 그대로 남음)")
+    .setAction(async (taskArgs, hre) => {
+        const { deployAndReport } = require("../scripts/lib/deploy");
+        const { isPersistent } = require("../scripts/lib/registry");
+        const { resolveAccount } = require("../scripts/lib/chain");
+
+        const contract = await deployAndReport(taskArgs.name, parseArgs(taskArgs.args), {
+            label: taskArgs.label || taskArgs.name.split(":").pop(),
+            signer: await resolveAccount(taskArgs.from),
+            overrides: valueOverrides(hre, taskArgs.value),
+            reuse: taskArgs.reuse,
+        });
+
+        if (!isPersistent()) {
+            console.log("⚠️  내장 hardhat 네트워크에 배포했으므로 태스크가 끝나면 사라집니다. (--network localhost 사용)");
+        }
+        return contract;
+    });
+
+task("call", "배포된 컨트랙트의 함수를 호출합니다 (view/pure 함수는 조회, 그 외는 트랜잭션 전송)")
+    .addParam("contract", "레지스트리에 기록된 컨트랙트 라벨")
+    .addParam("fn", "호출할 함수 이름 (오버로드된 함수는 transfer(address,uint256) 같은 시그니처)")
+    .addOptionalParam("args", "함수 인자 (JSON 배열)", "[]")
+    .addOptionalParam("from", "호출에 사용할 계정 (인덱스, 주소 또는 namedAccounts 이름)", "deployer")
+    .addOptionalParam("value", "함께 보낼 이더 (ETH 단위)")
+    .addOptionalParam("address", "레지스트리 대신 사용할 주소 (--contract는 ABI를 가져올 컨트랙트 이름)")
+    .setAction(async (taskArgs, hre) => {
+        const { loadRegistry, assertDeployed } = require("../scripts/lib/registry");
+        const { describeRevert, formatRevert } = require("../scripts/lib/revert");
+        const { deploySettings, resolveAccount } = require("../scripts/lib/chain");
+
+        let name = taskArgs.contract;
+        let address = taskArgs.address;
+        if (!address) {
+            const { chainId } = await hre.ethers.provider.getNetwork();
+            const entry = loadRegistry(chainId).contracts[taskArgs.contract];
+            if (!entry) {
+                throw new Error(
+                    `체인 ${chainId}의 레지스트리에 ${taskArgs.contract} 배포 기록이 없습니다. ` +
+                        "deploy:contract로 먼저 배포하거나 --address를 지정하세요."
+                );
+            }
+            await assertDeployed(taskArgs.contract, entry);
+            ({ contract: name, address } = entry);
+        }
+
+        const signer = await resolveAccount(taskArgs.from);
+        const contract = await hre.ethers.getContractAt(name, address, signer);
+        const method = contract.getFunction(taskArgs.fn);
+        const args = [...parseArgs(taskArgs.args), valueOverrides(hre, taskArgs.value)];
+        const readOnly = ["view", "pure"].includes(method.fragment.stateMutability);
+
+        console.log(`📞 ${taskArgs.contract}.${method.fragment.format()} 호출 (${address}, 계정 ${signer.address})`);
+        if (taskArgs.value && !method.fragment.payable) {
+            console.log(`⚠️  ${method.name}은(는) payable 함수가 아니므로 --value를 보내면 revert됩니다.`);
+        }
+        try {
+            if (readOnly) {
+                const result = await method.staticCall(...args);
+                console.log("반환값:", display(result));
+                return result;
+            }
+
+            const receipt = await (await method.send(...args)).wait(deploySettings().confirmations);
+            console.log("✅ 트랜잭션 성공");
+            console.log("트랜잭션 해시:", receipt.hash);
+            console.log("사용된 가스:", receipt.gasUsed.toString());
+            for (const log of receipt.logs) {
+                const event = contract.interface.parseLog(log);
+                if (event) {
+                    console.log(`이벤트 ${event.name}:`, display(event.args));
+                }
+            }
+            return receipt;
+        } catch (error) {
+            const decoded = await describeRevert(error, [contract.interface]);
+            if (decoded.kind === "unknown") {
+                throw error;
+            }
+            console.log("❌ 호출 실패:", formatRevert(decoded));
+            process.exitCode = 1;
+        }
+    });
+
+task("deployments", "현재 네트워크의 배포 레지스트리를 출력합니다").setAction(async (taskArgs, hre) => {
+    const { loadRegistry } = require("../scripts/lib/registry");
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const { contracts } = loadRegistry(chainId);
+    const labels = Object.keys(contracts);
+    if (labels.length === 0) {
+        console.log(`체인 ${chainId}에 기록된 배포가 없습니다.`);
+        return;
+    }
+
+    console.log(`=== 체인 ${chainId} 배포 목록 ===`);
+    for (const label of labels) {
+        const { contract, address, args, deployedAt } = contracts[label];
+        console.log(`${label} (${contract}): ${address}`);
+        console.log(`  인자: ${JSON.stringify(args)} | 배포 시각: ${deployedAt}`);
+    }
+});
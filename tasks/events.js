@@ -0,0 +1,73 @@
+const { task, types } = require("hardhat/config");
+
+// ================================
+// 이벤트 인덱스 태스크
+// ================================
+//
+// 배포 레지스트리(deployments/<chainId>.json)의 모든 컨트랙트 로그를 디코딩해 events/<chainId>.json에 모으고,
+// 컨트랙트/이벤트/indexed 주소로 조회합니다. (--network localhost 등 영구 네트워크와 함께 사용)
+//
+// 예)
+//   npx hardhat events:index --network localhost
+//   npx hardhat events:index --network localhost --watch
+//   npx hardhat events --network localhost --event CarStarted --address 0xf39F...
+
+// 이벤트 한 건을 한 줄로 출력합니다
+function printEvent({ blockNumber, label, event, args }) {
+    const values = Object.entries(args).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+    console.log(`#${blockNumber} ${label}.${event || "(알 수 없음)"}(${values.join(", ")})`);
+}
+
+task("events:index", "레지스트리의 모든 컨트랙트 로그를 인덱싱합니다")
+    .addFlag("watch", "인덱싱 후 새 블록을 계속 구독 (Ctrl+C로 종료)")
+    .setAction(async (taskArgs, hre) => {
+        const { openIndexer } = require("../scripts/lib/indexer");
+        const { isPersistent } = require("../scripts/lib/registry");
+
+        if (!isPersistent()) {
+            console.log("⚠️  내장 hardhat 네트워크는 배포 기록이 없으므로 인덱싱할 컨트랙트가 없습니다. (--network localhost 사용)");
+            return;
+        }
+
+        const indexer = await openIndexer();
+        const tracked = await indexer.trackRegistry();
+        const added = await indexer.backfill();
+        console.log(`📚 컨트랙트 ${tracked}개에서 새 이벤트 ${added.length}개를 인덱싱했습니다 (저장소: ${indexer.file})`);
+        for (const [key, count] of Object.entries(indexer.summary(added))) {
+            console.log(`  ${key}: ${count}`);
+        }
+
+        if (!taskArgs.watch) {
+            return added;
+        }
+
+        console.log("\n👀 새 블록을 기다리는 중... (Ctrl+C로 종료)");
+        const stop = indexer.watch({
+            onEvent: printEvent,
+            onError: (error) => console.error("❌ 인덱싱 실패:", error.message),
+        });
+        await new Promise((resolve) => process.once("SIGINT", resolve));
+        await stop();
+        console.log(`\n저장된 이벤트: ${indexer.store.events.length}개`);
+    });
+
+task("events", "인덱싱된 이벤트를 조회합니다")
+    .addOptionalParam("contract", "컨트랙트 이름 또는 레지스트리 라벨")
+    .addOptionalParam("event", "이벤트 이름")
+    .addOptionalParam("address", "indexed address 인자로 찾을 주소")
+    .addOptionalParam("fromBlock", "시작 블록", undefined, types.int)
+    .addOptionalParam("toBlock", "마지막 블록", undefined, types.int)
+    .setAction(async (taskArgs, hre) => {
+        const { openIndexer } = require("../scripts/lib/indexer");
+
+        const indexer = await openIndexer();
+        const events = indexer.query(taskArgs);
+        if (events.length === 0) {
+            console.log("조건에 맞는 이벤트가 없습니다. events:index로 먼저 인덱싱했는지 확인하세요.");
+            return events;
+        }
+
+        events.forEach(printEvent);
+        console.log(`\n총 ${events.length}개`);
+        return events;
+    });
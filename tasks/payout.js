@@ -0,0 +1,80 @@
+const { task, types } = require("hardhat/config");
+
+// ================================
+// 일괄 지급 태스크
+// ================================
+//
+// 수신자/금액 CSV(address,amount[,memo], 금액은 ETH 단위)를 검사하고 가스 예산 안의 batchSendEther 호출로 나눠 보낸 뒤,
+// EtherSent 이벤트와 getTransferHistoryByAddress() 기록으로 대조한 지급 보고서를 JSON으로 저장합니다.
+// Address 컨트랙트는 레지스트리 라벨이나 주소로 지정하고, 지급 계정은 batchSendEther 승인 주소여야 합니다.
+//
+// 예)
+//   npx hardhat payout --network localhost --csv scripts/data/payouts.example.csv --dry-run
+//   npx hardhat payout --network localhost --csv payouts.csv --gas-budget 1000000 --out payouts.report.json
+
+task("payout", "CSV의 수신자에게 Address.batchSendEther로 이더를 나눠 보냅니다")
+    .addParam("csv", "지급 CSV 파일 경로 (address,amount[,memo])")
+    .addOptionalParam("contract", "Address 컨트랙트의 레지스트리 라벨 또는 주소", "Address")
+    .addOptionalParam("gasBudget", "batchSendEther 호출 하나의 최대 가스", 1000000, types.int)
+    .addOptionalParam("account", "지급 계정 (인덱스, 주소 또는 namedAccounts 역할)", "deployer")
+    .addOptionalParam("out", "보고서 JSON 경로 (기본값: reports/<csv 파일 이름>.report.json)")
+    .addFlag("allowContracts", "컨트랙트 주소 수신자를 허용")
+    .addFlag("dryRun", "검사와 배치 계획만 출력하고 보내지 않음")
+    .setAction(async (taskArgs, hre) => {
+        const fs = require("fs");
+        const path = require("path");
+        const { loadRegistry, assertDeployed } = require("../scripts/lib/registry");
+        const { resolveAccount } = require("../scripts/lib/chain");
+        const { runPayout, formatReport, serializeReport } = require("../scripts/lib/payout");
+
+        let address = taskArgs.contract;
+        if (!hre.ethers.isAddress(address)) {
+            const { chainId } = await hre.ethers.provider.getNetwork();
+            const entry = loadRegistry(chainId).contracts[address];
+            if (!entry) {
+                throw new Error(`체인 ${chainId}의 레지스트리에 ${address} 배포 기록이 없습니다. --contract로 주소를 지정하세요.`);
+            }
+            await assertDeployed(address, entry);
+            address = entry.address;
+        }
+        const signer = await resolveAccount(taskArgs.account);
+        const payer = await hre.ethers.getContractAt("Address", address, signer);
+
+        console.log(`💸 ${taskArgs.csv} → Address(${address}), 지급 계정 ${signer.address}, 배치 가스 예산 ${taskArgs.gasBudget}`);
+        const report = await runPayout(payer, fs.readFileSync(taskArgs.csv, "utf8"), {
+            gasBudget: taskArgs.gasBudget,
+            allowContracts: taskArgs.allowContracts,
+            dryRun: taskArgs.dryRun,
+            onBatch: ({ batch, receipt, error }) =>
+                console.log(
+                    error
+                        ? `❌ 배치 ${batch.index + 1} revert: ${error.shortMessage || error.message}`
+                        : `✅ 배치 ${batch.index + 1} 전송 (${batch.entries.length}명, ${receipt.hash})`
+                ),
+        });
+
+        if (taskArgs.dryRun) {
+            for (const entry of report.entries) {
+                const notes = [...entry.errors, ...entry.warnings].join("; ");
+                console.log(`${String(entry.line).padStart(3)}줄 ${entry.address || entry.input} ${entry.status}${notes ? ` (${notes})` : ""}`);
+            }
+            report.plan.forEach((batch) =>
+                console.log(
+                    `배치 ${batch.index + 1}: ${batch.entries.length}명, ${hre.ethers.formatEther(batch.total)} ETH, 추정 가스 ${batch.gasEstimate}`
+                )
+            );
+            return report;
+        }
+
+        console.log("");
+        formatReport(report).forEach((line) => console.log(line));
+        // 기본 경로는 소스 트리가 아니라 .gitignore에 있는 reports/ 아래입니다
+        const out = taskArgs.out || path.join(hre.config.paths.root, "reports", `${path.basename(taskArgs.csv)}.report.json`);
+        fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+        fs.writeFileSync(out, serializeReport(report));
+        console.log(`\n📄 보고서: ${out}`);
+        if (!report.reconciled) {
+            console.log("⚠️  실패하거나 대조가 맞지 않는 지급이 있습니다. 보고서의 errors를 확인하세요.");
+        }
+        return report;
+    });
@@ -0,0 +1,78 @@
+const { task } = require("hardhat/config");
+
+// ================================
+// SimpleProxy 업그레이드 태스크
+// ================================
+//
+// 새 구현의 스토리지 레이아웃을 프록시와 이전 구현에 대해 검사하고, 안전할 때만 배포 후 upgrade()를 호출합니다.
+// 프록시와 이전 구현의 주소/이름은 배포 레지스트리(deployments/<chainId>.json)에서 찾습니다.
+//
+// 예)
+//   npx hardhat proxy:upgrade --network localhost --proxy FallbackDemoProxy --impl ProxyFallbackDemoV2 --check-only
+//   npx hardhat proxy:upgrade --network localhost --proxy FallbackDemoProxy --impl ProxyFallbackDemoV2
+
+task("proxy:upgrade", "스토리지 레이아웃을 검사한 뒤 SimpleProxy의 구현을 업그레이드합니다")
+    .addOptionalParam("proxy", "레지스트리에 기록된 프록시 라벨", "SimpleProxy")
+    .addParam("impl", "새 구현 컨트랙트 이름")
+    .addOptionalParam("args", "새 구현의 생성자 인자 (JSON 배열)", "[]")
+    .addOptionalParam("previous", "현재 구현 컨트랙트 이름 (기본값: 레지스트리에서 현재 구현 주소로 찾음)")
+    .addFlag("checkOnly", "레이아웃 검사만 하고 배포/업그레이드는 하지 않음")
+    .setAction(async (taskArgs, hre) => {
+        const { loadRegistry, assertDeployed } = require("../scripts/lib/registry");
+        const { deployAndReport } = require("../scripts/lib/deploy");
+        const { checkUpgrade, upgradeProxy } = require("../scripts/lib/upgrade");
+
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        const { contracts } = loadRegistry(chainId);
+        const entry = contracts[taskArgs.proxy];
+        if (!entry) {
+            throw new Error(`체인 ${chainId}의 레지스트리에 ${taskArgs.proxy} 배포 기록이 없습니다.`);
+        }
+        await assertDeployed(taskArgs.proxy, entry);
+        const proxy = await hre.ethers.getContractAt(entry.contract, entry.address);
+
+        const current = await proxy.implementation();
+        let previous = taskArgs.previous;
+        if (!previous) {
+            const found = Object.values(contracts).find(({ address }) => address === current);
+            if (!found) {
+                if ((await hre.ethers.provider.getCode(current)) === "0x") {
+                    // FallbackDemo처럼 0번 슬롯에 값을 쓰는 구현이 프록시의 implementation을 덮어쓴 경우입니다
+                    throw new Error(
+                        `현재 구현 주소 ${current}에 코드가 없습니다. 이전 구현이 프록시의 implementation 슬롯을 덮어썼을 수 있습니다.`
+                    );
+                }
+                throw new Error(`현재 구현 ${current}의 배포 기록이 없습니다. --previous로 컨트랙트 이름을 지정하세요.`);
+            }
+            previous = found.contract;
+        }
+
+        console.log(`🔍 ${taskArgs.proxy} (${entry.address}) 스토리지 레이아웃 검사: ${previous} → ${taskArgs.impl}`);
+        const check = await checkUpgrade({ proxy: entry.contract, previous, next: taskArgs.impl });
+        check.lines.forEach((line) => console.log(line));
+        if (!check.safe) {
+            throw new Error("안전하지 않은 업그레이드입니다. 위 표의 ❌ 항목을 고친 뒤 다시 시도하세요.");
+        }
+        console.log("✅ 스토리지 레이아웃 검사 통과");
+        if (taskArgs.checkOnly) {
+            return check;
+        }
+
+        const implementation = await deployAndReport(taskArgs.impl, JSON.parse(taskArgs.args), {
+            label: taskArgs.impl.split(":").pop(),
+        });
+
+        console.log(`\n⬆️  ${taskArgs.proxy} 업그레이드 중...`);
+        const receipt = await upgradeProxy({
+            proxy,
+            proxyName: entry.contract,
+            previous,
+            next: taskArgs.impl,
+            implementation: implementation.target,
+            log: () => {},
+        });
+        console.log("✅ 업그레이드 완료 및 검증 성공");
+        console.log("트랜잭션 해시:", receipt.hash);
+        console.log("새 구현 주소:", await proxy.implementation());
+        return receipt;
+    });
@@ -0,0 +1,30 @@
+const { subtask } = require("hardhat/config");
+const { TASK_TEST_RUN_MOCHA_TESTS } = require("hardhat/builtin-tasks/task-names");
+
+// ================================
+// Remix 단위 테스트 연동
+// ================================
+//
+// tests/*_test.sol(Remix Solidity Unit Testing 형식)을 `npx hardhat test`에서 함께 실행합니다.
+// Mocha는 describe/it을 동기적으로 등록해야 하므로, 테스트 파일을 읽기 전에 여기서 먼저 컴파일해 두고
+// test/RemixTests.js가 그 결과로 컨트랙트/함수별 it을 만듭니다.
+//
+// 예)
+//   npx hardhat test
+//   npx hardhat test test/RemixTests.js
+
+subtask(TASK_TEST_RUN_MOCHA_TESTS).setAction(async (taskArgs, hre, runSuper) => {
+    const path = require("path");
+    const runner = path.join(hre.config.paths.tests, "RemixTests.js");
+
+    if (taskArgs.testFiles.some((file) => path.resolve(file) === runner)) {
+        const { precompileRemixTests } = require("../scripts/lib/remix-tests");
+        const compiled = await precompileRemixTests();
+        if (compiled) {
+            compiled.redirects.forEach(({ sourceName, resolved }) =>
+                console.log(`↪️  Remix 테스트 import ${sourceName} → ${resolved}`)
+            );
+        }
+    }
+    return runSuper(taskArgs);
+});
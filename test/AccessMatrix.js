@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  PASS,
+  stateChangingFunctions,
+  defaultArg,
+  buildAccessMatrix,
+  diffMatrix,
+  formatChange,
+  toMarkdown,
+} = require("../scripts/lib/access-matrix");
+const { ACCESS_SUBJECTS } = require("../scripts/lib/access-subjects");
+
+const SNAPSHOT_FILE = path.join(hre.config.paths.root, "access-matrix.snapshot.json");
+
+describe("Access-control matrix", function () {
+  it("Should match the committed snapshot (refresh with ACCESS_MATRIX_UPDATE=true)", async function () {
+    const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf8"));
+
+    const changes = diffMatrix(snapshot, await buildAccessMatrix(ACCESS_SUBJECTS));
+
+    expect(changes.map(formatChange), changes.map(formatChange).join("\n")).to.be.empty;
+  });
+
+  it("Should enumerate only nonpayable and payable functions", async function () {
+    const { interface: iface } = await ethers.getContractFactory("Modifier");
+
+    expect(stateChangingFunctions(iface).map((fragment) => fragment.format("sighash"))).to.deep.equal([
+      "advancedOrder(uint256)",
+      "cancelUserOrder(address)",
+      "orderWithThreshold(uint256)",
+      "setMinPrice(uint256)",
+      "test1()",
+      "test2()",
+      "toggleContractStatus()",
+    ]);
+  });
+
+  it("Should build default arguments from the ABI types", async function () {
+    const [owner, , user] = await ethers.getSigners();
+    const ctx = { accounts: { owner, user } };
+    const arg = (type) => defaultArg(ethers.ParamType.from(type), ctx);
+
+    expect(arg("address")).to.equal(user.address);
+    expect(arg("uint8")).to.equal(1n);
+    expect(arg("address[]")).to.deep.equal([user.address]);
+    expect(arg("bool[2]")).to.deep.equal([true, true]);
+    expect(arg("bytes4")).to.equal("0x00000000");
+    expect(arg("tuple(string,int256)")).to.deep.equal(["access", 1n]);
+  });
+
+  it("Should use the calls overrides for arguments and value", async function () {
+    const matrix = await buildAccessMatrix([
+      {
+        contract: "Modifier",
+        roles: { owner: 0, user: 2 },
+        calls: {
+          setMinPrice: { args: [0] },
+          test1: { value: 9999 },
+          "advancedOrder(uint256)": { args: [11] },
+        },
+      },
+    ]);
+
+    const { initial } = matrix.Modifier;
+    expect(initial["setMinPrice(uint256)"].owner).to.equal('Error("Price must be greater than 0")');
+    expect(initial["test1()"]).to.deep.equal({
+      owner: 'Error("Sent amount is below minimum price")',
+      user: 'Error("Sent amount is below minimum price")',
+    });
+    expect(initial["advancedOrder(uint256)"].user).to.equal('Error("Invalid multiplier")');
+    expect(initial["toggleContractStatus()"]).to.deep.equal({
+      owner: PASS,
+      user: 'Error("Only owner can call this function")',
+    });
+  });
+
+  it("Should reject overrides for functions that do not exist", async function () {
+    await expect(
+      buildAccessMatrix([{ contract: "Modifier", roles: { owner: 0 }, calls: { withdraw: {} } }])
+    ).to.be.rejectedWith("Modifier에 상태 변경 함수 withdraw가 없습니다.");
+  });
+
+  it("Should flag a permission regression against the snapshot", async function () {
+    const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf8"));
+    // Approving the user as well widens batchSendEther in both states
+    const widened = ACCESS_SUBJECTS.find((subject) => subject.contract === "Address");
+    const approveUser = (ctx) => ctx.contract.setAddressApproval(ctx.accounts.user.address, true);
+    const states = Object.fromEntries(
+      Object.entries(widened.states).map(([state, setup]) => [state, [...setup, approveUser]])
+    );
+
+    const current = await buildAccessMatrix([{ ...widened, states }]);
+    const changes = diffMatrix({ Address: snapshot.Address }, current);
+
+    expect(changes.map(formatChange)).to.deep.equal([
+      '⚠️  권한 확대: Address / funded / batchSendEther(address[],uint256[]) / user: Error("Address not approved") → pass',
+      '⚠️  권한 확대: Address / initial / batchSendEther(address[],uint256[]) / user: Error("Address not approved") → pass',
+    ]);
+  });
+
+  it("Should report added and removed cells", function () {
+    const before = { A: { s: { "f()": { owner: PASS, user: PASS } } } };
+    const after = { A: { s: { "f()": { owner: PASS }, "g()": { owner: 'Error("x")' } } } };
+
+    expect(diffMatrix(before, after)).to.deep.equal([
+      { key: "A / s / f() / user", before: PASS, after: null },
+      { key: "A / s / g() / owner", before: null, after: 'Error("x")' },
+    ]);
+    expect(formatChange({ key: "A / s / f() / user", before: PASS, after: null })).to.equal(
+      "변경: A / s / f() / user: pass → (없음)"
+    );
+  });
+
+  it("Should render one Markdown table per contract state", function () {
+    const markdown = toMarkdown({ A: { s: { "f()": { owner: PASS, user: 'Error("x")' } } } });
+
+    expect(markdown).to.include("## A (s)");
+    expect(markdown).to.include("| 함수 | owner | user |");
+    expect(markdown).to.include('| f() | ✅ | ❌ Error("x") |');
+  });
+});
@@ -0,0 +1,164 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const {
+  PHASE_LENGTH,
+  applyBlockEnv,
+  createChain,
+  readBlockProperties,
+  runBlockSimulation,
+  formatTimeline,
+} = require("../scripts/lib/block-env");
+
+describe("Block environment harness", function () {
+  async function deployFixture() {
+    const blockProperty = await ethers.deployContract("BlockProperty");
+    const blockProperty2 = await ethers.deployContract("BlockProperty2");
+
+    return { blockProperty, blockProperty2 };
+  }
+
+  describe("applyBlockEnv", function () {
+    it("Should mine N blocks with the given interval", async function () {
+      await loadFixture(deployFixture);
+      const before = await ethers.provider.getBlock("latest");
+
+      const block = await applyBlockEnv({ mine: 50, interval: 12 });
+
+      // The first mined block gets the usual next timestamp, the interval applies between the mined blocks
+      const first = await ethers.provider.getBlock(before.number + 1);
+      expect(block.number).to.equal(before.number + 50);
+      expect(block.timestamp).to.equal(first.timestamp + 49 * 12);
+    });
+
+    it("Should mine up to a target block number", async function () {
+      const { blockProperty } = await loadFixture(deployFixture);
+
+      await applyBlockEnv({ mineTo: PHASE_LENGTH - 1 });
+      expect(await blockProperty.getCurrentPhase()).to.equal(0);
+
+      await applyBlockEnv({ mine: 1 });
+      expect(await time.latestBlock()).to.equal(PHASE_LENGTH);
+      expect(await blockProperty.getCurrentPhase()).to.equal(1);
+    });
+
+    it("Should set the next timestamp and mine one block for it", async function () {
+      const { blockProperty } = await loadFixture(deployFixture);
+      const target = (await time.latest()) + 3600;
+
+      await applyBlockEnv({ timestamp: target - 1 });
+      expect(await blockProperty.isAfterTime(target)).to.be.false;
+
+      const block = await applyBlockEnv({ advance: 1 });
+      expect(block.timestamp).to.equal(target);
+      expect(await blockProperty.isAfterTime(target)).to.be.true;
+    });
+
+    it("Should start a mined range at the set timestamp", async function () {
+      await loadFixture(deployFixture);
+      const target = (await time.latest()) + 1000;
+
+      const block = await applyBlockEnv({ timestamp: target, mine: 10, interval: 5 });
+
+      expect(block.timestamp).to.equal(target + 9 * 5);
+    });
+
+    it("Should reject conflicting or backwards environments", async function () {
+      await loadFixture(deployFixture);
+      const latest = await ethers.provider.getBlock("latest");
+
+      await expect(applyBlockEnv({ timestamp: latest.timestamp + 10, advance: 10 })).to.be.rejectedWith(
+        "timestamp와 advance는 함께 지정할 수 없습니다."
+      );
+      await expect(applyBlockEnv({ mine: 1, mineTo: 100 })).to.be.rejectedWith("mine과 mineTo는 함께 지정할 수 없습니다.");
+      await expect(applyBlockEnv({ timestamp: latest.timestamp })).to.be.rejectedWith("최신 블록");
+      await expect(applyBlockEnv({ mineTo: latest.number })).to.be.rejectedWith("최신 블록");
+    });
+  });
+
+  describe("readBlockProperties", function () {
+    it("Should read every BlockProperty field and the phase from the latest block", async function () {
+      const { blockProperty } = await loadFixture(deployFixture);
+      await applyBlockEnv({ mineTo: 2 * PHASE_LENGTH + 5 });
+      const latest = await ethers.provider.getBlock("latest");
+
+      const row = await readBlockProperties(blockProperty);
+
+      expect(row).to.include({ number: latest.number, timestamp: latest.timestamp, chainId: 31337, phase: 2 });
+      expect(row).to.have.all.keys("basefee", "chainId", "coinbase", "prevrandao", "gaslimit", "number", "timestamp", "phase");
+    });
+
+    it("Should read the block number and timestamp from BlockProperty2", async function () {
+      const { blockProperty2 } = await loadFixture(deployFixture);
+      const latest = await ethers.provider.getBlock("latest");
+
+      expect(await readBlockProperties(blockProperty2)).to.deep.equal({ number: latest.number, timestamp: latest.timestamp });
+    });
+  });
+
+  describe("Alternate chains", function () {
+    it("Should start a fresh chain with the given chainId", async function () {
+      const chain = await createChain(11155111);
+
+      expect((await chain.provider.getNetwork()).chainId).to.equal(11155111n);
+      expect(await chain.provider.getBlockNumber()).to.equal(0);
+      expect(chain.signers[0].address).to.equal((await ethers.getSigners())[0].address);
+
+      const blockProperty = await ethers.deployContract("BlockProperty", [], chain.signers[0]);
+      expect(await blockProperty.block2()).to.equal(11155111);
+      expect(await blockProperty.isCorrectChain(11155111)).to.be.true;
+      expect(await blockProperty.isCorrectChain(31337)).to.be.false;
+    });
+  });
+
+  describe("runBlockSimulation", function () {
+    const steps = [
+      { title: "start", expect: { phase: 0, chain: { 1: true } } },
+      { title: "last block of phase 0", env: { mineTo: PHASE_LENGTH - 1 }, expect: { phase: 0 } },
+      { title: "phase 1", env: { mine: 1 }, expect: { number: PHASE_LENGTH, phase: 1 } },
+      {
+        title: "one hour later",
+        env: { advance: 3600 },
+        expect: ({ start }) => ({ afterTime: { [start.timestamp + 3600]: true } }),
+      },
+    ];
+
+    it("Should record a timeline with passing checks on an alternate chain", async function () {
+      const result = await runBlockSimulation({ chainId: 1, steps });
+
+      expect(result.chainId).to.equal(1);
+      expect(result.timeline.map((row) => [row.step, row.number, row.phase])).to.deep.equal([
+        ["start", 1, 0],
+        ["last block of phase 0", PHASE_LENGTH - 1, 0],
+        ["phase 1", PHASE_LENGTH, 1],
+        ["one hour later", PHASE_LENGTH + 1, 1],
+      ]);
+      expect(result.timeline.flatMap((row) => row.checks).every((check) => check.passed)).to.be.true;
+    });
+
+    it("Should report failed expectations without throwing", async function () {
+      await loadFixture(deployFixture);
+      const result = await runBlockSimulation({
+        steps: [{ title: "wrong chain", expect: { chain: { 1: true }, phase: 3 } }],
+      });
+
+      expect(result.chainId).to.equal(31337);
+      expect(result.timeline[0].checks).to.deep.equal([
+        { expected: "phase = 3", actual: "phase = 0", passed: false },
+        { expected: "isCorrectChain(1) = true", actual: "isCorrectChain(1) = false", passed: false },
+      ]);
+    });
+
+    it("Should format the timeline as aligned rows", async function () {
+      const { timeline } = await runBlockSimulation({ chainId: 5, steps: steps.slice(0, 3) });
+
+      const lines = formatTimeline(timeline);
+
+      expect(lines).to.have.lengthOf(4);
+      expect(lines[0]).to.match(/블록 \| +타임스탬프 \| 단계 \| 체인 \| 검증/);
+      expect(lines[3]).to.match(/^10000 \| \d+ \| +1 \| +5 \| +2\/2 \| phase 1$/);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const {
+  selectorOf,
+  encodeCall,
+  predictEntryPoint,
+  listSelectors,
+  crossCheckSelectors,
+} = require("../scripts/lib/calldata");
+
+describe("Calldata builder", function () {
+  async function deployFixture() {
+    const [owner, user1] = await ethers.getSigners();
+
+    const fallbackDemo = await ethers.deployContract("FallbackDemo");
+    const transactionProperty2 = await ethers.deployContract("TransactionProperty2");
+
+    return { fallbackDemo, transactionProperty2, owner, user1 };
+  }
+
+  // Sends the call and reports which counter FallbackDemo bumped
+  async function observeEntryPoint(fallbackDemo, signer, call) {
+    const before = await fallbackDemo.getStatus();
+    try {
+      await (
+        await signer.sendTransaction({ to: fallbackDemo.target, ...call })
+      ).wait();
+    } catch (error) {
+      return "reverted";
+    }
+    const after = await fallbackDemo.getStatus();
+
+    if (after.receiveCount_ > before.receiveCount_) return "receive";
+    if (after.fallbackCount_ > before.fallbackCount_) return "fallback";
+    return "function";
+  }
+
+  describe("Encoding", function () {
+    it("Should ignore parameter names and whitespace in selectors", function () {
+      expect(selectorOf("transfer(address,uint256)")).to.equal("0xa9059cbb");
+      expect(selectorOf("function transfer(address to, uint256 amount)")).to.equal(
+        "0xa9059cbb"
+      );
+    });
+
+    it("Should match the hand-built calldata from deploy-fallback.js", function () {
+      const manual =
+        ethers.id("nonExistentFunction(uint256)").slice(0, 10) +
+        ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [123]).slice(2);
+
+      expect(encodeCall("nonExistentFunction(uint256)", [123])).to.equal(manual);
+      expect(encodeCall("getBalance()")).to.equal("0x12065fe0");
+    });
+
+    it("Should reject a wrong number of arguments", function () {
+      expect(() => encodeCall("withdraw(uint256)", [])).to.throw("인자는 1개");
+    });
+  });
+
+  describe("Entry point prediction", function () {
+    const cases = [
+      ["an exact selector", () => ({ data: encodeCall("order()"), value: 1000n }), "function"],
+      ["empty calldata with ether", () => ({ value: ethers.parseEther("0.002") }), "receive"],
+      ["an unknown selector", () => ({ data: encodeCall("unknownFunction()") }), "fallback"],
+      ["the special getBalance() selector", () => ({ data: encodeCall("getBalance()") }), "fallback"],
+      ["calldata shorter than a selector", () => ({ data: "0x1234" }), "fallback"],
+    ];
+
+    for (const [name, call, entry] of cases) {
+      it(`Should route ${name} to ${entry}`, async function () {
+        const { fallbackDemo, user1 } = await loadFixture(deployFixture);
+
+        const prediction = predictEntryPoint(fallbackDemo.interface, call());
+
+        expect(prediction.entry).to.equal(entry);
+        expect(prediction.reverts).to.equal(false);
+        expect(await observeEntryPoint(fallbackDemo, user1, call())).to.equal(entry);
+      });
+    }
+
+    it("Should predict a revert when sending ether to a non-payable function", async function () {
+      const { fallbackDemo, user1 } = await loadFixture(deployFixture);
+      const call = { data: encodeCall("withdraw(uint256)", [0]), value: 1n };
+
+      const prediction = predictEntryPoint(fallbackDemo.interface, call);
+
+      expect(prediction.entry).to.equal("function");
+      expect(prediction.reverts).to.equal(true);
+      expect(await observeEntryPoint(fallbackDemo, user1, call)).to.equal("reverted");
+    });
+
+    it("Should predict a revert for truncated arguments", function () {
+      const data = encodeCall("withdraw(uint256)", [1]).slice(0, 20);
+
+      const prediction = predictEntryPoint(
+        new ethers.Interface(["function withdraw(uint256)"]),
+        { data }
+      );
+
+      expect(prediction.reverts).to.equal(true);
+    });
+
+    it("Should find no entry point on a contract without receive or fallback", async function () {
+      const { owner } = await loadFixture(deployFixture);
+      const lock = await ethers.deployContract("Lock", [
+        (await ethers.provider.getBlock("latest")).timestamp + 60,
+      ]);
+
+      const prediction = predictEntryPoint(lock.interface, { value: 1n });
+
+      expect(prediction.entry).to.equal("none");
+      await expect(
+        owner.sendTransaction({ to: lock.target, value: 1n })
+      ).to.be.reverted;
+    });
+
+    it("Should list receive and fallback after the selectors", async function () {
+      const { fallbackDemo } = await loadFixture(deployFixture);
+
+      const rows = listSelectors(fallbackDemo.interface);
+
+      expect(rows.slice(-2).map((row) => row.selector)).to.deep.equal([null, null]);
+      expect(rows.find((row) => row.selector === "0xbf15071d").signature).to.equal(
+        "order()"
+      );
+    });
+  });
+
+  describe("On-chain cross-check", function () {
+    it("Should agree with calculateSelector and getCheckFunctionSelector", async function () {
+      const { fallbackDemo, transactionProperty2 } = await loadFixture(deployFixture);
+      const signatures = listSelectors(fallbackDemo.interface)
+        .filter((row) => row.selector)
+        .map((row) => row.signature);
+
+      const rows = await crossCheckSelectors(transactionProperty2, signatures);
+
+      expect(rows).to.have.lengthOf(signatures.length + 1);
+      expect(rows.every((row) => row.match)).to.equal(true);
+    });
+  });
+});
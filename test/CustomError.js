@@ -0,0 +1,337 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { revertGasUsed } = require("../scripts/lib/gas");
+
+describe("CustomErrorDemo", function () {
+  const MIN_PRICE = ethers.parseEther("0.01");
+
+  async function deployCustomErrorFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const demo = await ethers.deployContract("CustomErrorDemo");
+
+    return { demo, owner, user1, user2 };
+  }
+
+  async function deployWithOrdersFixture() {
+    const fixture = await deployCustomErrorFixture();
+    const { demo, user1, user2 } = fixture;
+
+    await demo.connect(user1).order({ value: ethers.parseEther("0.05") });
+    await demo.connect(user2).advancedOrder({ value: ethers.parseEther("0.02") });
+
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("Should set the owner and the default minimum price", async function () {
+      const { demo, owner } = await loadFixture(deployCustomErrorFixture);
+
+      expect(await demo.getContractInfo()).to.deep.equal([
+        MIN_PRICE,
+        0n,
+        0n,
+        owner.address,
+      ]);
+    });
+  });
+
+  describe("order", function () {
+    it("Should store the order and the balance", async function () {
+      const { demo, user1 } = await loadFixture(deployCustomErrorFixture);
+      const value = ethers.parseEther("0.05");
+
+      await expect(demo.connect(user1).order({ value })).to.changeEtherBalances(
+        [user1, demo],
+        [-value, value]
+      );
+      expect(await demo.orderList(user1.address)).to.equal(value);
+      expect(await demo.contractBalance()).to.equal(value);
+    });
+
+    it("Should revert with ZeroValueError without ether", async function () {
+      const { demo } = await loadFixture(deployCustomErrorFixture);
+
+      await expect(demo.order())
+        .to.be.revertedWithCustomError(demo, "ZeroValueError")
+        .withArgs();
+    });
+  });
+
+  describe("advancedOrder", function () {
+    it("Should accept an order at the minimum price", async function () {
+      const { demo, user1 } = await loadFixture(deployCustomErrorFixture);
+
+      await demo.connect(user1).advancedOrder({ value: MIN_PRICE });
+
+      expect(await demo.orderList(user1.address)).to.equal(MIN_PRICE);
+    });
+
+    it("Should revert with ZeroValueError without ether", async function () {
+      const { demo } = await loadFixture(deployCustomErrorFixture);
+
+      await expect(demo.advancedOrder())
+        .to.be.revertedWithCustomError(demo, "ZeroValueError")
+        .withArgs();
+    });
+
+    it("Should revert with BelowMinimumError carrying the sent and minimum amounts", async function () {
+      const { demo } = await loadFixture(deployCustomErrorFixture);
+      const value = MIN_PRICE - 1n;
+
+      await expect(demo.advancedOrder({ value }))
+        .to.be.revertedWithCustomError(demo, "BelowMinimumError")
+        .withArgs(value, MIN_PRICE);
+    });
+
+    it("Should reject a duplicate order with a string reason", async function () {
+      const { demo, user2 } = await loadFixture(deployWithOrdersFixture);
+
+      await expect(
+        demo.connect(user2).advancedOrder({ value: MIN_PRICE })
+      ).to.be.revertedWith("Duplicate order not allowed");
+    });
+  });
+
+  describe("setMinPrice", function () {
+    it("Should update the minimum price", async function () {
+      const { demo } = await loadFixture(deployCustomErrorFixture);
+      const newMinPrice = ethers.parseEther("0.02");
+
+      await demo.setMinPrice(newMinPrice);
+
+      expect(await demo.minPrice()).to.equal(newMinPrice);
+      await expect(demo.advancedOrder({ value: MIN_PRICE }))
+        .to.be.revertedWithCustomError(demo, "BelowMinimumError")
+        .withArgs(MIN_PRICE, newMinPrice);
+    });
+
+    it("Should revert with UnauthorizedAccess for another account", async function () {
+      const { demo, owner, user1 } = await loadFixture(deployCustomErrorFixture);
+
+      await expect(demo.connect(user1).setMinPrice(1))
+        .to.be.revertedWithCustomError(demo, "UnauthorizedAccess")
+        .withArgs(user1.address, owner.address);
+    });
+
+    it("Should revert with ZeroValueError for a zero price", async function () {
+      const { demo } = await loadFixture(deployCustomErrorFixture);
+
+      await expect(demo.setMinPrice(0))
+        .to.be.revertedWithCustomError(demo, "ZeroValueError")
+        .withArgs();
+    });
+  });
+
+  describe("withdraw", function () {
+    it("Should transfer the amount and reduce the recorded balance", async function () {
+      const { demo, user1 } = await loadFixture(deployWithOrdersFixture);
+      const amount = ethers.parseEther("0.03");
+
+      await expect(demo.withdraw(amount, user1.address)).to.changeEtherBalances(
+        [demo, user1],
+        [-amount, amount]
+      );
+      expect(await demo.contractBalance()).to.equal(ethers.parseEther("0.04"));
+    });
+
+    it("Should revert with UnauthorizedAccess for another account", async function () {
+      const { demo, owner, user1 } = await loadFixture(deployWithOrdersFixture);
+
+      await expect(demo.connect(user1).withdraw(1, user1.address))
+        .to.be.revertedWithCustomError(demo, "UnauthorizedAccess")
+        .withArgs(user1.address, owner.address);
+    });
+
+    it("Should revert with InvalidAddress for the zero address", async function () {
+      const { demo } = await loadFixture(deployWithOrdersFixture);
+
+      await expect(demo.withdraw(1, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(demo, "InvalidAddress")
+        .withArgs(ethers.ZeroAddress);
+    });
+
+    it("Should revert with InsufficientBalance against the recorded balance", async function () {
+      const { demo, owner } = await loadFixture(deployWithOrdersFixture);
+      const amount = ethers.parseEther("1");
+
+      await expect(demo.withdraw(amount, owner.address))
+        .to.be.revertedWithCustomError(demo, "InsufficientBalance")
+        .withArgs(ethers.parseEther("0.07"), amount);
+    });
+  });
+
+  describe("cancelOrder", function () {
+    it("Should clear the order and reduce the recorded balance", async function () {
+      const { demo, user1 } = await loadFixture(deployWithOrdersFixture);
+
+      await demo.cancelOrder(user1.address);
+
+      expect(await demo.orderList(user1.address)).to.equal(0);
+      expect(await demo.contractBalance()).to.equal(ethers.parseEther("0.02"));
+    });
+
+    it("Should revert with UnauthorizedAccess for another account", async function () {
+      const { demo, owner, user1 } = await loadFixture(deployWithOrdersFixture);
+
+      await expect(demo.connect(user1).cancelOrder(user1.address))
+        .to.be.revertedWithCustomError(demo, "UnauthorizedAccess")
+        .withArgs(user1.address, owner.address);
+    });
+
+    it("Should revert with InvalidAddress for the zero address", async function () {
+      const { demo } = await loadFixture(deployWithOrdersFixture);
+
+      await expect(demo.cancelOrder(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(demo, "InvalidAddress")
+        .withArgs(ethers.ZeroAddress);
+    });
+
+    it("Should reject a user without an order with a string reason", async function () {
+      const { demo, owner } = await loadFixture(deployWithOrdersFixture);
+
+      await expect(demo.cancelOrder(owner.address)).to.be.revertedWith(
+        "No order found for user"
+      );
+    });
+
+    it("Should panic when the order's ether was already withdrawn", async function () {
+      const { demo, owner, user1 } = await loadFixture(deployWithOrdersFixture);
+
+      await demo.withdraw(ethers.parseEther("0.07"), owner.address);
+
+      await expect(demo.cancelOrder(user1.address)).to.be.revertedWithPanic(
+        0x11
+      );
+    });
+  });
+
+  describe("triggerCustomError", function () {
+    const cases = [
+      [1, "ZeroValueError", () => []],
+      [2, "BelowMinimumError", () => [100, 1000]],
+      [3, "UnauthorizedAccess", ({ user1, owner }) => [user1.address, owner.address]],
+      [4, "InsufficientBalance", () => [500, 1000]],
+      [5, "InvalidAddress", () => [ethers.ZeroAddress]],
+    ];
+
+    for (const [errorType, errorName, args] of cases) {
+      it(`Should revert with ${errorName} for error type ${errorType}`, async function () {
+        const fixture = await loadFixture(deployCustomErrorFixture);
+        const { demo, user1 } = fixture;
+
+        await expect(demo.connect(user1).triggerCustomError(errorType))
+          .to.be.revertedWithCustomError(demo, errorName)
+          .withArgs(...args(fixture));
+      });
+    }
+
+    for (const errorType of [0, 6, 255]) {
+      it(`Should revert with a string reason for error type ${errorType}`, async function () {
+        const { demo } = await loadFixture(deployCustomErrorFixture);
+
+        await expect(demo.triggerCustomError(errorType)).to.be.revertedWith(
+          "Invalid error type"
+        );
+      });
+    }
+  });
+
+  describe("receive", function () {
+    it("Should add plain transfers to the recorded balance", async function () {
+      const { demo, user1 } = await loadFixture(deployCustomErrorFixture);
+      const value = ethers.parseEther("0.1");
+
+      await user1.sendTransaction({ to: demo.target, value });
+
+      expect(await demo.contractBalance()).to.equal(value);
+      expect(await demo.orderList(user1.address)).to.equal(0);
+    });
+  });
+
+  describe("Revert gas", function () {
+    // scripts/deploy-custom-error.js prints the full comparison table
+    for (const name of ["Require", "Requiref"]) {
+      it(`Should spend less gas on BelowMinimumError than on the ${name} string reason`, async function () {
+        const { demo, user1 } = await loadFixture(deployCustomErrorFixture);
+        const requireContract = await ethers.deployContract(name);
+
+        const custom = await revertGasUsed(
+          (overrides) => demo.connect(user1).advancedOrder({ value: 1, ...overrides }),
+          user1
+        );
+        const string = await revertGasUsed(
+          (overrides) => requireContract.connect(user1).order({ value: 1, ...overrides }),
+          user1
+        );
+
+        expect(custom.gasUsed).to.be.lessThan(string.gasUsed);
+      });
+    }
+
+    // Over HTTP, `npx hardhat node` rejects eth_sendTransaction with { code, data: { message, data } } after mining
+    // the reverted transaction: there is no receipt or transactionHash on the error
+    const httpProviderError = (data) =>
+      Object.assign(new Error("VM Exception while processing transaction"), { code: -32603, data });
+
+    it("Should find the receipt from data.txHash of an HTTP provider error", async function () {
+      const { demo, user1 } = await loadFixture(deployCustomErrorFixture);
+      const expected = await revertGasUsed(
+        (overrides) => demo.connect(user1).advancedOrder({ value: 1, ...overrides }),
+        user1
+      );
+
+      const { gasUsed } = await revertGasUsed(async (overrides) => {
+        try {
+          return await demo.connect(user1).advancedOrder({ value: 1, ...overrides });
+        } catch (error) {
+          throw httpProviderError({ message: error.message, txHash: error.transactionHash });
+        }
+      }, user1);
+
+      expect(gasUsed).to.equal(expected.gasUsed);
+    });
+
+    it("Should find the mined revert when an HTTP provider error carries no tx hash", async function () {
+      const { demo, user1 } = await loadFixture(deployCustomErrorFixture);
+      const expected = await revertGasUsed(
+        (overrides) => demo.connect(user1).advancedOrder({ value: 1, ...overrides }),
+        user1
+      );
+
+      const { gasUsed, error } = await revertGasUsed(async (overrides) => {
+        try {
+          return await demo.connect(user1).advancedOrder({ value: 1, ...overrides });
+        } catch (error) {
+          throw httpProviderError({ message: error.message, data: error.data });
+        }
+      }, user1);
+
+      expect(gasUsed).to.equal(expected.gasUsed);
+      expect(error.code).to.equal(-32603);
+    });
+
+    it("Should not pick up a revert sent by another account", async function () {
+      const { demo, user1, user2 } = await loadFixture(deployCustomErrorFixture);
+      const rejected = httpProviderError({ message: "nonce too low" });
+
+      // Another script on the same node mines a revert with the same gas limit in the meantime
+      const send = async () => {
+        await revertGasUsed((overrides) => demo.connect(user2).advancedOrder({ value: 1, ...overrides }), user2);
+        throw rejected;
+      };
+
+      await expect(revertGasUsed(send, user1)).to.be.rejectedWith("VM Exception");
+    });
+
+    it("Should rethrow errors for transactions that were never mined", async function () {
+      const rejected = httpProviderError({ message: "nonce too low" });
+
+      const [owner] = await ethers.getSigners();
+
+      await expect(revertGasUsed(async () => Promise.reject(rejected), owner)).to.be.rejectedWith("VM Exception");
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const {
+  Status,
+  STATUS_NAMES,
+  runAuctionModel,
+} = require("../scripts/lib/auction");
+
+describe("Enum auction", function () {
+  async function deployAuctionFixture() {
+    const [creator, user1, user2, user3] = await ethers.getSigners();
+
+    const auction = await ethers.deployContract("Enum");
+
+    return { auction, creator, user1, user2, user3 };
+  }
+
+  async function biddingFixture() {
+    const fixture = await deployAuctionFixture();
+    await fixture.auction.auctionStart();
+    await fixture.auction.startBidding();
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("Should start in NotSale with one history entry", async function () {
+      const { auction, creator } = await loadFixture(deployAuctionFixture);
+
+      expect(await auction.auctionStatus()).to.equal(Status.NotSale);
+      expect(await auction.getCurrentStatusName()).to.equal("Not For Sale");
+      expect(await auction.auctionCreator()).to.equal(creator.address);
+      expect(await auction.getStatusHistoryLength()).to.equal(1);
+      expect(await auction.getStatusHistoryAt(0)).to.equal(Status.NotSale);
+    });
+
+    it("Should convert between uint8 and Status", async function () {
+      const { auction } = await loadFixture(deployAuctionFixture);
+
+      expect(await auction.getAllPossibleStatuses()).to.deep.equal([0n, 1n, 2n, 3n, 4n]);
+      expect(await auction.statusToUint(Status.Sold)).to.equal(4);
+      expect(await auction.uintToStatus(3)).to.equal(Status.Bid);
+      await expect(auction.uintToStatus(5)).to.be.revertedWith("Invalid status value");
+    });
+
+    it("Should reject out-of-range history indexes", async function () {
+      const { auction } = await loadFixture(deployAuctionFixture);
+
+      await expect(auction.getStatusHistoryAt(1)).to.be.revertedWith(
+        "Index out of bounds"
+      );
+    });
+  });
+
+  describe("Lifecycle", function () {
+    it("Should go NotSale → Auction → Bid → Sold and record every step", async function () {
+      const { auction, creator, user1 } = await loadFixture(deployAuctionFixture);
+
+      await expect(auction.auctionStart())
+        .to.emit(auction, "StatusChanged")
+        .withArgs(Status.NotSale, Status.Auction, await time.latest() + 1, creator.address);
+      await auction.startBidding();
+      await auction.connect(user1).placeBid({ value: 100 });
+      await auction.completeSale();
+
+      expect(await auction.getCurrentStatusName()).to.equal("Sold");
+      const history = [];
+      for (let i = 0; i < (await auction.getStatusHistoryLength()); i++) {
+        history.push(await auction.getStatusHistoryAt(i));
+      }
+      expect(history).to.deep.equal([
+        BigInt(Status.NotSale),
+        BigInt(Status.Auction),
+        BigInt(Status.Bid),
+        BigInt(Status.Sold),
+      ]);
+      expect(await auction.getStatusTimestamp(Status.Sold)).to.equal(await time.latest());
+    });
+
+    it("Should switch to sales mode and complete without bids", async function () {
+      const { auction } = await loadFixture(deployAuctionFixture);
+
+      await auction.setSalesMode();
+      expect(await auction.getCurrentStatusName()).to.equal(STATUS_NAMES[Status.Sales]);
+
+      await expect(auction.setSalesMode()).to.be.revertedWith(
+        "Cannot switch to sales mode in current status"
+      );
+      await auction.completeSale();
+      expect(await auction.isInStatus(Status.Sold)).to.equal(true);
+    });
+
+    it("Should only let the creator change the status", async function () {
+      const { auction, user1 } = await loadFixture(deployAuctionFixture);
+
+      for (const fn of ["auctionStart", "setSalesMode", "completeSale", "cancelSale"]) {
+        await expect(auction.connect(user1)[fn]()).to.be.revertedWith(
+          "Only creator can perform this action"
+        );
+      }
+    });
+
+    it("Should not complete bidding without a bid", async function () {
+      const { auction } = await loadFixture(biddingFixture);
+
+      await expect(auction.completeSale()).to.be.revertedWith("No valid bids received");
+    });
+
+    it("Should never leave Sold", async function () {
+      const { auction } = await loadFixture(deployAuctionFixture);
+
+      await auction.setSalesMode();
+      await auction.completeSale();
+
+      await expect(auction.cancelSale()).to.be.revertedWith("Cannot cancel completed sale");
+      await expect(auction.auctionStart()).to.be.revertedWith("Invalid status for this action");
+      await expect(auction.setSalesMode()).to.be.revertedWith(
+        "Cannot switch to sales mode in current status"
+      );
+    });
+  });
+
+  describe("Bidding", function () {
+    it("Should refund the previous highest bidder", async function () {
+      const { auction, user1, user2 } = await loadFixture(biddingFixture);
+
+      await expect(auction.connect(user1).placeBid({ value: 100 }))
+        .to.emit(auction, "BidPlaced")
+        .withArgs(user1.address, 100, await time.latest() + 1);
+      await expect(
+        auction.connect(user2).placeBid({ value: 250 })
+      ).to.changeEtherBalances([user1, user2, auction], [100, -250, 150]);
+
+      const info = await auction.getAuctionInfo();
+      expect(info.bidder).to.equal(user2.address);
+      expect(info.bid).to.equal(250);
+    });
+
+    it("Should reject bids that are not higher or come from the creator", async function () {
+      const { auction, user1, user2 } = await loadFixture(biddingFixture);
+
+      await auction.connect(user1).placeBid({ value: 100 });
+
+      await expect(auction.connect(user2).placeBid({ value: 100 })).to.be.revertedWith(
+        "Bid must be higher than current highest"
+      );
+      await expect(auction.placeBid({ value: 200 })).to.be.revertedWith(
+        "Creator cannot bid on own auction"
+      );
+    });
+
+    it("Should refund and reset the highest bid on cancel", async function () {
+      const { auction, user1 } = await loadFixture(biddingFixture);
+
+      await auction.connect(user1).placeBid({ value: 100 });
+
+      await expect(auction.cancelSale()).to.changeEtherBalances(
+        [user1, auction],
+        [100, -100]
+      );
+      expect(await auction.highestBidder()).to.equal(ethers.ZeroAddress);
+      expect(await auction.highestBid()).to.equal(0);
+      expect(await auction.getCurrentStatusName()).to.equal("Not For Sale");
+    });
+  });
+
+  describe("Model-based runs", function () {
+    for (const seed of [1, 7, 42]) {
+      it(`Should match the JS model for 60 random calls (seed ${seed})`, async function () {
+        const [creator, user1, user2, user3] = await ethers.getSigners();
+        const accounts = [
+          { name: "creator", signer: creator },
+          { name: "user1", signer: user1 },
+          { name: "user2", signer: user2 },
+          { name: "user3", signer: user3 },
+        ];
+
+        const result = await runAuctionModel({
+          deploy: () => ethers.deployContract("Enum", creator),
+          accounts,
+          steps: 60,
+          seed,
+        });
+
+        expect(result.mismatches).to.deep.equal([]);
+        expect(result.passed).to.equal(true);
+        expect(result.stats.succeeded).to.be.greaterThan(0);
+        expect(result.stats.reverted).to.be.greaterThan(0);
+      });
+    }
+
+    it("Should report the first step where the contract and model disagree", async function () {
+      const [creator, user1] = await ethers.getSigners();
+
+      // Deploying from user1 makes the model think the wrong account is the creator
+      const result = await runAuctionModel({
+        deploy: () => ethers.deployContract("Enum", user1),
+        accounts: [
+          { name: "creator", signer: creator },
+          { name: "user1", signer: user1 },
+        ],
+        steps: 20,
+        seed: 3,
+      });
+
+      expect(result.passed).to.equal(false);
+      expect(result.mismatches).to.not.be.empty;
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const {
+  loadFixture,
+  reset,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openIndexer } = require("../scripts/lib/indexer");
+
+describe("Event indexer", function () {
+  async function deployFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const benz = await ethers.deployContract("Benz", ["S-Class", true]);
+    const transactionProperty2 = await ethers.deployContract("TransactionProperty2");
+    const fallbackDemo = await ethers.deployContract("FallbackDemo");
+    const proxy = await ethers.deployContract("SimpleProxy", [fallbackDemo.target]);
+    const array = await ethers.deployContract("Array");
+
+    await benz.startEngine();
+    await transactionProperty2.connect(user1).newOrderList({ value: 100 });
+    await transactionProperty2.connect(user2).newOrderList({ value: 200 });
+    await user1.sendTransaction({ to: fallbackDemo.target, value: ethers.parseEther("0.001") });
+    await user2.sendTransaction({ to: proxy.target, data: "0x12345678" });
+    await array.addProduct("Book", 10);
+
+    const indexer = await openIndexer({ file: null });
+    indexer.track("Benz", "Benz", benz.target, fromBlock);
+    indexer.track("TransactionProperty2", "TransactionProperty2", transactionProperty2.target, fromBlock);
+    indexer.track("FallbackDemo", "FallbackDemo", fallbackDemo.target, fromBlock);
+    indexer.track("FallbackDemoProxy", "SimpleProxy", proxy.target, fromBlock);
+    indexer.track("Array", "Array", array.target, fromBlock);
+    await indexer.backfill();
+
+    return { indexer, benz, transactionProperty2, owner, user1, user2 };
+  }
+
+  it("Should decode events from every tracked contract", async function () {
+    const { indexer } = await loadFixture(deployFixture);
+
+    expect(indexer.summary()).to.deep.equal({
+      "Benz.OwnershipTransferred": 1,
+      "Benz.CarStarted": 1,
+      "Benz.AutoPilotActivated": 1,
+      "TransactionProperty2.OrderCreated": 2,
+      "FallbackDemo.EtherReceived": 1,
+      "FallbackDemoProxy.UnknownFunctionCalled": 1,
+      "Array.ProductAdded": 1,
+    });
+  });
+
+  it("Should query by contract, event and indexed address", async function () {
+    const { indexer, owner, user1 } = await loadFixture(deployFixture);
+
+    const orders = indexer.query({ contract: "TransactionProperty2", event: "OrderCreated" });
+    expect(orders.map((event) => event.args.amount)).to.deep.equal(["100", "200"]);
+
+    const byUser1 = indexer.query({ address: user1.address });
+    expect(byUser1.map((event) => event.event)).to.deep.equal(["OrderCreated"]);
+
+    const byOwner = indexer.query({ contract: "Benz", address: owner.address.toLowerCase() });
+    expect(byOwner.map((event) => event.event)).to.deep.equal([
+      "OwnershipTransferred",
+      "CarStarted",
+      "AutoPilotActivated",
+    ]);
+  });
+
+  it("Should not match non-indexed address arguments", async function () {
+    const { indexer, user1 } = await loadFixture(deployFixture);
+
+    // FallbackDemo.EtherReceived(address sender, ...) has no indexed parameters
+    const received = indexer.query({ contract: "FallbackDemo" });
+    expect(received[0].args.sender).to.equal(user1.address);
+    expect(indexer.query({ contract: "FallbackDemo", address: user1.address })).to.be.empty;
+  });
+
+  it("Should decode proxy logs with the implementation's ABI", async function () {
+    const { indexer, user2 } = await loadFixture(deployFixture);
+
+    const [event] = indexer.query({ contract: "FallbackDemoProxy" });
+    expect(event.contract).to.equal("SimpleProxy");
+    expect(event.signature).to.equal("UnknownFunctionCalled(address,bytes)");
+    expect(event.args).to.deep.equal({ sender: user2.address, data: "0x12345678" });
+  });
+
+  it("Should store the hash of indexed strings", async function () {
+    const { indexer } = await loadFixture(deployFixture);
+
+    const [event] = indexer.query({ event: "ProductAdded" });
+    expect(event.args.name).to.deep.equal({ hash: ethers.id("Book") });
+    expect(event.args.price).to.equal("10");
+  });
+
+  it("Should only index new blocks on the next backfill", async function () {
+    const { indexer, transactionProperty2, user1 } = await loadFixture(deployFixture);
+
+    expect(await indexer.backfill()).to.be.empty;
+
+    await transactionProperty2.connect(user1).newOrderList({ value: 300 });
+    const added = await indexer.backfill();
+
+    expect(added).to.have.lengthOf(1);
+    expect(added[0].args.amount).to.equal("300");
+    expect(indexer.query({ event: "OrderCreated" })).to.have.lengthOf(3);
+  });
+
+  it("Should persist the store and resume from the last indexed block", async function () {
+    const { transactionProperty2, user1 } = await loadFixture(deployFixture);
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "events-")), "31337.json");
+
+    const first = await openIndexer({ file });
+    first.track("TransactionProperty2", "TransactionProperty2", transactionProperty2.target);
+    await first.backfill();
+    expect(first.query()).to.have.lengthOf(2);
+
+    await transactionProperty2.connect(user1).newOrderList({ value: 300 });
+
+    const second = await openIndexer({ file });
+    expect(second.query()).to.have.lengthOf(2);
+    expect(await second.backfill()).to.have.lengthOf(1);
+    expect(JSON.parse(fs.readFileSync(file, "utf8")).events).to.have.lengthOf(3);
+
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+
+  it("Should update the label and restart from a new deployment block", async function () {
+    const { indexer, benz } = await loadFixture(deployFixture);
+    const fromBlock = indexer.store.contracts[benz.target.toLowerCase()].fromBlock;
+
+    indexer.track("MyBenz", "Car", benz.target, fromBlock);
+    expect(indexer.query({ contract: "MyBenz" })).to.have.lengthOf(3);
+    expect(indexer.query({ contract: "Benz" })).to.be.empty;
+
+    // Only the constructor's event is in the deployment block
+    indexer.track("MyBenz", "Car", benz.target, fromBlock + 1);
+    expect(indexer.query({ contract: "MyBenz" })).to.be.empty;
+    const added = await indexer.backfill();
+    expect(added.map((event) => event.event)).to.deep.equal(["CarStarted", "AutoPilotActivated"]);
+  });
+
+  it("Should start over when the chain is reset", async function () {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "events-")), "31337.json");
+
+    await reset();
+    const benz = await ethers.deployContract("Benz", ["S-Class", true]);
+    await benz.startEngine();
+
+    const first = await openIndexer({ file });
+    first.track("Benz", "Benz", benz.target, 1);
+    await first.backfill();
+    expect(first.query({ contract: "Benz" })).to.have.lengthOf(3);
+
+    // The first deployment after a reset lands on the same address again
+    await reset();
+    const array = await ethers.deployContract("Array");
+    await array.addProduct("Book", 10);
+    expect(array.target).to.equal(benz.target);
+
+    const second = await openIndexer({ file });
+    expect(second.query()).to.be.empty;
+    second.track("Array", "Array", array.target, 1);
+    expect(second.summary(await second.backfill())).to.deep.equal({ "Array.ProductAdded": 1 });
+    expect(JSON.parse(fs.readFileSync(file, "utf8")).events).to.have.lengthOf(1);
+
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+});
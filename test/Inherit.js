@@ -0,0 +1,255 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Inherit", function () {
+  // Same contracts and constructor args as scripts/deploy-inheritance.js
+  async function deployCarsFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const Car = await ethers.getContractFactory("Car");
+    const car = await Car.deploy("sedan", 4, ethers.parseEther("30"));
+
+    const Benz = await ethers.getContractFactory("Benz");
+    const benz = await Benz.deploy("S-Class", true);
+
+    const Audi = await ethers.getContractFactory("Audi");
+    const audi = await Audi.deploy("A4", true, 7);
+
+    const BMW = await ethers.getContractFactory("BMW");
+    const bmw = await BMW.deploy("X5", "X-Series", true, 400);
+
+    return { car, benz, audi, bmw, owner, user1, user2 };
+  }
+
+  describe("Car", function () {
+    it("Should set the constructor values and the deployer as owner", async function () {
+      const { car, owner } = await loadFixture(deployCarsFixture);
+
+      expect(await car.owner()).to.equal(owner.address);
+      expect(await car.getVehicleType()).to.equal("sedan");
+      expect(await car.getDoorCount()).to.equal(4);
+      expect(await car.price()).to.equal(ethers.parseEther("30"));
+      expect(await car.isRunning()).to.equal(false);
+    });
+
+    it("Should fail with an invalid door count", async function () {
+      const Car = await ethers.getContractFactory("Car");
+
+      await expect(Car.deploy("sedan", 0, 1)).to.be.revertedWith(
+        "Invalid door count"
+      );
+    });
+
+    it("Should start and stop the engine", async function () {
+      const { car, owner } = await loadFixture(deployCarsFixture);
+
+      await expect(car.startEngine())
+        .to.emit(car, "CarStarted")
+        .withArgs(owner.address, "sedan");
+      expect(await car.isRunning()).to.equal(true);
+
+      await expect(car.stopEngine())
+        .to.emit(car, "CarStopped")
+        .withArgs(owner.address, "sedan");
+      expect(await car.isRunning()).to.equal(false);
+    });
+
+    it("Should revert when starting a running engine", async function () {
+      const { car } = await loadFixture(deployCarsFixture);
+
+      await car.startEngine();
+
+      await expect(car.startEngine()).to.be.revertedWith(
+        "Engine is already running"
+      );
+    });
+  });
+
+  describe("Benz", function () {
+    it("Should use the luxury-sedan parent constructor", async function () {
+      const { benz } = await loadFixture(deployCarsFixture);
+
+      expect(await benz.getCarInfo()).to.deep.equal([
+        "luxury-sedan",
+        4n,
+        ethers.parseEther("50"),
+        false,
+      ]);
+      expect(await benz.getBenzInfo()).to.deep.equal(["S-Class", true, 0n]);
+    });
+
+    it("Should emit CarStarted and AutoPilotActivated from the overridden startEngine", async function () {
+      const { benz, owner } = await loadFixture(deployCarsFixture);
+
+      await expect(benz.startEngine())
+        .to.emit(benz, "CarStarted")
+        .withArgs(owner.address, "luxury-sedan")
+        .and.to.emit(benz, "AutoPilotActivated")
+        .withArgs(owner.address, "S-Class");
+    });
+
+    it("Should only activate autopilot while running", async function () {
+      const { benz, owner } = await loadFixture(deployCarsFixture);
+
+      await expect(benz.activateAutoPilot()).to.be.revertedWith(
+        "Engine must be running to activate autopilot"
+      );
+
+      await benz.startEngine();
+
+      await expect(benz.activateAutoPilot())
+        .to.emit(benz, "AutoPilotActivated")
+        .withArgs(owner.address, "S-Class");
+    });
+
+    it("Should update the mileage", async function () {
+      const { benz } = await loadFixture(deployCarsFixture);
+
+      await expect(benz.updateMileage(500))
+        .to.emit(benz, "MileageUpdated")
+        .withArgs(0, 500);
+      await expect(benz.updateMileage(250))
+        .to.emit(benz, "MileageUpdated")
+        .withArgs(500, 750);
+
+      expect((await benz.getBenzInfo())[2]).to.equal(750);
+    });
+
+    it("Should reject a zero mileage update", async function () {
+      const { benz } = await loadFixture(deployCarsFixture);
+
+      await expect(benz.updateMileage(0)).to.be.revertedWith(
+        "Additional miles must be positive"
+      );
+    });
+  });
+
+  describe("Audi", function () {
+    it("Should change the performance mode while running", async function () {
+      const { audi } = await loadFixture(deployCarsFixture);
+
+      await audi.startEngine();
+
+      await expect(audi.changePerformanceMode(10))
+        .to.emit(audi, "PerformanceModeChanged")
+        .withArgs(7, 10);
+      expect((await audi.getAudiInfo())[2]).to.equal(10);
+    });
+
+    it("Should reject a performance level out of range", async function () {
+      const { audi } = await loadFixture(deployCarsFixture);
+
+      await audi.startEngine();
+
+      await expect(audi.changePerformanceMode(15)).to.be.revertedWith(
+        "Performance level must be 1-10"
+      );
+    });
+
+    it("Should reject a performance mode change while stopped", async function () {
+      const { audi } = await loadFixture(deployCarsFixture);
+
+      await expect(audi.changePerformanceMode(8)).to.be.revertedWith(
+        "Engine must be running to change performance mode"
+      );
+    });
+
+    it("Should fail to deploy with an invalid performance level", async function () {
+      const Audi = await ethers.getContractFactory("Audi");
+
+      await expect(Audi.deploy("A4", true, 11)).to.be.revertedWith(
+        "Performance level must be 1-10"
+      );
+    });
+  });
+
+  describe("BMW", function () {
+    it("Should activate xDrive and sport mode while running", async function () {
+      const { bmw, owner } = await loadFixture(deployCarsFixture);
+
+      await bmw.startEngine();
+
+      await expect(bmw.activateXDrive())
+        .to.emit(bmw, "XDriveActivated")
+        .withArgs(owner.address, "X5");
+      await expect(bmw.activateSportMode())
+        .to.emit(bmw, "SportModeActivated")
+        .withArgs(owner.address, 400);
+    });
+
+    it("Should not let a non-owner stop the engine", async function () {
+      const { bmw, user2 } = await loadFixture(deployCarsFixture);
+
+      await bmw.startEngine();
+
+      await expect(bmw.connect(user2).stopEngine()).to.be.revertedWith(
+        "Only owner can stop the engine"
+      );
+    });
+
+    it("Should not transfer ownership while running", async function () {
+      const { bmw, user1 } = await loadFixture(deployCarsFixture);
+
+      await bmw.startEngine();
+
+      await expect(bmw.transferOwnership(user1.address)).to.be.revertedWith(
+        "BMW cannot transfer ownership while running"
+      );
+    });
+  });
+
+  describe("Ownership", function () {
+    it("Should transfer ownership once the engine is stopped", async function () {
+      const { benz, owner, user1 } = await loadFixture(deployCarsFixture);
+
+      await benz.startEngine();
+      await expect(benz.transferOwnership(user1.address)).to.be.revertedWith(
+        "Cannot transfer while engine is running"
+      );
+
+      await benz.stopEngine();
+      await expect(benz.transferOwnership(user1.address))
+        .to.emit(benz, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+
+      expect(await benz.owner()).to.equal(user1.address);
+    });
+
+    it("Should let the new owner start the engine and lock out the old one", async function () {
+      const { benz, owner, user1 } = await loadFixture(deployCarsFixture);
+
+      await benz.transferOwnership(user1.address);
+
+      await expect(benz.connect(owner).startEngine()).to.be.revertedWith(
+        "Only owner can start the engine"
+      );
+      await expect(benz.connect(user1).startEngine())
+        .to.emit(benz, "CarStarted")
+        .withArgs(user1.address, "luxury-sedan");
+    });
+
+    it("Should reject the zero address as new owner", async function () {
+      const { car } = await loadFixture(deployCarsFixture);
+
+      await expect(car.transferOwnership(ethers.ZeroAddress)).to.be.revertedWith(
+        "New owner cannot be zero address"
+      );
+    });
+
+    it("Should emit OwnershipTransferred twice from the BMW override", async function () {
+      const { bmw, owner, user1 } = await loadFixture(deployCarsFixture);
+
+      const receipt = await (await bmw.transferOwnership(user1.address)).wait();
+      const transfers = receipt.logs
+        .map((log) => bmw.interface.parseLog(log))
+        .filter((event) => event.name === "OwnershipTransferred");
+
+      expect(transfers.map((event) => [...event.args])).to.deep.equal([
+        [owner.address, user1.address],
+        [owner.address, user1.address],
+      ]);
+    });
+  });
+});
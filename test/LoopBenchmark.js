@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const { network } = require("hardhat");
+const {
+  fitGrowth,
+  predictMaxSize,
+  findMaxSafeSize,
+  runGasScaling,
+  configuredBlockGasLimit,
+  formatCurve,
+  toMarkdown,
+  toCsv,
+} = require("../scripts/lib/gas-scaling");
+
+describe("Loop gas benchmark", function () {
+  describe("fitGrowth", function () {
+    it("Should recover the coefficients of a quadratic curve", function () {
+      const points = [1, 10, 100, 1000, 5000].map((size) => ({ size, gas: 21000 + 700 * size + size * size / 512 }));
+      const fit = fitGrowth(points);
+
+      expect(fit.model).to.equal("이차");
+      expect(fit.a).to.be.closeTo(21000, 1e-3);
+      expect(fit.b).to.be.closeTo(700, 1e-6);
+      expect(fit.c).to.be.closeTo(1 / 512, 1e-9);
+      expect(fit.maxResidual).to.be.at.most(1);
+    });
+
+    it("Should classify a negligible n² term as linear and a single size as constant", function () {
+      const linear = fitGrowth([1, 10, 100].map((size) => ({ size, gas: BigInt(22000 + 450 * size) })));
+      const constant = fitGrowth([{ size: 0, gas: 24232n }]);
+
+      expect(linear.model).to.equal("선형");
+      expect(linear.b).to.be.closeTo(450, 1e-6);
+      expect(constant).to.include({ model: "상수", a: 24232, b: 0, c: 0 });
+      expect(formatCurve(linear)).to.equal("선형: 22,000 + 450.00·n");
+      expect(formatCurve(constant)).to.equal("상수: 24,232");
+    });
+
+    it("Should refit as linear when noise makes the n² term negative", function () {
+      const fit = fitGrowth([
+        { size: 1, gas: 1100 },
+        { size: 2, gas: 1210 },
+        { size: 3, gas: 1290 },
+      ]);
+
+      expect(fit.c).to.equal(0);
+      expect(fit.b).to.be.closeTo(95, 1e-9);
+    });
+  });
+
+  describe("predictMaxSize", function () {
+    it("Should solve the curve for the gas limit minus the largest residual", function () {
+      expect(predictMaxSize({ a: 1000, b: 10, c: 0 }, 2000)).to.equal(100);
+      expect(predictMaxSize({ a: 1000, b: 10, c: 0, maxResidual: 1 }, 2000)).to.equal(99);
+      expect(predictMaxSize({ a: 0, b: 0, c: 1 }, 100)).to.equal(10);
+      expect(predictMaxSize({ a: 3000, b: 10, c: 0 }, 2000)).to.equal(0);
+      expect(predictMaxSize({ a: 3000, b: 0, c: 0 }, 4000)).to.equal(Infinity);
+    });
+  });
+
+  describe("findMaxSafeSize", function () {
+    it("Should widen from a wrong guess and bisect to the exact boundary", async function () {
+      const probed = [];
+      const fits = async (n) => {
+        probed.push(n);
+        return { ok: 1000 + 7 * n <= 50000, reason: null };
+      };
+
+      expect(await findMaxSafeSize(fits, 100)).to.deep.equal({ size: 7000, reason: null });
+      expect(await findMaxSafeSize(fits, 90000)).to.deep.equal({ size: 7000, reason: null });
+      // An accurate guess only needs the boundary on both sides
+      probed.length = 0;
+      await findMaxSafeSize(fits, 7000);
+      expect(probed).to.deep.equal([7000, 7001]);
+    });
+
+    it("Should report the revert that stops the input before the gas limit", async function () {
+      const fits = async (n) => (n <= 257 ? { ok: true, reason: null } : { ok: false, reason: "Panic(0x11)" });
+
+      expect(await findMaxSafeSize(fits, 1000)).to.deep.equal({ size: 257, reason: "Panic(0x11)" });
+      expect(await findMaxSafeSize(async () => ({ ok: false, reason: null }), 5)).to.deep.equal({ size: 0, reason: null });
+    });
+  });
+
+  describe("runGasScaling", function () {
+    it("Should predict the same maximum input that eth_call confirms", async function () {
+      const benchmarks = [{ contract: "Loopf", fn: "processArray", input: (n) => [new Array(n).fill(1)] }];
+      const options = { benchmarks, sizes: [1, 10, 100, 500, 1000], limits: [1000000, 2000000] };
+
+      const [predicted] = await runGasScaling(options);
+      const [verified] = await runGasScaling({ ...options, verify: true });
+
+      expect(predicted.points.map((point) => point.size)).to.deep.equal([1, 10, 100, 500, 1000]);
+      predicted.points.forEach((point) => expect(point.estimateGas).to.equal(point.gasUsed));
+      expect(verified.limits.map((entry) => entry.maxSize)).to.deep.equal(predicted.limits.map((entry) => entry.maxSize));
+      expect(verified.limits.every((entry) => entry.verified && entry.reason === null)).to.equal(true);
+    });
+
+    it("Should stop at the declared maximum size or the revert found by eth_call", async function () {
+      // 255 × 257 = 65535, so the uint16 sum overflows from 258 elements
+      const benchmarks = [
+        { contract: "Loopf", fn: "processArray", input: (n) => [new Array(n).fill(255)], maxSize: 257, maxSizeReason: "uint16 합계 overflow" },
+      ];
+      const options = { benchmarks, sizes: [1, 10, 100], limits: [1000000] };
+
+      const [predicted] = await runGasScaling(options);
+      const [verified] = await runGasScaling({ ...options, benchmarks: [{ ...benchmarks[0], maxSize: undefined }], verify: true });
+
+      expect(predicted.limits[0]).to.include({ maxSize: 257, reason: "uint16 합계 overflow", verified: false });
+      expect(verified.limits[0].maxSize).to.equal(257);
+      expect(verified.limits[0].reason).to.match(/^Panic\(0x11/);
+    });
+
+    it("Should measure fixed-size loops once and check them against each limit", async function () {
+      const [result] = await runGasScaling({ benchmarks: [{ contract: "Loopf", fn: "forLoop" }], limits: [21000, 30000000] });
+
+      expect(result.input).to.equal(false);
+      expect(result.points).to.have.lengthOf(1);
+      expect(result.points[0].size).to.equal(null);
+      expect(result.fit.model).to.equal("상수");
+      expect(result.limits).to.deep.equal([
+        { limit: 21000, fits: false },
+        { limit: 30000000, fits: true },
+      ]);
+    });
+
+    it("Should default to the block gas limit configured for the network", async function () {
+      const [result] = await runGasScaling({ benchmarks: [{ contract: "Loopf", fn: "forLoop" }] });
+
+      expect(network.config.blockGasLimit).to.be.a("number");
+      expect(await configuredBlockGasLimit()).to.equal(network.config.blockGasLimit);
+      expect(result.limits).to.deep.equal([{ limit: network.config.blockGasLimit, fits: true }]);
+    });
+
+    it("Should reject sizes and limits that are not positive integers", async function () {
+      await expect(runGasScaling({ benchmarks: [], sizes: [0] })).to.be.rejectedWith("양의 정수여야 합니다: 0");
+      await expect(runGasScaling({ benchmarks: [], limits: [1.5] })).to.be.rejectedWith("양의 정수여야 합니다: 1.5");
+    });
+  });
+
+  describe("reports", function () {
+    const results = [
+      {
+        label: "Loopf.forLoop",
+        input: false,
+        points: [{ size: null, gasUsed: 24232n, estimateGas: 24232n }],
+        fit: { model: "상수", a: 24232, b: 0, c: 0 },
+        limits: [{ limit: 30000000, fits: true }],
+      },
+      {
+        label: "Loopf.processArray",
+        input: true,
+        points: [{ size: 1000, gasUsed: 720474n, estimateGas: 720474n }],
+        fit: { model: "이차", a: 22487, b: 696.03, c: 0.00195 },
+        limits: [{ limit: 30000000, maxSize: 65535, predictedSize: 70000, reason: "uint16 합계 overflow", verified: false }],
+      },
+    ];
+
+    it("Should render the limit table and the measurements as Markdown", function () {
+      const markdown = toMarkdown(results);
+
+      expect(markdown).to.include("## 블록 가스 한도별 최대 안전 입력 크기 (곡선 예측)");
+      expect(markdown).to.include("| 함수 | 증가 곡선 (gas) | 30,000,000 |");
+      expect(markdown).to.include("| Loopf.forLoop | 상수: 24,232 | ✅ 고정 |");
+      expect(markdown).to.include("| Loopf.processArray | 이차: 22,487 + 696.03·n + 0.00195·n² | 65,535 (uint16 합계 overflow) |");
+      expect(markdown).to.include("| Loopf.processArray | 1,000 | 720,474 | 720,474 |");
+    });
+
+    it("Should write measurement and limit rows as CSV", function () {
+      const lines = toCsv(results).trim().split("\n");
+
+      expect(lines[0]).to.equal("kind,function,size,gasUsed,estimateGas,blockGasLimit,maxSafeSize,predictedSize,limitedBy,verified,model,a,b,c");
+      expect(lines).to.include("measurement,Loopf.processArray,1000,720474,720474,,,,,,이차,22487,696.03,0.00195");
+      expect(lines).to.include("limit,Loopf.processArray,,,,30000000,65535,70000,uint16 합계 overflow,false,이차,22487,696.03,0.00195");
+      expect(lines).to.include("limit,Loopf.forLoop,,,,30000000,,,,,상수,24232,0,0");
+    });
+  });
+});
@@ -0,0 +1,209 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const {
+  getPermitDomain,
+  signPermit,
+  recoverPermitSigner,
+  relayPermitTransfer,
+  dealTokens,
+} = require("../scripts/lib/permit");
+
+describe("MyToken permit", function () {
+  const units = (amount) => ethers.parseUnits(amount, 18);
+
+  async function deployTokenFixture() {
+    const [deployer, holder, relayer, recipient, other] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("MyToken");
+    // MyToken has no mint, so the holder's balance is written to storage directly
+    await dealTokens(token, holder.address, units("1000"));
+
+    return { token, deployer, holder, relayer, recipient, other };
+  }
+
+  describe("Deployment", function () {
+    it("Should set the name, symbol and decimals", async function () {
+      const token = await ethers.deployContract("MyToken");
+
+      expect(await token.name()).to.equal("MyToken");
+      expect(await token.symbol()).to.equal("MTK");
+      expect(await token.decimals()).to.equal(18);
+      expect(await token.totalSupply()).to.equal(0);
+    });
+
+    it("Should deal tokens by writing the balance and total supply slots", async function () {
+      const { token, holder, other } = await loadFixture(deployTokenFixture);
+
+      await dealTokens(token, other.address, units("5"));
+
+      expect(await token.balanceOf(holder.address)).to.equal(units("1000"));
+      expect(await token.balanceOf(other.address)).to.equal(units("5"));
+      expect(await token.totalSupply()).to.equal(units("1005"));
+    });
+  });
+
+  describe("Domain and signatures", function () {
+    it("Should build the EIP-712 domain of the deployed token", async function () {
+      const { token } = await loadFixture(deployTokenFixture);
+      const { chainId } = await ethers.provider.getNetwork();
+
+      const domain = await getPermitDomain(token);
+
+      expect(domain).to.deep.equal({
+        name: "MyToken",
+        version: "1",
+        chainId,
+        verifyingContract: token.target,
+      });
+      expect(ethers.TypedDataEncoder.hashDomain(domain)).to.equal(await token.DOMAIN_SEPARATOR());
+    });
+
+    it("Should sign with the current nonce and a one hour deadline by default", async function () {
+      const { token, holder, relayer } = await loadFixture(deployTokenFixture);
+
+      const permit = await signPermit(token, holder, { spender: relayer.address, value: units("100") });
+
+      expect(permit.owner).to.equal(holder.address);
+      expect(permit.nonce).to.equal(0);
+      expect(permit.deadline).to.equal((await time.latest()) + 60 * 60);
+      expect(recoverPermitSigner(permit)).to.equal(holder.address);
+    });
+  });
+
+  describe("Relayed permit", function () {
+    it("Should approve and transfer without the holder paying gas", async function () {
+      const { token, holder, relayer, recipient } = await loadFixture(deployTokenFixture);
+      const holderEth = await ethers.provider.getBalance(holder.address);
+      const permit = await signPermit(token, holder, { spender: relayer.address, value: units("100") });
+
+      const { permitReceipt, transferReceipt } = await relayPermitTransfer(token, relayer, permit, {
+        to: recipient.address,
+        amount: units("60"),
+      });
+
+      expect(permitReceipt.from).to.equal(relayer.address);
+      expect(transferReceipt.from).to.equal(relayer.address);
+      expect(await ethers.provider.getBalance(holder.address)).to.equal(holderEth);
+      expect(await token.balanceOf(holder.address)).to.equal(units("940"));
+      expect(await token.balanceOf(recipient.address)).to.equal(units("60"));
+      expect(await token.allowance(holder.address, relayer.address)).to.equal(units("40"));
+      expect(await token.nonces(holder.address)).to.equal(1);
+    });
+
+    it("Should emit Approval from permit", async function () {
+      const { token, holder, relayer } = await loadFixture(deployTokenFixture);
+      const permit = await signPermit(token, holder, { spender: relayer.address, value: units("100") });
+      const { owner, spender, value, deadline, v, r, s } = permit;
+
+      await expect(token.connect(relayer).permit(owner, spender, value, deadline, v, r, s))
+        .to.emit(token, "Approval")
+        .withArgs(holder.address, relayer.address, units("100"));
+    });
+
+    it("Should let anyone submit the permit, but only the spender transfer", async function () {
+      const { token, holder, relayer, recipient, other } = await loadFixture(deployTokenFixture);
+      const permit = await signPermit(token, holder, { spender: relayer.address, value: units("100") });
+      const { owner, spender, value, deadline, v, r, s } = permit;
+
+      await token.connect(other).permit(owner, spender, value, deadline, v, r, s);
+
+      await expect(
+        token.connect(other).transferFrom(holder.address, recipient.address, units("1"))
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+      await expect(
+        relayPermitTransfer(token, other, permit, { to: recipient.address })
+      ).to.be.rejectedWith("spender");
+    });
+
+    it("Should reject a transfer above the permitted value", async function () {
+      const { token, holder, relayer, recipient } = await loadFixture(deployTokenFixture);
+      const permit = await signPermit(token, holder, { spender: relayer.address, value: units("100") });
+
+      await expect(
+        relayPermitTransfer(token, relayer, permit, { to: recipient.address, amount: units("101") })
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Rejected permits", function () {
+    it("Should reject an expired deadline", async function () {
+      const { token, holder, relayer } = await loadFixture(deployTokenFixture);
+      const permit = await signPermit(token, holder, { spender: relayer.address, value: units("100") });
+
+      await time.increaseTo(permit.deadline + 1);
+
+      await expect(relayPermitTransfer(token, relayer, permit))
+        .to.be.revertedWithCustomError(token, "ERC2612ExpiredSignature")
+        .withArgs(permit.deadline);
+    });
+
+    it("Should accept a permit in the block of its deadline", async function () {
+      const { token, holder, relayer } = await loadFixture(deployTokenFixture);
+      const permit = await signPermit(token, holder, { spender: relayer.address, value: units("100") });
+
+      await time.setNextBlockTimestamp(permit.deadline);
+
+      await relayPermitTransfer(token, relayer, permit);
+      expect(await token.allowance(holder.address, relayer.address)).to.equal(units("100"));
+    });
+
+    it("Should reject a signature for the wrong nonce", async function () {
+      const { token, holder, relayer } = await loadFixture(deployTokenFixture);
+      const permit = await signPermit(token, holder, { spender: relayer.address, value: units("100"), nonce: 1n });
+
+      await expect(relayPermitTransfer(token, relayer, permit)).to.be.revertedWithCustomError(
+        token,
+        "ERC2612InvalidSigner"
+      );
+      expect(await token.nonces(holder.address)).to.equal(0);
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const { token, holder, relayer, recipient } = await loadFixture(deployTokenFixture);
+      const permit = await signPermit(token, holder, { spender: relayer.address, value: units("100") });
+      await relayPermitTransfer(token, relayer, permit, { to: recipient.address });
+
+      await expect(relayPermitTransfer(token, relayer, permit)).to.be.revertedWithCustomError(
+        token,
+        "ERC2612InvalidSigner"
+      );
+    });
+
+    it("Should reject a signature from someone other than the owner", async function () {
+      const { token, holder, relayer, other } = await loadFixture(deployTokenFixture);
+      const permit = await signPermit(token, other, {
+        owner: holder.address,
+        spender: relayer.address,
+        value: units("100"),
+      });
+
+      expect(recoverPermitSigner(permit)).to.equal(other.address);
+      await expect(relayPermitTransfer(token, relayer, permit))
+        .to.be.revertedWithCustomError(token, "ERC2612InvalidSigner")
+        .withArgs(other.address, holder.address);
+    });
+
+    it("Should reject a permit whose value was changed after signing", async function () {
+      const { token, holder, relayer } = await loadFixture(deployTokenFixture);
+      const permit = await signPermit(token, holder, { spender: relayer.address, value: units("100") });
+
+      await expect(
+        relayPermitTransfer(token, relayer, { ...permit, value: units("1000") })
+      ).to.be.revertedWithCustomError(token, "ERC2612InvalidSigner");
+    });
+
+    it("Should reject a signature for another token's domain", async function () {
+      const { token, holder, relayer } = await loadFixture(deployTokenFixture);
+      const otherToken = await ethers.deployContract("MyToken");
+      const permit = await signPermit(otherToken, holder, { spender: relayer.address, value: units("100") });
+
+      await expect(relayPermitTransfer(token, relayer, permit)).to.be.revertedWithCustomError(
+        token,
+        "ERC2612InvalidSigner"
+      );
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  PAYOUT_STATUS,
+  parsePayoutCsv,
+  checkAddress,
+  validatePayouts,
+  planBatches,
+  executePayout,
+  reconcilePayout,
+  runPayout,
+} = require("../scripts/lib/payout");
+
+describe("Address batch payouts", function () {
+  async function deployPayerFixture() {
+    const [owner, operator, ...recipients] = await ethers.getSigners();
+
+    const payer = await ethers.deployContract("Address");
+    await payer.batchSetApproval([operator.address], true);
+    // Struct has no receive/fallback, so sending ether to it reverts
+    const rejecter = await ethers.deployContract("Struct");
+
+    return { payer: payer.connect(operator), owner, operator, recipients, rejecter };
+  }
+
+  const csvFor = (rows) =>
+    ["address,amount,memo", ...rows.map(([address, amount]) => `${address},${amount},test`)].join("\n");
+
+  describe("CSV parsing and validation", function () {
+    it("Should skip the header, comments and blank lines and keep line numbers", function () {
+      const rows = parsePayoutCsv(
+        "address,amount,memo\n# comment\n\n0xabc,1,bonus, Q1\r\n0xdef,2\n"
+      );
+
+      expect(rows).to.deep.equal([
+        { line: 4, input: "0xabc", amountInput: "1", memo: "bonus,Q1" },
+        { line: 5, input: "0xdef", amountInput: "2", memo: "" },
+      ]);
+    });
+
+    it("Should check address format, checksum and the zero address", function () {
+      const checksummed = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+
+      expect(checkAddress(checksummed)).to.deep.equal({ address: checksummed, error: null, warning: null });
+      expect(checkAddress(checksummed.toLowerCase()).address).to.equal(checksummed);
+      expect(checkAddress(checksummed.toLowerCase()).warning).to.include(checksummed);
+      expect(checkAddress(checksummed.replace("F79", "f79")).error).to.include("체크섬");
+      expect(checkAddress(ethers.ZeroAddress).error).to.include("영주소");
+      expect(checkAddress("0x1234").error).to.include("주소 형식");
+    });
+
+    it("Should skip invalid rows and contract recipients", async function () {
+      const { payer, recipients, rejecter } = await loadFixture(deployPayerFixture);
+      const [alice, bob] = recipients;
+
+      const entries = await validatePayouts(
+        payer,
+        parsePayoutCsv(
+          csvFor([
+            [alice.address, "0.1"],
+            [bob.address, "-1"],
+            [bob.address, "1e18"],
+            [rejecter.target, "0.1"],
+            [alice.address.toLowerCase(), "0.2"],
+          ])
+        )
+      );
+
+      expect(entries.map((entry) => entry.status)).to.deep.equal([
+        PAYOUT_STATUS.planned,
+        PAYOUT_STATUS.skipped,
+        PAYOUT_STATUS.skipped,
+        PAYOUT_STATUS.skipped,
+        PAYOUT_STATUS.planned,
+      ]);
+      expect(entries[0].amount).to.equal(ethers.parseEther("0.1"));
+      expect(entries[3].isContract).to.equal(true);
+      expect(entries[4].warnings).to.have.lengthOf(2);
+      expect(entries[4].warnings[1]).to.include("2번째 줄");
+
+      const allowed = await validatePayouts(payer, parsePayoutCsv(csvFor([[rejecter.target, "0.1"]])), {
+        allowContracts: true,
+      });
+      expect(allowed[0].status).to.equal(PAYOUT_STATUS.planned);
+    });
+  });
+
+  describe("Batch planning", function () {
+    it("Should split recipients into batches within the gas budget in CSV order", async function () {
+      const { payer, recipients } = await loadFixture(deployPayerFixture);
+      const rows = recipients.slice(0, 7).map((signer, i) => [signer.address, `0.0${i + 1}`]);
+      const entries = await validatePayouts(payer, parsePayoutCsv(csvFor(rows)));
+
+      const batches = await planBatches(payer, entries, { gasBudget: 500000 });
+
+      expect(batches.length).to.be.greaterThan(1);
+      expect(batches.flatMap((batch) => batch.entries.map((entry) => entry.address))).to.deep.equal(
+        rows.map(([address]) => address)
+      );
+      for (const batch of batches) {
+        expect(batch.gasEstimate).to.be.at.most(500000n);
+        expect(batch.total).to.equal(batch.entries.reduce((sum, entry) => sum + entry.amount, 0n));
+      }
+    });
+
+    it("Should fail when a single recipient exceeds the budget", async function () {
+      const { payer, recipients } = await loadFixture(deployPayerFixture);
+      const entries = await validatePayouts(payer, parsePayoutCsv(csvFor([[recipients[0].address, "0.1"]])));
+
+      await expect(planBatches(payer, entries, { gasBudget: 50000 })).to.be.rejectedWith("가스 예산");
+    });
+  });
+
+  describe("Payout and reconciliation", function () {
+    it("Should pay every valid row and reconcile events and history", async function () {
+      const { payer, operator, recipients } = await loadFixture(deployPayerFixture);
+      const [alice, bob, carol] = recipients;
+      const before = await Promise.all([alice, bob, carol].map((signer) => ethers.provider.getBalance(signer)));
+
+      const report = await runPayout(
+        payer,
+        csvFor([
+          [alice.address, "0.1"],
+          [bob.address, "0.2"],
+          ["0x0", "1"],
+          [carol.address, "0.3"],
+          [alice.address, "0.05"],
+        ]),
+        { gasBudget: 500000 }
+      );
+
+      expect(report.reconciled).to.equal(true);
+      expect(report.totals.paid).to.deep.equal({ count: 4, amount: ethers.parseEther("0.65") });
+      expect(report.totals.skipped.count).to.equal(1);
+      expect(report.batches).to.have.lengthOf(2);
+      expect(report.batches.every((batch) => batch.status === "mined")).to.equal(true);
+
+      const after = await Promise.all([alice, bob, carol].map((signer) => ethers.provider.getBalance(signer)));
+      expect(after.map((balance, i) => balance - before[i])).to.deep.equal(
+        ["0.15", "0.2", "0.3"].map((amount) => ethers.parseEther(amount))
+      );
+      expect(await payer.getTransferHistoryByAddress(operator.address)).to.have.lengthOf(4);
+      expect(await payer.totalSent(alice.address)).to.equal(ethers.parseEther("0.15"));
+    });
+
+    it("Should skip recipients that reject ether while planning", async function () {
+      const { payer, recipients, rejecter } = await loadFixture(deployPayerFixture);
+      const [alice, bob] = recipients;
+
+      const report = await runPayout(
+        payer,
+        csvFor([
+          [alice.address, "0.1"],
+          [rejecter.target, "0.1"],
+          [bob.address, "0.1"],
+        ]),
+        { gasBudget: 1000000, allowContracts: true }
+      );
+
+      expect(report.reconciled).to.equal(true);
+      expect(report.batches).to.have.lengthOf(1);
+      expect(report.entries.map((entry) => entry.status)).to.deep.equal([
+        PAYOUT_STATUS.paid,
+        PAYOUT_STATUS.skipped,
+        PAYOUT_STATUS.paid,
+      ]);
+      expect(report.entries[1].errors[0]).to.include("이더를 받지 않습니다");
+    });
+
+    it("Should mark a reverted batch as failed and still send the others", async function () {
+      const { payer, operator, recipients, rejecter } = await loadFixture(deployPayerFixture);
+      const [alice, bob] = recipients;
+      const entries = await validatePayouts(
+        payer,
+        parsePayoutCsv(csvFor([[alice.address, "0.1"], [rejecter.target, "0.1"], [bob.address, "0.1"]])),
+        { allowContracts: true }
+      );
+      // Batches built by hand, as if the recipient started rejecting ether after planning
+      const batches = [
+        { index: 0, entries: [entries[0], entries[1]], total: ethers.parseEther("0.2") },
+        { index: 1, entries: [entries[2]], total: ethers.parseEther("0.1") },
+      ];
+
+      const results = await executePayout(payer, batches);
+      const report = await reconcilePayout(payer, { sender: operator.address, entries, results, historyBefore: 0 });
+
+      expect(report.reconciled).to.equal(false);
+      expect(report.batches.map((batch) => batch.status)).to.deep.equal(["reverted", "mined"]);
+      expect(report.entries.map((entry) => entry.status)).to.deep.equal([
+        PAYOUT_STATUS.failed,
+        PAYOUT_STATUS.failed,
+        PAYOUT_STATUS.paid,
+      ]);
+      expect(report.entries[0].errors[0]).to.include("배치 1 revert");
+      expect(await payer.totalSent(alice.address)).to.equal(0);
+      expect(await payer.totalSent(bob.address)).to.equal(ethers.parseEther("0.1"));
+    });
+
+    it("Should report rows whose on-chain record differs from the request", async function () {
+      const { payer, operator, recipients } = await loadFixture(deployPayerFixture);
+      const entries = await validatePayouts(
+        payer,
+        parsePayoutCsv(csvFor(recipients.slice(0, 2).map((signer) => [signer.address, "0.1"])))
+      );
+      const batches = await planBatches(payer, entries, { gasBudget: 1000000 });
+      const results = await executePayout(payer, batches);
+
+      // Simulate a request that no longer matches what was sent
+      entries[1].amount = ethers.parseEther("0.2");
+      const report = await reconcilePayout(payer, { sender: operator.address, entries, results, historyBefore: 0 });
+
+      expect(report.entries.map((entry) => entry.status)).to.deep.equal([PAYOUT_STATUS.paid, PAYOUT_STATUS.mismatch]);
+      expect(report.entries[1].errors).to.have.lengthOf(2);
+      expect(report.reconciled).to.equal(false);
+    });
+
+    it("Should require an approved sender", async function () {
+      const { payer, recipients } = await loadFixture(deployPayerFixture);
+
+      await expect(
+        runPayout(payer.connect(recipients[0]), csvFor([[recipients[1].address, "0.1"]]), { gasBudget: 500000 })
+      ).to.be.rejectedWith("승인 주소가 아닙니다");
+    });
+  });
+
+  describe("payout task", function () {
+    it("Should plan without sending on --dry-run", async function () {
+      const { payer, recipients } = await loadFixture(deployPayerFixture);
+      const csv = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "payout-")), "payouts.csv");
+      fs.writeFileSync(csv, csvFor([[recipients[0].address, "0.1"]]));
+
+      const report = await hre.run("payout", { csv, contract: payer.target, account: "1", dryRun: true });
+
+      expect(report.plan).to.have.lengthOf(1);
+      expect(await payer.getTransferHistory()).to.be.empty;
+      expect(fs.existsSync(`${csv}.report.json`)).to.equal(false);
+    });
+
+    it("Should write the payout report", async function () {
+      const { payer, recipients } = await loadFixture(deployPayerFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "payout-"));
+      const csv = path.join(dir, "payouts.csv");
+      fs.writeFileSync(csv, csvFor([[recipients[0].address, "0.1"], ["0xbad", "0.1"]]));
+
+      await hre.run("payout", { csv, contract: payer.target, account: "1", out: path.join(dir, "report.json") });
+
+      const report = JSON.parse(fs.readFileSync(path.join(dir, "report.json"), "utf8"));
+      expect(report.reconciled).to.equal(true);
+      expect(report.totals.paid).to.deep.equal({ count: 1, amount: "0.1" });
+      expect(report.entries[0]).to.include({ address: recipients[0].address, amount: "0.1", status: "paid", batch: 1 });
+      expect(report.entries[1]).to.include({ status: "skipped", amount: "0.1" });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { checkUpgrade, upgradeProxy } = require("../scripts/lib/upgrade");
+
+describe("SimpleProxy upgrade", function () {
+  async function deployProxyFixture() {
+    const [admin, user1] = await ethers.getSigners();
+
+    const v1 = await ethers.deployContract("ProxyFallbackDemoV1");
+    const proxy = await ethers.deployContract("SimpleProxy", [v1.target]);
+    const v2 = await ethers.deployContract("ProxyFallbackDemoV2");
+
+    const viaProxy = (name) => ethers.getContractAt(name, proxy.target);
+
+    return { v1, v2, proxy, viaProxy, admin, user1 };
+  }
+
+  describe("Storage layout check", function () {
+    it("Should reject FallbackDemo because it writes the proxy's slots", async function () {
+      const { safe, rows } = await checkUpgrade({ previous: null, next: "FallbackDemo" });
+
+      expect(safe).to.equal(false);
+      expect(
+        rows.filter((row) => row.status === "error").map((row) => row.slot)
+      ).to.deep.equal([0, 1]);
+    });
+
+    it("Should reject reordered and retyped variables", async function () {
+      const { safe, rows } = await checkUpgrade({
+        previous: "ProxyFallbackDemoV1",
+        next: "ProxyFallbackDemoV2Unsafe",
+      });
+
+      expect(safe).to.equal(false);
+      expect(rows.find((row) => row.slot === 4).reason).to.equal(
+        "타입 변경: uint256 → uint128"
+      );
+      expect(
+        rows.filter((row) => row.status === "renamed").map((row) => row.slot)
+      ).to.deep.equal([2, 3]);
+    });
+
+    it("Should accept a variable appended after the previous layout", async function () {
+      const { safe, rows } = await checkUpgrade({
+        previous: "ProxyFallbackDemoV1",
+        next: "ProxyFallbackDemoV2",
+      });
+
+      expect(safe).to.equal(true);
+      expect(rows.filter((row) => row.status === "added")).to.have.lengthOf(1);
+      expect(rows.find((row) => row.status === "added").next.label).to.equal(
+        "orderCount"
+      );
+    });
+  });
+
+  describe("Upgrade", function () {
+    it("Should keep the proxy's implementation when V1 is used through it", async function () {
+      const { v1, proxy, viaProxy, user1 } = await loadFixture(deployProxyFixture);
+
+      const demo = await viaProxy("ProxyFallbackDemoV1");
+      await demo.connect(user1).order({ value: ethers.parseEther("0.1") });
+
+      expect(await demo.data()).to.equal(9);
+      expect(await proxy.implementation()).to.equal(v1.target);
+    });
+
+    it("Should upgrade to V2 and keep the existing state", async function () {
+      const { v2, proxy, viaProxy, user1 } = await loadFixture(deployProxyFixture);
+
+      await (await viaProxy("ProxyFallbackDemoV1"))
+        .connect(user1)
+        .order({ value: ethers.parseEther("0.1") });
+
+      await upgradeProxy({
+        proxy,
+        previous: "ProxyFallbackDemoV1",
+        next: "ProxyFallbackDemoV2",
+        implementation: v2.target,
+        log: () => {},
+      });
+
+      const demo = await viaProxy("ProxyFallbackDemoV2");
+      expect(await proxy.implementation()).to.equal(v2.target);
+      expect(await demo.version()).to.equal("v2");
+      expect(await demo.data()).to.equal(9);
+      expect(await demo.totalReceived()).to.equal(ethers.parseEther("0.1"));
+
+      await demo.order({ value: 1 });
+      expect(await demo.orderCount()).to.equal(1);
+    });
+
+    it("Should refuse an unsafe upgrade without touching the proxy", async function () {
+      const { v1, proxy } = await loadFixture(deployProxyFixture);
+      const unsafe = await ethers.deployContract("ProxyFallbackDemoV2Unsafe");
+
+      await expect(
+        upgradeProxy({
+          proxy,
+          previous: "ProxyFallbackDemoV1",
+          next: "ProxyFallbackDemoV2Unsafe",
+          implementation: unsafe.target,
+          log: () => {},
+        })
+      ).to.be.rejectedWith("안전하지 않아 중단했습니다");
+      expect(await proxy.implementation()).to.equal(v1.target);
+    });
+
+    it("Should only let the admin upgrade", async function () {
+      const { v2, proxy, user1 } = await loadFixture(deployProxyFixture);
+
+      await expect(proxy.connect(user1).upgrade(v2.target)).to.be.revertedWith(
+        "Only admin"
+      );
+    });
+  });
+
+  describe("FallbackDemo behind SimpleProxy", function () {
+    it("Should overwrite the implementation slot when order() runs through the proxy", async function () {
+      const fallbackDemo = await ethers.deployContract("FallbackDemo");
+      const proxy = await ethers.deployContract("SimpleProxy", [fallbackDemo.target]);
+      const [, user1] = await ethers.getSigners();
+
+      await user1.sendTransaction({
+        to: proxy.target,
+        data: fallbackDemo.interface.encodeFunctionData("order"),
+      });
+
+      // data = 9 lands in slot 0, which is the proxy's implementation
+      expect(await proxy.implementation()).to.equal(
+        ethers.zeroPadValue("0x09", 20)
+      );
+    });
+  });
+});
@@ -0,0 +1,233 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { PANIC_CODES } = require("@nomicfoundation/hardhat-chai-matchers/panic");
+const { expect } = require("chai");
+const fc = require("fast-check");
+
+// FUZZ_RUNS sets the number of generated inputs per property (default 100).
+// A failing property prints its seed; FUZZ_SEED=<seed> replays the same inputs.
+const FUZZ_OPTIONS = {
+  numRuns: Number(process.env.FUZZ_RUNS || 100),
+  ...(process.env.FUZZ_SEED ? { seed: Number(process.env.FUZZ_SEED) } : {}),
+};
+
+const MAX_UINT256 = 2n ** 256n - 1n;
+const OVERFLOW = { panic: PANIC_CODES.ARITHMETIC_OVERFLOW };
+
+// Full-range values rarely land near the edges, so small values and boundaries are mixed in
+const uint256 = () =>
+  fc.oneof(
+    fc.bigInt({ min: 0n, max: MAX_UINT256 }),
+    fc.bigInt({ min: 0n, max: 2n ** 128n }),
+    fc.bigInt({ min: 0n, max: 1000n }),
+    fc.constantFrom(0n, 1n, 2n ** 128n, MAX_UINT256 / 2n, MAX_UINT256 - 1n, MAX_UINT256)
+  );
+const uint8 = () => fc.integer({ min: 0, max: 255 });
+
+/**
+ * Runs a uint256 reference computation with Solidity 0.8 checked arithmetic:
+ * returns OVERFLOW as soon as any intermediate value leaves the uint256 range.
+ */
+function checked(compute) {
+  let overflowed = false;
+  const check = (value) => {
+    if (value > MAX_UINT256) {
+      overflowed = true;
+    }
+    return value;
+  };
+  const value = compute(check);
+  return overflowed ? OVERFLOW : { value };
+}
+
+// The reference models return { value }, { reason } or { panic }
+async function expectOutcome(call, expected) {
+  if (expected.panic !== undefined) {
+    await expect(call).to.be.revertedWithPanic(expected.panic);
+  } else if (expected.reason !== undefined) {
+    await expect(call).to.be.revertedWith(expected.reason);
+  } else {
+    expect(await call).to.deep.equal(expected.value);
+  }
+}
+
+const absDiff = (a, b) => (a > b ? a - b : b - a);
+
+describe("Pure function properties", function () {
+  async function deployFixture() {
+    const operation = await ethers.deployContract("Operation");
+    const pureView = await ethers.deployContract("PureView");
+    const dataType = await ethers.deployContract("DataType");
+
+    return { operation, pureView, dataType };
+  }
+
+  describe("Operation", function () {
+    it("Should add like BigInt and revert on overflow in safeAdd", async function () {
+      const { operation } = await loadFixture(deployFixture);
+
+      await fc.assert(
+        fc.asyncProperty(uint256(), uint256(), async (a, b) => {
+          // The checked addition panics before the require("Addition overflow") is reached
+          await expectOutcome(operation.safeAdd(a, b), checked((check) => check(a + b)));
+        }),
+        FUZZ_OPTIONS
+      );
+    });
+
+    it("Should compute calculatePercentage as amount * percentage / 100", async function () {
+      const { operation } = await loadFixture(deployFixture);
+
+      await fc.assert(
+        fc.asyncProperty(uint256(), fc.bigInt({ min: 0n, max: 150n }), async (amount, percentage) => {
+          const expected =
+            percentage > 100n
+              ? { reason: "Invalid percentage" }
+              : checked((check) => check(amount * percentage) / 100n);
+          await expectOutcome(operation.calculatePercentage(amount, percentage), expected);
+        }),
+        FUZZ_OPTIONS
+      );
+    });
+
+    it("Should never return more than the amount from calculatePercentage", async function () {
+      const { operation } = await loadFixture(deployFixture);
+
+      await fc.assert(
+        fc.asyncProperty(
+          fc.bigInt({ min: 0n, max: MAX_UINT256 / 100n }),
+          fc.bigInt({ min: 0n, max: 100n }),
+          async (amount, percentage) => {
+            expect(await operation.calculatePercentage(amount, percentage)).to.be.at.most(amount);
+          }
+        ),
+        FUZZ_OPTIONS
+      );
+    });
+
+    it("Should match the uint256 reference in advancedMath", async function () {
+      const { operation } = await loadFixture(deployFixture);
+
+      await fc.assert(
+        fc.asyncProperty(uint256(), uint256(), async (a, b) => {
+          const expected =
+            b === 0n
+              ? { reason: "Division by zero" }
+              : checked((check) => [check(a + b), absDiff(a, b), check(a * b), a / b, a % b, check(a ** 2n)]);
+          await expectOutcome(operation.advancedMath(a, b), expected);
+        }),
+        FUZZ_OPTIONS
+      );
+    });
+
+    it("Should truncate bitwiseOperations results to uint8", async function () {
+      const { operation } = await loadFixture(deployFixture);
+
+      await fc.assert(
+        fc.asyncProperty(uint8(), uint8(), async (a, b) => {
+          const result = await operation.bitwiseOperations(a, b);
+          expect(result.map(Number)).to.deep.equal([a & b, a | b, a ^ b, ~a & 0xff, (a << 1) & 0xff, a >> 1]);
+        }),
+        FUZZ_OPTIONS
+      );
+    });
+
+    it("Should split wei into gwei, ether and remainder in convertEtherUnits", async function () {
+      const { operation } = await loadFixture(deployFixture);
+
+      await fc.assert(
+        fc.asyncProperty(uint256(), async (wei) => {
+          const [inGwei, inEther, remainderWei] = await operation.convertEtherUnits(wei);
+          expect([inGwei, inEther, remainderWei]).to.deep.equal([wei / 10n ** 9n, wei / 10n ** 18n, wei % 10n ** 18n]);
+          expect(inEther * 10n ** 18n + remainderWei).to.equal(wei);
+        }),
+        FUZZ_OPTIONS
+      );
+    });
+  });
+
+  describe("DataType", function () {
+    it("Should convert like explicit Solidity casts in typeConversions", async function () {
+      const { dataType } = await loadFixture(deployFixture);
+
+      await fc.assert(
+        fc.asyncProperty(uint256(), async (value) => {
+          const [toUint8, toInt256, toBytes32, toAddress] = await dataType.typeConversions(value);
+          expect(toUint8).to.equal(value & 0xffn);
+          // Explicit conversions never revert: values above int256 max wrap to negative
+          expect(toInt256).to.equal(BigInt.asIntN(256, value));
+          expect(toBytes32).to.equal(ethers.toBeHex(value, 32));
+          expect(toAddress).to.equal(ethers.getAddress(ethers.toBeHex(BigInt.asUintN(160, value), 20)));
+        }),
+        FUZZ_OPTIONS
+      );
+    });
+  });
+
+  describe("PureView", function () {
+    it("Should match the reference and be symmetric in calculatePure", async function () {
+      const { pureView } = await loadFixture(deployFixture);
+
+      await fc.assert(
+        fc.asyncProperty(uint256(), uint256(), async (a, b) => {
+          const expected = checked((check) => [check(a + b), check(a * b), absDiff(a, b)]);
+          await expectOutcome(pureView.calculatePure(a, b), expected);
+          await expectOutcome(pureView.calculatePure(b, a), expected);
+        }),
+        FUZZ_OPTIONS
+      );
+    });
+
+    it("Should compute sum, average, max and min in analyzeArray", async function () {
+      const { pureView } = await loadFixture(deployFixture);
+
+      await fc.assert(
+        fc.asyncProperty(fc.array(uint256(), { maxLength: 16 }), async (numbers) => {
+          let expected;
+          if (numbers.length === 0) {
+            expected = { reason: "Array cannot be empty" };
+          } else {
+            expected = checked((check) => {
+              const sum = numbers.reduce((total, n) => check(total + n), 0n);
+              const sorted = [...numbers].sort((x, y) => (x < y ? -1 : x > y ? 1 : 0));
+              return [sum, sum / BigInt(numbers.length), sorted[sorted.length - 1], sorted[0]];
+            });
+          }
+          await expectOutcome(pureView.analyzeArray(numbers), expected);
+        }),
+        FUZZ_OPTIONS
+      );
+    });
+
+    it("Should count UTF-8 bytes and join with the prefix in processString", async function () {
+      const { pureView } = await loadFixture(deployFixture);
+
+      await fc.assert(
+        fc.asyncProperty(
+          fc.string({ unit: "grapheme", maxLength: 40 }),
+          fc.string({ unit: "grapheme", maxLength: 10 }),
+          async (input, prefix) => {
+            const [length, combined] = await pureView.processString(input, prefix);
+            expect(length).to.equal(ethers.toUtf8Bytes(input).length);
+            expect(combined).to.equal(`${prefix}: ${input}`);
+          }
+        ),
+        FUZZ_OPTIONS
+      );
+    });
+
+    it("Should validate against MAX_VALUE and revert on overflow in useConstants", async function () {
+      const { pureView } = await loadFixture(deployFixture);
+      const maxValue = await pureView.MAX_VALUE();
+
+      await fc.assert(
+        fc.asyncProperty(fc.oneof(uint256(), fc.bigInt({ min: 990n, max: 1010n })), async (value) => {
+          const expected = checked((check) => [value <= maxValue, check(value * 100n) / maxValue, "PureView Example"]);
+          await expectOutcome(pureView.useConstants(value), expected);
+        }),
+        FUZZ_OPTIONS
+      );
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const {
+  TESTS_DIR,
+  findRemixTestFiles,
+  parseImports,
+  collectSources,
+  compileRemixTests,
+  listTestContracts,
+  deployRemixTest,
+  runRemixTestContract,
+  formatAssertion,
+  getPrecompiled,
+} = require("../scripts/lib/remix-tests");
+
+// tests/*_test.sol is compiled by tasks/remix-tests.js before Mocha loads this file,
+// so one `it` per test function can be registered synchronously below
+const precompiled = getPrecompiled();
+
+describe("Remix unit tests (tests/*_test.sol)", function () {
+  if (!precompiled) {
+    it("Should be precompiled by the test task", function () {
+      if (findRemixTestFiles().length > 0) {
+        this.skip(); // loaded without `hardhat test` (e.g. plain mocha)
+      }
+    });
+    return;
+  }
+
+  for (const entry of precompiled.entries) {
+    describe(entry, function () {
+      for (const testContract of listTestContracts(precompiled, entry)) {
+        describe(testContract.contractName, function () {
+          let results;
+
+          before(async function () {
+            results = await runRemixTestContract(precompiled, testContract);
+          });
+
+          for (const name of testContract.tests) {
+            it(name, function () {
+              const failures = results
+                .filter((result) => result.name === name && !result.passed)
+                .map((result) => {
+                  const where = result.hook ? `${result.hook}: ` : "";
+                  if (result.error) {
+                    return `${where}${result.error}`;
+                  }
+                  return result.assertions
+                    .filter((assertion) => !assertion.passed)
+                    .map((assertion) => `${where}${formatAssertion(assertion)}`)
+                    .join("\n");
+                });
+              expect(failures, failures.join("\n")).to.be.empty;
+            });
+          }
+        });
+      }
+    });
+  }
+});
+
+describe("Remix test runner", function () {
+  // In-memory test files keep these independent of what is in tests/
+  const SAMPLE = "tests/Sample_test.sol";
+  const sample = (body) => `// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+import "remix_tests.sol";
+
+contract SampleTest {
+    uint256 counter;
+${body}
+}
+`;
+
+  async function compileSample(body) {
+    const content = sample(body);
+    const compiled = await compileRemixTests([SAMPLE], { overrides: { [SAMPLE]: content } });
+    const [testContract] = listTestContracts(compiled, SAMPLE, content);
+    return { compiled, testContract };
+  }
+
+  it("Should discover the *_test.sol files in tests/", function () {
+    expect(TESTS_DIR.endsWith("tests")).to.be.true;
+    expect(findRemixTestFiles()).to.include("tests/MyToken_test.sol");
+  });
+
+  it("Should parse every import form and ignore commented-out imports", function () {
+    const imports = parseImports(`
+      import "remix_tests.sol";
+      import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+      import * as Lib from './Lib.sol';
+      // import "Commented.sol";
+      /* import "Block.sol"; */
+    `);
+
+    expect(imports).to.deep.equal(["remix_tests.sol", "@openzeppelin/contracts/token/ERC20/ERC20.sol", "./Lib.sol"]);
+  });
+
+  it("Should redirect a moved contract import to the unique file with the same name", function () {
+    const { sources, redirects } = collectSources(["tests/MyToken_test.sol"]);
+
+    expect(redirects).to.deep.equal([{ sourceName: "contracts/MyToken.sol", resolved: "contracts/자료형/MyToken.sol" }]);
+    expect(sources).to.have.property("contracts/MyToken.sol");
+    expect(sources).to.have.property("remix_tests.sol");
+    expect(sources).to.have.property("@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol");
+  });
+
+  it("Should reject an import that cannot be found", function () {
+    expect(() =>
+      collectSources([SAMPLE], { [SAMPLE]: 'import "../contracts/DoesNotExist.sol";' })
+    ).to.throw("import할 파일을 찾을 수 없습니다: contracts/DoesNotExist.sol");
+  });
+
+  it("Should list test functions in source order with their hooks", async function () {
+    const { testContract } = await compileSample(`
+    function beforeEach() public { counter += 1; }
+    function testZeta() public { Assert.ok(true, "zeta"); }
+    function testAlpha() public { Assert.ok(true, "alpha"); }
+    function helper() public pure returns (uint256) { return 1; }
+`);
+
+    expect(testContract.contractName).to.equal("SampleTest");
+    expect(testContract.tests).to.deep.equal(["testZeta", "testAlpha"]);
+    expect(testContract.hooks).to.deep.equal(["beforeEach"]);
+  });
+
+  it("Should report passing and failing assertions with returned and expected values", async function () {
+    const { compiled, testContract } = await compileSample(`
+    function beforeEach() public { counter += 1; }
+    function testFirst() public { Assert.equal(counter, 1, "first run"); }
+    function testSecond() public { Assert.equal(counter, 1, "counter is not reset"); }
+`);
+
+    const [first, second] = await runRemixTestContract(compiled, testContract);
+
+    expect(first).to.include({ name: "testFirst", passed: true });
+    expect(second).to.include({ name: "testSecond", passed: false });
+    const [failure] = second.assertions;
+    expect(failure).to.deep.include({ passed: false, message: "counter is not reset", method: "equal" });
+    expect(failure.returned).to.equal(2n);
+    expect(failure.expected).to.equal(1n);
+    expect(formatAssertion(failure)).to.equal('counter is not reset (equal: 실제 "2", 기대 "1")');
+  });
+
+  it("Should count a reverted test function as a failure", async function () {
+    const { compiled, testContract } = await compileSample(`
+    function testReverts() public { require(counter > 0, "counter is zero"); }
+`);
+
+    const { call } = await deployRemixTest(compiled, testContract);
+    const result = await call("testReverts");
+
+    expect(result.passed).to.be.false;
+    expect(result.error).to.include("counter is zero");
+  });
+});
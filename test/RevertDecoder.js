@@ -0,0 +1,56 @@
+const { expect } = require("chai");
+const { describeRevert, formatRevert } = require("../scripts/lib/revert");
+
+describe("Revert decoder", function () {
+  // Decodes the revert of a failing call without passing any contract ABI,
+  // so the artifact-wide error list is what resolves custom errors.
+  async function decodeFailure(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return describeRevert(error);
+    }
+    throw new Error("Expected the call to revert");
+  }
+
+  it("Should decode custom errors with named arguments", async function () {
+    const [owner] = await ethers.getSigners();
+    const demo = await ethers.deployContract("CustomErrorDemo");
+
+    const decoded = await decodeFailure(demo.triggerCustomError(3));
+
+    expect(decoded.kind).to.equal("custom");
+    expect(decoded.name).to.equal("UnauthorizedAccess");
+    expect(decoded.args).to.deep.equal({
+      caller: owner.address,
+      owner: owner.address,
+    });
+  });
+
+  it("Should decode custom errors without arguments", async function () {
+    const demo = await ethers.deployContract("CustomErrorDemo");
+
+    const decoded = await decodeFailure(demo.order({ value: 0 }));
+
+    expect(formatRevert(decoded)).to.equal("ZeroValueError()");
+  });
+
+  it("Should decode Error(string) reasons", async function () {
+    const demo = await ethers.deployContract("CustomErrorDemo");
+
+    const decoded = await decodeFailure(demo.triggerCustomError(9));
+
+    expect(decoded.kind).to.equal("error");
+    expect(decoded.reason).to.equal("Invalid error type");
+  });
+
+  it("Should decode Panic(uint256) from a failed assert", async function () {
+    const assertContract = await ethers.deployContract("Assert");
+
+    const decoded = await decodeFailure(assertContract.order({ value: 0 }));
+
+    expect(decoded.kind).to.equal("panic");
+    expect(decoded.code).to.equal(0x01);
+    expect(formatRevert(decoded)).to.equal("Panic(0x01: assert 실패)");
+  });
+});
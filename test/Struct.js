@@ -0,0 +1,319 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const {
+  CATALOG,
+  UserLevel,
+  OrderStatus,
+  priceOf,
+  findEvent,
+  seedMarketplace,
+} = require("../scripts/lib/marketplace");
+
+describe("Struct marketplace", function () {
+  async function deployMarketFixture() {
+    const [deployer, user1, user2, stranger] = await ethers.getSigners();
+
+    const market = await ethers.deployContract("Struct");
+
+    return { market, deployer, user1, user2, stranger };
+  }
+
+  // Same users and catalog as scripts/deploy-struct.js
+  async function seededMarketFixture() {
+    const fixture = await deployMarketFixture();
+    const { market, deployer, user1, user2 } = fixture;
+
+    const products = await seedMarketplace(market, { deployer, user1, user2 });
+    const idOf = (name) => products.find((product) => product.name === name).id;
+
+    return { ...fixture, products, idOf };
+  }
+
+  async function placeOrder(market, buyer, productId, quantity, value) {
+    const receipt = await (
+      await market.connect(buyer).createOrder(productId, quantity, "Seoul", { value })
+    ).wait();
+    return findEvent(market, receipt, "OrderCreated").orderId;
+  }
+
+  describe("Deployment", function () {
+    it("Should register the deployer as a Platinum admin", async function () {
+      const { market, deployer } = await loadFixture(deployMarketFixture);
+
+      const admin = await market.getUser(deployer.address);
+      expect(admin.username).to.equal("Admin");
+      expect(admin.level).to.equal(UserLevel.Platinum);
+      expect(admin.isActive).to.equal(true);
+    });
+
+    it("Should initialize the main product", async function () {
+      const { market, deployer } = await loadFixture(deployMarketFixture);
+
+      const main = await market.getMainProduct();
+      expect(main.name).to.equal("toy1");
+      expect(main.price).to.equal(10);
+      expect(main.seller).to.equal(deployer.address);
+      expect(await market.getSystemStats()).to.deep.equal([0n, 0n, 0n, 0n]);
+    });
+  });
+
+  describe("Users", function () {
+    it("Should emit UserRegistered and reject a second registration", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+
+      await expect(
+        market.connect(user1).registerUser("alice", "alice@example.com", UserLevel.Gold)
+      )
+        .to.emit(market, "UserRegistered")
+        .withArgs(user1.address, "alice", UserLevel.Gold);
+
+      await expect(
+        market.connect(user1).registerUser("alice", "alice@example.com", UserLevel.Gold)
+      ).to.be.revertedWith("User already registered");
+    });
+
+    it("Should not find unregistered users", async function () {
+      const { market, stranger } = await loadFixture(deployMarketFixture);
+
+      await expect(market.getUser(stranger.address)).to.be.revertedWith("User not found");
+    });
+  });
+
+  describe("Products", function () {
+    it("Should emit ProductCreated with sequential ids", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+
+      await expect(market.connect(user1).createProduct("Lamp", 100, "Home", 5))
+        .to.emit(market, "ProductCreated")
+        .withArgs(1, "Lamp", 100, user1.address);
+      await expect(market.createProduct("Desk", 200, "Home", 1))
+        .to.emit(market, "ProductCreated")
+        .withArgs(2, "Desk", 200, anyValue);
+    });
+
+    it("Should validate new products", async function () {
+      const { market } = await loadFixture(deployMarketFixture);
+
+      await expect(market.createProduct("", 1, "Home", 1)).to.be.revertedWith(
+        "Product name required"
+      );
+      await expect(market.createProduct("Lamp", 0, "Home", 1)).to.be.revertedWith(
+        "Price must be positive"
+      );
+      await expect(market.createProduct("Lamp", 1, "Home", 0)).to.be.revertedWith(
+        "Stock must be positive"
+      );
+    });
+
+    it("Should seed the catalog and group it by category", async function () {
+      const { market, products } = await loadFixture(seededMarketFixture);
+
+      expect(products.map((product) => product.id)).to.deep.equal(
+        CATALOG.map((_, i) => BigInt(i + 1))
+      );
+
+      const electronics = await market.getProductsByCategory("Electronics");
+      expect(electronics.map((product) => product.name)).to.deep.equal([
+        "Wireless Earbuds",
+        "4K Monitor",
+        "Mechanical Keyboard",
+      ]);
+      expect(await market.getProductsByCategory("Garden")).to.be.empty;
+
+      const stats = await market.getSystemStats();
+      expect(stats.totalProducts).to.equal(CATALOG.length);
+      expect(stats.activeProducts).to.equal(CATALOG.length);
+    });
+
+    it("Should clone a product for a new seller", async function () {
+      const { market, user2, idOf } = await loadFixture(seededMarketFixture);
+      const source = await market.getProduct(idOf("Solidity Handbook"));
+
+      await expect(market.connect(user2).cloneProduct(idOf("Solidity Handbook"), "Handbook 2"))
+        .to.emit(market, "ProductCreated")
+        .withArgs(CATALOG.length + 1, "Handbook 2", source.price, user2.address);
+
+      const clone = await market.getProduct(CATALOG.length + 1);
+      expect(clone.category).to.equal(source.category);
+      expect(clone.stock).to.equal(source.stock);
+      expect(clone.seller).to.equal(user2.address);
+      expect(await market.getProductsByCategory("Books")).to.have.lengthOf(2);
+    });
+
+    it("Should only let the seller update product details", async function () {
+      const { market, user1, idOf } = await loadFixture(seededMarketFixture);
+      const id = idOf("Denim Jacket");
+
+      await expect(market.updateProductDetails(id, "Jacket", 1, 1)).to.be.revertedWith(
+        "Only seller can update"
+      );
+      await expect(market.connect(user1).updateProductDetails(id, "Jacket", 1, 1))
+        .to.emit(market, "ProductUpdated")
+        .withArgs(id, "Jacket", 1);
+    });
+
+    it("Should not change storage from demonstrateMemoryVsStorage", async function () {
+      const { market, idOf } = await loadFixture(seededMarketFixture);
+      const id = idOf("4K Monitor");
+
+      expect((await market.demonstrateMemoryVsStorage(id)).name).to.equal(
+        "Modified in memory"
+      );
+      expect((await market.getProduct(id)).name).to.equal("4K Monitor");
+    });
+  });
+
+  describe("Orders", function () {
+    it("Should create an order, refund the change and update stock and purchases", async function () {
+      const { market, user1, idOf } = await loadFixture(seededMarketFixture);
+      const id = idOf("Wireless Earbuds");
+      const price = priceOf(CATALOG[0]);
+
+      const tx = market
+        .connect(user1)
+        .createOrder(id, 2, "Seoul", { value: price * 3n });
+      await expect(tx).to.emit(market, "OrderCreated").withArgs(1, user1.address, id, 2);
+      await expect(tx).to.changeEtherBalances([user1, market], [-price * 2n, price * 2n]);
+
+      const order = await market.getOrder(1);
+      expect(order.status).to.equal(OrderStatus.Pending);
+      expect(order.totalPrice).to.equal(price * 2n);
+      expect(order.product.name).to.equal("Wireless Earbuds");
+      expect((await market.getProduct(id)).stock).to.equal(38);
+      expect((await market.getUser(user1.address)).totalPurchases).to.equal(price * 2n);
+    });
+
+    it("Should reject invalid orders", async function () {
+      const { market, user1, stranger, idOf } = await loadFixture(seededMarketFixture);
+      const blocks = idOf("Building Blocks Set");
+
+      await expect(
+        market.connect(stranger).createOrder(blocks, 1, "Seoul", { value: 10n ** 18n })
+      ).to.be.revertedWith("User not registered");
+      await expect(
+        market.connect(user1).createOrder(blocks, 0, "Seoul")
+      ).to.be.revertedWith("Quantity must be positive");
+      await expect(
+        market.connect(user1).createOrder(blocks, 1, "")
+      ).to.be.revertedWith("Delivery address required");
+      await expect(
+        market.connect(user1).createOrder(999, 1, "Seoul")
+      ).to.be.revertedWith("Product not available");
+      await expect(
+        market.connect(user1).createOrder(blocks, 4, "Seoul", { value: 10n ** 18n })
+      ).to.be.revertedWith("Insufficient stock");
+      await expect(
+        market.connect(user1).createOrder(blocks, 1, "Seoul", { value: 1 })
+      ).to.be.revertedWith("Insufficient payment");
+    });
+
+    it("Should list each user's orders", async function () {
+      const { market, user1, user2, deployer, idOf } = await loadFixture(seededMarketFixture);
+
+      await placeOrder(market, user1, idOf("Solidity Handbook"), 1, 10n ** 18n);
+      await placeOrder(market, user2, idOf("4K Monitor"), 1, 10n ** 18n);
+      await placeOrder(market, user1, idOf("Running Shoes"), 2, 10n ** 18n);
+
+      const aliceOrders = await market.getUserOrders(user1.address);
+      expect(aliceOrders.map((order) => order.orderId)).to.deep.equal([1n, 3n]);
+      expect(aliceOrders.map((order) => order.product.name)).to.deep.equal([
+        "Solidity Handbook",
+        "Running Shoes",
+      ]);
+      expect(await market.getUserOrders(user2.address)).to.have.lengthOf(1);
+      expect(await market.getUserOrders(deployer.address)).to.be.empty;
+      expect((await market.getSystemStats()).totalOrders).to.equal(3);
+    });
+
+    it("Should keep the products array stock unchanged after an order", async function () {
+      const { market, user1, idOf } = await loadFixture(seededMarketFixture);
+
+      await placeOrder(market, user1, idOf("Building Blocks Set"), 3, 10n ** 18n);
+
+      // createOrder only updates productById; the array copy keeps the original stock
+      expect((await market.getProduct(idOf("Building Blocks Set"))).stock).to.equal(0);
+      const [blocks] = await market.getProductsByCategory("Toys");
+      expect(blocks.stock).to.equal(3);
+      expect(await market.getAvailableProducts()).to.have.lengthOf(CATALOG.length);
+    });
+  });
+
+  describe("Order status", function () {
+    async function orderedFixture() {
+      const fixture = await seededMarketFixture();
+      const { market, user1, user2, idOf } = fixture;
+
+      const earbudsOrder = await placeOrder(market, user1, idOf("Wireless Earbuds"), 1, 10n ** 18n);
+      const jacketOrder = await placeOrder(market, user2, idOf("Denim Jacket"), 1, 10n ** 18n);
+
+      return { ...fixture, earbudsOrder, jacketOrder };
+    }
+
+    it("Should go Pending → Confirmed → Shipped → Delivered", async function () {
+      const { market, earbudsOrder } = await loadFixture(orderedFixture);
+
+      await expect(market.updateOrderStatus(earbudsOrder, OrderStatus.Confirmed))
+        .to.emit(market, "OrderStatusChanged")
+        .withArgs(earbudsOrder, OrderStatus.Pending, OrderStatus.Confirmed);
+
+      const eta = (await time.latest()) + 3 * 24 * 60 * 60;
+      await market.createDeliveryInfo(earbudsOrder, "TRK-0001", eta);
+      expect((await market.getOrder(earbudsOrder)).status).to.equal(OrderStatus.Shipped);
+
+      const delivery = await market.deliveries(earbudsOrder);
+      expect(delivery.trackingNumber).to.equal("TRK-0001");
+      expect(delivery.estimatedDelivery).to.equal(eta);
+      expect(delivery.isDelivered).to.equal(false);
+
+      await expect(market.updateOrderStatus(earbudsOrder, OrderStatus.Delivered))
+        .to.emit(market, "OrderStatusChanged")
+        .withArgs(earbudsOrder, OrderStatus.Shipped, OrderStatus.Delivered);
+    });
+
+    it("Should require confirmation before shipping", async function () {
+      const { market, earbudsOrder } = await loadFixture(orderedFixture);
+
+      await expect(
+        market.createDeliveryInfo(earbudsOrder, "TRK-0001", 0)
+      ).to.be.revertedWith("Order must be confirmed first");
+    });
+
+    it("Should only let the product's seller update the order", async function () {
+      const { market, user1, jacketOrder } = await loadFixture(orderedFixture);
+
+      await expect(
+        market.updateOrderStatus(jacketOrder, OrderStatus.Confirmed)
+      ).to.be.revertedWith("Only seller can update order status");
+      await expect(
+        market.createDeliveryInfo(jacketOrder, "TRK-0002", 0)
+      ).to.be.revertedWith("Only seller can create delivery info");
+
+      await expect(market.connect(user1).updateOrderStatus(jacketOrder, OrderStatus.Cancelled))
+        .to.emit(market, "OrderStatusChanged")
+        .withArgs(jacketOrder, OrderStatus.Pending, OrderStatus.Cancelled);
+    });
+
+    it("Should allow any transition the seller chooses, even out of Cancelled", async function () {
+      const { market, earbudsOrder } = await loadFixture(orderedFixture);
+
+      await market.updateOrderStatus(earbudsOrder, OrderStatus.Cancelled);
+
+      await expect(market.updateOrderStatus(earbudsOrder, OrderStatus.Pending))
+        .to.emit(market, "OrderStatusChanged")
+        .withArgs(earbudsOrder, OrderStatus.Cancelled, OrderStatus.Pending);
+    });
+
+    it("Should reject unknown orders", async function () {
+      const { market } = await loadFixture(orderedFixture);
+
+      await expect(market.updateOrderStatus(99, OrderStatus.Confirmed)).to.be.revertedWith(
+        "Order does not exist"
+      );
+      await expect(market.getOrder(99)).to.be.revertedWith("Order does not exist");
+    });
+  });
+});